@@ -0,0 +1,113 @@
+// backtest.js (Run the detectors over mined blocks and report their findings)
+
+// Usage:
+//   node backtest.js <fromBlock> [toBlock]    Blocks from the archive node at `nodeHttpUrl`.
+//   node backtest.js <fixture file>...        Blocks from fixture files (see src/backtest/block-source.js).
+// Settings of its own (see src/config/config.js):
+//   --backtest-report <file>   Write the report there, as CSV if it ends in `.csv` (JSON on stdout by default).
+//   --backtest-labels <file>   Score the sandwich findings against labeled ones, e.g. the subgraph's
+//                              `MevAttack` entities: precision and recall (src/backtest/report.js).
+//   --backtest-export <file>   Also save the blocks read from the node as a fixture file, with the
+//                              pair reserves the simulations used, to rerun the backtest offline.
+// `--network` must match the node's chain: it picks the routers whose calls are decoded.
+// Needs the WASM detectors (npm run wasm:build), but neither Redis nor the alert sinks.
+
+const { JsonRpcProvider, Network } = require('ethers');
+const { loadScriptConfig } = require('./src/config/config');
+const { CaptureWriter } = require('./src/capture/capture-file');
+const { ArchiveBlockSource, readBlockFixtures } = require('./src/backtest/block-source');
+const { Backtester } = require('./src/backtest/backtester');
+const { buildReport, loadLabels, writeReport } = require('./src/backtest/report');
+
+// Progress goes to stderr, so that stdout holds only the report.
+const PROGRESS_EVERY_BLOCKS = 100;
+
+/**
+ * Works out what to backtest from the positional arguments.
+ * @param {Array<string>} positionals
+ * @returns {{fromBlock: number, toBlock: number}|{files: Array<string>}|null} `null` if the
+ *   arguments are neither a block range nor files.
+ */
+function parseTarget(positionals) {
+    if (positionals.length === 0) {
+        return null;
+    }
+    if (positionals.every(arg => /^\d+$/.test(arg))) {
+        if (positionals.length > 2) {
+            return null;
+        }
+        const fromBlock = Number(positionals[0]);
+        const toBlock = positionals.length === 2 ? Number(positionals[1]) : fromBlock;
+        return toBlock >= fromBlock ? { fromBlock, toBlock } : null;
+    }
+    return { files: positionals };
+}
+
+async function main() {
+    const { config, positionals } = loadScriptConfig({ allowPositionals: true });
+    const target = parseTarget(positionals);
+    if (!target || (target.files && config.backtestExport)) {
+        console.error('Usage: node backtest.js <fromBlock> [toBlock] | <fixture file>...');
+        console.error('(--backtest-export only applies to blocks read from the node.)');
+        process.exitCode = 1;
+        return;
+    }
+    const labels = config.backtestLabels ? loadLabels(config.backtestLabels) : null;
+
+    let provider = null;
+    let blocks;
+    let source;
+    if (target.files) {
+        blocks = readBlockFixtures(target.files);
+        source = { type: 'fixtures', files: target.files };
+    } else {
+        if (!config.nodeHttpUrl) {
+            throw new Error('Backtesting from the node needs its HTTP URL (nodeHttpUrl).');
+        }
+        provider = new JsonRpcProvider(config.nodeHttpUrl, Network.from(config.chainId), { staticNetwork: true });
+        blocks = new ArchiveBlockSource(provider).blocks(target.fromBlock, target.toBlock);
+        source = { type: 'archive', from_block: target.fromBlock, to_block: target.toBlock };
+    }
+    const exporter = config.backtestExport ? new CaptureWriter(config.backtestExport) : null;
+
+    const backtester = new Backtester(config);
+    const findings = [];
+    try {
+        for await (const record of blocks) {
+            const result = await backtester.runBlock(record);
+            findings.push(...result.findings);
+            if (exporter) {
+                exporter.write({ block: record.block, receipts: record.receipts, pairs: result.pairs });
+            }
+            if (backtester.stats.blocks % PROGRESS_EVERY_BLOCKS === 0) {
+                console.error(`Block ${backtester.stats.lastBlock}: ${backtester.stats.blocks} blocks, ${findings.length} findings.`);
+            }
+        }
+    } finally {
+        if (exporter) {
+            await exporter.close();
+        }
+        if (provider) {
+            provider.destroy();
+        }
+    }
+
+    const report = buildReport({ source, chainId: config.chainId, stats: backtester.stats, findings, labels });
+    if (config.backtestReport) {
+        writeReport(report, config.backtestReport);
+    } else {
+        process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    }
+    const { stats } = backtester;
+    console.error(`Backtested ${stats.blocks} blocks (${stats.transactions} transactions): ${findings.length} findings.`);
+    if (report.score) {
+        const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+        console.error(`Against ${report.score.labels} labeled victims: precision ${percent(report.score.precision)}, recall ${percent(report.score.recall)} `
+            + `(${report.score.true_positives} found, ${report.score.false_positives} unlabeled, ${report.score.false_negatives} missed).`);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -1,7 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 
-const directoryPath = 'C:\\Users\\umami\\Documents\\mev-detector'; // Your project root
+const directoryPath = path.resolve(process.argv[2] || __dirname); // The project root, unless another directory is given
 
 fs.readdir(directoryPath, (err, files) => {
   if (err) {
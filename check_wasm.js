@@ -8,10 +8,10 @@ try {
     console.log('WASM module loaded successfully!');
     console.log('Exports:', Object.keys(wasmModule));
 
-    if (typeof wasmModule.detectMevSandwich === 'function') {
-        console.log('detectMevSandwich is a function!');
+    if (typeof wasmModule.detect_mev_sandwiches === 'function') {
+        console.log('detect_mev_sandwiches is a function!');
     } else {
-        console.error('detectMevSandwich is NOT a function. Type:', typeof wasmModule.detectMevSandwich);
+        console.error('detect_mev_sandwiches is NOT a function (rebuild with `npm run wasm:build`). Type:', typeof wasmModule.detect_mev_sandwiches);
     }
 
 } catch (e) {
@@ -0,0 +1,67 @@
+// consumer.js (Alert consumer: attack history and query API)
+
+// Companion process to index.js. It reads the `mev-alerts` Kafka topic as part of a
+// consumer group, stores every attack in an embedded SQLite database
+// (src/consumer/alert-store.js) and serves the history over HTTP (src/consumer/query-api.js).
+// Several instances can share the group; Kafka splits the topic's partitions between them.
+
+const { Kafka } = require('kafkajs');
+const { loadScriptConfig } = require('./src/config/config');
+const { AlertStore } = require('./src/consumer/alert-store');
+const { createQueryServer } = require('./src/consumer/query-api');
+const { createMessageHandler } = require('./src/consumer/message-handler');
+
+// --- Configuration ---
+// Shared with the detector (see src/config/config.js): `kafkaBrokers` and `kafkaTopic` (the
+// topic the detector publishes to), plus `consumerGroupId` (shared by every consumer
+// instance), `databasePath` (SQLite file, created on first start) and `apiPort` (HTTP query API).
+const { config } = loadScriptConfig();
+
+// --- Initialize Clients ---
+const store = new AlertStore(config.databasePath);
+const kafka = new Kafka({
+    clientId: 'mev-alert-consumer',
+    brokers: config.kafkaBrokers,
+});
+// A new group starts from the beginning of the topic, so the history includes
+// everything still retained by Kafka.
+const consumer = kafka.consumer({ groupId: config.consumerGroupId });
+const server = createQueryServer(store);
+const handleMessage = createMessageHandler(store);
+
+// --- Main Logic ---
+
+/**
+ * Starts the query API, then consumes the alert topic.
+ */
+async function startConsumer() {
+    await new Promise(resolve => server.listen(config.apiPort, resolve));
+    console.log(`Query API listening on http://localhost:${config.apiPort}`);
+
+    await consumer.connect();
+    await consumer.subscribe({ topic: config.kafkaTopic, fromBeginning: true });
+    console.log(`Consuming ${config.kafkaTopic} as group ${config.consumerGroupId}...`);
+    // kafkajs only commits the offset of a message once `eachMessage` has returned, and
+    // re-delivered alerts are ignored by their id, so nothing is lost or stored twice.
+    await consumer.run({ eachMessage: async payload => handleMessage(payload) });
+}
+
+startConsumer().catch(error => {
+    console.error('Alert consumer failed:', error);
+    process.exit(1);
+});
+
+// --- Graceful Shutdown ---
+process.on('SIGINT', async () => {
+    console.log('Shutting down alert consumer...');
+    try {
+        await consumer.disconnect();
+        console.log('Kafka consumer disconnected.');
+    } catch (error) {
+        console.error('Error disconnecting Kafka consumer:', error);
+    }
+    server.close();
+    store.close();
+    console.log('Alert consumer shut down.');
+    process.exit(0);
+});
@@ -2,211 +2,274 @@
 
 // This script is designed to simulate a high volume of transactions and
 // directly test the performance of the Rust WASM MEV detection logic,
-// as well as the Redis deduplication and Kafka alerting.
+// as well as the Redis deduplication and alert delivery (the same sinks as the service).
 // It bypasses the live Ethereum mempool ingestion for the purpose of focused load testing.
+//
+// Detection runs on a pool of worker threads like in the service. Give worker counts to
+// compare them, one run each (0 runs the detectors on the main thread):
+//     node load-test.js 0 1 2 4
+// Each run reports its throughput and the p99 latency from a batch being generated to
+// its findings being back on the main thread.
+//
+// Each batch is a synthetic cluster (src/testing/mempool-scenarios.js): benign traffic with
+// sandwiches and near-miss decoys injected at known places, in the mix given by
+// `--load-test-mix` (e.g. `sandwich=0.2,other_pool=0.05`). Every finding is scored against
+// what was injected, so each run also reports its true and false positives and negatives,
+// per victim, and which scenarios the flagged victims came from.
 
-// Corrected import: using detect_mev_sandwich (snake_case) as exported by Rust WASM
-const { detect_mev_sandwich } = require('./mev_engine/pkg'); // Path to WASM module
+const { performance } = require('perf_hooks');
+// Same settings as the detector service (Redis, deduplication, chain, router, alert sinks).
+const { loadScriptConfig } = require('./src/config/config');
+// Bridge to the Rust WASM module, which returns every sandwich found in a batch.
+const { detectSandwiches } = require('./src/detection/sandwich');
+// Same worker threads as the detector service.
+const { DetectionPool } = require('./src/detection/detection-pool');
+// Same alert payload builder as the detector service.
+const { buildSandwichAlert, buildRollupAlert } = require('./src/alerts/sandwich-alert');
+// Same atomic Redis deduplication as the detector service.
+const { AlertDeduplicator } = require('./src/alerts/alert-deduplicator');
+// Same alert sinks and routing as the detector service.
+const { AlertRouter, defaultAlertConfig, loadAlertConfig } = require('./src/alerts/alert-router');
+// Labeled synthetic clusters, and the scoring of findings against their labels.
+const { ScenarioGenerator, parseMix, scoreScenarios } = require('./src/testing/mempool-scenarios');
 const Redis = require('ioredis');
-const { Kafka } = require('kafkajs');
 
-// --- Configuration for Load Test's Redis/Kafka interaction ---
-const REDIS_URL = 'redis://localhost:6379'; // Ensure Redis Docker container is running
-const KAFKA_BROKERS = ['localhost:9092']; // Ensure Kafka Docker container is running
-const KAFKA_TOPIC = 'mev-alerts';
-const REDIS_TTL_SECONDS = 300; // 5 minutes deduplication
+// --- Configuration for Load Test's Redis/alert sink interaction ---
+// The detector's config (see src/config/config.js): `--redis-url`, `--alert-config <file>`,
+// `--network`, ... Without an alert config, alerts go to the configured Kafka broker
+// (ensure the Redis and Kafka Docker containers are running).
+const { config, positionals } = loadScriptConfig({ allowPositionals: true });
+// Worker counts to run the test with, in order (by default the configured `detectionWorkers`).
+const WORKER_COUNTS = positionals.length > 0 ? positionals.map(Number) : [config.detectionWorkers];
+if (!WORKER_COUNTS.every(count => Number.isInteger(count) && count >= 0)) {
+    console.error(`Worker counts must be integers >= 0, got: ${positionals.join(' ')}`);
+    process.exit(1);
+}
+let SCENARIO_MIX;
+try {
+    SCENARIO_MIX = config.loadTestMix ? parseMix(config.loadTestMix) : undefined;
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 
 // --- Initialize Clients for Load Test ---
-const redis = new Redis(REDIS_URL);
-const kafka = new Kafka({
-    clientId: 'mev-load-tester', // Unique client ID for this load test script
-    brokers: KAFKA_BROKERS,
-});
-const producer = kafka.producer();
+const redis = new Redis(config.redisUrl);
+const deduplicator = new AlertDeduplicator(redis, { ttlSeconds: config.redisTtlSeconds });
+const alertRouter = new AlertRouter(config.alertConfig
+    ? loadAlertConfig(config.alertConfig)
+    : defaultAlertConfig(config.kafkaBrokers, config.kafkaTopic));
+
+// --- Load Test Parameters ---
+const TPS = 10000; // Target Transactions Per Second (simulated)
+const DURATION_SECONDS = 60; // How long each run (one per worker count) lasts
+const TRANSACTIONS_PER_RUN = TPS * DURATION_SECONDS;
+const BATCH_SIZE = 100; // Number of transactions in each batch (one cluster for the detectors)
+const BATCH_INTERVAL_MS = 1000 / (TPS / BATCH_SIZE); // Interval between generating each batch
+const DETECTION_INTERVAL_MS = 100; // How often the batches generated meanwhile are analyzed
 
-// --- Helper Functions (adapted for load test context) ---
+// Timers of the current run, cleared on SIGINT.
+let generatorId;
+let detectionId;
+
+console.log(`Starting load test: Simulating ${TPS} TPS for ${DURATION_SECONDS} seconds per run, with ${WORKER_COUNTS.join(', ')} detection workers.`);
+console.log(`Total transactions to simulate per run: ${TRANSACTIONS_PER_RUN}`);
+console.log(`Generating batches of ${BATCH_SIZE} every ${BATCH_INTERVAL_MS.toFixed(2)} ms, analyzed every ${DETECTION_INTERVAL_MS} ms.`);
 
 /**
- * Sends an alert message to the configured Kafka topic.
- * @param {Object} alertData - The payload of the alert.
+ * Deduplicates the findings of a batch and sends an alert for each new one.
+ * @param {Array<Object>} findings
+ * @param {Array<Object>} batch
  */
-async function sendKafkaAlert(alertData) {
-    try {
-        await producer.send({
-            topic: KAFKA_TOPIC,
-            messages: [{ value: JSON.stringify(alertData) }],
-        });
-        // Console log this only for debugging, as it will be very noisy under load
-        // console.log(`Load test alert sent to Kafka: ${JSON.stringify(alertData)}`);
-    } catch (error) {
-        console.error('Load test: Error sending message to Kafka:', error);
+async function publishFindings(findings, batch) {
+    for (const finding of findings) {
+        // Check Redis for deduplication (attacker + victim tx) before sending an alert
+        const dedup = await deduplicator.check(finding);
+        if (dedup.isNew) {
+            // Synthetic transactions have no pool state to simulate against, so the
+            // profit and loss fields of these alerts are left `null`.
+            const victimTx = batch.find(tx => tx.hash === finding.victim_hash);
+            await alertRouter.publish(buildSandwichAlert(finding, null, victimTx, { chainId: config.chainId })); // Send alert to its sinks
+        } else if (dedup.escalate) {
+            const rollup = await deduplicator.takeRollup(finding.attacker);
+            if (rollup) {
+                await alertRouter.publish(buildRollupAlert(rollup, { chainId: config.chainId }, { escalated: true }));
+            }
+        }
     }
 }
 
 /**
- * Checks Redis for duplicate alerts and caches new bot addresses.
- * This prevents sending too many alerts for the same attacker within the TTL.
- * @param {string} attackerAddress - The address of the detected attacker bot.
- * @returns {Promise<boolean>} True if the alert is new and should be processed, false otherwise.
+ * @param {Array<number>} values - Sorted ascending.
+ * @param {number} p - Percentile, from 0 to 100.
+ * @returns {number|null}
  */
-async function isNewAlert(attackerAddress) {
-    const redisKey = `mev:${attackerAddress}:last_alert`;
-    const lastAlertTimestamp = await redis.get(redisKey);
-    if (lastAlertTimestamp) {
-        // console.log(`Load test: Duplicate alert for attacker ${attackerAddress}. Skipping.`);
-        return false;
-    } else {
-        await redis.setex(redisKey, REDIS_TTL_SECONDS, Date.now());
-        // console.log(`Load test: New alert for attacker ${attackerAddress}. Caching for ${REDIS_TTL_SECONDS} seconds.`);
-        return true;
+function percentile(values, p) {
+    if (values.length === 0) {
+        return null;
     }
+    return values[Math.min(values.length - 1, Math.ceil((p / 100) * values.length) - 1)];
 }
 
-// --- Load Test Parameters ---
-const TPS = 10000; // Target Transactions Per Second (simulated)
-const DURATION_SECONDS = 60; // How long the load test will run
-const TOTAL_TRANSACTIONS = TPS * DURATION_SECONDS;
-const BATCH_SIZE = 100; // Number of transactions to process in each batch for WASM
-const BATCH_INTERVAL_MS = 1000 / (TPS / BATCH_SIZE); // Interval between sending each batch to WASM
+/**
+ * Generates transactions for `DURATION_SECONDS` and runs them through the detectors.
+ * Detection rounds never overlap: a round due while the previous one is still running is
+ * skipped, and the next one takes every batch generated meanwhile.
+ * @param {number} workers - Detection worker threads; 0 runs the detectors on the main thread.
+ * @returns {Promise<Object>} The run's results.
+ */
+async function runLoadTest(workers) {
+    // Fresh attackers, tokens and counts for each run.
+    const generator = new ScenarioGenerator({
+        mix: SCENARIO_MIX,
+        attackers: config.loadTestAttackers,
+        routerAddress: config.routerAddress,
+        wethAddress: config.wethAddress,
+    });
+    // What was injected, and the victim of every finding, to score the run.
+    const labels = [];
+    const flaggedVictims = [];
+    // The batches are already engine records.
+    const pool = workers > 0 ? new DetectionPool({ size: workers, toRecord: record => record }) : null;
+    // Batches waiting for a detection round: `{ key, transactions, generatedAt }`.
+    const queue = [];
+    const latencies = [];
+    let generated = 0;
+    let analyzed = 0;
+    let detectedAttacks = 0;
+    let batchCount = 0;
+    let skippedRounds = 0;
+    let round = null;
 
-let sentTransactions = 0;
-let detectedAttacks = 0;
-let intervalId; // To store the interval timer ID
+    const detectQueued = async () => {
+        const batches = queue.splice(0);
+        if (batches.length === 0) {
+            return;
+        }
+        // Call the Rust WASM function for MEV detection: one finding per sandwich.
+        const results = pool
+            ? await pool.detect(batches)
+            : batches.map(({ transactions }) => {
+                try {
+                    return { sandwiches: detectSandwiches(transactions) };
+                } catch (error) {
+                    return { error };
+                }
+            });
+        const detectedAt = performance.now();
+        for (const [index, batch] of batches.entries()) {
+            latencies.push(detectedAt - batch.generatedAt);
+            analyzed += batch.transactions.length;
+            const { error, sandwiches } = results[index];
+            if (error) {
+                console.error('Load test: Error in WASM MEV detection:', error);
+                continue;
+            }
+            detectedAttacks += sandwiches.length; // Increment attack counter
+            flaggedVictims.push(...sandwiches.map(finding => ({ victim_hash: finding.victim_hash })));
+            await publishFindings(sandwiches, batch.transactions);
+        }
+    };
 
-console.log(`Starting load test: Simulating ${TPS} TPS for ${DURATION_SECONDS} seconds.`);
-console.log(`Total transactions to simulate: ${TOTAL_TRANSACTIONS}`);
-console.log(`Processing in batches of ${BATCH_SIZE} every ${BATCH_INTERVAL_MS.toFixed(2)} ms.`);
+    const started = performance.now();
+    generatorId = setInterval(() => {
+        if (generated >= TRANSACTIONS_PER_RUN) {
+            return;
+        }
+        const { transactions, labels: batchLabels } = generator.generateBatch(BATCH_SIZE);
+        labels.push(...batchLabels);
+        queue.push({ key: `batch:${batchCount++}`, transactions, generatedAt: performance.now() });
+        generated += transactions.length;
+        // Log progress every TPS transactions
+        if (generated % TPS === 0) {
+            console.log(`[${workers} workers] Generated ${generated} transactions. Analyzed ${analyzed}, detected ${detectedAttacks} attacks.`);
+        }
+    }, BATCH_INTERVAL_MS);
+    detectionId = setInterval(() => {
+        if (round) {
+            skippedRounds++;
+            return;
+        }
+        round = detectQueued()
+            .catch(error => console.error('Load test: Error in detection round:', error))
+            .finally(() => { round = null; });
+    }, DETECTION_INTERVAL_MS);
 
-/**
- * Generates a dummy transaction object.
- * @param {boolean} isUniswap - Whether to simulate a Uniswap swap.
- * @param {boolean} isAttacker - Whether to use a consistent attacker address.
- * @returns {Object} A simplified transaction object.
- */
-function generateDummyTransaction(isUniswap = false, isAttacker = false) {
-    // Helper to generate a random Ethereum-like address
-    const randomAddress = () => `0x${Math.random().toString(16).slice(2,42).padEnd(40, '0')}`;
-    const hash = `0x${Math.random().toString(16).slice(2,68)}`; // Random 64-char hex hash
-    const from = isAttacker ? '0xAttackerAddress000000000000000000000000' : randomAddress();
-    const to = isUniswap ? '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D' : randomAddress(); // Uniswap V2 Router address
-    const value = (Math.random() * 1).toFixed(18); // Random ETH value up to 1 ETH
-    const gasPrice = (Math.floor(Math.random() * 100) + 20).toString(); // Gas price 20-120 Gwei
-    const gasLimit = (Math.floor(Math.random() * 100000) + 21000).toString(); // Gas limit 21k-121k
-    const input = isUniswap ? `0x${Array(200).fill('0').join('')}` : '0x'; // Dummy calldata
-    const timestamp = Math.floor(Date.now() / 1000); // Current timestamp in seconds
-    const block_number = 0; // Simulate pending transaction
-
-    // Simulate slippage tolerance for victim transactions (only if it's a Uniswap swap)
-    const slippage_tolerance = isUniswap ? (Math.random() * 0.08 + 0.02) : null; // 2-10% tolerance
+    await new Promise(resolve => setTimeout(resolve, DURATION_SECONDS * 1000));
+    clearInterval(generatorId);
+    clearInterval(detectionId);
+    // Finish the batches still queued, so every generated transaction is counted.
+    await round;
+    await detectQueued();
+    const elapsedSeconds = (performance.now() - started) / 1000;
+    if (pool) {
+        await pool.close();
+    }
 
+    latencies.sort((a, b) => a - b);
     return {
-        hash, from, to, value, gas_price: gasPrice, gas_limit: gasLimit,
-        input, timestamp, block_number, sender: from, slippage_tolerance,
-        is_uniswap_swap: isUniswap,
-        token_in: isUniswap ? randomAddress() : null,
-        token_out: isUniswap ? randomAddress() : null,
-        amount_in: isUniswap ? (Math.random() * 1000).toFixed(0) : null,
-        amount_out_min: isUniswap ? (Math.random() * 900).toFixed(0) : null,
+        workers,
+        transactionsPerSecond: analyzed / elapsedSeconds,
+        batches: latencies.length,
+        p50Ms: percentile(latencies, 50),
+        p99Ms: percentile(latencies, 99),
+        skippedRounds,
+        detectedAttacks,
+        score: scoreScenarios(flaggedVictims, labels, generator.benignSwaps),
     };
 }
 
 /**
- * Runs a single batch of simulated transactions through the MEV detection logic.
+ * Prints one line per run, then where each run's flagged victims came from.
+ * @param {Array<Object>} results - From `runLoadTest`.
  */
-async function runBatch() {
-    // Check if we've sent enough transactions to stop the test
-    if (sentTransactions >= TOTAL_TRANSACTIONS) {
-        clearInterval(intervalId); // Stop the batch interval
-        console.log(`Load test finished. Sent ${sentTransactions} transactions. Detected ${detectedAttacks} potential attacks.`);
-        await producer.disconnect(); // Disconnect Kafka producer
-        await redis.quit(); // Quit Redis connection
-        process.exit(0); // Exit the script
-        return;
-    }
-
-    const batch = [];
-    const attackerAddress = '0xAttackerAddress000000000000000000000000'; // Consistent attacker for testing deduplication
-
-    // Simulate a sandwich attack pattern in some batches (10% chance)
-    const simulateAttack = Math.random() < 0.1;
-
-    if (simulateAttack) {
-        // Frontrun transaction by the attacker
-        batch.push(generateDummyTransaction(false, true));
-        // Victim (Uniswap swap with high slippage tolerance)
-        batch.push(generateDummyTransaction(true, false));
-        // Backrun transaction by the same attacker
-        batch.push(generateDummyTransaction(false, true));
-    }
-
-    // Fill the rest of the batch with random transactions
-    while (batch.length < BATCH_SIZE) {
-        // 5% chance for a random transaction to be a Uniswap swap
-        batch.push(generateDummyTransaction(Math.random() < 0.05));
-    }
-
-    // Shuffle the batch to mix transactions.
-    // Note: For precise sandwich attack simulation, the order of frontrun-victim-backrun
-    // within the batch should be maintained. The current Rust logic looks for them
-    // within the *cluster*, so shuffling the batch is okay for this simulation.
-    for (let i = batch.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [batch[i], batch[j]] = [batch[j], batch[i]];
+function printReport(results) {
+    const ms = value => (value === null ? '-' : value.toFixed(1));
+    const percent = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+    console.log('\nWorkers  Tx/s      Batches  p50 ms   p99 ms   Skipped rounds  Attacks  TP     FP     FN     Precision  Recall');
+    for (const result of results) {
+        const { score } = result;
+        console.log([
+            String(result.workers).padEnd(7),
+            result.transactionsPerSecond.toFixed(0).padEnd(8),
+            String(result.batches).padEnd(7),
+            ms(result.p50Ms).padEnd(7),
+            ms(result.p99Ms).padEnd(7),
+            String(result.skippedRounds).padEnd(14),
+            String(result.detectedAttacks).padEnd(7),
+            String(score.true_positives).padEnd(5),
+            String(score.false_positives).padEnd(5),
+            String(score.false_negatives).padEnd(5),
+            percent(score.precision).padEnd(9),
+            percent(score.recall),
+        ].join('  '));
     }
-
-    try {
-        // Call the Rust WASM function for MEV detection
-        // Corrected function name: detect_mev_sandwich
-        const isAttack = detect_mev_sandwich(JSON.stringify(batch));
-
-        if (isAttack) {
-            detectedAttacks++; // Increment attack counter
-            // For this load test, we simplify victim identification
-            const victimTx = batch.find(tx => tx.is_uniswap_swap);
-            const victim = victimTx ? victimTx.sender : 'unknown_victim';
-
-            const profitEth = parseFloat((Math.random() * 0.5).toFixed(4)); // Simulate profit
-
-            // Check Redis for deduplication before sending a Kafka alert
-            if (await isNewAlert(attackerAddress)) {
-                const alertData = {
-                    victim: victim,
-                    attacker: attackerAddress,
-                    profit_eth: profitEth,
-                    timestamp: Math.floor(Date.now() / 1000),
-                };
-                await sendKafkaAlert(alertData); // Send alert to Kafka
-            }
+    // Sandwich scenarios should all be flagged, and nothing else.
+    for (const result of results) {
+        console.log(`\nFlagged victims by scenario (${result.workers} workers):`);
+        for (const [scenario, { injected, flagged }] of Object.entries(result.score.scenarios)) {
+            console.log(`  ${scenario.padEnd(15)} ${String(flagged).padStart(6)} of ${injected === null ? '-' : injected}`);
         }
-    } catch (wasmError) {
-        console.error('Load test: Error in WASM MEV detection:', wasmError);
-    }
-
-    sentTransactions += batch.length; // Update total sent transactions
-    // Log progress every TPS transactions
-    if (sentTransactions % TPS === 0) {
-        console.log(`Sent ${sentTransactions} transactions. Detected ${detectedAttacks} attacks.`);
     }
 }
 
 /**
- * Starts the main load testing loop.
+ * Runs the load test once per worker count, then reports and exits.
  */
 async function startLoadTest() {
-    await producer.connect(); // Connect Kafka producer for alerts
-    console.log('Load test Kafka producer connected.');
-
-    // Start the interval to run batches of transactions
-    intervalId = setInterval(runBatch, BATCH_INTERVAL_MS);
-
-    // Set a timeout to stop the load test after the specified specified duration
-    setTimeout(() => {
-        clearInterval(intervalId); // Stop the batch interval
-        console.log(`Load test finished after ${DURATION_SECONDS} seconds. Sent ${sentTransactions} transactions. Detected ${detectedAttacks} potential attacks.`);
-        producer.disconnect(); // Disconnect Kafka
-        redis.quit(); // Disconnect Redis
-        process.exit(0); // Exit the load test script
-    }, DURATION_SECONDS * 1000);
+    await alertRouter.connect(); // Connect the alert sinks
+    console.log('Load test alert sinks connected.');
+
+    const results = [];
+    for (const workers of WORKER_COUNTS) {
+        console.log(`Running with ${workers} detection workers...`);
+        results.push(await runLoadTest(workers));
+    }
+    printReport(results);
+
+    await alertRouter.close(); // Close the alert sinks
+    await redis.quit(); // Quit Redis connection
+    process.exit(0); // Exit the script
 }
 
 // Start the load test
@@ -215,10 +278,9 @@ startLoadTest().catch(console.error);
 // Handle graceful shutdown if the script is interrupted (e.g., Ctrl+C)
 process.on('SIGINT', async () => {
     console.log('Load test interrupted.');
-    clearInterval(intervalId); // Ensure interval is cleared
-    try {
-        await producer.disconnect();
-    } catch (e) { console.error('Error disconnecting Kafka on SIGINT:', e); }
+    clearInterval(generatorId); // Ensure the timers are cleared
+    clearInterval(detectionId);
+    await alertRouter.close(); // Logs its own errors
     try {
         await redis.quit();
     } catch (e) { console.error('Error quitting Redis on SIGINT:', e); }
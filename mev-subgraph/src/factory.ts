@@ -0,0 +1,22 @@
+// mev-subgraph/src/factory.ts (Factory handler: starts indexing every new pair)
+
+import { BigInt } from "@graphprotocol/graph-ts";
+// Generated by `graph codegen` from subgraph.yaml and the ABIs.
+import { PairCreated } from "../generated/UniswapV2Factory/IUniswapV2Factory";
+import { Pair as PairTemplate } from "../generated/templates";
+import { Pair } from "../generated/schema";
+
+// Called for every pair the Factory creates: records the pair, and starts a `Pair`
+// data source for its `Swap` and `Sync` events (handled in mapping.ts).
+export function handlePairCreated(event: PairCreated): void {
+  let pair = new Pair(event.params.pair.toHexString());
+  pair.token0 = event.params.token0;
+  pair.token1 = event.params.token1;
+  pair.reserve0 = BigInt.zero();
+  pair.reserve1 = BigInt.zero();
+  pair.createdAtBlock = event.block.number;
+  pair.swapCount = BigInt.zero();
+  pair.save();
+
+  PairTemplate.create(event.params.pair);
+}
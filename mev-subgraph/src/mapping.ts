@@ -1,65 +1,232 @@
-// mev-subgraph/src/mapping.ts (AssemblyScript Mapping Handlers)
-
-// Import necessary types and functions from The Graph's AssemblyScript API.
-import { BigInt, Bytes, log } from "@graphprotocol/graph-ts";
-// Import the `Swap` event type from the generated ABI bindings.
-// This path `../generated/UniswapV2Router02/IUniswapV2Router02` is generated by `graph codegen`.
-import { Swap as SwapEvent } from "../generated/UniswapV2Router02/IUniswapV2Router02";
-// Import our custom `MevAttack` entity definition from the generated schema bindings.
-import { MevAttack } from "../generated/schema";
-
-// This is a highly simplified mapping handler.
-// Real MEV detection in a subgraph is extremely complex and often involves:
-// 1. Indexing all relevant transactions within a block.
-// 2. Analyzing transaction traces (if supported by the subgraph's indexing service).
-// 3. Reconstructing the state changes to identify frontruns/backruns.
-// 4. Identifying specific contract interactions (e.g., Uniswap swaps).
-
-// For the purpose of this problem statement, we'll demonstrate how to save
-// a hypothetical MEV attack based on a `Swap` event.
-// In a real scenario, `handleSwap` would be much more sophisticated,
-// likely querying other entities (e.g., `Transaction` entities that you'd
-// create by indexing all block transactions) to find the frontrun/backrun.
-
-// `export function handleSwap(event: SwapEvent): void`
-// This function is called by The Graph Node whenever a `Swap` event is
-// emitted by the `UniswapV2Router02` contract (as configured in `subgraph.yaml`).
-// NOTE: As mentioned in `subgraph.yaml`, the Uniswap V2 Router itself
-// does not emit `Swap` events; these are emitted by Uniswap V2 Pair contracts.
-// This handler serves as a conceptual example of how you would process an event
-// and create an `MevAttack` entity.
+// mev-subgraph/src/mapping.ts (Pair handlers: swap ordering and sandwich detection)
+
+// Every pair created by the Factory gets a `Pair` data source (see factory.ts), whose
+// `Sync` and `Swap` events are handled here. Each swap is saved with its position in the
+// block, and appended to the pair's `PairBlock`: the pair's swaps in that block, in order.
+//
+// A swap is then checked as the backrun of a sandwich: an earlier swap in the same block
+// and on the same pair, by the same sender, in the other direction (the frontrun), with a
+// swap by someone else in between in the frontrun's direction (the victim). Each victim
+// gets one `MevAttack`, with the real amounts of the three swaps and the attacker's profit.
+
+import { Address, BigDecimal, BigInt, Bytes, ethereum, log } from "@graphprotocol/graph-ts";
+// Generated by `graph codegen` from subgraph.yaml and the ABIs.
+import { Swap as SwapEvent, Sync as SyncEvent } from "../generated/templates/Pair/IUniswapV2Pair";
+import { MevAttack, Pair, PairBlock, Swap } from "../generated/schema";
+
+// Uniswap V2 Router 02 and WETH on Mainnet (the network of subgraph.yaml).
+export const ROUTER_ADDRESS = Address.fromString("0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D");
+export const WETH_ADDRESS = Address.fromString("0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2");
+
+const WEI_PER_ETH = BigInt.fromI32(10).pow(18).toBigDecimal();
+
+/**
+ * Reads a 32-byte word of ABI-encoded call arguments as an unsigned integer.
+ * @param input - The transaction's calldata (4-byte selector, then the arguments).
+ * @param offset - Byte offset of the word among the arguments.
+ * @returns The word, or null if the calldata is too short.
+ */
+function readUint(input: Bytes, offset: i32): BigInt | null {
+  let start = 4 + offset;
+  if (offset < 0 || input.length < start + 32) {
+    return null;
+  }
+  // Big-endian in the calldata; `fromUnsignedBytes` takes little-endian.
+  let word = input.slice(start, start + 32);
+  word.reverse();
+  return BigInt.fromUnsignedBytes(Bytes.fromUint8Array(word));
+}
+
+/**
+ * Index of `amountOutMin` among the arguments of an exact-input Router 02 swap (the
+ * `path` offset comes next), or -1 for any other call.
+ */
+function amountOutMinArgument(selector: string): i32 {
+  if (selector == "0x38ed1739" // swapExactTokensForTokens
+    || selector == "0x18cbafe5" // swapExactTokensForETH
+    || selector == "0x5c11d795" // swapExactTokensForTokensSupportingFeeOnTransferTokens
+    || selector == "0x791ac947") { // swapExactTokensForETHSupportingFeeOnTransferTokens
+    return 1;
+  }
+  if (selector == "0x7ff36ab5" // swapExactETHForTokens
+    || selector == "0xb6f9de95") { // swapExactETHForTokensSupportingFeeOnTransferTokens
+    return 0;
+  }
+  return -1;
+}
+
+/**
+ * The minimum output of a single-hop exact-input swap sent straight to the Router. For
+ * multi-hop paths it applies to the last hop, not to this pair's swap, so it is not used.
+ * @returns The `amountOutMin` argument, or null.
+ */
+export function routerAmountOutMin(transaction: ethereum.Transaction): BigInt | null {
+  let to = transaction.to;
+  if (to === null || !to.equals(ROUTER_ADDRESS) || transaction.input.length < 4) {
+    return null;
+  }
+  let argument = amountOutMinArgument(Bytes.fromUint8Array(transaction.input.slice(0, 4)).toHexString());
+  if (argument < 0) {
+    return null;
+  }
+  let pathOffset = readUint(transaction.input, (argument + 1) * 32);
+  if (pathOffset === null || pathOffset.gt(BigInt.fromI32(transaction.input.length))) {
+    return null;
+  }
+  let pathLength = readUint(transaction.input, pathOffset.toI32());
+  if (pathLength === null || !pathLength.equals(BigInt.fromI32(2))) {
+    return null;
+  }
+  return readUint(transaction.input, argument * 32);
+}
+
+/**
+ * Values an amount of one of a pair's tokens in ETH.
+ * @returns The amount in ETH if the token is WETH, or at the pair's current price if the
+ *   pair's other token is WETH; otherwise null.
+ */
+export function amountInEth(pair: Pair, token: Bytes, amount: BigInt): BigDecimal | null {
+  if (token.equals(WETH_ADDRESS)) {
+    return amount.toBigDecimal().div(WEI_PER_ETH);
+  }
+  let wethIsToken0 = pair.token0.equals(WETH_ADDRESS);
+  if (!wethIsToken0 && !pair.token1.equals(WETH_ADDRESS)) {
+    return null;
+  }
+  let wethReserve = wethIsToken0 ? pair.reserve0 : pair.reserve1;
+  let tokenReserve = wethIsToken0 ? pair.reserve1 : pair.reserve0;
+  if (tokenReserve.isZero()) {
+    return null;
+  }
+  return amount.times(wethReserve).div(tokenReserve).toBigDecimal().div(WEI_PER_ETH);
+}
+
+// Keeps the pair's reserves current. A pair emits `Sync` just before each `Swap`, so a
+// swap's handler sees the reserves after it.
+export function handleSync(event: SyncEvent): void {
+  let pair = Pair.load(event.address.toHexString());
+  if (pair === null) {
+    return; // Only pairs created by the Factory have a data source.
+  }
+  pair.reserve0 = event.params.reserve0;
+  pair.reserve1 = event.params.reserve1;
+  pair.save();
+}
+
+// Records the swap in its block's order, and checks whether it closes a sandwich.
 export function handleSwap(event: SwapEvent): void {
-  // Log information about the event being processed. This is useful for debugging.
-  log.info("Processing Swap event for transaction: {}", [event.transaction.hash.toHexString()]);
-
-  // Create a new `MevAttack` entity.
-  // The `id` must be unique. We use the transaction hash of the event as the ID.
-  let mevAttack = new MevAttack(event.transaction.hash.toHexString());
-
-  // Populate the fields of the `MevAttack` entity using data from the event and transaction context.
-  // These values are placeholders for a real MEV detection logic within a subgraph.
-  mevAttack.victim = event.transaction.from; // The sender of the transaction that emitted the swap event
-  mevAttack.attacker = Bytes.fromHexString("0x000000000000000000000000000000000000dead"); // Placeholder for attacker address
-  mevAttack.profitEth = BigInt.fromI32(0).toBigDecimal(); // Placeholder for profit (in ETH)
-  mevAttack.timestamp = event.block.timestamp; // Timestamp of the block the event occurred in
-  mevAttack.blockNumber = event.block.number; // Block number the event occurred in
-  mevAttack.transactionHash = event.transaction.hash; // Hash of the transaction that emitted the event
-
-  // Placeholder for frontrun/backrun transaction hashes.
-  // In a real scenario, you'd find these by analyzing other transactions in the same block
-  // or by tracing the transaction.
-  mevAttack.frontrunTxHash = Bytes.fromHexString("0x0000000000000000000000000000000000000001");
-  mevAttack.backrunTxHash = Bytes.fromHexString("0x0000000000000000000000000000000000000002");
-
-  // Placeholder for token details and amounts.
-  // In a real scenario, these would be extracted from the `SwapEvent` parameters
-  // or decoded from the transaction's input data.
-  mevAttack.tokenIn = Bytes.fromHexString("0x0000000000000000000000000000000000000003");
-  mevAttack.tokenOut = Bytes.fromHexString("0x0000000000000000000000000000000000000004");
-  mevAttack.amountIn = BigInt.fromI32(1000000000); // Example: 1 token with 9 decimal places
-  mevAttack.amountOutMin = BigInt.fromI32(950000000); // Example: 0.95 token out min
-  mevAttack.actualAmountOut = BigInt.fromI32(980000000); // Example: 0.98 token actual out
-  mevAttack.gasPremium = BigInt.fromI32(10000000000); // Example: 10 Gwei gas premium
-
-  mevAttack.save();
-}
\ No newline at end of file
+  let pairId = event.address.toHexString();
+  let pair = Pair.load(pairId);
+  if (pair === null) {
+    return;
+  }
+
+  let swap = new Swap(event.transaction.hash.toHexString() + "-" + event.logIndex.toString());
+  swap.pair = pairId;
+  swap.blockNumber = event.block.number;
+  swap.timestamp = event.block.timestamp;
+  swap.transactionHash = event.transaction.hash;
+  swap.logIndex = event.logIndex;
+  swap.from = event.transaction.from;
+  swap.sender = event.params.sender;
+  swap.to = event.params.to;
+  swap.amount0In = event.params.amount0In;
+  swap.amount1In = event.params.amount1In;
+  swap.amount0Out = event.params.amount0Out;
+  swap.amount1Out = event.params.amount1Out;
+  // The net direction: a swap may pay in both tokens (e.g. a flash swap).
+  swap.zeroForOne = event.params.amount0In.gt(event.params.amount1In);
+  swap.gasPrice = event.transaction.gasPrice;
+  swap.amountOutMin = routerAmountOutMin(event.transaction);
+  swap.save();
+
+  pair.swapCount = pair.swapCount.plus(BigInt.fromI32(1));
+  pair.save();
+
+  let pairBlockId = pairId + "-" + event.block.number.toString();
+  let pairBlock = PairBlock.load(pairBlockId);
+  if (pairBlock === null) {
+    pairBlock = new PairBlock(pairBlockId);
+    pairBlock.pair = pairId;
+    pairBlock.blockNumber = event.block.number;
+    pairBlock.swaps = [];
+  }
+  let earlierSwaps = pairBlock.swaps;
+  findSandwiches(pair, earlierSwaps, swap);
+  earlierSwaps.push(swap.id);
+  pairBlock.swaps = earlierSwaps;
+  pairBlock.save();
+}
+
+/**
+ * Records a `MevAttack` for every victim that `backrun` closes a sandwich on.
+ * @param earlierSwaps - IDs of the pair's earlier swaps in the block, in order.
+ */
+function findSandwiches(pair: Pair, earlierSwaps: string[], backrun: Swap): void {
+  // The attacker's latest swap in the other direction, once there is one.
+  let frontrun: Swap | null = null;
+  for (let i = 0; i < earlierSwaps.length; i++) {
+    let earlier = Swap.load(earlierSwaps[i]);
+    if (earlier === null || earlier.transactionHash.equals(backrun.transactionHash)) {
+      continue;
+    }
+    if (earlier.from.equals(backrun.from)) {
+      // An attacker swap in the backrun's direction closes any sandwich before it.
+      frontrun = earlier.zeroForOne != backrun.zeroForOne ? earlier : null;
+      continue;
+    }
+    if (frontrun !== null
+      && earlier.zeroForOne == frontrun.zeroForOne
+      && !earlier.transactionHash.equals(frontrun.transactionHash)
+      && MevAttack.load(earlier.id) === null) {
+      recordAttack(pair, frontrun, earlier, backrun);
+    }
+  }
+}
+
+function recordAttack(pair: Pair, frontrun: Swap, victim: Swap, backrun: Swap): void {
+  let attack = new MevAttack(victim.id);
+  attack.victim = victim.from;
+  attack.attacker = backrun.from;
+  attack.pair = pair.id;
+  attack.frontrun = frontrun.id;
+  attack.victimSwap = victim.id;
+  attack.backrun = backrun.id;
+  attack.timestamp = backrun.timestamp;
+  attack.blockNumber = backrun.blockNumber;
+  attack.transactionHash = victim.transactionHash;
+  attack.frontrunTxHash = frontrun.transactionHash;
+  attack.backrunTxHash = backrun.transactionHash;
+
+  if (victim.zeroForOne) {
+    attack.tokenIn = pair.token0;
+    attack.tokenOut = pair.token1;
+    attack.amountIn = victim.amount0In;
+    attack.actualAmountOut = victim.amount1Out;
+  } else {
+    attack.tokenIn = pair.token1;
+    attack.tokenOut = pair.token0;
+    attack.amountIn = victim.amount1In;
+    attack.actualAmountOut = victim.amount0Out;
+  }
+  attack.amountOutMin = victim.amountOutMin;
+
+  // The frontrun sells the token the victim sells, and the backrun buys it back.
+  if (frontrun.zeroForOne) {
+    attack.profitToken = pair.token0;
+    attack.profit = backrun.amount0Out.minus(frontrun.amount0In);
+  } else {
+    attack.profitToken = pair.token1;
+    attack.profit = backrun.amount1Out.minus(frontrun.amount1In);
+  }
+  attack.profitEth = amountInEth(pair, attack.profitToken, attack.profit);
+  attack.gasPremium = frontrun.gasPrice.minus(victim.gasPrice);
+  attack.save();
+
+  log.info("Sandwich on pair {}: victim {} between {} and {}", [
+    pair.id,
+    victim.transactionHash.toHexString(),
+    frontrun.transactionHash.toHexString(),
+    backrun.transactionHash.toHexString(),
+  ]);
+}
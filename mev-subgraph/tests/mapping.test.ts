@@ -0,0 +1,151 @@
+// mev-subgraph/tests/mapping.test.ts (Pair indexing and sandwich detection, on matchstick)
+
+import { Address, BigInt } from "@graphprotocol/graph-ts";
+import { assert, beforeEach, clearStore, describe, test } from "matchstick-as/assembly/index";
+import { Pair, Swap } from "../generated/schema";
+import { handlePairCreated } from "../src/factory";
+import { amountInEth, handleSwap, handleSync, ROUTER_ADDRESS, WETH_ADDRESS } from "../src/mapping";
+import {
+  createPairCreatedEvent,
+  createSwapEvent,
+  createSyncEvent,
+  swapExactETHForTokensInput,
+  tokens,
+} from "./utils";
+
+const PAIR = Address.fromString("0xa478c2975ab1ea89e8196811f51a7b7ade33eb11");
+const DAI = Address.fromString("0x6b175474e89094c44da98b954eedeac495271d0f");
+const ATTACKER = Address.fromString("0x00000000000000000000000000000000a77ac4e7");
+const VICTIM = Address.fromString("0x000000000000000000000000000000000000b0b0");
+const PAIR_ID = PAIR.toHexString();
+
+/** The ID of the swap in `transaction` at `logIndex` (see createSwapEvent). */
+function swapId(transaction: i32, logIndex: i32): string {
+  return "0x" + transaction.toString().padStart(64, "0") + "-" + logIndex.toString();
+}
+
+/** Frontrun and backrun by ATTACKER around VICTIM's WETH -> DAI swap (DAI is token0). */
+function sandwich(frontrunBlock: i32, victimBlock: i32, backrunBlock: i32): void {
+  handleSync(createSyncEvent(PAIR, tokens(1961000), tokens(1020), frontrunBlock));
+  handleSwap(createSwapEvent(PAIR, ATTACKER, BigInt.zero(), tokens(20), tokens(39000), BigInt.zero(), frontrunBlock, 1, 0, 50));
+  let victim = createSwapEvent(PAIR, VICTIM, BigInt.zero(), tokens(10), tokens(18500), BigInt.zero(), victimBlock, 2, 1, 20);
+  victim.transaction.to = ROUTER_ADDRESS;
+  victim.transaction.input = swapExactETHForTokensInput(tokens(18000), 2, DAI);
+  handleSync(createSyncEvent(PAIR, tokens(1942500), tokens(1030), victimBlock));
+  handleSwap(victim);
+  handleSync(createSyncEvent(PAIR, tokens(1981500), tokens(1009), backrunBlock));
+  handleSwap(createSwapEvent(PAIR, ATTACKER, tokens(39000), BigInt.zero(), BigInt.zero(), tokens(41).div(BigInt.fromI32(2)), backrunBlock, 3, 2, 20));
+}
+
+describe("handlePairCreated", () => {
+  beforeEach(() => {
+    clearStore();
+  });
+
+  test("records the pair and starts indexing its events", () => {
+    handlePairCreated(createPairCreatedEvent(DAI, WETH_ADDRESS, PAIR));
+
+    assert.fieldEquals("Pair", PAIR_ID, "token0", DAI.toHexString());
+    assert.fieldEquals("Pair", PAIR_ID, "token1", WETH_ADDRESS.toHexString());
+    assert.fieldEquals("Pair", PAIR_ID, "swapCount", "0");
+    assert.dataSourceCount("Pair", 1);
+    assert.dataSourceExists("Pair", PAIR_ID);
+  });
+});
+
+describe("handleSync and handleSwap", () => {
+  beforeEach(() => {
+    clearStore();
+    handlePairCreated(createPairCreatedEvent(DAI, WETH_ADDRESS, PAIR));
+  });
+
+  test("Sync events keep the reserves current", () => {
+    handleSync(createSyncEvent(PAIR, tokens(2000000), tokens(1000), 100));
+
+    assert.fieldEquals("Pair", PAIR_ID, "reserve0", tokens(2000000).toString());
+    assert.fieldEquals("Pair", PAIR_ID, "reserve1", tokens(1000).toString());
+  });
+
+  test("events of pairs not created by the factory are ignored", () => {
+    let other = Address.fromString("0x0000000000000000000000000000000000000bad");
+    handleSwap(createSwapEvent(other, VICTIM, BigInt.zero(), tokens(1), tokens(1900), BigInt.zero(), 100, 1, 0, 20));
+
+    assert.entityCount("Swap", 0);
+  });
+
+  test("swaps are recorded in block order", () => {
+    sandwich(100, 100, 100);
+
+    assert.entityCount("Swap", 3);
+    assert.fieldEquals("PairBlock", PAIR_ID + "-100", "swaps", "[" + swapId(1, 0) + ", " + swapId(2, 1) + ", " + swapId(3, 2) + "]");
+    assert.fieldEquals("Swap", swapId(1, 0), "zeroForOne", "false");
+    assert.fieldEquals("Swap", swapId(3, 2), "zeroForOne", "true");
+    assert.fieldEquals("Pair", PAIR_ID, "swapCount", "3");
+  });
+
+  test("a frontrun, victim and backrun in one block make a MevAttack", () => {
+    sandwich(100, 100, 100);
+
+    let id = swapId(2, 1);
+    assert.entityCount("MevAttack", 1);
+    assert.fieldEquals("MevAttack", id, "attacker", ATTACKER.toHexString());
+    assert.fieldEquals("MevAttack", id, "victim", VICTIM.toHexString());
+    assert.fieldEquals("MevAttack", id, "frontrun", swapId(1, 0));
+    assert.fieldEquals("MevAttack", id, "backrun", swapId(3, 2));
+    assert.fieldEquals("MevAttack", id, "blockNumber", "100");
+    assert.fieldEquals("MevAttack", id, "tokenIn", WETH_ADDRESS.toHexString());
+    assert.fieldEquals("MevAttack", id, "tokenOut", DAI.toHexString());
+    assert.fieldEquals("MevAttack", id, "amountIn", tokens(10).toString());
+    assert.fieldEquals("MevAttack", id, "actualAmountOut", tokens(18500).toString());
+    // Decoded from the victim's Router call.
+    assert.fieldEquals("MevAttack", id, "amountOutMin", tokens(18000).toString());
+    // 20.5 WETH back for 20 WETH in.
+    assert.fieldEquals("MevAttack", id, "profitToken", WETH_ADDRESS.toHexString());
+    assert.fieldEquals("MevAttack", id, "profit", tokens(1).div(BigInt.fromI32(2)).toString());
+    assert.fieldEquals("MevAttack", id, "profitEth", "0.5");
+    assert.fieldEquals("MevAttack", id, "gasPremium", BigInt.fromI32(30).times(BigInt.fromI32(1000000000)).toString());
+  });
+
+  test("swaps spread over several blocks are not a sandwich", () => {
+    sandwich(100, 101, 101);
+
+    assert.entityCount("MevAttack", 0);
+  });
+
+  test("a swap in the other direction between the attacker's swaps is not a victim", () => {
+    handleSwap(createSwapEvent(PAIR, ATTACKER, BigInt.zero(), tokens(20), tokens(39000), BigInt.zero(), 100, 1, 0, 50));
+    handleSwap(createSwapEvent(PAIR, VICTIM, tokens(18500), BigInt.zero(), BigInt.zero(), tokens(9), 100, 2, 1, 20));
+    handleSwap(createSwapEvent(PAIR, ATTACKER, tokens(39000), BigInt.zero(), BigInt.zero(), tokens(20), 100, 3, 2, 20));
+
+    assert.entityCount("MevAttack", 0);
+  });
+
+  test("amountOutMin is only taken from single-hop Router swaps", () => {
+    let swap = createSwapEvent(PAIR, VICTIM, BigInt.zero(), tokens(10), tokens(18500), BigInt.zero(), 100, 1, 0, 20);
+    swap.transaction.to = ROUTER_ADDRESS;
+    swap.transaction.input = swapExactETHForTokensInput(tokens(18000), 3, DAI);
+    handleSwap(swap);
+
+    assert.assertTrue(Swap.load(swapId(1, 0))!.amountOutMin === null);
+  });
+});
+
+describe("amountInEth", () => {
+  beforeEach(() => {
+    clearStore();
+    handlePairCreated(createPairCreatedEvent(DAI, WETH_ADDRESS, PAIR));
+    handleSync(createSyncEvent(PAIR, tokens(2000000), tokens(1000), 100));
+  });
+
+  test("values WETH as is, and the pair's other token at its price", () => {
+    let pair = Pair.load(PAIR_ID)!;
+    assert.stringEquals(amountInEth(pair, WETH_ADDRESS, tokens(2))!.toString(), "2");
+    assert.stringEquals(amountInEth(pair, DAI, tokens(2000))!.toString(), "1");
+  });
+
+  test("is null when neither token is WETH", () => {
+    let pair = Pair.load(PAIR_ID)!;
+    pair.token1 = Address.fromString("0x0000000000000000000000000000000000000fee");
+    assert.assertTrue(amountInEth(pair, DAI, tokens(2000)) === null);
+  });
+});
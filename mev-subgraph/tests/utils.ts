@@ -0,0 +1,90 @@
+// mev-subgraph/tests/utils.ts (Mock events for the matchstick tests)
+
+import { Address, BigInt, Bytes, ethereum } from "@graphprotocol/graph-ts";
+import { newMockEvent } from "matchstick-as/assembly/index";
+import { PairCreated } from "../generated/UniswapV2Factory/IUniswapV2Factory";
+import { Swap as SwapEvent, Sync as SyncEvent } from "../generated/templates/Pair/IUniswapV2Pair";
+
+export const GWEI = BigInt.fromI32(1000000000);
+
+/** `amount` whole tokens, in 18-decimal base units. */
+export function tokens(amount: i32): BigInt {
+  return BigInt.fromI32(amount).times(BigInt.fromI32(10).pow(18));
+}
+
+export function createPairCreatedEvent(token0: Address, token1: Address, pair: Address): PairCreated {
+  let event = changetype<PairCreated>(newMockEvent());
+  event.parameters = [
+    new ethereum.EventParam("token0", ethereum.Value.fromAddress(token0)),
+    new ethereum.EventParam("token1", ethereum.Value.fromAddress(token1)),
+    new ethereum.EventParam("pair", ethereum.Value.fromAddress(pair)),
+    new ethereum.EventParam("", ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(1))),
+  ];
+  return event;
+}
+
+export function createSyncEvent(pair: Address, reserve0: BigInt, reserve1: BigInt, blockNumber: i32): SyncEvent {
+  let event = changetype<SyncEvent>(newMockEvent());
+  event.address = pair;
+  event.block.number = BigInt.fromI32(blockNumber);
+  event.parameters = [
+    new ethereum.EventParam("reserve0", ethereum.Value.fromUnsignedBigInt(reserve0)),
+    new ethereum.EventParam("reserve1", ethereum.Value.fromUnsignedBigInt(reserve1)),
+  ];
+  return event;
+}
+
+/**
+ * A `Swap` event of `pair`, in its own transaction.
+ * @param transaction - Makes the transaction hash (and the swap ID) unique.
+ * @param logIndex - Position of the event in its block.
+ */
+export function createSwapEvent(
+  pair: Address,
+  from: Address,
+  amount0In: BigInt,
+  amount1In: BigInt,
+  amount0Out: BigInt,
+  amount1Out: BigInt,
+  blockNumber: i32,
+  transaction: i32,
+  logIndex: i32,
+  gasPriceGwei: i32,
+): SwapEvent {
+  let event = changetype<SwapEvent>(newMockEvent());
+  event.address = pair;
+  event.logIndex = BigInt.fromI32(logIndex);
+  event.block.number = BigInt.fromI32(blockNumber);
+  event.block.timestamp = BigInt.fromI32(1700000000 + blockNumber * 12);
+  event.transaction.hash = Bytes.fromHexString("0x" + transaction.toString().padStart(64, "0"));
+  event.transaction.from = from;
+  event.transaction.gasPrice = BigInt.fromI32(gasPriceGwei).times(GWEI);
+  event.transaction.input = Bytes.empty();
+  event.parameters = [
+    new ethereum.EventParam("sender", ethereum.Value.fromAddress(from)),
+    new ethereum.EventParam("amount0In", ethereum.Value.fromUnsignedBigInt(amount0In)),
+    new ethereum.EventParam("amount1In", ethereum.Value.fromUnsignedBigInt(amount1In)),
+    new ethereum.EventParam("amount0Out", ethereum.Value.fromUnsignedBigInt(amount0Out)),
+    new ethereum.EventParam("amount1Out", ethereum.Value.fromUnsignedBigInt(amount1Out)),
+    new ethereum.EventParam("to", ethereum.Value.fromAddress(from)),
+  ];
+  return event;
+}
+
+/** A 32-byte ABI word holding `value`. */
+function word(value: BigInt): string {
+  return value.toHexString().slice(2).padStart(64, "0");
+}
+
+/**
+ * Calldata of a Router 02 `swapExactETHForTokens(amountOutMin, path, to, deadline)` call.
+ * @param pathLength - Number of tokens in `path`.
+ */
+export function swapExactETHForTokensInput(amountOutMin: BigInt, pathLength: i32, token: Address): Bytes {
+  let data = "0x7ff36ab5" + word(amountOutMin) + word(BigInt.fromI32(128)) + word(BigInt.fromI32(1)) + word(BigInt.fromI32(2000000000));
+  data += word(BigInt.fromI32(pathLength));
+  for (let i = 0; i < pathLength; i++) {
+    data += token.toHexString().slice(2).padStart(64, "0");
+  }
+  return Bytes.fromHexString(data);
+}
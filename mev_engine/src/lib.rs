@@ -33,123 +33,773 @@ pub struct Transaction {
     pub token_out: Option<String>,     // Optional: Address of the token being swapped out
     pub amount_in: Option<String>,     // Optional: Amount of token being swapped in
     pub amount_out_min: Option<String>,// Optional: Minimum amount of token expected out (for slippage calculation)
+    // Fields below are filled in by the Node.js Uniswap V2 Router calldata decoder.
+    // They are all optional so older callers that don't send them keep working.
+    #[serde(default)]
+    pub decode_status: Option<String>, // "swap", "not_swap", "undecodable" or "not_router"
+    #[serde(default)]
+    pub path: Option<Vec<String>>,     // Full swap path (token addresses, lowercase) of the first swap
+    #[serde(default)]
+    pub swaps: Option<Vec<SwapLeg>>,   // Every swap of the call (a batched call has several); `path` is the first's
+    #[serde(default)]
+    pub recipient: Option<String>,     // Address receiving the swap output
+    #[serde(default)]
+    pub deadline: Option<u64>,         // Swap deadline (unix seconds)
+    #[serde(default)]
+    pub liquidity: Option<LiquidityAction>, // Decoded router addLiquidity*/removeLiquidity* call
+    // EIP-1559 fee fields and the nonce, from the Node.js fee model (decimal strings, wei per gas).
+    #[serde(default)]
+    pub tx_type: Option<u8>,                          // 0 legacy, 1 access list, 2 EIP-1559, ...
+    #[serde(default)]
+    pub max_fee_per_gas: Option<String>,              // Type 2+ only
+    #[serde(default)]
+    pub max_priority_fee_per_gas: Option<String>,     // Type 2+ only
+    #[serde(default)]
+    pub effective_priority_fee: Option<String>,       // What it pays the block producer at the next block's base fee
+    #[serde(default)]
+    pub nonce: Option<u64>,                           // The sender's nonce; a sender's transactions are mined in nonce order
 }
 
-// Enum to represent the direction of a transaction relative to a victim transaction.
-// Used to find frontrun (before) or backrun (after) transactions.
-#[derive(Debug, PartialEq, Eq)]
-pub enum Direction {
-    Before,
-    After,
-}
-
-// Helper function: Simulates finding a Uniswap swap transaction within a list of transactions.
-// In a real application, this would involve decoding the `input` data of each transaction
-// to identify calls to known Uniswap (or other DEX) swap functions.
-// For simplicity in this demo, we use the `is_uniswap_swap` flag in our `Transaction` struct.
-fn find_uniswap_swap(transactions: &[Transaction]) -> Option<Transaction> {
-    // Iterate through the transactions and find the first one where `is_uniswap_swap` is true.
-    transactions.iter()
-        .find(|tx| tx.is_uniswap_swap)
-        .cloned() // `.cloned()` creates a copy of the found transaction.
-}
-
-// Helper function: Simulates finding a matching transaction (potential frontrun or backrun).
-// This is a highly simplified version for demonstration. A real implementation would:
-// - Analyze gas prices: Frontruns usually have significantly higher gas prices.
-// - Analyze transaction `to` addresses and `input` data: Ensure they interact with the same DEX pool/router.
-// - Check for token/amount matches: Ensure the transactions are related to the same asset swap.
-// - Consider transaction ordering within a block (e.g., transaction index).
-fn find_matching_tx(
-    transactions: &[Transaction], // List of transactions to search within
-    victim: &Transaction,         // The victim transaction we're looking around
-    direction: Direction,         // Whether to look `Before` or `After` the victim
-) -> Option<Transaction> {
-    transactions.iter()
-        .filter(|tx| {
-            // Basic check: `to` address is the same (e.g., same DEX router/pair)
-            // and it's not the victim transaction itself.
-            tx.to == victim.to && tx.hash != victim.hash
-            // In a real scenario, you'd add more complex filtering here:
-            // - Check if the transaction is a swap of the same token pair.
-            // - Check if the sender is an EOA or a contract known for bot activity.
-            // - Compare gas prices (e.g., `tx.gas_price` vs `victim.gas_price`).
+// One swap of a transaction, as decoded by Node.js. Other fields it sends (amounts, method,
+// recipient, ...) are ignored here.
+#[derive(Debug, Clone, Serialize, Deserialize)]
+pub struct SwapLeg {
+    pub dex: String,             // "uniswap-v2" or "uniswap-v3"
+    pub path: Vec<String>,       // Tokens from the input to the output
+    #[serde(default)]
+    pub fees: Option<Vec<u32>>,  // Fee tier of each hop (Uniswap V3 only): each tier is a pool of its own
+}
+
+// A router liquidity call, as decoded by Node.js. Other fields it sends (amounts, method, ...)
+// are only needed for the fee estimate on the Node.js side and are ignored here.
+#[derive(Debug, Clone, Serialize, Deserialize)]
+pub struct LiquidityAction {
+    pub action: String,  // "add" or "remove"
+    pub token_a: String, // The pair's tokens, in call order (WETH for the ETH variants)
+    pub token_b: String,
+}
+
+// Maximum time (in seconds) allowed between the frontrun and the backrun.
+// 120 seconds is roughly 10 Ethereum blocks of mempool time, which comfortably covers
+// a sandwich that is meant to land in the same or the next block.
+const MAX_SANDWICH_WINDOW_SECS: u64 = 120;
+
+// Minimum slippage tolerance (as a fraction) for a victim to be considered sandwichable
+// when we cannot confirm the attack from the swap directions alone.
+const HIGH_SLIPPAGE_THRESHOLD: f64 = 0.05;
+
+// Maximum time (in seconds) between a JIT provider adding liquidity and removing it.
+// JIT liquidity only pays if it is in the pool for the victim's swap alone, so both
+// calls target the victim's block; the window matches the sandwich one.
+const MAX_JIT_WINDOW_SECS: u64 = 120;
+
+// Names of the detection rules, reported in each finding so alerts can say why they fired.
+// - `pool_sandwich`: frontrun and backrun are decoded swaps on the same pair as the victim,
+//   the frontrun trading in the victim's direction and the backrun in the opposite one.
+// - `router_sandwich`: frontrun and backrun go through the same router as the victim and
+//   the victim has a high slippage tolerance (the original, direction-agnostic rule).
+pub const RULE_POOL_SANDWICH: &str = "pool_sandwich";
+pub const RULE_ROUTER_SANDWICH: &str = "router_sandwich";
+// - `jit_liquidity`: liquidity added to the victim's pair just before its swap and removed
+//   from the same pair just after, by the same sender. A separate detection type, reported
+//   by `detect_jit_liquidity`.
+pub const RULE_JIT_LIQUIDITY: &str = "jit_liquidity";
+
+// A single sandwich found in a cluster.
+// This is serialized to JSON and handed back to Node.js, which builds one alert per finding.
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct SandwichFinding {
+    pub rule: String,           // Which rule matched (see `RULE_*` above)
+    pub frontrun_hash: String,  // Attacker's transaction before the victim
+    pub victim_hash: String,    // The victim's swap
+    pub backrun_hash: String,   // Attacker's transaction after the victim
+    pub attacker: String,       // Sender of the frontrun and backrun
+    pub victim: String,         // Sender of the victim swap
+    pub router: String,         // Contract all three transactions were sent to
+    pub pool: Option<String>,   // Attacked pool's key (see `pool_key`), when known
+    pub time_gap_secs: u64,     // Seconds between the frontrun and the backrun
+    pub block_gap: Option<u64>, // Blocks between the frontrun and the backrun, if both are mined
+    pub gas_premium: Option<String>, // Frontrun's effective priority fee minus the victim's (wei per gas, may be negative)
+}
+
+// A just-in-time liquidity attack found in a cluster: a provider adds liquidity to the
+// victim's pair, collects most of the fee on the victim's swap, and withdraws again.
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct JitFinding {
+    pub rule: String,          // Always `RULE_JIT_LIQUIDITY`
+    pub add_hash: String,      // The provider's addLiquidity before the victim
+    pub victim_hash: String,   // The victim's swap
+    pub remove_hash: String,   // The provider's removeLiquidity after the victim
+    pub attacker: String,      // The JIT provider: sender of the add and the remove
+    pub victim: String,        // Sender of the victim swap
+    pub router: String,        // Contract the victim's swap was sent to
+    pub pool: String,          // The pair's key (see `pool_key`)
+    pub time_gap_secs: u64,    // Seconds between the add and the remove
+    pub block_gap: Option<u64>, // Blocks between the add and the remove, if both are mined
+}
+
+// Position of a transaction in the cluster: its timestamp first, then its index in the
+// input (Node.js sends transactions in ingestion order). Timestamps only have one-second
+// resolution, so the index breaks ties between transactions seen in the same second.
+fn position(transactions: &[Transaction], index: usize) -> (u64, usize) {
+    (transactions[index].timestamp, index)
+}
+
+// One pool a swap trades on, in the swap's direction.
+#[derive(Debug, Clone, PartialEq)]
+struct Hop {
+    token_in: String,
+    token_out: String,
+    pool: String, // See `pool_key`
+}
+
+// Builds the key of a pool the way the Node.js clusterer does: "token0:token1" for a
+// Uniswap V2 pair, with the tokens sorted like the Factory does, and "token0:token1:fee" for
+// a Uniswap V3 pool.
+fn pool_key(token_a: &str, token_b: &str, fee: Option<u32>) -> String {
+    let pair = if token_a < token_b {
+        format!("{}:{}", token_a, token_b)
+    } else {
+        format!("{}:{}", token_b, token_a)
+    };
+    match fee {
+        Some(fee) => format!("{}:{}", pair, fee),
+        None => pair,
+    }
+}
+
+// Returns the pool hops of every swap of a transaction, lowercased. Callers that do not send
+// `swaps` get the hops of `path`, taken as Uniswap V2 pairs.
+fn hops(tx: &Transaction) -> Vec<Hop> {
+    let hops_of = |path: &[String], fees: Option<&Vec<u32>>| -> Vec<Hop> {
+        path.windows(2)
+            .enumerate()
+            .map(|(i, pair)| {
+                let (token_in, token_out) = (pair[0].to_lowercase(), pair[1].to_lowercase());
+                let pool = pool_key(&token_in, &token_out, fees.and_then(|fees| fees.get(i).copied()));
+                Hop { token_in, token_out, pool }
+            })
+            .collect()
+    };
+    match (&tx.swaps, &tx.path) {
+        (Some(swaps), _) => swaps.iter().flat_map(|swap| hops_of(&swap.path, swap.fees.as_ref())).collect(),
+        (None, Some(path)) => hops_of(path, None),
+        (None, None) => Vec::new(),
+    }
+}
+
+// Finds the pool attacked in a sandwich: a hop of the victim's swaps that the frontrun
+// trades on the same pool in the same direction and the backrun in the opposite direction.
+fn attacked_pool(frontrun: &Transaction, victim: &Transaction, backrun: &Transaction) -> Option<String> {
+    let frontrun_hops = hops(frontrun);
+    let backrun_hops = hops(backrun);
+    hops(victim)
+        .into_iter()
+        .find(|hop| {
+            frontrun_hops.iter().any(|f| f.pool == hop.pool && f.token_in == hop.token_in)
+                && backrun_hops.iter().any(|b| b.pool == hop.pool && b.token_in == hop.token_out)
         })
-        .min_by_key(|tx| {
-            // Sort by timestamp to find the closest transaction in the specified direction.
-            if direction == Direction::Before {
-                // For "Before", we want the smallest positive difference (victim_timestamp - tx_timestamp)
-                // This means `tx.timestamp` is just before `victim.timestamp`.
-                victim.timestamp - tx.timestamp
-            } else {
-                // For "After", we want the smallest positive difference (tx_timestamp - victim_timestamp)
-                // This means `tx.timestamp` is just after `victim.timestamp`.
-                tx.timestamp - victim.timestamp
+        .map(|hop| hop.pool)
+}
+
+// Whether a transaction swaps on one of the given pools.
+fn trades_on(tx: &Transaction, pools: &[String]) -> bool {
+    hops(tx).iter().any(|hop| pools.contains(&hop.pool))
+}
+
+// The effective priority fee of a transaction, when Node.js could compute it.
+fn priority_fee(tx: &Transaction) -> Option<i128> {
+    tx.effective_priority_fee.as_ref().and_then(|fee| fee.parse::<i128>().ok())
+}
+
+// How much more per gas the frontrun offers the block producer than the victim: what
+// gets it ordered first. `None` if either fee is unknown.
+fn gas_premium(frontrun: &Transaction, victim: &Transaction) -> Option<i128> {
+    match (priority_fee(frontrun), priority_fee(victim)) {
+        (Some(frontrun_fee), Some(victim_fee)) => Some(frontrun_fee - victim_fee),
+        _ => None,
+    }
+}
+
+// Whether the backrun can be mined after the frontrun as far as nonces tell: from the
+// same account, it needs a higher nonce (an equal one would replace the frontrun).
+fn nonce_ordered(frontrun: &Transaction, backrun: &Transaction) -> bool {
+    match (frontrun.nonce, backrun.nonce) {
+        (Some(frontrun_nonce), Some(backrun_nonce)) if frontrun.from == backrun.from => backrun_nonce > frontrun_nonce,
+        _ => true,
+    }
+}
+
+// Absolute difference between two unsigned values (avoids u64 underflow).
+fn abs_diff(a: u64, b: u64) -> u64 {
+    if a > b { a - b } else { b - a }
+}
+
+// Looks for sandwiches around a single victim.
+// Every other sender that has a transaction both before and after the victim, either to the
+// same router or swapping on one of the victim's pools (through any router), is a candidate
+// attacker. Liquidity calls are never sandwich legs (an add before and a remove after the
+// victim is JIT liquidity, see `find_jit_around`). For each candidate we take their closest
+// transaction on each side and check it against the rules. Findings are ranked by gas
+// premium, highest first: the frontrun that outbids the victim the most is the likeliest to
+// be mined ahead of it.
+fn find_sandwiches_around(transactions: &[Transaction], victim_index: usize) -> Vec<SandwichFinding> {
+    let victim = &transactions[victim_index];
+    let victim_position = position(transactions, victim_index);
+    let victim_pools: Vec<String> = hops(victim).into_iter().map(|hop| hop.pool).collect();
+    let mut findings = Vec::new();
+
+    let is_leg = |tx: &Transaction| {
+        tx.hash != victim.hash && tx.liquidity.is_none() && (tx.to == victim.to || trades_on(tx, &victim_pools))
+    };
+
+    // Collect the distinct candidate attackers, keeping the order they first appear in.
+    let mut senders: Vec<&str> = Vec::new();
+    for tx in transactions {
+        if tx.sender != victim.sender && is_leg(tx) && !senders.contains(&tx.sender.as_str()) {
+            senders.push(tx.sender.as_str());
+        }
+    }
+
+    for sender in senders {
+        let candidates = || {
+            (0..transactions.len()).filter(move |&i| transactions[i].sender == sender && is_leg(&transactions[i]))
+        };
+        // Closest transaction before the victim, and closest one after it.
+        let frontrun = candidates()
+            .filter(|&i| position(transactions, i) < victim_position)
+            .max_by_key(|&i| position(transactions, i));
+        let backrun = candidates()
+            .filter(|&i| position(transactions, i) > victim_position)
+            .min_by_key(|&i| position(transactions, i));
+
+        let (fr, br) = match (frontrun, backrun) {
+            (Some(f), Some(b)) => (&transactions[f], &transactions[b]),
+            _ => continue,
+        };
+
+        let time_gap_secs = abs_diff(br.timestamp, fr.timestamp);
+        if time_gap_secs >= MAX_SANDWICH_WINDOW_SECS || !nonce_ordered(fr, br) {
+            continue;
+        }
+
+        let pool = attacked_pool(fr, victim, br);
+        let rule = if pool.is_some() {
+            RULE_POOL_SANDWICH
+        } else if fr.to == victim.to && br.to == victim.to
+            && victim.slippage_tolerance.map_or(false, |s| s > HIGH_SLIPPAGE_THRESHOLD)
+        {
+            RULE_ROUTER_SANDWICH
+        } else {
+            continue;
+        };
+
+        let block_gap = if fr.block_number > 0 && br.block_number > 0 {
+            Some(abs_diff(br.block_number, fr.block_number))
+        } else {
+            None
+        };
+
+        findings.push(SandwichFinding {
+            rule: rule.to_string(),
+            frontrun_hash: fr.hash.clone(),
+            victim_hash: victim.hash.clone(),
+            backrun_hash: br.hash.clone(),
+            attacker: sender.to_string(),
+            victim: victim.sender.clone(),
+            router: victim.to.clone(),
+            pool,
+            time_gap_secs,
+            block_gap,
+            gas_premium: gas_premium(fr, victim).map(|premium| premium.to_string()),
+        });
+    }
+
+    // Unknown premiums rank last; the sort is stable, so ties keep the sender order.
+    findings.sort_by_key(|finding| {
+        std::cmp::Reverse(finding.gas_premium.as_ref().and_then(|premium| premium.parse::<i128>().ok()))
+    });
+    findings
+}
+
+// The pair a transaction adds liquidity to (`action` "add") or removes it from ("remove"),
+// as a pool key. Router liquidity calls are on Uniswap V2 pairs.
+fn liquidity_pool(tx: &Transaction, action: &str) -> Option<String> {
+    tx.liquidity
+        .as_ref()
+        .filter(|liquidity| liquidity.action == action)
+        .map(|liquidity| pool_key(&liquidity.token_a.to_lowercase(), &liquidity.token_b.to_lowercase(), None))
+}
+
+// Looks for JIT liquidity around a single victim swap.
+// For every pool the victim swaps on, each other sender that adds liquidity to that pair
+// before the victim is a candidate provider. For each one we take their closest add before
+// the victim and their closest remove from the same pair after it.
+fn find_jit_around(transactions: &[Transaction], victim_index: usize) -> Vec<JitFinding> {
+    let victim = &transactions[victim_index];
+    let victim_position = position(transactions, victim_index);
+    let mut findings = Vec::new();
+
+    let mut pools: Vec<String> = Vec::new();
+    for hop in hops(victim) {
+        if !pools.contains(&hop.pool) {
+            pools.push(hop.pool);
+        }
+    }
+
+    for pool in pools {
+        let adds_to_pool = |i: usize| liquidity_pool(&transactions[i], "add").as_deref() == Some(pool.as_str());
+        let removes_from_pool = |i: usize| liquidity_pool(&transactions[i], "remove").as_deref() == Some(pool.as_str());
+
+        // Collect the distinct candidate providers, keeping the order they first appear in.
+        let mut providers: Vec<&str> = Vec::new();
+        for i in 0..transactions.len() {
+            let tx = &transactions[i];
+            if tx.sender != victim.sender && position(transactions, i) < victim_position && adds_to_pool(i)
+                && !providers.contains(&tx.sender.as_str())
+            {
+                providers.push(tx.sender.as_str());
             }
-        })
-        .cloned() // Return a clone of the found transaction.
+        }
+
+        for provider in providers {
+            // Closest add before the victim, and closest remove after it.
+            let add = (0..transactions.len())
+                .filter(|&i| transactions[i].sender == provider && position(transactions, i) < victim_position && adds_to_pool(i))
+                .max_by_key(|&i| position(transactions, i));
+            let remove = (0..transactions.len())
+                .filter(|&i| transactions[i].sender == provider && position(transactions, i) > victim_position && removes_from_pool(i))
+                .min_by_key(|&i| position(transactions, i));
+
+            let (add, remove) = match (add, remove) {
+                (Some(a), Some(r)) => (&transactions[a], &transactions[r]),
+                _ => continue,
+            };
+
+            let time_gap_secs = abs_diff(remove.timestamp, add.timestamp);
+            if time_gap_secs >= MAX_JIT_WINDOW_SECS {
+                continue;
+            }
+            let block_gap = if add.block_number > 0 && remove.block_number > 0 {
+                Some(abs_diff(remove.block_number, add.block_number))
+            } else {
+                None
+            };
+
+            findings.push(JitFinding {
+                rule: RULE_JIT_LIQUIDITY.to_string(),
+                add_hash: add.hash.clone(),
+                victim_hash: victim.hash.clone(),
+                remove_hash: remove.hash.clone(),
+                attacker: provider.to_string(),
+                victim: victim.sender.clone(),
+                router: victim.to.clone(),
+                pool: pool.clone(),
+                time_gap_secs,
+                block_gap,
+            });
+        }
+    }
+
+    findings
+}
+
+// Runs JIT liquidity detection over a whole cluster and returns every finding.
+// Each Uniswap swap in the cluster is treated as a potential victim.
+pub fn find_jit_liquidity(transactions: &[Transaction]) -> Vec<JitFinding> {
+    // A JIT attack requires at least 3 transactions: add, victim swap, remove.
+    if transactions.len() < 3 {
+        return Vec::new();
+    }
+    (0..transactions.len())
+        .filter(|&i| transactions[i].is_uniswap_swap)
+        .flat_map(|i| find_jit_around(transactions, i))
+        .collect()
+}
+
+// Runs sandwich detection over a whole cluster and returns every finding.
+// Each Uniswap swap in the cluster is treated as a potential victim.
+pub fn find_sandwiches(transactions: &[Transaction]) -> Vec<SandwichFinding> {
+    // A sandwich attack requires at least 3 transactions: frontrun, victim, backrun.
+    if transactions.len() < 3 {
+        return Vec::new();
+    }
+    (0..transactions.len())
+        .filter(|&i| transactions[i].is_uniswap_swap)
+        .flat_map(|i| find_sandwiches_around(transactions, i))
+        .collect()
 }
 
 // Main MEV detection logic, exposed to JavaScript via WASM.
 // `#[wasm_bindgen]` macro makes this function callable from JavaScript.
-// It takes a JSON string of transactions, deserializes them,
-// performs the sandwich attack detection, and returns a boolean (true if attack detected).
+// It takes a JSON string of transactions and returns a JSON array of `SandwichFinding`s
+// (an empty array `[]` if nothing was found or the input could not be parsed).
 #[wasm_bindgen]
-pub fn detect_mev_sandwich(transactions_json: &str) -> bool {
+pub fn detect_mev_sandwiches(transactions_json: &str) -> String {
     // Deserialize the JSON string into a `Vec<Transaction>` (Vector/list of Transactions).
     let transactions: Vec<Transaction> = match serde_json::from_str(transactions_json) {
-        Ok(txs) => txs, // If successful, assign the parsed transactions to `txs`.
+        Ok(txs) => txs,
         Err(e) => {
-            // If deserialization fails (e.g., bad JSON format), print an error and return false.
+            // If deserialization fails (e.g., bad JSON format), print an error and report nothing.
             eprintln!("Error deserializing transactions: {:?}", e);
-            return false;
+            return "[]".to_string();
         }
     };
+    serde_json::to_string(&find_sandwiches(&transactions)).unwrap_or_else(|_| "[]".to_string())
+}
 
-    // Ensure there are enough transactions in the cluster to even attempt a sandwich detection.
-    // A sandwich attack requires at least 3 transactions: frontrun, victim, backrun.
-    if transactions.len() < 3 {
-        return false;
+// Boolean form of `detect_mev_sandwiches`, kept for existing callers.
+// Returns true if at least one sandwich was found in the cluster.
+#[wasm_bindgen]
+pub fn detect_mev_sandwich(transactions_json: &str) -> bool {
+    match serde_json::from_str::<Vec<Transaction>>(transactions_json) {
+        Ok(transactions) => !find_sandwiches(&transactions).is_empty(),
+        Err(e) => {
+            eprintln!("Error deserializing transactions: {:?}", e);
+            false
+        }
     }
+}
 
-    // Attempt to find the victim (Uniswap swap) transaction within the cluster.
-    let victim = match find_uniswap_swap(&transactions) {
-        Some(v) => v,       // If found, assign it to `v`.
-        None => return false, // No Uniswap swap found, so no sandwich attack of this type.
+// JIT liquidity detection, exposed to JavaScript via WASM.
+// Takes the same JSON array of transactions as `detect_mev_sandwiches` and returns a JSON
+// array of `JitFinding`s (an empty array `[]` if nothing was found or the input could not be parsed).
+#[wasm_bindgen]
+pub fn detect_jit_liquidity(transactions_json: &str) -> String {
+    let transactions: Vec<Transaction> = match serde_json::from_str(transactions_json) {
+        Ok(txs) => txs,
+        Err(e) => {
+            eprintln!("Error deserializing transactions: {:?}", e);
+            return "[]".to_string();
+        }
     };
+    serde_json::to_string(&find_jit_liquidity(&transactions)).unwrap_or_else(|_| "[]".to_string())
+}
 
-    // Find potential frontrun and backrun transactions relative to the victim.
-    let frontrun = find_matching_tx(&transactions, &victim, Direction::Before);
-    let backrun = find_matching_tx(&transactions, &victim, Direction::After);
-
-    // Check for the conditions of a sandwich attack as per the problem statement.
-    // We use `if let (Some(fr), Some(br)) = (frontrun, backrun)` to check if both
-    // frontrun AND backrun transactions were successfully found.
-    if let (Some(fr), Some(br)) = (frontrun, backrun) {
-        // Condition 1: Frontrun and backrun are from the same sender (this is the attacker bot).
-        let same_sender = fr.sender == br.sender;
-
-        // Condition 2: Backrun timestamp is within 120 seconds (approx. 2 Ethereum blocks)
-        // of the frontrun timestamp. This is a simplified time analysis.
-        // In reality, you'd look at block numbers and potentially transaction indices within blocks
-        // to confirm they are in the same or very close blocks.
-        let time_within_limit = if br.timestamp > fr.timestamp {
-            br.timestamp - fr.timestamp < 120
-        } else {
-            // This case should ideally not happen if timestamps are accurate and ordered,
-            // but added for robustness in case of out-of-order data.
-            fr.timestamp - br.timestamp < 120
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    const ROUTER: &str = "0x7a250d5630b4cf539739df2c5dacb4c659f2488d";
+    const WETH: &str = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+    const TOKEN: &str = "0x7a7a7a7a7a7a7a7a7a7a7a7a7a7a7a7a7a7a7a7a";
+    const ATTACKER: &str = "0xa1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1";
+    const VICTIM: &str = "0xb1b1b1b1b1b1b1b1b1b1b1b1b1b1b1b1b1b1b1b1";
+
+    // A pending router swap along `path`, seen at second 1000.
+    fn swap(hash: &str, sender: &str, path: &[&str]) -> Transaction {
+        Transaction {
+            hash: hash.to_string(),
+            from: sender.to_string(),
+            to: ROUTER.to_string(),
+            value: "0".to_string(),
+            gas_price: "0".to_string(),
+            gas_limit: "200000".to_string(),
+            input: "0x".to_string(),
+            timestamp: 1000,
+            block_number: 0,
+            sender: sender.to_string(),
+            slippage_tolerance: None,
+            is_uniswap_swap: true,
+            token_in: path.first().map(|token| token.to_string()),
+            token_out: path.last().map(|token| token.to_string()),
+            amount_in: None,
+            amount_out_min: None,
+            decode_status: Some("swap".to_string()),
+            path: Some(path.iter().map(|token| token.to_string()).collect()),
+            swaps: None,
+            recipient: None,
+            deadline: None,
+            liquidity: None,
+            tx_type: Some(2),
+            max_fee_per_gas: None,
+            max_priority_fee_per_gas: None,
+            effective_priority_fee: None,
+            nonce: None,
+        }
+    }
+
+    // A decoded swap, on Uniswap V3 pools of the given fee tiers if `fees` is set.
+    fn leg(path: &[&str], fees: Option<&[u32]>) -> SwapLeg {
+        SwapLeg {
+            dex: if fees.is_some() { "uniswap-v3" } else { "uniswap-v2" }.to_string(),
+            path: path.iter().map(|token| token.to_string()).collect(),
+            fees: fees.map(|fees| fees.to_vec()),
+        }
+    }
+
+    // A router liquidity call on the WETH/TOKEN pair.
+    fn liquidity(hash: &str, sender: &str, action: &str) -> Transaction {
+        liquidity_on(hash, sender, action, WETH, TOKEN)
+    }
+
+    // A router liquidity call on the `token_a`/`token_b` pair.
+    fn liquidity_on(hash: &str, sender: &str, action: &str, token_a: &str, token_b: &str) -> Transaction {
+        Transaction {
+            is_uniswap_swap: false,
+            decode_status: Some("not_swap".to_string()),
+            path: None,
+            token_in: None,
+            token_out: None,
+            liquidity: Some(LiquidityAction {
+                action: action.to_string(),
+                token_a: token_a.to_string(),
+                token_b: token_b.to_string(),
+            }),
+            ..swap(hash, sender, &[])
+        }
+    }
+
+    // The attacker buys TOKEN before the victim and sells it back after.
+    fn sandwich() -> Vec<Transaction> {
+        vec![
+            swap("0xf1", ATTACKER, &[WETH, TOKEN]),
+            swap("0xv1", VICTIM, &[WETH, TOKEN]),
+            swap("0xb1", ATTACKER, &[TOKEN, WETH]),
+        ]
+    }
+
+    #[test]
+    fn finds_a_pool_sandwich_from_the_swap_directions() {
+        let findings = find_sandwiches(&sandwich());
+        assert_eq!(findings.len(), 1);
+        let finding = &findings[0];
+        assert_eq!(finding.rule, RULE_POOL_SANDWICH);
+        assert_eq!((finding.frontrun_hash.as_str(), finding.victim_hash.as_str(), finding.backrun_hash.as_str()), ("0xf1", "0xv1", "0xb1"));
+        assert_eq!(finding.attacker, ATTACKER);
+        assert_eq!(finding.victim, VICTIM);
+        assert_eq!(finding.router, ROUTER);
+        // Sorted like the factory sorts the pair's tokens.
+        assert_eq!(finding.pool.as_deref(), Some(format!("{}:{}", TOKEN, WETH).as_str()));
+        assert_eq!(finding.block_gap, None);
+    }
+
+    #[test]
+    fn falls_back_to_the_router_rule_for_high_slippage_victims() {
+        // The backrun buys again instead of selling: the directions confirm nothing.
+        let mut transactions = sandwich();
+        transactions[2] = swap("0xb1", ATTACKER, &[WETH, TOKEN]);
+        assert!(find_sandwiches(&transactions).is_empty());
+
+        transactions[1].slippage_tolerance = Some(0.1);
+        let findings = find_sandwiches(&transactions);
+        assert_eq!(findings.len(), 1);
+        assert_eq!(findings[0].rule, RULE_ROUTER_SANDWICH);
+        assert_eq!(findings[0].pool, None);
+
+        // At the threshold, the victim's slippage leaves no room for a sandwich.
+        transactions[1].slippage_tolerance = Some(HIGH_SLIPPAGE_THRESHOLD);
+        assert!(find_sandwiches(&transactions).is_empty());
+    }
+
+    #[test]
+    fn keys_pools_by_fee_tier_and_checks_every_swap_of_a_batched_call() {
+        // V2 legs around a V3 victim on the same tokens trade on another pool.
+        let mut transactions = sandwich();
+        transactions[1].swaps = Some(vec![leg(&[WETH, TOKEN], Some(&[3000]))]);
+        assert!(find_sandwiches(&transactions).is_empty());
+        // So do V3 legs on another fee tier.
+        transactions[0].swaps = Some(vec![leg(&[WETH, TOKEN], Some(&[500]))]);
+        transactions[2].swaps = Some(vec![leg(&[TOKEN, WETH], Some(&[500]))]);
+        assert!(find_sandwiches(&transactions).is_empty());
+        transactions[0].swaps = Some(vec![leg(&[WETH, TOKEN], Some(&[3000]))]);
+        transactions[2].swaps = Some(vec![leg(&[TOKEN, WETH], Some(&[3000]))]);
+        assert_eq!(find_sandwiches(&transactions)[0].pool, Some(format!("{}:{}:3000", TOKEN, WETH)));
+
+        // A batched victim attacked on its second swap.
+        const OTHER_TOKEN: &str = "0x7b7b7b7b7b7b7b7b7b7b7b7b7b7b7b7b7b7b7b7b";
+        let mut transactions = sandwich();
+        transactions[1].path = Some(vec![OTHER_TOKEN.to_string(), WETH.to_string()]);
+        transactions[1].swaps = Some(vec![leg(&[OTHER_TOKEN, WETH], Some(&[500])), leg(&[WETH, TOKEN], None)]);
+        let findings = find_sandwiches(&transactions);
+        assert_eq!((findings[0].rule.as_str(), findings[0].pool.clone()), (RULE_POOL_SANDWICH, Some(format!("{}:{}", TOKEN, WETH))));
+    }
+
+    #[test]
+    fn takes_legs_through_any_router_on_the_victims_pool() {
+        const UNIVERSAL_ROUTER: &str = "0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad";
+        let mut transactions = sandwich();
+        transactions[1].to = UNIVERSAL_ROUTER.to_string();
+        let findings = find_sandwiches(&transactions);
+        assert_eq!((findings[0].rule.as_str(), findings[0].router.as_str()), (RULE_POOL_SANDWICH, UNIVERSAL_ROUTER));
+
+        // The router rule still needs all three through the victim's router.
+        transactions[1].slippage_tolerance = Some(0.1);
+        transactions[2] = swap("0xb1", ATTACKER, &[WETH, TOKEN]);
+        assert!(find_sandwiches(&transactions).is_empty());
+        transactions[0].to = UNIVERSAL_ROUTER.to_string();
+        transactions[2].to = UNIVERSAL_ROUTER.to_string();
+        assert_eq!(find_sandwiches(&transactions)[0].rule, RULE_ROUTER_SANDWICH);
+    }
+
+    #[test]
+    fn requires_the_backrun_to_follow_the_frontrun_in_nonce_order() {
+        let mut transactions = sandwich();
+        transactions[0].nonce = Some(7);
+        transactions[2].nonce = Some(7); // Would replace the frontrun
+        assert!(find_sandwiches(&transactions).is_empty());
+        transactions[2].nonce = Some(6);
+        assert!(find_sandwiches(&transactions).is_empty());
+        transactions[2].nonce = Some(8);
+        assert_eq!(find_sandwiches(&transactions).len(), 1);
+        // Unknown nonces do not rule a sandwich out.
+        transactions[0].nonce = None;
+        transactions[2].nonce = Some(0);
+        assert_eq!(find_sandwiches(&transactions).len(), 1);
+    }
+
+    #[test]
+    fn requires_the_legs_within_the_window() {
+        let mut transactions = sandwich();
+        transactions[1].timestamp = 1000 + MAX_SANDWICH_WINDOW_SECS / 2;
+        transactions[2].timestamp = 1000 + MAX_SANDWICH_WINDOW_SECS;
+        assert!(find_sandwiches(&transactions).is_empty());
+        transactions[2].timestamp -= 1;
+        assert_eq!(find_sandwiches(&transactions)[0].time_gap_secs, MAX_SANDWICH_WINDOW_SECS - 1);
+    }
+
+    #[test]
+    fn reports_negative_and_unknown_gas_premiums_and_ranks_by_premium() {
+        let mut transactions = sandwich();
+        transactions[0].effective_priority_fee = Some("1000000000".to_string());
+        transactions[1].effective_priority_fee = Some("3000000000".to_string());
+        assert_eq!(find_sandwiches(&transactions)[0].gas_premium.as_deref(), Some("-2000000000"));
+        transactions[1].effective_priority_fee = None;
+        assert_eq!(find_sandwiches(&transactions)[0].gas_premium, None);
+
+        // A second attacker around the same victim, outbidding it.
+        const OTHER: &str = "0xc1c1c1c1c1c1c1c1c1c1c1c1c1c1c1c1c1c1c1c1";
+        transactions[1].effective_priority_fee = Some("1000000000".to_string());
+        let mut frontrun = swap("0xf2", OTHER, &[WETH, TOKEN]);
+        frontrun.effective_priority_fee = Some("5000000000".to_string());
+        transactions.insert(1, frontrun);
+        transactions.push(swap("0xb2", OTHER, &[TOKEN, WETH]));
+        // (The outer attacker also sandwiches the inner one's frontrun.)
+        let around_victim = |transactions: &[Transaction]| -> Vec<SandwichFinding> {
+            find_sandwiches(transactions).into_iter().filter(|finding| finding.victim_hash == "0xv1").collect()
         };
+        let findings = around_victim(&transactions);
+        let ranked: Vec<(&str, Option<&str>)> = findings.iter().map(|finding| (finding.attacker.as_str(), finding.gas_premium.as_deref())).collect();
+        assert_eq!(ranked, vec![(OTHER, Some("4000000000")), (ATTACKER, Some("0"))]);
 
-        // Condition 3 (from problem statement): Victim has high slippage tolerance.
-        // We check if `victim.slippage_tolerance` exists (`is_some()`) and if its value
-        // is greater than a threshold (e.g., 0.05 for 5%).
-        let high_slippage_victim = victim.slippage_tolerance.map_or(false, |s| s > 0.05);
+        // Unknown premiums rank last.
+        transactions[1].effective_priority_fee = None;
+        let findings = around_victim(&transactions);
+        assert_eq!((findings[0].attacker.as_str(), findings[1].gas_premium.as_deref()), (ATTACKER, None));
+    }
 
-        // Combine all conditions: All must be true for a detected sandwich attack.
-        same_sender && time_within_limit && high_slippage_victim
-    } else {
-        // If either frontrun or backrun was not found, it's not a complete sandwich attack.
-        false
+    #[test]
+    fn never_takes_liquidity_calls_as_sandwich_legs() {
+        let mut transactions = vec![
+            liquidity("0xa1", ATTACKER, "add"),
+            swap("0xv1", VICTIM, &[WETH, TOKEN]),
+            liquidity("0xr1", ATTACKER, "remove"),
+        ];
+        transactions[1].slippage_tolerance = Some(0.5);
+        assert!(find_sandwiches(&transactions).is_empty());
+
+        // Around them, the closest swaps are the legs.
+        transactions.insert(0, swap("0xf1", ATTACKER, &[WETH, TOKEN]));
+        transactions.push(swap("0xb1", ATTACKER, &[TOKEN, WETH]));
+        let findings = find_sandwiches(&transactions);
+        assert_eq!((findings[0].frontrun_hash.as_str(), findings[0].backrun_hash.as_str()), ("0xf1", "0xb1"));
     }
-}
\ No newline at end of file
+
+    // The attacker adds liquidity to WETH/TOKEN before the victim's swap and removes it after.
+    fn jit() -> Vec<Transaction> {
+        vec![
+            liquidity("0xa1", ATTACKER, "add"),
+            swap("0xv1", VICTIM, &[WETH, TOKEN]),
+            liquidity("0xr1", ATTACKER, "remove"),
+        ]
+    }
+
+    #[test]
+    fn finds_jit_liquidity_added_and_removed_around_a_swap() {
+        let findings = find_jit_liquidity(&jit());
+        assert_eq!(findings.len(), 1);
+        let finding = &findings[0];
+        assert_eq!(finding.rule, RULE_JIT_LIQUIDITY);
+        assert_eq!((finding.add_hash.as_str(), finding.victim_hash.as_str(), finding.remove_hash.as_str()), ("0xa1", "0xv1", "0xr1"));
+        assert_eq!((finding.attacker.as_str(), finding.victim.as_str()), (ATTACKER, VICTIM));
+        assert_eq!(finding.pool, format!("{}:{}", TOKEN, WETH));
+        assert_eq!((finding.time_gap_secs, finding.block_gap), (0, None));
+
+        // The closest add before the victim and remove after it are the legs.
+        let mut transactions = jit();
+        transactions.insert(0, liquidity("0xa0", ATTACKER, "add"));
+        transactions.push(liquidity("0xr2", ATTACKER, "remove"));
+        let findings = find_jit_liquidity(&transactions);
+        assert_eq!((findings[0].add_hash.as_str(), findings[0].remove_hash.as_str()), ("0xa1", "0xr1"));
+    }
+
+    #[test]
+    fn needs_the_remove_after_the_victim_within_the_window() {
+        let mut transactions = jit();
+        transactions.swap(1, 2);
+        assert!(find_jit_liquidity(&transactions).is_empty());
+
+        let mut transactions = jit();
+        transactions[1].timestamp = 1000 + MAX_JIT_WINDOW_SECS / 2;
+        transactions[2].timestamp = 1000 + MAX_JIT_WINDOW_SECS;
+        assert!(find_jit_liquidity(&transactions).is_empty());
+        transactions[2].timestamp -= 1;
+        assert_eq!(find_jit_liquidity(&transactions)[0].time_gap_secs, MAX_JIT_WINDOW_SECS - 1);
+    }
+
+    #[test]
+    fn needs_the_liquidity_on_a_pair_of_the_victims_path() {
+        const OTHER_TOKEN: &str = "0x7b7b7b7b7b7b7b7b7b7b7b7b7b7b7b7b7b7b7b7b";
+        let mut transactions = vec![
+            liquidity_on("0xa1", ATTACKER, "add", TOKEN, OTHER_TOKEN),
+            swap("0xv1", VICTIM, &[WETH, TOKEN]),
+            liquidity_on("0xr1", ATTACKER, "remove", TOKEN, OTHER_TOKEN),
+        ];
+        assert!(find_jit_liquidity(&transactions).is_empty());
+        // Removing from another pair than the one added to is no JIT either.
+        transactions[0] = liquidity("0xa1", ATTACKER, "add");
+        assert!(find_jit_liquidity(&transactions).is_empty());
+
+        // A multi-hop victim through both pairs is attacked on the second one.
+        transactions[0] = liquidity_on("0xa1", ATTACKER, "add", OTHER_TOKEN, TOKEN);
+        transactions[1] = swap("0xv1", VICTIM, &[WETH, TOKEN, OTHER_TOKEN]);
+        let findings = find_jit_liquidity(&transactions);
+        assert_eq!(findings.len(), 1);
+        assert_eq!(findings[0].pool, format!("{}:{}", TOKEN, OTHER_TOKEN));
+
+        // Router liquidity is on the V2 pair, not on a V3 pool of the same tokens.
+        let mut transactions = jit();
+        transactions[1].swaps = Some(vec![leg(&[WETH, TOKEN], Some(&[3000]))]);
+        assert!(find_jit_liquidity(&transactions).is_empty());
+    }
+
+    #[test]
+    fn ignores_a_provider_that_is_also_the_victim() {
+        let mut transactions = jit();
+        for tx in transactions.iter_mut() {
+            tx.sender = ATTACKER.to_string();
+        }
+        assert!(find_jit_liquidity(&transactions).is_empty());
+        // Too short a cluster to hold an attack.
+        assert!(find_jit_liquidity(&jit()[..2]).is_empty());
+    }
+
+    #[test]
+    fn serializes_findings_for_node() {
+        let json = serde_json::to_string(&sandwich()).unwrap();
+        let findings: Vec<SandwichFinding> = serde_json::from_str(&detect_mev_sandwiches(&json)).unwrap();
+        assert_eq!(findings, find_sandwiches(&sandwich()));
+        assert!(detect_mev_sandwich(&json));
+        assert_eq!(detect_mev_sandwiches("not json"), "[]");
+
+        // Node.js sends whole swap records; the fields not needed here are ignored.
+        let mut record = serde_json::to_value(&sandwich()[1]).unwrap();
+        record["swaps"] = serde_json::json!([{ "dex": "uniswap-v3", "method": "exactInputSingle", "path": [WETH, TOKEN], "fees": [500], "amount_in": "1" }]);
+        let victim: Transaction = serde_json::from_value(record).unwrap();
+        assert_eq!(hops(&victim)[0].pool, format!("{}:{}:500", TOKEN, WETH));
+
+        let json = serde_json::to_string(&jit()).unwrap();
+        let findings: Vec<JitFinding> = serde_json::from_str(&detect_jit_liquidity(&json)).unwrap();
+        assert_eq!(findings, find_jit_liquidity(&jit()));
+    }
+}
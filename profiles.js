@@ -0,0 +1,51 @@
+// profiles.js (Export and import attacker reputation profiles)
+
+// Usage:
+//   node profiles.js export [file]   Write every profile as a JSON array (to stdout without a file).
+//   node profiles.js import <file>   Load profiles from a JSON array, replacing existing ones.
+// Uses the detector's Redis (`redisUrl`, see src/config/config.js).
+//
+// An imported profile needs only an `address`; every other field of an exported profile
+// (attack_count, is_contract, linked, ...) is optional. To pre-seed known bots:
+//   [{ "address": "0x...", "attack_count": 50, "linked": { "0x...": "funder" } }]
+
+const fs = require('fs');
+const Redis = require('ioredis');
+const { AttackerProfileStore } = require('./src/reputation/attacker-profiles');
+const { loadScriptConfig } = require('./src/config/config');
+
+async function main() {
+    const { config, positionals } = loadScriptConfig({ allowPositionals: true });
+    const [command, file] = positionals;
+    if (!['export', 'import'].includes(command) || (command === 'import' && !file)) {
+        console.error('Usage: node profiles.js export [file] | import <file>');
+        process.exitCode = 1;
+        return;
+    }
+    const redis = new Redis(config.redisUrl);
+    try {
+        // No provider: imported profiles keep the classification they were exported with.
+        const store = new AttackerProfileStore(redis);
+        if (command === 'export') {
+            const json = `${JSON.stringify(await store.exportProfiles(), null, 2)}\n`;
+            if (file) {
+                fs.writeFileSync(file, json);
+            } else {
+                process.stdout.write(json);
+            }
+        } else {
+            const profiles = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!Array.isArray(profiles)) {
+                throw new Error(`${file} must contain a JSON array of profiles.`);
+            }
+            console.log(`Imported ${await store.importProfiles(profiles)} profiles.`);
+        }
+    } finally {
+        await redis.quit();
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
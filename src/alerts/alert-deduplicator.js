@@ -0,0 +1,182 @@
+// src/alerts/alert-deduplicator.js (Atomic alert deduplication and repeat-attacker rollups)
+
+// A sandwich is alerted on once per dedup key, for `ttlSeconds`. The key is the attacker
+// plus, depending on `scope`:
+// - `pool` (default): the attacked pool. One alert per attacker and pool; further
+//   sandwiches on that pool are suppressed and counted.
+// - `victim_tx`: the victim transaction. Every distinct sandwich is alerted; only
+//   re-detections of the same one are dropped, so nothing is rolled up or escalated.
+// Suppressed sandwiches (never re-detections of one already counted) are accumulated per
+// attacker in Redis and reported by a rollup alert: every `rollupIntervalMs`, or at once
+// when an attacker reaches `escalationThreshold` suppressed sandwiches.
+//
+// The check-and-count runs as one Lua script, so overlapping ticks or several detector
+// instances sharing Redis cannot both alert on the same key or count a sandwich twice.
+//
+// Redis keys (all prefixed `mev:`, or `keyPrefix:` for a detection type with its own
+// deduplicator, e.g. `mev:jit:`):
+//   dedup:<attacker>:<victim_tx|pool>  alert marker, expires after `ttlSeconds`
+//   dedup:<attacker>:seen              victim txs already alerted or counted
+//   rollup:<attacker>                  hash: count, profit_eth, first_seen, last_seen
+//   rollup:<attacker>:txs              list of the suppressed victim txs
+//   rollup:attackers                   attackers with a pending rollup
+
+const DedupScope = Object.freeze({
+    VICTIM_TX: 'victim_tx',
+    POOL: 'pool',
+});
+
+// KEYS: dedup marker, seen set, rollup hash, rollup txs, attackers set
+// ARGV: ttl seconds, victim tx, profit (ETH), now (unix seconds), attacker
+// Returns { isNew (0/1), suppressed count (-1 for a re-detection) }.
+const CHECK_SCRIPT = `
+if redis.call('SET', KEYS[1], ARGV[4], 'NX', 'EX', ARGV[1]) then
+    redis.call('SADD', KEYS[2], ARGV[2])
+    redis.call('EXPIRE', KEYS[2], ARGV[1])
+    return {1, 0}
+end
+if redis.call('SADD', KEYS[2], ARGV[2]) == 0 then
+    return {0, -1}
+end
+redis.call('EXPIRE', KEYS[2], ARGV[1])
+local count = redis.call('HINCRBY', KEYS[3], 'count', 1)
+redis.call('HINCRBYFLOAT', KEYS[3], 'profit_eth', ARGV[3])
+redis.call('HSETNX', KEYS[3], 'first_seen', ARGV[4])
+redis.call('HSET', KEYS[3], 'last_seen', ARGV[4])
+redis.call('RPUSH', KEYS[4], ARGV[2])
+redis.call('SADD', KEYS[5], ARGV[5])
+return {0, count}
+`;
+
+// KEYS: rollup hash, rollup txs, attackers set
+// ARGV: attacker
+// Reads and clears an attacker's rollup in one step, so only one instance reports it.
+const TAKE_ROLLUP_SCRIPT = `
+local rollup = redis.call('HGETALL', KEYS[1])
+local txs = redis.call('LRANGE', KEYS[2], 0, -1)
+redis.call('DEL', KEYS[1], KEYS[2])
+redis.call('SREM', KEYS[3], ARGV[1])
+return {rollup, txs}
+`;
+
+class AlertDeduplicator {
+    /**
+     * @param {import('ioredis').Redis} redis
+     * @param {Object} [options]
+     * @param {'victim_tx'|'pool'} [options.scope='pool'] - What besides the attacker makes an alert distinct.
+     * @param {number} [options.ttlSeconds=300] - How long an alert suppresses repeats.
+     * @param {number} [options.rollupIntervalMs=300000] - How often suppressed repeats are reported.
+     * @param {number} [options.escalationThreshold=10] - Suppressed repeats that trigger an immediate rollup.
+     * @param {string} [options.keyPrefix='mev'] - Namespace of the Redis keys, so each detection
+     *   type keeps its own markers and rollups.
+     */
+    constructor(redis, options = {}) {
+        this.redis = redis;
+        this.scope = options.scope || DedupScope.POOL;
+        if (!Object.values(DedupScope).includes(this.scope)) {
+            throw new Error(`Unknown dedup scope "${this.scope}" (expected ${Object.values(DedupScope).join(' or ')}).`);
+        }
+        this.ttlSeconds = options.ttlSeconds !== undefined ? options.ttlSeconds : 300;
+        this.rollupIntervalMs = options.rollupIntervalMs !== undefined ? options.rollupIntervalMs : 5 * 60 * 1000;
+        this.escalationThreshold = options.escalationThreshold !== undefined ? options.escalationThreshold : 10;
+        this.keyPrefix = options.keyPrefix || 'mev';
+        this.attackersKey = `${this.keyPrefix}:rollup:attackers`;
+        this.lastRollupAt = null;
+
+        this.redis.defineCommand('mevDedupCheck', { numberOfKeys: 5, lua: CHECK_SCRIPT });
+        this.redis.defineCommand('mevTakeRollup', { numberOfKeys: 3, lua: TAKE_ROLLUP_SCRIPT });
+    }
+
+    /**
+     * Atomically decides whether a sandwich should be alerted on, counting it towards its
+     * attacker's rollup if not.
+     * @param {Object} finding - A finding returned by the WASM detector.
+     * @param {Object} [details]
+     * @param {number|null} [details.profitEth] - Simulated net profit, for the rollup total.
+     * @param {number} [details.now=Date.now()] - Detection time (ms).
+     * @returns {Promise<{isNew: boolean, suppressedCount: number, escalate: boolean}>}
+     *   `suppressedCount` is the attacker's pending rollup size (-1 for a re-detection of a
+     *   sandwich already alerted or counted); `escalate` is set once it reaches the threshold.
+     */
+    async check(finding, details = {}) {
+        const attacker = finding.attacker.toLowerCase();
+        const victimTx = finding.victim_hash.toLowerCase();
+        const scopeValue = this.scope === DedupScope.POOL && finding.pool ? finding.pool.toLowerCase() : victimTx;
+        const nowSeconds = Math.floor((details.now !== undefined ? details.now : Date.now()) / 1000);
+
+        const [isNew, suppressedCount] = await this.redis.mevDedupCheck(
+            `${this.keyPrefix}:dedup:${attacker}:${scopeValue}`,
+            `${this.keyPrefix}:dedup:${attacker}:seen`,
+            `${this.keyPrefix}:rollup:${attacker}`,
+            `${this.keyPrefix}:rollup:${attacker}:txs`,
+            this.attackersKey,
+            this.ttlSeconds,
+            victimTx,
+            details.profitEth || 0,
+            nowSeconds,
+            attacker,
+        );
+        return {
+            isNew: isNew === 1,
+            suppressedCount,
+            escalate: suppressedCount >= this.escalationThreshold,
+        };
+    }
+
+    /**
+     * Reads and clears one attacker's pending rollup.
+     * @param {string} attacker
+     * @returns {Promise<Object|null>} `{ attacker, count, profit_eth, first_seen, last_seen, tx_hashes }`,
+     *   or `null` if nothing was suppressed (or another instance already reported it).
+     */
+    async takeRollup(attacker) {
+        const key = attacker.toLowerCase();
+        const [fields, txHashes] = await this.redis.mevTakeRollup(
+            `${this.keyPrefix}:rollup:${key}`, `${this.keyPrefix}:rollup:${key}:txs`, this.attackersKey, key,
+        );
+        const rollup = {};
+        for (let i = 0; i < fields.length; i += 2) {
+            rollup[fields[i]] = fields[i + 1];
+        }
+        if (!rollup.count) {
+            return null;
+        }
+        return {
+            attacker: key,
+            count: Number(rollup.count),
+            profit_eth: Number(rollup.profit_eth),
+            first_seen: Number(rollup.first_seen),
+            last_seen: Number(rollup.last_seen),
+            tx_hashes: txHashes,
+        };
+    }
+
+    /**
+     * Takes every pending rollup if `rollupIntervalMs` has passed since the last time.
+     * Call this on every detection round.
+     * @param {number} [now=Date.now()] - Current time (ms).
+     * @returns {Promise<Array<Object>>} The rollups to report (see `takeRollup`).
+     */
+    async takeDueRollups(now = Date.now()) {
+        if (this.lastRollupAt === null) {
+            this.lastRollupAt = now;
+        }
+        if (now - this.lastRollupAt < this.rollupIntervalMs) {
+            return [];
+        }
+        this.lastRollupAt = now;
+        const rollups = [];
+        for (const attacker of await this.redis.smembers(this.attackersKey)) {
+            const rollup = await this.takeRollup(attacker);
+            if (rollup) {
+                rollups.push(rollup);
+            }
+        }
+        return rollups;
+    }
+}
+
+module.exports = {
+    DedupScope,
+    AlertDeduplicator,
+};
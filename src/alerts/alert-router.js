@@ -0,0 +1,244 @@
+// src/alerts/alert-router.js (Routes alerts to the configured sinks)
+
+// The alert config names the sinks and says which alerts go where:
+//   {
+//     "deadLetterDir": "dead-letters",
+//     "sinks": {
+//       "kafka":   { "type": "kafka", "brokers": ["localhost:9092"], "topic": "mev-alerts" },
+//       "ops":     { "type": "webhook", "url": "https://...", "secret": "...", "enabled": false },
+//       "archive": { "type": "file", "path": "alerts.jsonl" }
+//     },
+//     "routes": [
+//       { "match": { "status": ["confirmed", "retracted"] }, "sinks": ["ops"] },
+//       { "match": { "tags": ["page"] }, "sinks": ["ops"] },
+//       { "sinks": ["kafka", "archive"] }
+//     ]
+//   }
+// Sinks with `"enabled": false` are skipped. An alert goes to the sinks of every route
+// whose `match` it satisfies (each listed field must have one of the listed values, strings
+// such as addresses in any case; a route without `match` takes every alert; a list field such
+// as `tags` matches when one of its values is listed). Without `routes`, every enabled sink gets
+// every alert. Alerts a sink fails to deliver are appended to `<deadLetterDir>/<sink>.jsonl`.
+// Alerts are checked against the alert schema first; an invalid alert goes nowhere.
+
+const fs = require('fs');
+const path = require('path');
+const { assertValidAlert } = require('./alert-schema');
+const { ConsoleSink } = require('./sinks/console-sink');
+const { FileSink } = require('./sinks/file-sink');
+const { KafkaSink } = require('./sinks/kafka-sink');
+const { RedisPubSubSink } = require('./sinks/redis-pubsub-sink');
+const { WebhookSink } = require('./sinks/webhook-sink');
+
+// Sink implementations by their config `type`.
+const SINK_TYPES = {
+    console: ConsoleSink,
+    file: FileSink,
+    kafka: KafkaSink,
+    'redis-pubsub': RedisPubSubSink,
+    webhook: WebhookSink,
+};
+
+/**
+ * The config used when no config file is given: every alert goes to one Kafka topic, as
+ * before sinks existed.
+ * @param {Array<string>} brokers
+ * @param {string} topic
+ * @returns {Object}
+ */
+function defaultAlertConfig(brokers, topic) {
+    return {
+        deadLetterDir: 'dead-letters',
+        sinks: {
+            kafka: { type: 'kafka', brokers, topic },
+        },
+    };
+}
+
+// The default config for the local Kafka broker.
+const DEFAULT_ALERT_CONFIG = Object.freeze(defaultAlertConfig(['localhost:9092'], 'mev-alerts'));
+
+/**
+ * Reads an alert config file (JSON).
+ * @param {string} filePath
+ * @returns {Object}
+ */
+function loadAlertConfig(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Creates one sink from its config entry.
+ * @param {string} name
+ * @param {Object} sinkConfig - `{ type, ...options }`.
+ * @returns {import('./sinks/alert-sink').AlertSink}
+ */
+function createSink(name, sinkConfig) {
+    const SinkType = SINK_TYPES[sinkConfig.type];
+    if (!SinkType) {
+        throw new Error(`Alert sink "${name}": unknown type "${sinkConfig.type}" (expected one of ${Object.keys(SINK_TYPES).join(', ')}).`);
+    }
+    return new SinkType(name, sinkConfig);
+}
+
+// Strings are compared in lower case: alert addresses are lowercased, config ones are
+// often checksummed.
+const normalize = value => (typeof value === 'string' ? value.toLowerCase() : value);
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Checks whether an alert satisfies a route's `match`. Strings match in any case.
+ * @param {Object|undefined} match - `{ field: [allowed values] }` (a single value is allowed too).
+ * @param {Object} alert
+ * @returns {boolean}
+ */
+function routeMatches(match, alert) {
+    if (!match) {
+        return true;
+    }
+    return Object.entries(match).every(([field, allowed]) => {
+        const accepted = toList(allowed).map(normalize);
+        return toList(alert[field]).some(value => accepted.includes(normalize(value)));
+    });
+}
+
+class AlertRouter {
+    /**
+     * @param {Object} config - See the top of this file.
+     * @param {Object} [options]
+     * @param {Object<string, import('./sinks/alert-sink').AlertSink>} [options.sinks] - Sinks to use
+     *   instead of creating them from `config.sinks` (by name).
+     * @param {Object} [options.logger=console] - Where sink connections and failures are reported.
+     */
+    constructor(config, options = {}) {
+        this.deadLetterDir = config.deadLetterDir || DEFAULT_ALERT_CONFIG.deadLetterDir;
+        this.logger = options.logger || console;
+        this.sinks = new Map();
+
+        if (options.sinks) {
+            for (const [name, sink] of Object.entries(options.sinks)) {
+                this.sinks.set(name, sink);
+            }
+        } else {
+            for (const [name, sinkConfig] of Object.entries(config.sinks || {})) {
+                if (sinkConfig.enabled === false) continue;
+                this.sinks.set(name, createSink(name, sinkConfig));
+            }
+        }
+
+        this.routes = config.routes || null;
+        for (const route of this.routes || []) {
+            for (const name of route.sinks || []) {
+                if (!this.sinks.has(name) && !(config.sinks && config.sinks[name])) {
+                    throw new Error(`Alert route refers to unknown sink "${name}".`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Connects every sink. Fails if any sink cannot connect.
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        for (const [name, sink] of this.sinks) {
+            await sink.connect();
+            this.logger.log(`Alert sink "${name}" connected.`);
+        }
+    }
+
+    /**
+     * @returns {Object<string, boolean>} Whether each sink is currently connected, by name.
+     */
+    connectionStatus() {
+        const status = {};
+        for (const [name, sink] of this.sinks) {
+            status[name] = sink.isConnected();
+        }
+        return status;
+    }
+
+    /**
+     * @param {Object} alert
+     * @returns {Array<string>} The names of the enabled sinks the alert is routed to.
+     */
+    sinksFor(alert) {
+        if (!this.routes) {
+            return Array.from(this.sinks.keys());
+        }
+        const names = new Set();
+        for (const route of this.routes) {
+            if (routeMatches(route.match, alert)) {
+                // Disabled sinks stay in the routes but are not created.
+                (route.sinks || []).filter(name => this.sinks.has(name)).forEach(name => names.add(name));
+            }
+        }
+        return Array.from(names);
+    }
+
+    /**
+     * Sends an alert to every sink it is routed to, in parallel. A failing sink does not
+     * stop the others; its alert goes to its dead-letter file.
+     * @param {Object} alert
+     * @param {Object} [options]
+     * @param {Array<string>} [options.sinks] - Send to these enabled sinks instead of
+     *   following the routes (e.g. the audit sinks of a suppressed alert).
+     * @returns {Promise<{delivered: Array<string>, failed: Array<string>}>}
+     * @throws {import('./alert-schema').AlertSchemaError} If the alert does not match the schema.
+     */
+    async publish(alert, options = {}) {
+        assertValidAlert(alert);
+        const delivered = [];
+        const failed = [];
+        const sinks = options.sinks ? options.sinks.filter(name => this.sinks.has(name)) : this.sinksFor(alert);
+        await Promise.all(sinks.map(async name => {
+            try {
+                await this.sinks.get(name).send(alert);
+                delivered.push(name);
+            } catch (error) {
+                failed.push(name);
+                this.logger.error(`Alert sink "${name}" failed to deliver an alert: ${error.message}`);
+                await this.deadLetter(name, alert, error);
+            }
+        }));
+        return { delivered, failed };
+    }
+
+    /**
+     * Appends an undelivered alert to the sink's dead-letter file.
+     */
+    async deadLetter(name, alert, error) {
+        const record = { t: Date.now(), sink: name, error: error.message, alert };
+        try {
+            await fs.promises.mkdir(this.deadLetterDir, { recursive: true });
+            await fs.promises.appendFile(path.join(this.deadLetterDir, `${name}.jsonl`), `${JSON.stringify(record)}\n`);
+        } catch (writeError) {
+            this.logger.error(`Could not write dead letter for sink "${name}":`, writeError);
+        }
+    }
+
+    /**
+     * Closes every sink, logging (not throwing) failures.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        for (const [name, sink] of this.sinks) {
+            try {
+                await sink.close();
+                this.logger.log(`Alert sink "${name}" closed.`);
+            } catch (error) {
+                this.logger.error(`Error closing alert sink "${name}":`, error);
+            }
+        }
+    }
+}
+
+module.exports = {
+    SINK_TYPES,
+    DEFAULT_ALERT_CONFIG,
+    defaultAlertConfig,
+    loadAlertConfig,
+    createSink,
+    routeMatches,
+    AlertRouter,
+};
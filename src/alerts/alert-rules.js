@@ -0,0 +1,296 @@
+// src/alerts/alert-rules.js (Suppression, escalation, severity and tags for alerts)
+
+// A rules file decides, before any sink sees an alert, whether it is published and how
+// it is labelled:
+//   {
+//     "defaultSeverity": "low",
+//     "auditSinks": ["archive"],
+//     "rules": [
+//       { "name": "own-market-makers", "action": "suppress", "addresses": ["0x..."] },
+//       { "name": "known-bots", "action": "escalate", "addresses": ["0x..."], "severity": "critical", "tags": ["known-bot"] },
+//       { "name": "weth-usdc-min-profit", "action": "suppress", "match": { "pool": ["0x..."] }, "below": { "profit_eth": 0.05 } },
+//       { "name": "usdc-min-victim", "action": "suppress", "tokens": ["0x..."], "below": { "victim_amount_eth": 1 } },
+//       { "name": "large-profit", "action": "tag", "atLeast": { "profit_eth": 1 }, "severity": "high", "tags": ["page"] }
+//     ]
+//   }
+// A rule applies to an alert when all of its conditions hold:
+//   match     - `{ field: [allowed values] }`, as in alert routes (addresses in any case).
+//   addresses - one of the alert's attacker, victim, router or target is listed.
+//   tokens    - one of the alert's `tokens` (the victim's swap path) is listed.
+//   below     - `{ field: limit }`: the field is known and less than the limit.
+//   atLeast   - `{ field: limit }`: the field is known and at least the limit.
+// An alert a `suppress` rule applies to is not published, unless an `escalate` rule applies
+// too: escalation wins, so a deny-listed bot is reported however small its profit. An
+// unknown value (e.g. the profit of a sandwich that could not be simulated) never meets a
+// threshold, so it suppresses nothing. Rules see every alert, follow-ups and rollups
+// included; limit a rule to new detections with `"match": { "status": ["suspected"] }`.
+//
+// Every applying rule adds its `tags`; the alert's severity is the highest of
+// `defaultSeverity` and the applying rules' `severity` (`escalate` rules raise it to at
+// least "high"). Which rules applied, and the one that suppressed or escalated the alert,
+// are recorded in its `rules` field. Suppressed alerts go to the `auditSinks` only.
+//
+// The file is watched: edits take effect without a restart. An edit that does not parse
+// or validate is reported and the previous rules stay in force.
+
+const EventEmitter = require('events');
+const fs = require('fs');
+
+const Severity = Object.freeze({
+    INFO: 'info',
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+    CRITICAL: 'critical',
+});
+// Lowest first.
+const SEVERITY_ORDER = Object.freeze(Object.values(Severity));
+
+const RuleAction = Object.freeze({
+    SUPPRESS: 'suppress',
+    ESCALATE: 'escalate',
+    TAG: 'tag',
+});
+
+// The alert fields an `addresses` list is compared with.
+const ADDRESS_FIELDS = Object.freeze(['attacker', 'victim', 'router', 'target']);
+
+// How often the rules file is checked for changes.
+const DEFAULT_WATCH_INTERVAL_MS = 1000;
+
+const normalize = value => (typeof value === 'string' ? value.toLowerCase() : value);
+const toList = value => (Array.isArray(value) ? value : [value]);
+const higherSeverity = (a, b) => (SEVERITY_ORDER.indexOf(b) > SEVERITY_ORDER.indexOf(a) ? b : a);
+
+/**
+ * Reads a rules file (JSON).
+ * @param {string} filePath
+ * @returns {Object}
+ */
+function loadRulesConfig(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Checks a `below` / `atLeast` condition: every field must be a number, as must every limit.
+ */
+function compileLimits(ruleName, key, limits) {
+    if (limits === undefined) {
+        return null;
+    }
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        throw new Error(`Alert rule "${ruleName}": "${key}" must be an object of field limits.`);
+    }
+    for (const [field, limit] of Object.entries(limits)) {
+        if (typeof limit !== 'number' || !Number.isFinite(limit)) {
+            throw new Error(`Alert rule "${ruleName}": ${key}.${field} must be a number.`);
+        }
+    }
+    return limits;
+}
+
+/**
+ * Validates one rule and prepares its lists for matching.
+ * @param {Object} rule - A rule from the file (see the top of this file).
+ * @param {number} index - Its position, for error messages.
+ * @returns {Object} The compiled rule.
+ */
+function compileRule(rule, index) {
+    if (!rule || typeof rule.name !== 'string' || rule.name === '') {
+        throw new Error(`Alert rule #${index + 1} needs a "name".`);
+    }
+    const { name } = rule;
+    if (!Object.values(RuleAction).includes(rule.action)) {
+        throw new Error(`Alert rule "${name}": unknown action "${rule.action}" (expected one of ${Object.values(RuleAction).join(', ')}).`);
+    }
+    if (rule.severity !== undefined && !SEVERITY_ORDER.includes(rule.severity)) {
+        throw new Error(`Alert rule "${name}": unknown severity "${rule.severity}" (expected one of ${SEVERITY_ORDER.join(', ')}).`);
+    }
+    if (rule.tags !== undefined && !(Array.isArray(rule.tags) && rule.tags.every(tag => typeof tag === 'string'))) {
+        throw new Error(`Alert rule "${name}": "tags" must be a list of strings.`);
+    }
+    for (const key of ['addresses', 'tokens']) {
+        if (rule[key] !== undefined && !(Array.isArray(rule[key]) && rule[key].every(address => /^0x[0-9a-fA-F]{40}$/.test(address)))) {
+            throw new Error(`Alert rule "${name}": "${key}" must be a list of addresses.`);
+        }
+    }
+    if (rule.match !== undefined && (!rule.match || typeof rule.match !== 'object' || Array.isArray(rule.match))) {
+        throw new Error(`Alert rule "${name}": "match" must be an object of allowed field values.`);
+    }
+    return {
+        name,
+        action: rule.action,
+        severity: rule.severity || null,
+        tags: rule.tags || [],
+        match: rule.match
+            ? Object.entries(rule.match).map(([field, allowed]) => [field, new Set(toList(allowed).map(normalize))])
+            : [],
+        addresses: rule.addresses ? new Set(rule.addresses.map(normalize)) : null,
+        tokens: rule.tokens ? new Set(rule.tokens.map(normalize)) : null,
+        below: compileLimits(name, 'below', rule.below),
+        atLeast: compileLimits(name, 'atLeast', rule.atLeast),
+    };
+}
+
+/**
+ * Validates a rules config.
+ * @param {Object} config - See the top of this file.
+ * @returns {{defaultSeverity: string, auditSinks: Array<string>, rules: Array<Object>}}
+ */
+function compileRules(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('Alert rules must be a JSON object.');
+    }
+    const defaultSeverity = config.defaultSeverity || Severity.LOW;
+    if (!SEVERITY_ORDER.includes(defaultSeverity)) {
+        throw new Error(`Alert rules: unknown defaultSeverity "${defaultSeverity}" (expected one of ${SEVERITY_ORDER.join(', ')}).`);
+    }
+    const auditSinks = config.auditSinks || [];
+    if (!Array.isArray(auditSinks)) {
+        throw new Error('Alert rules: "auditSinks" must be a list of sink names.');
+    }
+    if (config.rules !== undefined && !Array.isArray(config.rules)) {
+        throw new Error('Alert rules: "rules" must be a list.');
+    }
+    const rules = (config.rules || []).map(compileRule);
+    const names = new Set();
+    for (const { name } of rules) {
+        if (names.has(name)) {
+            throw new Error(`Alert rules: more than one rule is named "${name}".`);
+        }
+        names.add(name);
+    }
+    return { defaultSeverity, auditSinks, rules };
+}
+
+/**
+ * Checks whether a compiled rule applies to an alert.
+ * @param {Object} rule
+ * @param {Object} alert
+ * @returns {boolean}
+ */
+function ruleApplies(rule, alert) {
+    const isKnown = field => typeof alert[field] === 'number';
+    return rule.match.every(([field, allowed]) => toList(alert[field]).some(value => allowed.has(normalize(value))))
+        && (!rule.addresses || ADDRESS_FIELDS.some(field => alert[field] && rule.addresses.has(normalize(alert[field]))))
+        && (!rule.tokens || (alert.tokens || []).some(token => rule.tokens.has(normalize(token))))
+        && (!rule.below || Object.entries(rule.below).every(([field, limit]) => isKnown(field) && alert[field] < limit))
+        && (!rule.atLeast || Object.entries(rule.atLeast).every(([field, limit]) => isKnown(field) && alert[field] >= limit));
+}
+
+class AlertRules extends EventEmitter {
+    /**
+     * @param {Object} [config={}] - See the top of this file. Without rules, every alert is
+     *   published with the default severity and no tags.
+     */
+    constructor(config = {}) {
+        super();
+        Object.assign(this, compileRules(config));
+        this.filePath = null;
+    }
+
+    /**
+     * Loads the rules from a file and reloads them whenever it changes.
+     * Emits `reload` (`{ rules }`, the number of rules) after each successful reload and
+     * `reload-error` (`Error`) when a changed file is rejected.
+     * @param {string} filePath
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs=1000] - How often the file is checked.
+     * @returns {AlertRules}
+     * @throws {Error} If the file cannot be read or its rules are invalid.
+     */
+    static watchFile(filePath, options = {}) {
+        const rules = new AlertRules(loadRulesConfig(filePath));
+        rules.filePath = filePath;
+        const interval = options.intervalMs !== undefined ? options.intervalMs : DEFAULT_WATCH_INTERVAL_MS;
+        fs.watchFile(filePath, { interval }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                rules.reload();
+            }
+        }).unref();
+        return rules;
+    }
+
+    /**
+     * Re-reads the watched file, keeping the current rules if it is invalid.
+     * @returns {boolean} Whether the new rules are in force.
+     */
+    reload() {
+        try {
+            Object.assign(this, compileRules(loadRulesConfig(this.filePath)));
+        } catch (error) {
+            this.emit('reload-error', error);
+            return false;
+        }
+        this.emit('reload', { rules: this.rules.length });
+        return true;
+    }
+
+    /**
+     * Runs the rules on an alert.
+     * @param {Object} alert
+     * @returns {{severity: string, tags: Array<string>, matched: Array<string>,
+     *   suppressed_by: (string|null), escalated_by: (string|null)}} `suppressed_by` is
+     *   `null` unless the alert must not be published.
+     */
+    evaluate(alert) {
+        let severity = this.defaultSeverity;
+        const tags = new Set();
+        const matched = [];
+        let suppressedBy = null;
+        let escalatedBy = null;
+        for (const rule of this.rules) {
+            if (!ruleApplies(rule, alert)) continue;
+            matched.push(rule.name);
+            rule.tags.forEach(tag => tags.add(tag));
+            if (rule.severity) {
+                severity = higherSeverity(severity, rule.severity);
+            }
+            if (rule.action === RuleAction.ESCALATE) {
+                severity = higherSeverity(severity, Severity.HIGH);
+                escalatedBy = escalatedBy || rule.name;
+            } else if (rule.action === RuleAction.SUPPRESS) {
+                suppressedBy = suppressedBy || rule.name;
+            }
+        }
+        return {
+            severity,
+            tags: Array.from(tags),
+            matched,
+            suppressed_by: escalatedBy ? null : suppressedBy,
+            escalated_by: escalatedBy,
+        };
+    }
+
+    /**
+     * Runs the rules on an alert and records the outcome in it (`severity`, `tags` and
+     * `rules`).
+     * @param {Object} alert - Modified in place.
+     * @returns {boolean} Whether the alert should be published.
+     */
+    apply(alert) {
+        const { severity, tags, ...outcome } = this.evaluate(alert);
+        alert.severity = severity;
+        alert.tags = tags;
+        alert.rules = outcome;
+        return outcome.suppressed_by === null;
+    }
+
+    /**
+     * Stops watching the rules file.
+     */
+    close() {
+        if (this.filePath) {
+            fs.unwatchFile(this.filePath);
+        }
+    }
+}
+
+module.exports = {
+    Severity,
+    RuleAction,
+    loadRulesConfig,
+    compileRules,
+    ruleApplies,
+    AlertRules,
+};
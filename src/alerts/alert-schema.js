@@ -0,0 +1,93 @@
+// src/alerts/alert-schema.js (Versioned alert schema and validation)
+
+// Every alert is checked against schemas/alert-v1.schema.json before it is published, so
+// consumers can rely on its shape and tell versions apart from `schema_version` (also sent
+// as a Kafka header). Alerts that do not match are never published: `assertValidAlert`
+// throws an `AlertSchemaError` listing what is wrong.
+
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const alertSchema = require('./schemas/alert-v1.schema.json');
+const { version: DETECTOR_VERSION } = require('../../package.json');
+
+const ALERT_SCHEMA_VERSION = alertSchema.properties.schema_version.const;
+
+// What was detected. Mirrors the schema's `detection_type` enum.
+const DetectionType = Object.freeze({
+    SANDWICH: 'sandwich',
+    JIT_LIQUIDITY: 'jit_liquidity',
+    COPYCAT: 'copycat',
+});
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validate = ajv.compile(alertSchema);
+
+class AlertSchemaError extends Error {
+    /**
+     * @param {Object} alert - The rejected alert.
+     * @param {Array<Object>} errors - Ajv validation errors.
+     */
+    constructor(alert, errors) {
+        const details = errors.map(error => `${error.instancePath || '/'} ${error.message}`).join('; ');
+        super(`Alert does not match schema v${ALERT_SCHEMA_VERSION}: ${details}`);
+        this.name = 'AlertSchemaError';
+        this.alert = alert;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Checks an alert against the schema.
+ * @param {Object} alert
+ * @returns {Array<Object>} The validation errors; empty if the alert is valid.
+ */
+function validateAlert(alert) {
+    return validate(alert) ? [] : validate.errors.slice();
+}
+
+/**
+ * Throws an `AlertSchemaError` unless the alert matches the schema.
+ * @param {Object} alert
+ */
+function assertValidAlert(alert) {
+    const errors = validateAlert(alert);
+    if (errors.length > 0) {
+        throw new AlertSchemaError(alert, errors);
+    }
+}
+
+/**
+ * The `timestamp` of an alert: when it was built, by the pipeline's clock.
+ * @param {Object} [context]
+ * @param {function(): number} [context.now=Date.now] - The pipeline's clock (ms). A replay's
+ *   follows the capture, so replayed alerts carry the times they had when it was recorded.
+ * @returns {number} Unix seconds.
+ */
+function alertTimestamp(context = {}) {
+    return Math.floor((context.now ? context.now() : Date.now()) / 1000);
+}
+
+/**
+ * Derives an alert's id from what it reports, so the same detection (e.g. in two replays
+ * of a capture) always gets the same id and consumers can drop duplicates.
+ * @param {string} detectionType
+ * @param {string} status
+ * @param {Array<string>} txHashes
+ * @returns {string} 32 hex characters.
+ */
+function alertIdFor(detectionType, status, txHashes) {
+    const material = [detectionType, status, ...txHashes.map(hash => hash.toLowerCase())].join(':');
+    return crypto.createHash('sha256').update(material).digest('hex').slice(0, 32);
+}
+
+module.exports = {
+    ALERT_SCHEMA_VERSION,
+    DETECTOR_VERSION,
+    DetectionType,
+    alertSchema,
+    AlertSchemaError,
+    validateAlert,
+    assertValidAlert,
+    alertIdFor,
+    alertTimestamp,
+};
@@ -0,0 +1,106 @@
+// src/alerts/copycat-alert.js (Alert payloads for a copied transaction)
+
+const {
+    ALERT_SCHEMA_VERSION,
+    DETECTOR_VERSION,
+    DetectionType,
+    alertIdFor,
+    alertTimestamp,
+} = require('./alert-schema');
+
+// How sure a mempool copycat detection is: the calldata matches and the copy outbids the
+// original, but the two senders could still be unrelated users making the same call.
+const COPYCAT_CONFIDENCE = 0.6;
+
+/**
+ * Builds the schema fields shared by every copycat alert.
+ * @param {string} status
+ * @param {Array<string>} txHashes - Copy, then original.
+ * @param {number} chainId
+ */
+function copycatEnvelope(status, txHashes, chainId) {
+    return {
+        schema_version: ALERT_SCHEMA_VERSION,
+        alert_id: alertIdFor(DetectionType.COPYCAT, status, txHashes),
+        detection_type: DetectionType.COPYCAT,
+        status,
+        chain_id: chainId,
+        detector_version: DETECTOR_VERSION,
+    };
+}
+
+/**
+ * Builds the alert message for one copycat finding.
+ * @param {Object} finding - A finding returned by `CopycatDetector`.
+ * @param {Object} context - `{ chainId, now }` (see `alertTimestamp`).
+ * @returns {Object} The alert payload (see schemas/alert-v1.schema.json).
+ */
+function buildCopycatAlert(finding, context) {
+    // The copy is meant to be mined first.
+    const txHashes = [finding.copy_hash, finding.original_hash];
+    return {
+        ...copycatEnvelope('suspected', txHashes, context.chainId),
+        confidence: COPYCAT_CONFIDENCE,
+        victim: finding.victim,
+        attacker: finding.attacker,
+        // What the copy earns is unknown without simulating the target contract.
+        profit_eth: null,
+        tx_hashes: txHashes,
+        original_tx: finding.original_hash,
+        copy_tx: finding.copy_hash,
+        target: finding.target,
+        similarity: parseFloat(finding.similarity.toFixed(4)),
+        original_priority_fee_gwei: finding.original_priority_fee_gwei,
+        copy_priority_fee_gwei: finding.copy_priority_fee_gwei,
+        fee_difference_gwei: finding.fee_difference_gwei,
+        gas_premium: finding.gas_premium,
+        router: null,
+        pool: null,
+        rule: finding.rule,
+        timestamp: alertTimestamp(context),
+    };
+}
+
+/**
+ * Builds the follow-up message sent once the copycat confirmer settles an alert.
+ * @param {Object} outcome - A `confirmed` or `retracted` event from the `CopycatConfirmer`.
+ * @param {Object} [context] - `{ now }` (see `alertTimestamp`); the chain is the original alert's.
+ * @returns {Object} The follow-up payload (see schemas/alert-v1.schema.json).
+ */
+function buildCopycatConfirmationAlert(outcome, context = {}) {
+    const { alert, positions } = outcome;
+    const firstPosition = outcome.landed_first ? positions[outcome.landed_first] : null;
+    return {
+        ...copycatEnvelope(outcome.status, alert.tx_hashes, alert.chain_id),
+        parent_alert_id: alert.alert_id,
+        confidence: outcome.status === 'confirmed' ? 1 : 0,
+        reason: outcome.reason, // Why it was retracted, `null` when confirmed
+        victim: alert.victim,
+        attacker: alert.attacker,
+        tx_hashes: alert.tx_hashes,
+        original_tx: alert.original_tx,
+        copy_tx: alert.copy_tx,
+        target: alert.target,
+        similarity: alert.similarity,
+        fee_difference_gwei: alert.fee_difference_gwei,
+        gas_premium: alert.gas_premium,
+        router: null,
+        pool: null,
+        rule: alert.rule,
+        landed_first: outcome.landed_first,
+        block_number: firstPosition ? firstPosition.blockNumber : null,
+        transaction_indexes: {
+            original: positions.original ? positions.original.transactionIndex : null,
+            copy: positions.copy ? positions.copy.transactionIndex : null,
+        },
+        profit_eth: null,
+        actual: outcome.actual || null,
+        timestamp: alertTimestamp(context),
+    };
+}
+
+module.exports = {
+    COPYCAT_CONFIDENCE,
+    buildCopycatAlert,
+    buildCopycatConfirmationAlert,
+};
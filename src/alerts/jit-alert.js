@@ -0,0 +1,58 @@
+// src/alerts/jit-alert.js (Alert payload for a detected JIT liquidity attack)
+
+const {
+    ALERT_SCHEMA_VERSION,
+    DETECTOR_VERSION,
+    DetectionType,
+    alertIdFor,
+    alertTimestamp,
+} = require('./alert-schema');
+const { roundEth } = require('./sandwich-alert');
+const { swapOnPool } = require('../clustering/pool-clusterer');
+
+// How sure a mempool JIT detection is: the add and the remove were seen on the victim's
+// pair around its swap, but nothing proves they land in the same block.
+const JIT_CONFIDENCE = 0.7;
+
+/**
+ * Builds the alert message for one JIT liquidity finding.
+ * @param {Object} finding - A finding returned by the WASM JIT detector.
+ * @param {Object|null} simulation - The result of `simulateJit`, or `null` if the fees
+ *   could not be estimated (the fee fields are then `null`).
+ * @param {Object} [victimTx] - The victim's ingested transaction, for the tokens it swaps.
+ * @param {Object} context - `{ chainId, now }` (see `alertTimestamp`).
+ * @returns {Object} The alert payload (see schemas/alert-v1.schema.json).
+ */
+function buildJitAlert(finding, simulation, victimTx, context) {
+    const txHashes = [finding.add_hash, finding.victim_hash, finding.remove_hash];
+    const status = 'suspected';
+    return {
+        schema_version: ALERT_SCHEMA_VERSION,
+        alert_id: alertIdFor(DetectionType.JIT_LIQUIDITY, status, txHashes),
+        detection_type: DetectionType.JIT_LIQUIDITY,
+        status,
+        chain_id: context.chainId,
+        detector_version: DETECTOR_VERSION,
+        confidence: JIT_CONFIDENCE,
+        victim: finding.victim,
+        attacker: finding.attacker, // The JIT liquidity provider
+        // Fees collected from the victim's swap, net of the add and remove gas.
+        profit_eth: roundEth(simulation && simulation.net_profit_eth),
+        jit_fees_eth: roundEth(simulation && simulation.jit_fees_eth),
+        lp_dilution: simulation ? simulation.lp_dilution : null,
+        tx_hashes: txHashes,
+        add_liquidity_tx: finding.add_hash,
+        victim_tx: finding.victim_hash,
+        remove_liquidity_tx: finding.remove_hash,
+        router: finding.router || null,
+        pool: simulation ? simulation.pool : finding.pool,
+        tokens: victimTx && victimTx.swap ? swapOnPool(victimTx, finding.pool).path : null,
+        rule: finding.rule || null,
+        timestamp: alertTimestamp(context),
+    };
+}
+
+module.exports = {
+    JIT_CONFIDENCE,
+    buildJitAlert,
+};
@@ -0,0 +1,176 @@
+// src/alerts/sandwich-alert.js (Alert payload for a detected sandwich)
+
+const {
+    ALERT_SCHEMA_VERSION,
+    DETECTOR_VERSION,
+    DetectionType,
+    alertIdFor,
+    alertTimestamp,
+} = require('./alert-schema');
+const { swapOnPool } = require('../clustering/pool-clusterer');
+
+// How sure a mempool detection is, by the rule that matched. `pool_sandwich` saw the
+// swap directions on the shared pair; `router_sandwich` only the slippage pattern.
+// Confirmed alerts have confidence 1 and retracted ones 0.
+const RULE_CONFIDENCE = Object.freeze({
+    pool_sandwich: 0.8,
+    router_sandwich: 0.5,
+});
+const DEFAULT_CONFIDENCE = 0.5;
+
+/**
+ * Rounds an ETH amount to 4 decimal places, keeping `null` for unknown values.
+ * @param {number|null|undefined} value
+ * @returns {number|null}
+ */
+function roundEth(value) {
+    return value === null || value === undefined ? null : parseFloat(value.toFixed(4));
+}
+
+/**
+ * Builds the schema fields shared by every sandwich alert.
+ * @param {string} status
+ * @param {Array<string>} txHashes - Frontrun, victim and backrun hashes.
+ * @param {Object} context
+ * @param {number} context.chainId - Chain the transactions were seen on.
+ * @param {string} [detectionType='sandwich'] - Rollups also report other detection types.
+ */
+function sandwichEnvelope(status, txHashes, context, detectionType = DetectionType.SANDWICH) {
+    return {
+        schema_version: ALERT_SCHEMA_VERSION,
+        alert_id: alertIdFor(detectionType, status, txHashes),
+        detection_type: detectionType,
+        status,
+        chain_id: context.chainId,
+        detector_version: DETECTOR_VERSION,
+    };
+}
+
+/**
+ * Builds the alert message for one sandwich finding.
+ * @param {Object} finding - A finding returned by the WASM detector.
+ * @param {Object|null} simulation - The result of `simulateSandwich`, or `null` if the
+ *   sandwich could not be simulated (profit and loss fields are then `null`).
+ * @param {Object} [victimTx] - The victim's ingested transaction, for its slippage tolerance.
+ * @param {Object} context - `{ chainId, now }` (see `alertTimestamp`).
+ * @returns {Object} The alert payload (see schemas/alert-v1.schema.json).
+ */
+function buildSandwichAlert(finding, simulation, victimTx, context) {
+    const txHashes = [finding.frontrun_hash, finding.victim_hash, finding.backrun_hash];
+    return {
+        // Mempool detections are suspicions until the block confirmer settles them.
+        ...sandwichEnvelope('suspected', txHashes, context),
+        confidence: RULE_CONFIDENCE[finding.rule] !== undefined ? RULE_CONFIDENCE[finding.rule] : DEFAULT_CONFIDENCE,
+        victim: finding.victim,
+        attacker: finding.attacker,
+        // Profit is net of the attacker's gas.
+        profit_eth: roundEth(simulation && simulation.net_profit_eth),
+        gross_profit_eth: roundEth(simulation && simulation.gross_profit_eth),
+        victim_loss_eth: roundEth(simulation && simulation.victim_loss_eth),
+        victim_amount_eth: roundEth(simulation && simulation.victim_amount_eth),
+        victim_slippage_tolerance: victimTx && victimTx.slippage_tolerance !== undefined ? victimTx.slippage_tolerance : null,
+        // How much more per gas the frontrun pays the block producer than the victim.
+        gas_premium: finding.gas_premium !== undefined ? finding.gas_premium : null,
+        tx_hashes: txHashes,
+        frontrun_tx: finding.frontrun_hash,
+        victim_tx: finding.victim_hash,
+        backrun_tx: finding.backrun_hash,
+        router: finding.router || null,
+        pool: simulation ? simulation.pool : finding.pool,
+        tokens: victimTx && victimTx.swap ? swapOnPool(victimTx, finding.pool).path : null,
+        rule: finding.rule || null,
+        timestamp: alertTimestamp(context),
+    };
+}
+
+/**
+ * Builds the follow-up message sent once the block confirmer settles an alert.
+ * It repeats the original alert's transactions and names it in `parent_alert_id`
+ * so consumers can match the two.
+ * @param {Object} outcome - A `confirmed` or `retracted` event from the `BlockConfirmer`.
+ * @param {Object} [context] - `{ now }` (see `alertTimestamp`); the chain is the original alert's.
+ * @returns {Object} The follow-up payload (see schemas/alert-v1.schema.json).
+ */
+function buildConfirmationAlert(outcome, context = {}) {
+    const { alert, actual } = outcome;
+    const netProfit = actual && actual.gross_profit_eth !== null
+        ? actual.gross_profit_eth - actual.gas_cost_eth
+        : null;
+    return {
+        // `confirmed` or `retracted`, on the same chain as the original alert.
+        ...sandwichEnvelope(outcome.status, alert.tx_hashes, { chainId: alert.chain_id }),
+        parent_alert_id: alert.alert_id,
+        confidence: outcome.status === 'confirmed' ? 1 : 0,
+        reason: outcome.reason, // Why it was retracted, `null` when confirmed
+        victim: alert.victim,
+        attacker: alert.attacker,
+        tx_hashes: alert.tx_hashes,
+        frontrun_tx: alert.frontrun_tx,
+        victim_tx: alert.victim_tx,
+        backrun_tx: alert.backrun_tx,
+        router: alert.router,
+        pool: actual && actual.pool ? actual.pool : alert.pool,
+        tokens: alert.tokens !== undefined ? alert.tokens : null,
+        victim_amount_eth: alert.victim_amount_eth !== undefined ? alert.victim_amount_eth : null,
+        rule: alert.rule,
+        gas_premium: alert.gas_premium !== undefined ? alert.gas_premium : null,
+        block_number: outcome.positions.victim ? outcome.positions.victim.blockNumber : null,
+        transaction_indexes: {
+            frontrun: outcome.positions.frontrun ? outcome.positions.frontrun.transactionIndex : null,
+            victim: outcome.positions.victim ? outcome.positions.victim.transactionIndex : null,
+            backrun: outcome.positions.backrun ? outcome.positions.backrun.transactionIndex : null,
+        },
+        // Realized figures from the receipts' Swap logs (confirmed alerts only).
+        profit_eth: roundEth(netProfit),
+        actual: actual || null,
+        timestamp: alertTimestamp(context),
+    };
+}
+
+// How rollup summaries name the suppressed detections, by detection type.
+const ROLLUP_NOUNS = Object.freeze({
+    [DetectionType.SANDWICH]: 'sandwiches',
+    [DetectionType.JIT_LIQUIDITY]: 'JIT liquidity attacks',
+    [DetectionType.COPYCAT]: 'copied transactions',
+});
+
+/**
+ * Builds the rollup alert reporting an attacker's suppressed repeat detections.
+ * @param {Object} rollup - From `AlertDeduplicator.takeRollup` / `takeDueRollups`.
+ * @param {Object} context - `{ chainId, now }` (see `alertTimestamp`).
+ * @param {Object} [options]
+ * @param {boolean} [options.escalated=false] - Sent early because the escalation threshold was reached.
+ * @param {string} [options.detectionType='sandwich'] - What the suppressed detections were.
+ * @returns {Object} The rollup payload (see schemas/alert-v1.schema.json).
+ */
+function buildRollupAlert(rollup, context, options = {}) {
+    const escalated = Boolean(options.escalated);
+    const detectionType = options.detectionType || DetectionType.SANDWICH;
+    const minutes = Math.max(1, Math.round((rollup.last_seen - rollup.first_seen) / 60));
+    const totalProfit = roundEth(rollup.profit_eth);
+    return {
+        ...sandwichEnvelope('rollup', rollup.tx_hashes, context, detectionType),
+        // A rollup mixes detections of every rule.
+        confidence: DEFAULT_CONFIDENCE,
+        attacker: rollup.attacker,
+        victim: null,
+        tx_hashes: rollup.tx_hashes, // The suppressed victims
+        pool: null,
+        suppressed_count: rollup.count,
+        total_profit_eth: totalProfit,
+        window_start: rollup.first_seen,
+        window_end: rollup.last_seen,
+        escalated,
+        summary: `attacker ${rollup.attacker}: ${rollup.count} more ${ROLLUP_NOUNS[detectionType]}, ${totalProfit} ETH in the last ${minutes} min`
+            + (escalated ? ' (escalated)' : ''),
+        timestamp: alertTimestamp(context),
+    };
+}
+
+module.exports = {
+    RULE_CONFIDENCE,
+    roundEth,
+    buildSandwichAlert,
+    buildConfirmationAlert,
+    buildRollupAlert,
+};
@@ -0,0 +1,49 @@
+// src/alerts/sinks/alert-sink.js (Common interface of every alert destination)
+
+// An alert sink delivers alert payloads to one destination (Kafka, a webhook, a file, ...).
+// Sinks are created from the `sinks` section of the alert config and driven by the
+// `AlertRouter`, which connects them at startup, hands them the alerts routed to them and
+// writes anything they fail to deliver to their dead-letter file.
+
+class AlertSink {
+    /**
+     * @param {string} name - The sink's name in the config; also names its dead-letter file.
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Opens the connection to the destination. Called once before the first `send`.
+     * @returns {Promise<void>}
+     */
+    async connect() {}
+
+    /**
+     * Whether the sink can deliver right now; reported by the readiness endpoint.
+     * Sinks without a connection to lose are always connected.
+     * @returns {boolean}
+     */
+    isConnected() {
+        return true;
+    }
+
+    /**
+     * Delivers one alert. Throws if the alert could not be delivered.
+     * @param {Object} alert - The alert payload.
+     * @returns {Promise<void>}
+     */
+    async send(alert) {
+        throw new Error(`${this.constructor.name} does not implement send()`);
+    }
+
+    /**
+     * Flushes and closes the connection.
+     * @returns {Promise<void>}
+     */
+    async close() {}
+}
+
+module.exports = {
+    AlertSink,
+};
@@ -0,0 +1,23 @@
+// src/alerts/sinks/console-sink.js (Prints alerts to stdout)
+
+const { AlertSink } = require('./alert-sink');
+
+class ConsoleSink extends AlertSink {
+    /**
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {boolean} [options.pretty=false] - Indent the JSON instead of one line per alert.
+     */
+    constructor(name, options = {}) {
+        super(name);
+        this.pretty = Boolean(options.pretty);
+    }
+
+    async send(alert) {
+        console.log(`[alert] ${JSON.stringify(alert, null, this.pretty ? 2 : undefined)}`);
+    }
+}
+
+module.exports = {
+    ConsoleSink,
+};
@@ -0,0 +1,43 @@
+// src/alerts/sinks/file-sink.js (Appends alerts to a JSONL file)
+
+const fs = require('fs');
+const path = require('path');
+const { AlertSink } = require('./alert-sink');
+
+class FileSink extends AlertSink {
+    /**
+     * @param {string} name
+     * @param {Object} options
+     * @param {string} options.path - The JSONL file; created if missing, never truncated.
+     */
+    constructor(name, options = {}) {
+        super(name);
+        if (!options.path) {
+            throw new Error(`Alert sink "${name}": file sinks need a "path".`);
+        }
+        this.path = options.path;
+        this.stream = null;
+    }
+
+    async connect() {
+        await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+        this.stream = fs.createWriteStream(this.path, { flags: 'a' });
+    }
+
+    send(alert) {
+        return new Promise((resolve, reject) => {
+            this.stream.write(`${JSON.stringify(alert)}\n`, error => (error ? reject(error) : resolve()));
+        });
+    }
+
+    close() {
+        if (!this.stream) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.stream.end(resolve));
+    }
+}
+
+module.exports = {
+    FileSink,
+};
@@ -0,0 +1,67 @@
+// src/alerts/sinks/kafka-sink.js (Publishes alerts to a Kafka topic)
+
+// Messages are keyed by the attacker's (lowercased) address, so all alerts about one
+// attacker land on the same partition and stay in order. The `schema-version` and
+// `alert-type` headers let consumers route or reject messages without parsing them.
+
+const { Kafka } = require('kafkajs');
+const { AlertSink } = require('./alert-sink');
+
+class KafkaSink extends AlertSink {
+    /**
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {Array<string>} [options.brokers=['localhost:9092']] - Kafka broker addresses.
+     * @param {string} [options.topic='mev-alerts'] - Topic the alerts are published to.
+     * @param {string} [options.clientId='mev-bot-detector'] - Kafka client id.
+     * @param {import('kafkajs').Producer} [options.producer] - A producer to use instead of
+     *   creating one from `brokers` (e.g. the `FakeKafkaProducer` of src/testing/).
+     */
+    constructor(name, options = {}) {
+        super(name);
+        this.topic = options.topic || 'mev-alerts';
+        if (options.producer) {
+            this.producer = options.producer;
+        } else {
+            const kafka = new Kafka({
+                clientId: options.clientId || 'mev-bot-detector',
+                brokers: options.brokers || ['localhost:9092'],
+            });
+            this.producer = kafka.producer();
+        }
+        // kafkajs reconnects on its own; its events keep this flag current.
+        this.connected = false;
+        this.producer.on(this.producer.events.CONNECT, () => { this.connected = true; });
+        this.producer.on(this.producer.events.DISCONNECT, () => { this.connected = false; });
+    }
+
+    async connect() {
+        await this.producer.connect();
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    async send(alert) {
+        await this.producer.send({
+            topic: this.topic,
+            messages: [{
+                key: alert.attacker.toLowerCase(),
+                value: JSON.stringify(alert), // Kafka messages are typically strings/buffers
+                headers: {
+                    'schema-version': alert.schema_version,
+                    'alert-type': alert.detection_type,
+                },
+            }],
+        });
+    }
+
+    async close() {
+        await this.producer.disconnect();
+    }
+}
+
+module.exports = {
+    KafkaSink,
+};
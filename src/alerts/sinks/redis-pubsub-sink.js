@@ -0,0 +1,42 @@
+// src/alerts/sinks/redis-pubsub-sink.js (Publishes alerts on a Redis Pub/Sub channel)
+
+const Redis = require('ioredis');
+const { AlertSink } = require('./alert-sink');
+
+class RedisPubSubSink extends AlertSink {
+    /**
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {string} [options.url='redis://localhost:6379']
+     * @param {string} [options.channel='mev-alerts'] - Channel the alerts are published on.
+     */
+    constructor(name, options = {}) {
+        super(name);
+        this.url = options.url || 'redis://localhost:6379';
+        this.channel = options.channel || 'mev-alerts';
+        this.redis = null;
+    }
+
+    async connect() {
+        this.redis = new Redis(this.url, { lazyConnect: true });
+        await this.redis.connect();
+    }
+
+    isConnected() {
+        return Boolean(this.redis) && this.redis.status === 'ready';
+    }
+
+    async send(alert) {
+        await this.redis.publish(this.channel, JSON.stringify(alert));
+    }
+
+    async close() {
+        if (this.redis) {
+            await this.redis.quit();
+        }
+    }
+}
+
+module.exports = {
+    RedisPubSubSink,
+};
@@ -0,0 +1,105 @@
+// src/alerts/sinks/webhook-sink.js (POSTs alerts to an HTTP endpoint)
+
+// Each alert is POSTed as JSON. When a `secret` is configured, the request is signed so
+// the receiver can check it came from us and was not replayed:
+//   X-MEV-Timestamp: <unix seconds>
+//   X-MEV-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret>
+// Every request also carries X-MEV-Schema-Version and X-MEV-Alert-Type headers.
+// Network errors, timeouts, 429s and 5xx responses are retried with exponential backoff;
+// other 4xx responses fail at once, since resending the same body won't fix them.
+
+const crypto = require('crypto');
+const { AlertSink } = require('./alert-sink');
+
+/**
+ * Computes the `X-MEV-Signature` value for a request body.
+ * @param {string} secret
+ * @param {string|number} timestamp - The `X-MEV-Timestamp` header value.
+ * @param {string} body - The exact request body.
+ * @returns {string} `sha256=<hex>`
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class WebhookSink extends AlertSink {
+    /**
+     * @param {string} name
+     * @param {Object} options
+     * @param {string} options.url - The endpoint alerts are POSTed to.
+     * @param {string} [options.secret] - HMAC key; requests are unsigned without it.
+     * @param {Object<string, string>} [options.headers] - Extra request headers.
+     * @param {number} [options.maxRetries=3] - Retries after the first attempt.
+     * @param {number} [options.retryDelayMs=500] - First backoff delay, doubled on each retry.
+     * @param {number} [options.timeoutMs=5000] - Per-attempt timeout.
+     */
+    constructor(name, options = {}) {
+        super(name);
+        if (!options.url) {
+            throw new Error(`Alert sink "${name}": webhook sinks need a "url".`);
+        }
+        this.url = options.url;
+        this.secret = options.secret || null;
+        this.headers = options.headers || {};
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : 500;
+        this.timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : 5000;
+    }
+
+    async send(alert) {
+        const body = JSON.stringify(alert);
+        let lastError;
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            if (attempt > 0) {
+                await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+            }
+            try {
+                const response = await fetch(this.url, {
+                    method: 'POST',
+                    headers: this.requestHeaders(alert, body),
+                    body,
+                    signal: AbortSignal.timeout(this.timeoutMs),
+                });
+                // The body is never read: cancel it, or the connection stays busy until it is
+                // garbage collected.
+                if (response.body) {
+                    await response.body.cancel();
+                }
+                if (response.ok) {
+                    return;
+                }
+                lastError = new Error(`Webhook ${this.url} responded ${response.status} ${response.statusText}`);
+                if (response.status !== 429 && response.status < 500) {
+                    break; // Not retryable.
+                }
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Builds the headers of one attempt. The signature is recomputed each time so the
+     * timestamp stays fresh across retries.
+     */
+    requestHeaders(alert, body) {
+        const headers = { 'Content-Type': 'application/json', ...this.headers };
+        headers['X-MEV-Schema-Version'] = String(alert.schema_version);
+        headers['X-MEV-Alert-Type'] = String(alert.detection_type);
+        if (this.secret) {
+            const timestamp = Math.floor(Date.now() / 1000);
+            headers['X-MEV-Timestamp'] = String(timestamp);
+            headers['X-MEV-Signature'] = signPayload(this.secret, timestamp, body);
+        }
+        return headers;
+    }
+}
+
+module.exports = {
+    signPayload,
+    WebhookSink,
+};
@@ -0,0 +1,181 @@
+// src/backtest/backtester.js (The detection pipeline, run over mined blocks)
+
+// Feeds the transactions of mined blocks through the live pipeline's steps, block by block:
+// the same decoding and fee model (`normalizeTransaction`), the same per-pool clusters and
+// windows (`PoolClusterer`), the same detectors and the same simulations. What differs is
+// only what history fixes:
+// - a block's transactions arrive together, in their mined order, all stamped with the
+//   block's timestamp (the detectors break ties by that order);
+// - fees are computed against the block's own base fee;
+// - reverted transactions are left out, since they traded nothing;
+// - the pool cache is rebuilt for each block, from the state before it (what the live
+//   pipeline sees while the block is pending), and gas costs use the real gas used.
+// No alert is published: every finding is kept, for the report (see report.js).
+
+const { DecoderRegistry } = require('../decoders/registry');
+const { PoolClusterer } = require('../clustering/pool-clusterer');
+const { PoolStateCache } = require('../pools/pool-state');
+const { impliedSlippage } = require('../pools/sandwich-simulator');
+const { toEngineTransaction, detectSandwiches } = require('../detection/sandwich');
+const { detectJitLiquidity } = require('../detection/jit-liquidity');
+const { normalizeTransaction, simulateSandwichFinding, simulateJitFinding } = require('../service/detector-service');
+const { fromRpcTransaction } = require('./block-source');
+
+/**
+ * The reserves a pool cache was seeded with, in the `pairs` format of a fixture
+ * (src/providers/json-fixture-provider.js).
+ * @param {PoolStateCache} poolState
+ * @returns {Object<string, {token0: string, token1: string, reserve0: string, reserve1: string}>}
+ */
+function seededPairs(poolState) {
+    const pairs = {};
+    for (const [address, pool] of poolState.pools) {
+        pairs[address] = { token0: pool.token0, token1: pool.token1, reserve0: pool.reserve0.toString(), reserve1: pool.reserve1.toString() };
+    }
+    return pairs;
+}
+
+class Backtester {
+    /**
+     * @param {Object} config - The effective config (see src/config/config.js).
+     * @param {Object} [options]
+     * @param {{detectSandwiches: Function, detectJitLiquidity: Function}} [options.detectors] -
+     *   The WASM detectors by default.
+     * @param {Console} [options.logger=console]
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        this.detectors = options.detectors || { detectSandwiches, detectJitLiquidity };
+        this.logger = options.logger || console;
+        this.decoders = DecoderRegistry.fromConfig(config);
+        // Windows as in the live pipeline, so sandwiches spanning blocks are found too.
+        this.clusterer = new PoolClusterer({
+            windowMs: config.transactionLifespanMs,
+            windowBlocks: config.clusterWindowBlocks,
+            maxTransactions: config.clusterMaxTransactions,
+        });
+        // A cluster is analyzed again when it gains transactions: report each finding once.
+        this.seenFindings = new Set();
+        this.stats = { blocks: 0, transactions: 0, reverted: 0, clustered: 0, firstBlock: null, lastBlock: null };
+    }
+
+    /**
+     * Runs one block through the pipeline. Blocks must be given in order.
+     * @param {Object} record
+     * @param {Object} record.block - `eth_getBlockByNumber(n, true)`.
+     * @param {Array<Object>} [record.receipts] - `eth_getBlockReceipts(n)`.
+     * @param {Object} record.stateProvider - Answers `getReserves()` as of the block before.
+     * @returns {Promise<{findings: Array<Object>, pairs: Object}>} The block's new findings
+     *   (see `toFinding`), and the reserves the block's simulations started from.
+     */
+    async runBlock({ block, receipts = [], stateProvider }) {
+        const blockNumber = Number(block.number);
+        const blockTime = Number(block.timestamp) * 1000;
+        const baseFee = block.baseFeePerGas ? BigInt(block.baseFeePerGas) : null;
+        const receiptsByHash = new Map(receipts.map(receipt => [receipt.transactionHash.toLowerCase(), receipt]));
+        const poolState = new PoolStateCache(stateProvider, {
+            factoryAddress: this.config.factoryAddress,
+            initCodeHash: this.config.pairInitCodeHash,
+            wethAddress: this.config.wethAddress,
+        });
+
+        this.clusterer.onBlock(blockNumber);
+        for (const raw of block.transactions) {
+            if (typeof raw === 'string') {
+                throw new Error(`Block ${blockNumber} lists transaction hashes only; fetch it with its transactions`);
+            }
+            this.stats.transactions++;
+            const tx = fromRpcTransaction(raw);
+            const receipt = receiptsByHash.get(tx.hash);
+            if (receipt && Number(receipt.status) === 0) {
+                this.stats.reverted++;
+                continue;
+            }
+            tx.ingestionTime = blockTime;
+            normalizeTransaction(tx, this.decoders, baseFee);
+            tx.gas_used = receipt ? BigInt(receipt.gasUsed) : undefined;
+            tx.slippage_tolerance = tx.is_uniswap_swap ? await impliedSlippage(tx.swap, poolState) : null;
+            if (this.clusterer.add(tx).length > 0) {
+                this.stats.clustered++;
+            }
+        }
+
+        const findings = [];
+        const clusters = this.clusterer.takeDirtyClusters(blockTime)
+            .filter(({ transactions }) => transactions.length >= 3);
+        for (const { key, transactions } of clusters) {
+            let sandwiches;
+            let jit;
+            try {
+                // Serialized once for both detectors.
+                const records = JSON.stringify(transactions.map(toEngineTransaction));
+                sandwiches = this.detectors.detectSandwiches(records);
+                jit = this.detectors.detectJitLiquidity(records);
+            } catch (error) {
+                this.logger.error(`Error in WASM MEV detection on cluster ${key} at block ${blockNumber}:`, error);
+                continue;
+            }
+            const txsByHash = new Map(transactions.map(tx => [tx.hash, tx]));
+            for (const finding of sandwiches) {
+                const id = `${finding.frontrun_hash}:${finding.victim_hash}:${finding.backrun_hash}`;
+                if (this.seenFindings.has(id)) continue;
+                this.seenFindings.add(id);
+                const simulation = await simulateSandwichFinding(poolState, finding, txsByHash);
+                findings.push(toFinding('sandwich', finding, simulation, txsByHash));
+            }
+            for (const finding of jit) {
+                const id = `${finding.add_hash}:${finding.victim_hash}:${finding.remove_hash}`;
+                if (this.seenFindings.has(id)) continue;
+                this.seenFindings.add(id);
+                const simulation = await simulateJitFinding(poolState, finding, txsByHash);
+                // Small victims are not alerted on live either.
+                if (simulation && simulation.victim_volume_share !== null
+                    && simulation.victim_volume_share < this.config.jitMinVictimShare) {
+                    continue;
+                }
+                findings.push(toFinding('jit', finding, simulation, txsByHash));
+            }
+        }
+
+        this.stats.blocks++;
+        if (this.stats.firstBlock === null) {
+            this.stats.firstBlock = blockNumber;
+        }
+        this.stats.lastBlock = blockNumber;
+        return { findings, pairs: seededPairs(poolState) };
+    }
+}
+
+/**
+ * Flattens a detector finding and its simulation into a report row.
+ * @param {string} type - `sandwich` or `jit`.
+ * @param {Object} finding - From the WASM detector.
+ * @param {Object|null} simulation
+ * @param {Map<string, Object>} txsByHash
+ * @returns {Object} `{ type, block_number, rule, attacker, victim, pool, frontrun_hash,
+ *   victim_hash, backrun_hash, gas_premium, profit_eth, victim_loss_eth }`; a JIT finding has
+ *   `add_hash` and `remove_hash` instead of the frontrun and backrun.
+ */
+function toFinding(type, finding, simulation, txsByHash) {
+    const legs = type === 'sandwich'
+        ? { frontrun_hash: finding.frontrun_hash, victim_hash: finding.victim_hash, backrun_hash: finding.backrun_hash }
+        : { add_hash: finding.add_hash, victim_hash: finding.victim_hash, remove_hash: finding.remove_hash };
+    return {
+        type,
+        // Where the victim was mined.
+        block_number: txsByHash.get(finding.victim_hash).blockNumber,
+        rule: finding.rule,
+        attacker: finding.attacker,
+        victim: finding.victim,
+        pool: finding.pool,
+        ...legs,
+        gas_premium: finding.gas_premium !== undefined ? finding.gas_premium : null,
+        profit_eth: simulation ? simulation.net_profit_eth : null,
+        victim_loss_eth: simulation && simulation.victim_loss_eth !== undefined ? simulation.victim_loss_eth : null,
+    };
+}
+
+module.exports = {
+    seededPairs,
+    Backtester,
+};
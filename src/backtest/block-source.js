@@ -0,0 +1,117 @@
+// src/backtest/block-source.js (Mined blocks for the backtest: an archive node, or fixture files)
+
+// The backtest reads each block as the node's JSON-RPC returns it: the block with its full
+// transactions (`eth_getBlockByNumber(n, true)`) and its receipts (`eth_getBlockReceipts(n)`).
+// Blocks come from an archive node, which can also answer `getReserves()` as of any earlier
+// block, or from fixture files of the same records, one block per line:
+//   {"t":1718000000000,"block":{"number":"0x...","transactions":[{...}],...},"receipts":[{...}],"pairs":{...}}
+// Fixture files are JSON Lines like captures (src/capture/capture-file.js), gzipped if the
+// name ends in `.gz`; `t` is when the block was exported. `pairs`, if present, holds the
+// reserves of the pairs the block trades on as of the block before, in the format of
+// src/providers/json-fixture-provider.js, so simulations run offline. `receipts` may be left
+// out (failed transactions are then analyzed too).
+
+const { getAddress, toQuantity } = require('ethers');
+const { readCapture } = require('../capture/capture-file');
+const { JsonFixtureProvider } = require('../providers/json-fixture-provider');
+
+const toBigIntOrNull = value => (value === null || value === undefined ? null : BigInt(value));
+
+/**
+ * Converts a transaction of a JSON-RPC block into the fields of an ethers
+ * `TransactionResponse` that the pipeline reads.
+ * @param {Object} raw - A transaction object of `eth_getBlockByNumber(n, true)`.
+ * @returns {Object}
+ */
+function fromRpcTransaction(raw) {
+    return {
+        hash: raw.hash.toLowerCase(),
+        type: raw.type === undefined ? 0 : Number(raw.type),
+        from: getAddress(raw.from),
+        to: raw.to ? getAddress(raw.to) : null, // `null` for contract creations
+        data: raw.input,
+        value: BigInt(raw.value),
+        nonce: Number(raw.nonce),
+        gasLimit: BigInt(raw.gas),
+        gasPrice: toBigIntOrNull(raw.gasPrice),
+        maxFeePerGas: toBigIntOrNull(raw.maxFeePerGas),
+        maxPriorityFeePerGas: toBigIntOrNull(raw.maxPriorityFeePerGas),
+        chainId: toBigIntOrNull(raw.chainId),
+        blockNumber: Number(raw.blockNumber),
+        index: Number(raw.transactionIndex),
+    };
+}
+
+/**
+ * Reads the blocks of fixture files, in order.
+ * @param {Array<string>} filePaths
+ * @returns {AsyncGenerator<{block: Object, receipts: (Array<Object>|undefined), stateProvider: JsonFixtureProvider}>}
+ *   Each block, with a provider serving its `pairs` (calls to any other pair fail).
+ */
+async function* readBlockFixtures(filePaths) {
+    for (const filePath of filePaths) {
+        for await (const record of readCapture(filePath)) {
+            if (!record.block) {
+                throw new Error(`${filePath}: every line must hold a "block"`);
+            }
+            yield { ...record, stateProvider: new JsonFixtureProvider({ pairs: record.pairs }) };
+        }
+    }
+}
+
+class ArchiveBlockSource {
+    /**
+     * @param {import('ethers').JsonRpcProvider} provider - An archive node (state of every block).
+     */
+    constructor(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Fetches a block with its transactions and receipts.
+     * @param {number} blockNumber
+     * @returns {Promise<{block: Object, receipts: Array<Object>, stateProvider: Object}>} The
+     *   JSON-RPC records, and a provider whose calls see the state before the block.
+     * @throws {Error} If the node does not have the block.
+     */
+    async getBlock(blockNumber) {
+        const [block, receipts] = await Promise.all([
+            this.provider.send('eth_getBlockByNumber', [toQuantity(blockNumber), true]),
+            this.provider.send('eth_getBlockReceipts', [toQuantity(blockNumber)]),
+        ]);
+        if (!block) {
+            throw new Error(`Block ${blockNumber} not found`);
+        }
+        return { block, receipts, stateProvider: this.stateBefore(blockNumber) };
+    }
+
+    /**
+     * A provider for the pool cache whose `getReserves()` calls see the state before a
+     * block: what the live pipeline sees while the block's transactions are pending.
+     * @param {number} blockNumber
+     * @returns {{call: function(Object): Promise<string>}}
+     */
+    stateBefore(blockNumber) {
+        return {
+            call: tx => this.provider.call({ ...tx, blockTag: blockNumber - 1 }),
+        };
+    }
+
+    /**
+     * Reads a range of blocks, one at a time.
+     * @param {number} fromBlock
+     * @param {number} toBlock - Included.
+     * @returns {AsyncGenerator<{block: Object, receipts: Array<Object>, stateProvider: Object}>}
+     */
+    async* blocks(fromBlock, toBlock) {
+        for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+            yield this.getBlock(blockNumber);
+        }
+    }
+}
+
+module.exports = {
+    fromRpcTransaction,
+    readBlockFixtures,
+    ArchiveBlockSource,
+};
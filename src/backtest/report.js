@@ -0,0 +1,192 @@
+// src/backtest/report.js (Backtest reports, and scoring against labeled sandwiches)
+
+// Findings are scored per victim transaction: a sandwich finding is a true positive if a
+// label names the same victim transaction, whichever frontrun and backrun each side picked
+// (an attacker may sandwich one victim with several transactions, and a victim with several
+// swaps gets one label per swap). Labels of blocks outside the backtested range are ignored.
+//
+// Labels are a JSON array, or a GraphQL response holding one (`{"data":{"mevAttacks":[...]}}`).
+// Each label is either a subgraph `MevAttack`:
+//   { "blockNumber": "17000000", "transactionHash": "0x...", "frontrunTxHash": "0x...", "backrunTxHash": "0x..." }
+// or a finding of an earlier backtest report (`block_number`, `victim_hash`, `frontrun_hash`,
+// `backrun_hash`), to compare two runs.
+
+const fs = require('fs');
+
+// Columns of the CSV report, in order.
+const CSV_COLUMNS = [
+    'type', 'label', 'block_number', 'rule', 'attacker', 'victim', 'pool',
+    'frontrun_hash', 'victim_hash', 'backrun_hash', 'add_hash', 'remove_hash',
+    'gas_premium', 'profit_eth', 'victim_loss_eth',
+];
+
+/**
+ * Reads a labels file.
+ * @param {string} filePath
+ * @returns {Array<{block_number: (number|null), victim_hash: string, frontrun_hash: (string|null), backrun_hash: (string|null)}>}
+ * @throws {Error} If the file holds no array of labels, or a label names no victim transaction.
+ */
+function loadLabels(filePath) {
+    let labels = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (labels && !Array.isArray(labels) && labels.data) {
+        labels = Object.values(labels.data).find(Array.isArray);
+    }
+    if (!Array.isArray(labels)) {
+        throw new Error(`${filePath} must contain a JSON array of labels, or a GraphQL response with one.`);
+    }
+    return labels.map((label, index) => {
+        const victimHash = label.transactionHash || label.victim_hash;
+        if (typeof victimHash !== 'string') {
+            throw new Error(`${filePath}: label ${index} has no transactionHash (or victim_hash).`);
+        }
+        const blockNumber = label.blockNumber !== undefined ? label.blockNumber : label.block_number;
+        const frontrunHash = label.frontrunTxHash || label.frontrun_hash;
+        const backrunHash = label.backrunTxHash || label.backrun_hash;
+        return {
+            block_number: blockNumber === undefined || blockNumber === null ? null : Number(blockNumber),
+            victim_hash: victimHash.toLowerCase(),
+            frontrun_hash: frontrunHash ? frontrunHash.toLowerCase() : null,
+            backrun_hash: backrunHash ? backrunHash.toLowerCase() : null,
+        };
+    });
+}
+
+/**
+ * Scores sandwich findings against labels, per victim transaction.
+ * @param {Array<Object>} findings - Backtest findings (see backtester.js).
+ * @param {Array<Object>} labels - From `loadLabels`.
+ * @param {{firstBlock: number, lastBlock: number}} range - The blocks backtested.
+ * @returns {{labels: number, true_positives: number, false_positives: number, false_negatives: number,
+ *   precision: (number|null), recall: (number|null), missed: Array<Object>}} `precision` and
+ *   `recall` are `null` when there is nothing to divide by; `missed` are the labels of the
+ *   victims not found.
+ */
+function scoreFindings(findings, labels, range) {
+    const inRange = labels.filter(label => label.block_number === null
+        || (label.block_number >= range.firstBlock && label.block_number <= range.lastBlock));
+    const labeledVictims = new Set(inRange.map(label => label.victim_hash));
+    const foundVictims = new Set(findings
+        .filter(finding => finding.type === 'sandwich')
+        .map(finding => finding.victim_hash.toLowerCase()));
+
+    let truePositives = 0;
+    for (const victim of foundVictims) {
+        if (labeledVictims.has(victim)) {
+            truePositives++;
+        }
+    }
+    const falsePositives = foundVictims.size - truePositives;
+    const falseNegatives = labeledVictims.size - truePositives;
+    // One label per missed victim.
+    const missed = new Map();
+    for (const label of inRange) {
+        if (!foundVictims.has(label.victim_hash) && !missed.has(label.victim_hash)) {
+            missed.set(label.victim_hash, label);
+        }
+    }
+    return {
+        labels: labeledVictims.size,
+        true_positives: truePositives,
+        false_positives: falsePositives,
+        false_negatives: falseNegatives,
+        precision: foundVictims.size === 0 ? null : truePositives / foundVictims.size,
+        recall: labeledVictims.size === 0 ? null : truePositives / labeledVictims.size,
+        missed: Array.from(missed.values()),
+    };
+}
+
+/**
+ * Marks each finding `tp` or `fp` against the labeled victims (JIT findings are not scored).
+ * @param {Array<Object>} findings
+ * @param {Array<Object>|null} labels - From `loadLabels`, or `null` without labels.
+ * @returns {Array<Object>} The findings, each with a `label` (`null` if not scored).
+ */
+function labelFindings(findings, labels) {
+    const labeledVictims = labels ? new Set(labels.map(label => label.victim_hash)) : null;
+    return findings.map(finding => ({
+        ...finding,
+        label: labeledVictims && finding.type === 'sandwich'
+            ? (labeledVictims.has(finding.victim_hash.toLowerCase()) ? 'tp' : 'fp')
+            : null,
+    }));
+}
+
+/**
+ * Quotes a CSV field when it needs to be.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats a report as CSV: one row per finding, then one `missed` row per labeled victim
+ * that was not found (label `fn`).
+ * @param {Object} report - From `buildReport`.
+ * @returns {string}
+ */
+function formatCsv(report) {
+    const rows = report.findings.slice();
+    if (report.score) {
+        for (const label of report.score.missed) {
+            rows.push({ type: 'missed', label: 'fn', ...label });
+        }
+    }
+    const lines = [CSV_COLUMNS.join(',')]
+        .concat(rows.map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(',')));
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Assembles the report of a backtest.
+ * @param {Object} details
+ * @param {Object} details.source - What was backtested, e.g. `{ type: 'archive', url }` or
+ *   `{ type: 'fixtures', files }`.
+ * @param {number} details.chainId
+ * @param {Object} details.stats - The backtester's `stats`.
+ * @param {Array<Object>} details.findings - Every finding, in block order.
+ * @param {Array<Object>|null} [details.labels=null] - From `loadLabels`.
+ * @returns {Object} `{ generated_at, chain_id, source, blocks, findings, score }`; `score` is
+ *   `null` without labels.
+ */
+function buildReport({ source, chainId, stats, findings, labels = null }) {
+    return {
+        generated_at: new Date().toISOString(),
+        chain_id: chainId,
+        source,
+        blocks: {
+            first: stats.firstBlock,
+            last: stats.lastBlock,
+            count: stats.blocks,
+            transactions: stats.transactions,
+            reverted: stats.reverted,
+            clustered: stats.clustered,
+        },
+        findings: labelFindings(findings, labels),
+        score: labels && stats.blocks > 0 ? scoreFindings(findings, labels, stats) : null,
+    };
+}
+
+/**
+ * Writes a report: CSV if the file name ends in `.csv`, JSON otherwise.
+ * @param {Object} report - From `buildReport`.
+ * @param {string} filePath
+ */
+function writeReport(report, filePath) {
+    fs.writeFileSync(filePath, filePath.endsWith('.csv') ? formatCsv(report) : `${JSON.stringify(report, null, 2)}\n`);
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    loadLabels,
+    scoreFindings,
+    labelFindings,
+    formatCsv,
+    buildReport,
+    writeReport,
+};
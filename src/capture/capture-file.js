@@ -0,0 +1,117 @@
+// src/capture/capture-file.js (JSONL mempool capture files)
+
+// A capture is a JSON Lines file, optionally gzipped (any path ending in `.gz`).
+// Each line is one record with a millisecond timestamp `t`:
+//   {"t":1718000000000,"kind":"event","event":"pending","args":["0x..."]}
+//   {"t":1718000000012,"kind":"rpc","method":"getTransaction","params":["0x..."],"result":{...}}
+//   {"t":1718000000020,"kind":"rpc","method":"call","params":[{...}],"error":"execution reverted"}
+// `bigint` values are stored as `{"$bigint":"123"}` so they survive the round trip.
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+
+/**
+ * JSON replacer that keeps `bigint` values (JSON.stringify would throw on them).
+ * Objects with a `toJSON` method (ethers blocks, receipts, logs, ...) are already
+ * converted by the time the replacer sees them.
+ */
+function bigintReplacer(key, value) {
+    return typeof value === 'bigint' ? { $bigint: value.toString() } : value;
+}
+
+/**
+ * JSON reviver that restores values written by `bigintReplacer`.
+ */
+function bigintReviver(key, value) {
+    if (value && typeof value === 'object' && typeof value.$bigint === 'string') {
+        return BigInt(value.$bigint);
+    }
+    return value;
+}
+
+/**
+ * Serializes one capture record to a single line (without the trailing newline).
+ * @param {Object} record
+ * @returns {string}
+ */
+function serializeRecord(record) {
+    return JSON.stringify(record, bigintReplacer);
+}
+
+/**
+ * Parses one capture line.
+ * @param {string} line
+ * @returns {Object}
+ */
+function parseRecord(line) {
+    return JSON.parse(line, bigintReviver);
+}
+
+class CaptureWriter {
+    /**
+     * Opens a capture file for writing (truncating it).
+     * @param {string} filePath - Gzipped if it ends in `.gz`.
+     * @param {Object} [options]
+     * @param {function(): number} [options.now=Date.now] - Clock of the records' timestamps (ms).
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.now = options.now || Date.now;
+        this.file = fs.createWriteStream(filePath);
+        if (filePath.endsWith('.gz')) {
+            this.stream = zlib.createGzip();
+            this.stream.pipe(this.file);
+        } else {
+            this.stream = this.file;
+        }
+        this.count = 0;
+    }
+
+    /**
+     * Appends a record, stamping it with the current time if it has none.
+     * @param {Object} record
+     */
+    write(record) {
+        const stamped = record.t === undefined ? { t: this.now(), ...record } : record;
+        this.stream.write(`${serializeRecord(stamped)}\n`);
+        this.count++;
+    }
+
+    /**
+     * Flushes and closes the file.
+     * @returns {Promise<void>} Resolves once everything is on disk.
+     */
+    close() {
+        return new Promise((resolve, reject) => {
+            this.file.once('finish', resolve);
+            this.file.once('error', reject);
+            this.stream.end();
+        });
+    }
+}
+
+/**
+ * Reads every record of a capture file, in order.
+ * @param {string} filePath - Gzipped if it ends in `.gz`.
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readCapture(filePath) {
+    let input = fs.createReadStream(filePath);
+    if (filePath.endsWith('.gz')) {
+        input = input.pipe(zlib.createGunzip());
+    }
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line.trim() !== '') {
+            yield parseRecord(line);
+        }
+    }
+}
+
+module.exports = {
+    serializeRecord,
+    parseRecord,
+    CaptureWriter,
+    readCapture,
+};
@@ -0,0 +1,78 @@
+// src/capture/recording-provider.js (Records everything the pipeline receives from the node)
+
+// Wraps the live provider and writes every `pending` / `block` event, and the response of
+// every RPC call the pipeline makes (transactions, reserves, Sync logs, blocks, receipts,
+// attacker code), to a capture file. Replaying that file through `ReplayProvider` reproduces exactly what
+// the detector saw, without a node.
+
+// The provider methods the pipeline uses. Their responses are recorded so replays can
+// answer them offline.
+const RECORDED_METHODS = ['getTransaction', 'getBlock', 'getTransactionReceipt', 'call', 'getLogs', 'getBlockNumber', 'getCode'];
+// Events worth replaying. Others (e.g. `error`) are passed through unrecorded.
+const RECORDED_EVENTS = ['pending', 'block'];
+
+/**
+ * Converts an RPC result to a JSON-friendly value. ethers objects (transactions, blocks,
+ * receipts, logs) are reduced with their own `toJSON`.
+ */
+function toRecordValue(value) {
+    return value && typeof value.toJSON === 'function' ? value.toJSON() : value;
+}
+
+class RecordingProvider {
+    /**
+     * @param {Object} provider - The live ethers provider.
+     * @param {import('./capture-file').CaptureWriter} writer - Where records go.
+     */
+    constructor(provider, writer) {
+        this.provider = provider;
+        this.writer = writer;
+
+        for (const method of RECORDED_METHODS) {
+            this[method] = async (...params) => {
+                try {
+                    const result = await this.provider[method](...params);
+                    this.writer.write({ kind: 'rpc', method, params, result: toRecordValue(result) });
+                    return result;
+                } catch (error) {
+                    this.writer.write({ kind: 'rpc', method, params, error: error.message });
+                    throw error;
+                }
+            };
+        }
+    }
+
+    /**
+     * Registers a listener on the live provider, recording each event before passing it on.
+     * @param {string} event
+     * @param {Function} listener
+     * @returns {Promise<RecordingProvider>}
+     */
+    async on(event, listener) {
+        if (!RECORDED_EVENTS.includes(event)) {
+            await this.provider.on(event, listener);
+            return this;
+        }
+        await this.provider.on(event, (...args) => {
+            this.writer.write({ kind: 'event', event, args });
+            return listener(...args);
+        });
+        return this;
+    }
+
+    /**
+     * Closes the live provider and flushes the capture file.
+     * @returns {Promise<{filePath: string, records: number}>} What was written.
+     */
+    async destroy() {
+        await this.provider.destroy();
+        await this.writer.close();
+        return { filePath: this.writer.filePath, records: this.writer.count };
+    }
+}
+
+module.exports = {
+    RECORDED_METHODS,
+    RECORDED_EVENTS,
+    RecordingProvider,
+};
@@ -0,0 +1,199 @@
+// src/capture/replay-provider.js (Feeds a capture file back through the pipeline)
+
+// Stands in for the live provider during a replay. It re-emits the captured `pending` and
+// `block` events and answers the pipeline's RPC calls from the captured responses, so the
+// same ingestion, clustering, detection and alerting code runs with no node attached.
+//
+// Time is driven by the capture: `now()` returns the timestamp of the record being
+// replayed, and `tick` events are emitted every `tickIntervalMs` of capture time, in
+// place of the live service's `setInterval`. Each listener is awaited before the next
+// record is replayed, so a replay always produces the same results.
+// - `realtime`: waits between records as long as they were apart when captured.
+// - `fast`: replays as fast as the listeners allow.
+
+const { EventEmitter } = require('events');
+const { readCapture, serializeRecord } = require('./capture-file');
+
+// Fields of ethers transactions, receipts and blocks that are `bigint`s. Their `toJSON`
+// output stores them as decimal strings, so they are converted back on the way out.
+const BIGINT_FIELDS = [
+    'value', 'gasPrice', 'gasLimit', 'maxFeePerGas', 'maxPriorityFeePerGas', 'maxFeePerBlobGas',
+    'chainId', 'gasUsed', 'cumulativeGasUsed', 'blobGasUsed', 'blobGasPrice', 'baseFeePerGas',
+    'excessBlobGas', 'difficulty',
+];
+
+/**
+ * Restores the `bigint` fields of an ethers object that went through `toJSON`.
+ * @param {*} value
+ * @returns {*}
+ */
+function reviveEthersJson(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+    }
+    const revived = { ...value };
+    for (const field of BIGINT_FIELDS) {
+        if (typeof revived[field] === 'string') {
+            revived[field] = BigInt(revived[field]);
+        }
+    }
+    return revived;
+}
+
+class ReplayProvider extends EventEmitter {
+    /**
+     * @param {string} filePath - The capture file to replay.
+     * @param {Object} [options]
+     * @param {'realtime'|'fast'} [options.speed='fast']
+     * @param {number} [options.tickIntervalMs=1000] - Capture time between `tick` events.
+     */
+    constructor(filePath, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.speed = options.speed || 'fast';
+        this.tickIntervalMs = options.tickIntervalMs !== undefined ? options.tickIntervalMs : 1000;
+        // Map<method + params, Array<record>>: responses queued in capture order, so a call
+        // made several times (e.g. the same `getLogs` filter) gets each answer in turn.
+        this.responses = new Map();
+        this.events = [];
+        this.currentTime = null;
+        this.stopped = false;
+    }
+
+    static keyFor(method, params) {
+        return `${method}:${serializeRecord(params)}`;
+    }
+
+    /**
+     * Reads the whole capture: events are replayed in order, RPC responses are indexed.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        for await (const record of readCapture(this.filePath)) {
+            if (record.kind === 'event') {
+                this.events.push(record);
+            } else if (record.kind === 'rpc') {
+                const key = ReplayProvider.keyFor(record.method, record.params);
+                if (!this.responses.has(key)) {
+                    this.responses.set(key, []);
+                }
+                this.responses.get(key).push(record);
+            }
+        }
+    }
+
+    /**
+     * The replay clock: the capture timestamp of the record being replayed.
+     * @returns {number} Milliseconds since the epoch.
+     */
+    now() {
+        return this.currentTime === null ? Date.now() : this.currentTime;
+    }
+
+    /**
+     * Answers an RPC call from the capture. The last response for a call is reused once
+     * its queue is exhausted; calls the capture never saw fail like a missing node would.
+     */
+    respond(method, params) {
+        const queue = this.responses.get(ReplayProvider.keyFor(method, params));
+        if (!queue || queue.length === 0) {
+            throw new Error(`ReplayProvider: no captured response for ${method}(${serializeRecord(params)})`);
+        }
+        const record = queue.length > 1 ? queue.shift() : queue[0];
+        if (record.error !== undefined) {
+            throw new Error(record.error);
+        }
+        return record.result;
+    }
+
+    async getTransaction(hash) {
+        return reviveEthersJson(this.respond('getTransaction', [hash]));
+    }
+
+    async getTransactionReceipt(hash) {
+        return reviveEthersJson(this.respond('getTransactionReceipt', [hash]));
+    }
+
+    async getBlock(blockHashOrTag, ...rest) {
+        return reviveEthersJson(this.respond('getBlock', [blockHashOrTag, ...rest]));
+    }
+
+    async call(tx) {
+        return this.respond('call', [tx]);
+    }
+
+    async getLogs(filter) {
+        return this.respond('getLogs', [filter]);
+    }
+
+    async getBlockNumber() {
+        return this.respond('getBlockNumber', []);
+    }
+
+    async getCode(address) {
+        return this.respond('getCode', [address]);
+    }
+
+    /**
+     * Emits an event and waits for every (possibly async) listener to finish.
+     * @param {string} event
+     * @param {...*} args
+     */
+    async emitAndWait(event, ...args) {
+        await Promise.all(this.listeners(event).map(listener => listener(...args)));
+    }
+
+    /**
+     * Moves the replay clock forward, sleeping for the elapsed capture time in `realtime` mode.
+     * @param {number} t - Capture timestamp to move to.
+     */
+    async advanceTo(t) {
+        if (this.speed === 'realtime' && this.currentTime !== null && t > this.currentTime) {
+            await new Promise(resolve => setTimeout(resolve, t - this.currentTime));
+        }
+        this.currentTime = t;
+    }
+
+    /**
+     * Replays every captured event, emitting `tick` events along the way and one final
+     * `tick` at the end so the last transactions are analyzed.
+     * @returns {Promise<{events: number, ticks: number}>}
+     */
+    async start() {
+        await this.load();
+        let ticks = 0;
+        let nextTick = this.events.length > 0 ? this.events[0].t + this.tickIntervalMs : null;
+
+        for (const record of this.events) {
+            if (this.stopped) break;
+            // Fire every tick that falls before this record, at its own capture time.
+            while (nextTick !== null && nextTick <= record.t) {
+                await this.advanceTo(nextTick);
+                await this.emitAndWait('tick');
+                ticks++;
+                nextTick += this.tickIntervalMs;
+            }
+            await this.advanceTo(record.t);
+            await this.emitAndWait(record.event, ...record.args);
+        }
+
+        if (!this.stopped && nextTick !== null) {
+            await this.advanceTo(nextTick);
+            await this.emitAndWait('tick');
+            ticks++;
+        }
+        return { events: this.events.length, ticks };
+    }
+
+    /**
+     * Stops the replay after the current record.
+     */
+    destroy() {
+        this.stopped = true;
+    }
+}
+
+module.exports = {
+    reviveEthersJson,
+    ReplayProvider,
+};
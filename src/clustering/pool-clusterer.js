@@ -0,0 +1,239 @@
+// src/clustering/pool-clusterer.js (Per-pool sliding-window transaction clusters)
+
+// Groups decoded swaps by the pool they trade on (a Uniswap V2 pair, or a V3 pool), so the
+// detector only ever looks at transactions that can actually sandwich each other. A multi-hop
+// swap, or a call batching several swaps, joins the cluster of every pool along its paths; a
+// liquidity add or remove joins its pair's cluster (for JIT liquidity detection).
+//
+// Each cluster is a sliding window: transactions leave it once they are older than
+// `windowMs`, or once more than `windowBlocks` blocks have been mined since they were
+// first seen. Eviction walks a single insertion-ordered queue from its oldest end, so
+// its cost is proportional to the number of expired transactions, not to the window size.
+// Clusters that received new transactions since the last tick are marked dirty, and
+// only those are handed back for re-analysis.
+//
+// The window is also capped at `maxTransactions`: past it, the least recently added
+// transactions are evicted first (and reported to `onEvict`), so a mempool flood costs
+// detection coverage rather than memory.
+
+const { sortTokens } = require('../pools/pool-state');
+
+/**
+ * Returns the keys of the pools a swap trades on, one per hop of its path. A Uniswap V2
+ * pair's key is `token0:token1`; a V3 pool's adds its fee tier (`token0:token1:fee`), since
+ * each tier is a pool of its own. The detectors key pools the same way.
+ * @param {Object} swap - A normalized swap record from the decoder.
+ * @returns {Array<string>}
+ */
+function swapPoolKeys(swap) {
+    if (!Array.isArray(swap.path)) {
+        return [];
+    }
+    return swap.path.slice(1).map((token, i) => {
+        const pair = sortTokens(swap.path[i], token).join(':');
+        return swap.fees ? `${pair}:${swap.fees[i]}` : pair;
+    });
+}
+
+/**
+ * Returns the swap of a transaction that trades on a pool: a batched call can be attacked on
+ * any of its swaps, not only the first.
+ * @param {Object} tx - An ingested, decoded transaction.
+ * @param {string|null} pool - A pool key (see `swapPoolKeys`), e.g. a finding's.
+ * @returns {Object|null} That swap, or the first one if none trades on the pool.
+ */
+function swapOnPool(tx, pool) {
+    const swap = pool ? (tx.swaps || []).find(candidate => swapPoolKeys(candidate).includes(pool)) : null;
+    return swap || tx.swap || null;
+}
+
+/**
+ * Returns the cluster keys of a transaction: the pool keys (see `swapPoolKeys`) of each of
+ * its decoded swaps, or the key of the pair of its liquidity call. Transactions that are
+ * neither have no keys and are not clustered.
+ * @param {Object} tx - An ingested, decoded transaction.
+ * @returns {Array<string>}
+ */
+function clusterKeysFor(tx) {
+    if (tx.liquidity) {
+        return [sortTokens(tx.liquidity.token_a, tx.liquidity.token_b).join(':')];
+    }
+    const swaps = tx.swaps || (tx.swap ? [tx.swap] : []);
+    const keys = new Set();
+    for (const swap of swaps) {
+        swapPoolKeys(swap).forEach(key => keys.add(key));
+    }
+    return Array.from(keys);
+}
+
+class PoolClusterer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.windowMs=60000] - Maximum age of a clustered transaction.
+     * @param {number} [options.windowBlocks=2] - Maximum number of blocks mined since a
+     *   transaction was first seen before it leaves the window.
+     * @param {number} [options.maxTransactions=Infinity] - Most transactions held at once.
+     * @param {function(string): *} [options.onEvict] - Called with the hash of each transaction
+     *   evicted to stay under `maxTransactions`.
+     */
+    constructor(options = {}) {
+        this.windowMs = options.windowMs !== undefined ? options.windowMs : 60 * 1000;
+        this.windowBlocks = options.windowBlocks !== undefined ? options.windowBlocks : 2;
+        this.maxTransactions = options.maxTransactions !== undefined ? options.maxTransactions : Infinity;
+        this.onEvict = options.onEvict || (() => {});
+        // Map<txHash, { tx, keys, seenAtBlock }>, in ingestion order (the eviction queue).
+        this.entries = new Map();
+        // Map<clusterKey, Map<txHash, tx>>, each also in ingestion order.
+        this.clusters = new Map();
+        // Keys of clusters that gained transactions since the last `takeDirtyClusters`.
+        this.dirty = new Set();
+        // Latest block number seen via `onBlock`.
+        this.currentBlock = null;
+    }
+
+    /**
+     * Adds a transaction to the clusters of every pair it trades on.
+     * Transactions must be added in ingestion order (`tx.ingestionTime` non-decreasing).
+     * @param {Object} tx - An ingested, decoded transaction.
+     * @returns {Array<string>} The keys of the clusters it joined (empty if none).
+     */
+    add(tx) {
+        if (this.entries.has(tx.hash)) {
+            return this.entries.get(tx.hash).keys;
+        }
+        const keys = clusterKeysFor(tx);
+        if (keys.length === 0) {
+            return keys;
+        }
+        this.entries.set(tx.hash, { tx, keys, seenAtBlock: this.currentBlock });
+        for (const key of keys) {
+            if (!this.clusters.has(key)) {
+                this.clusters.set(key, new Map());
+            }
+            this.clusters.get(key).set(tx.hash, tx);
+            this.dirty.add(key);
+        }
+        while (this.entries.size > this.maxTransactions) {
+            const oldest = this.entries.keys().next().value;
+            this.remove(oldest);
+            this.onEvict(oldest);
+        }
+        return keys;
+    }
+
+    /**
+     * @param {string} hash
+     * @returns {boolean} True if the transaction is clustered.
+     */
+    has(hash) {
+        return this.entries.has(hash);
+    }
+
+    /**
+     * Removes a transaction from every cluster it belongs to.
+     * @param {string} hash
+     * @returns {boolean} True if the transaction was clustered.
+     */
+    remove(hash) {
+        const entry = this.entries.get(hash);
+        if (!entry) {
+            return false;
+        }
+        this.entries.delete(hash);
+        for (const key of entry.keys) {
+            const cluster = this.clusters.get(key);
+            if (!cluster) continue;
+            cluster.delete(hash);
+            if (cluster.size === 0) {
+                this.clusters.delete(key);
+                this.dirty.delete(key);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Records a newly mined block; transactions first seen more than `windowBlocks`
+     * blocks ago are evicted on the next `evictExpired`.
+     * @param {number} blockNumber
+     */
+    onBlock(blockNumber) {
+        if (this.currentBlock === null || blockNumber > this.currentBlock) {
+            this.currentBlock = blockNumber;
+        }
+    }
+
+    /**
+     * Checks whether a queue entry has fallen out of the time or block window.
+     * @param {{tx: Object, seenAtBlock: (number|null)}} entry
+     * @param {number} now - Current time in milliseconds.
+     * @returns {boolean}
+     */
+    isExpired(entry, now) {
+        if (now - entry.tx.ingestionTime >= this.windowMs) {
+            return true;
+        }
+        return entry.seenAtBlock !== null
+            && this.currentBlock !== null
+            && this.currentBlock - entry.seenAtBlock > this.windowBlocks;
+    }
+
+    /**
+     * Evicts expired transactions from the oldest end of the queue.
+     * Both `ingestionTime` and `seenAtBlock` only grow along the queue, so we can stop
+     * at the first transaction that is still inside the window.
+     * @param {number} [now=Date.now()]
+     * @returns {number} The number of evicted transactions.
+     */
+    evictExpired(now = Date.now()) {
+        let evicted = 0;
+        for (const [hash, entry] of this.entries) {
+            if (!this.isExpired(entry, now)) {
+                break;
+            }
+            this.remove(hash);
+            evicted++;
+        }
+        return evicted;
+    }
+
+    /**
+     * Evicts expired transactions, then returns the clusters that gained transactions
+     * since the last call and clears their dirty flag.
+     * @param {number} [now=Date.now()]
+     * @returns {Array<{key: string, transactions: Array<Object>}>} Transactions are in ingestion order.
+     */
+    takeDirtyClusters(now = Date.now()) {
+        this.evictExpired(now);
+        const result = [];
+        for (const key of this.dirty) {
+            const cluster = this.clusters.get(key);
+            if (cluster) {
+                result.push({ key, transactions: Array.from(cluster.values()) });
+            }
+        }
+        this.dirty.clear();
+        return result;
+    }
+
+    /**
+     * @returns {number} The number of clustered transactions.
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * @returns {number} The number of non-empty clusters.
+     */
+    get clusterCount() {
+        return this.clusters.size;
+    }
+}
+
+module.exports = {
+    swapPoolKeys,
+    swapOnPool,
+    clusterKeysFor,
+    PoolClusterer,
+};
@@ -0,0 +1,386 @@
+// src/config/config.js (Layered, validated configuration of every script)
+
+// Every setting has a default, and each layer below overrides the ones above it:
+//   1. the defaults in `OPTIONS`
+//   2. the network profile picked by `network` (see networks.js)
+//   3. a JSON config file, named by `--config <file>` or `MEV_CONFIG`: `{ "redisUrl": "...", ... }`
+//   4. environment variables: `MEV_` and the name in upper snake case (`MEV_REDIS_URL`)
+//   5. command-line flags: the name in kebab case (`--redis-url`)
+// Lists are comma-separated in environment variables and flags (`--kafka-brokers a:9092,b:9092`),
+// and an empty value sets a setting that may be `null` to `null`.
+//
+// Everything is validated at once when a script starts: a `ConfigError` lists every bad
+// value and where it came from. `--print-config` prints the effective config instead of
+// starting, with each value's source.
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { NETWORKS } = require('./networks');
+const { DECODERS } = require('../decoders/registry');
+
+const ADDRESS = { pattern: /^0x[0-9a-fA-F]{40}$/, patternName: 'an address (0x and 40 hex digits)' };
+const ROUTER = {
+    pattern: new RegExp(`^(${Object.keys(DECODERS).join('|')}):0x[0-9a-fA-F]{40}$`),
+    patternName: `a router (${Object.keys(DECODERS).join(', ')}, a colon and its address)`,
+};
+const HASH = { pattern: /^0x[0-9a-fA-F]{64}$/, patternName: 'a 32-byte hash (0x and 64 hex digits)' };
+
+// Every setting. `type` is one of string, integer, number, boolean, enum and url; `list`
+// settings hold several values and `nullable` ones may be `null` (unset).
+const OPTIONS = {
+    network: { type: 'enum', values: Object.keys(NETWORKS), default: 'sepolia', description: 'Network profile: chain id and Uniswap addresses.' },
+    chainId: { type: 'integer', min: 1, description: 'Chain the node is on; stamped on every alert.' },
+    routerAddress: { type: 'string', ...ADDRESS, description: 'Uniswap V2 Router 02 whose calls are decoded.' },
+    routers: { type: 'string', list: true, nullable: true, ...ROUTER, description: 'Other routers whose calls are decoded, e.g. universal-router:0x...; null for none.' },
+    factoryAddress: { type: 'string', ...ADDRESS, description: 'Uniswap V2 Factory, to compute pair addresses.' },
+    pairInitCodeHash: { type: 'string', ...HASH, description: 'Init code hash of that factory\'s pairs.' },
+    wethAddress: { type: 'string', ...ADDRESS, description: 'Wrapped ETH, in which profits are valued.' },
+
+    nodeWsUrls: { type: 'url', list: true, protocols: ['ws:', 'wss:'], default: ['ws://localhost:8546'], description: 'WebSocket URL of the node, then the fallbacks tried in order.' },
+    nodeHttpUrl: { type: 'url', nullable: true, protocols: ['http:', 'https:'], default: 'http://localhost:8545', description: 'HTTP URL of the primary node, for batched fetches; null to fetch over the WebSocket.' },
+    redisUrl: { type: 'url', protocols: ['redis:', 'rediss:'], default: 'redis://localhost:6379', description: 'Redis for deduplication and attacker profiles.' },
+    kafkaBrokers: { type: 'string', list: true, default: ['localhost:9092'], description: 'Kafka brokers, for the default alert sink and the consumer.' },
+    kafkaTopic: { type: 'string', default: 'mev-alerts', description: 'Kafka topic of the alerts.' },
+
+    redisTtlSeconds: { type: 'integer', min: 1, default: 300, description: 'How long an alerted finding blocks duplicates.' },
+    dedupScope: { type: 'enum', values: ['victim_tx', 'pool'], default: 'pool', description: 'What makes two detections by one attacker distinct alerts.' },
+    rollupIntervalMs: { type: 'integer', min: 1, default: 5 * 60 * 1000, description: 'How often suppressed repeats are reported...' },
+    escalationThreshold: { type: 'integer', min: 1, default: 10, description: '...or as soon as an attacker has this many.' },
+    jitMinVictimShare: { type: 'number', min: 0, max: 1, default: 0.005, description: 'Smallest JIT victim input alerted on, as a share of the pair\'s reserve.' },
+    copycatMinSimilarity: { type: 'number', min: 0, max: 1, default: 0.9, description: 'Share of calldata words a copycat must have in common with the original.' },
+    copycatMinWords: { type: 'integer', min: 0, default: 4, description: 'Calls with fewer calldata words are not compared.' },
+
+    batchProcessingIntervalMs: { type: 'integer', min: 1, default: 1000, description: 'How often the changed pool clusters are analyzed.' },
+    detectionWorkers: { type: 'integer', min: 0, default: 2, description: 'Worker threads running the detectors; 0 runs them on the main thread.' },
+    transactionLifespanMs: { type: 'integer', min: 1, default: 60 * 1000, description: 'How long a pending transaction stays clustered.' },
+    clusterWindowBlocks: { type: 'integer', min: 1, default: 2, description: 'Blocks after which a pending transaction is no longer clustered.' },
+    clusterMaxTransactions: { type: 'integer', min: 1, default: 20000, description: 'Most pending transactions held at once; the oldest are evicted.' },
+    fetchConcurrency: { type: 'integer', min: 1, default: 4, description: 'Fetch batches in flight at once.' },
+    fetchBatchSize: { type: 'integer', min: 1, default: 25, description: 'Pending transactions fetched per request.' },
+    fetchQueueLimit: { type: 'integer', min: 1, default: 10000, description: 'Hashes waiting to be fetched before new ones are dropped.' },
+    fullPendingTransactions: { type: 'boolean', default: false, description: 'Subscribe to whole pending transactions instead of hashes.' },
+    reconnectInitialDelayMs: { type: 'integer', min: 0, default: 1000, description: 'Wait after the first failed round of reconnections...' },
+    reconnectMaxDelayMs: { type: 'integer', min: 0, default: 30 * 1000, description: '...doubling up to this.' },
+    metricsPort: { type: 'integer', min: 0, max: 65535, default: 9464, description: 'Port of /metrics, /healthz and /readyz.' },
+    blockStaleSeconds: { type: 'integer', min: 1, default: 60, description: 'Not ready when no block arrived for this long.' },
+
+    alertConfig: { type: 'string', nullable: true, default: null, description: 'JSON file choosing and routing the alert sinks; null sends every alert to Kafka.' },
+    rules: { type: 'string', nullable: true, default: null, description: 'JSON file of alert rules, reloaded when it changes.' },
+    record: { type: 'string', nullable: true, default: null, description: 'Capture the node\'s events and responses to this file.' },
+    replay: { type: 'string', nullable: true, default: null, description: 'Replay this capture instead of connecting to a node.' },
+    replaySpeed: { type: 'enum', values: ['fast', 'realtime'], default: 'fast', description: 'Replay as fast as possible, or at the recorded pace.' },
+
+    backtestReport: { type: 'string', nullable: true, default: null, description: 'File the backtest report is written to, CSV if it ends in .csv; null prints JSON.' },
+    backtestLabels: { type: 'string', nullable: true, default: null, description: 'JSON file of labeled sandwiches (e.g. the subgraph\'s MevAttack entities) to score the backtest against.' },
+    backtestExport: { type: 'string', nullable: true, default: null, description: 'Also save the blocks backtested from the node to this fixture file.' },
+
+    loadTestMix: { type: 'string', list: true, nullable: true, default: null, pattern: /^[a-z_]+=\d+(\.\d+)?$/, patternName: 'a scenario and its rate (sandwich=0.1)', description: 'Scenarios load-test.js injects per cluster, on average; null for the default mix (src/testing/mempool-scenarios.js).' },
+    loadTestAttackers: { type: 'integer', min: 1, default: 4, description: 'Attackers the load test\'s sandwiches are shared between.' },
+
+    consumerGroupId: { type: 'string', default: 'mev-alert-store', description: 'Kafka consumer group of the alert consumers.' },
+    databasePath: { type: 'string', default: 'data/mev-alerts.db', description: 'SQLite file of the alert consumer.' },
+    apiPort: { type: 'integer', min: 0, max: 65535, default: 3001, description: 'Port of the alert consumer\'s query API.' },
+};
+
+// The settings a network profile provides.
+const NETWORK_OPTIONS = Object.freeze(Object.keys(NETWORKS.mainnet));
+
+const envName = key => `MEV_${key.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+const flagName = key => key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+class ConfigError extends Error {
+    /**
+     * @param {Array<string>} problems - One line per invalid setting.
+     */
+    constructor(problems) {
+        super(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Describes the values a setting accepts, for error messages.
+ * @param {Object} option - An entry of `OPTIONS`.
+ * @returns {string}
+ */
+function expectation(option) {
+    switch (option.type) {
+        case 'integer':
+        case 'number': {
+            const kind = option.type === 'integer' ? 'an integer' : 'a number';
+            if (option.min !== undefined && option.max !== undefined) return `${kind} from ${option.min} to ${option.max}`;
+            if (option.min !== undefined) return `${kind} >= ${option.min}`;
+            return kind;
+        }
+        case 'boolean':
+            return 'true or false';
+        case 'enum':
+            return `one of ${option.values.map(value => `"${value}"`).join(', ')}`;
+        case 'url':
+            return `a ${option.protocols.map(protocol => `${protocol}//`).join(' or ')} URL`;
+        default:
+            return option.pattern ? option.patternName : 'a non-empty string';
+    }
+}
+
+/**
+ * Parses and checks one value of a setting.
+ * @param {Object} option - An entry of `OPTIONS`.
+ * @param {*} raw - From a file (JSON types) or from the environment or a flag (a string).
+ * @param {boolean} fromText - Whether `raw` is text to be parsed.
+ * @returns {*} The value, or `undefined` if it is not acceptable.
+ */
+function parseValue(option, raw, fromText) {
+    switch (option.type) {
+        case 'integer':
+        case 'number': {
+            const value = fromText ? (raw.trim() === '' ? NaN : Number(raw)) : raw;
+            const valid = typeof value === 'number' && Number.isFinite(value)
+                && (option.type === 'number' || Number.isInteger(value))
+                && (option.min === undefined || value >= option.min)
+                && (option.max === undefined || value <= option.max);
+            return valid ? value : undefined;
+        }
+        case 'boolean':
+            if (!fromText) return typeof raw === 'boolean' ? raw : undefined;
+            return { true: true, 1: true, false: false, 0: false }[raw.trim().toLowerCase()];
+        case 'enum':
+            return option.values.includes(raw) ? raw : undefined;
+        case 'url': {
+            if (typeof raw !== 'string') return undefined;
+            try {
+                return option.protocols.includes(new URL(raw).protocol) ? raw : undefined;
+            } catch (error) {
+                return undefined;
+            }
+        }
+        default:
+            if (typeof raw !== 'string' || raw === '') return undefined;
+            return !option.pattern || option.pattern.test(raw) ? raw : undefined;
+    }
+}
+
+/**
+ * Parses a setting from one layer, recording a problem if it is invalid.
+ * @param {string} key
+ * @param {*} raw
+ * @param {boolean} fromText
+ * @param {string} source - Where `raw` came from, for the error message.
+ * @param {Array<string>} problems - Appended to.
+ * @returns {*} The value, or `undefined` if it is invalid.
+ */
+function parseSetting(key, raw, fromText, source, problems) {
+    const option = OPTIONS[key];
+    if (option.nullable && (raw === null || (fromText && raw === ''))) {
+        return null;
+    }
+    let value;
+    if (option.list) {
+        const items = fromText ? raw.split(',').map(item => item.trim()).filter(item => item !== '') : raw;
+        const parsed = Array.isArray(items) ? items.map(item => parseValue(option, item, fromText)) : [];
+        value = parsed.length > 0 && !parsed.includes(undefined) ? parsed : undefined;
+    } else {
+        value = parseValue(option, raw, fromText);
+    }
+    if (value === undefined) {
+        const what = option.list ? `a non-empty list of ${expectation(option).replace(/^(an?) /, '')}s` : expectation(option);
+        problems.push(`${key} (${source}): must be ${what}${option.nullable ? ' or null' : ''}, got ${JSON.stringify(raw)}`);
+    }
+    return value;
+}
+
+/**
+ * Reads a JSON config file.
+ * @param {string} filePath
+ * @returns {Object}
+ * @throws {ConfigError} If it cannot be read or is not a JSON object.
+ */
+function loadConfigFile(filePath) {
+    let file;
+    try {
+        file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`config file ${filePath}: ${error.message}`]);
+    }
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+        throw new ConfigError([`config file ${filePath}: must contain a JSON object of settings`]);
+    }
+    return file;
+}
+
+/**
+ * Builds the effective config from every layer.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.argv=process.argv.slice(2)] - Command-line arguments.
+ * @param {Object} [options.env=process.env]
+ * @param {boolean} [options.allowPositionals=false] - Accept arguments that are not flags
+ *   (returned in `positionals`).
+ * @returns {{config: Object, sources: Object<string, string>, positionals: Array<string>,
+ *   printConfig: boolean}} The frozen config, where each value came from (`default`,
+ *   `network <name>`, `file <path>`, `env <NAME>` or `flag --<name>`), the positional
+ *   arguments, and whether `--print-config` was given.
+ * @throws {ConfigError} If a setting is invalid, unknown or contradicts another.
+ */
+function loadConfig(options = {}) {
+    const argv = options.argv || process.argv.slice(2);
+    const env = options.env || process.env;
+
+    const flagOptions = {
+        config: { type: 'string' },
+        'print-config': { type: 'boolean' },
+    };
+    for (const [key, option] of Object.entries(OPTIONS)) {
+        flagOptions[flagName(key)] = { type: option.type === 'boolean' ? 'boolean' : 'string' };
+    }
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: flagOptions, allowPositionals: Boolean(options.allowPositionals), strict: true });
+    } catch (error) {
+        throw new ConfigError([error.message]);
+    }
+    const flags = parsed.values;
+
+    const problems = [];
+    // Each layer: `{ key: { raw, fromText, source } }`.
+    const layers = [];
+    const configPath = flags.config || env.MEV_CONFIG;
+    if (configPath) {
+        const file = loadConfigFile(configPath);
+        const layer = {};
+        for (const [key, raw] of Object.entries(file)) {
+            if (!OPTIONS[key]) {
+                problems.push(`${key} (file ${configPath}): unknown setting`);
+                continue;
+            }
+            layer[key] = { raw, fromText: false, source: `file ${configPath}` };
+        }
+        layers.push(layer);
+    }
+    const envLayer = {};
+    const flagLayer = {};
+    for (const key of Object.keys(OPTIONS)) {
+        if (env[envName(key)] !== undefined) {
+            envLayer[key] = { raw: env[envName(key)], fromText: true, source: `env ${envName(key)}` };
+        }
+        const flag = flags[flagName(key)];
+        if (flag !== undefined) {
+            flagLayer[key] = { raw: typeof flag === 'boolean' ? String(flag) : flag, fromText: true, source: `flag --${flagName(key)}` };
+        }
+    }
+    layers.push(envLayer, flagLayer);
+
+    const config = {};
+    const sources = {};
+    for (const [key, option] of Object.entries(OPTIONS)) {
+        if (option.default !== undefined) {
+            config[key] = option.default;
+            sources[key] = 'default';
+        }
+    }
+    const applyLayer = (layer, keys) => {
+        for (const key of keys) {
+            if (!layer[key]) continue;
+            const { raw, fromText, source } = layer[key];
+            const value = parseSetting(key, raw, fromText, source, problems);
+            if (value !== undefined) {
+                config[key] = value;
+                sources[key] = source;
+            }
+        }
+    };
+    // The network comes first: its profile sits under every other layer.
+    layers.forEach(layer => applyLayer(layer, ['network']));
+    for (const key of NETWORK_OPTIONS) {
+        config[key] = NETWORKS[config.network][key];
+        sources[key] = `network ${config.network}`;
+    }
+    const otherKeys = Object.keys(OPTIONS).filter(key => key !== 'network');
+    layers.forEach(layer => applyLayer(layer, otherKeys));
+
+    if (config.record && config.replay) {
+        problems.push('record and replay cannot be used together');
+    }
+    if (config.reconnectMaxDelayMs < config.reconnectInitialDelayMs) {
+        problems.push(`reconnectMaxDelayMs (${sources.reconnectMaxDelayMs}): must be at least reconnectInitialDelayMs (${config.reconnectInitialDelayMs})`);
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return {
+        config: Object.freeze(config),
+        sources,
+        positionals: parsed.positionals,
+        printConfig: Boolean(flags['print-config']),
+    };
+}
+
+/**
+ * Hides the password of a URL with credentials.
+ * @param {string} value
+ * @returns {string}
+ */
+function redactUrl(value) {
+    try {
+        const url = new URL(value);
+        if (!url.password) {
+            return value;
+        }
+        url.password = '***';
+        return url.toString();
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Formats the effective config, one setting per line with its source. Passwords in URLs
+ * are hidden.
+ * @param {Object} config - From `loadConfig`.
+ * @param {Object<string, string>} sources - From `loadConfig`.
+ * @returns {string}
+ */
+function formatConfig(config, sources) {
+    const width = Math.max(...Object.keys(config).map(key => key.length));
+    return Object.keys(OPTIONS).map((key) => {
+        const value = config[key];
+        const shown = OPTIONS[key].type === 'url' && value !== null
+            ? (Array.isArray(value) ? value.map(redactUrl) : redactUrl(value))
+            : value;
+        return `${key.padEnd(width)}  ${JSON.stringify(shown)}  (${sources[key]})`;
+    }).join('\n');
+}
+
+/**
+ * Loads the config of a command-line script. With `--print-config`, prints the effective
+ * config and exits; if the config is invalid, prints what is wrong and exits with status 1.
+ * @param {Object} [options] - As for `loadConfig`.
+ * @returns {{config: Object, positionals: Array<string>}}
+ */
+function loadScriptConfig(options = {}) {
+    let loaded;
+    try {
+        loaded = loadConfig(options);
+    } catch (error) {
+        if (!(error instanceof ConfigError)) {
+            throw error;
+        }
+        console.error(error.message);
+        process.exit(1);
+    }
+    if (loaded.printConfig) {
+        console.log(formatConfig(loaded.config, loaded.sources));
+        process.exit(0);
+    }
+    return { config: loaded.config, positionals: loaded.positionals };
+}
+
+module.exports = {
+    OPTIONS,
+    ConfigError,
+    envName,
+    flagName,
+    loadConfig,
+    formatConfig,
+    loadScriptConfig,
+};
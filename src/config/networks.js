@@ -0,0 +1,51 @@
+// src/config/networks.js (Per-network chain id and Uniswap addresses)
+
+// A network profile is the part of the config that depends on which chain the node is on:
+// the chain id stamped on alerts, the routers whose calls are decoded (the V2 Router 02,
+// plus the V3 and Universal routers in `routers`, see src/decoders/registry.js) and the
+// Uniswap V2 contracts whose pairs are simulated. Picking a profile (`--network`) sets all
+// of them at once; each can still be overridden on its own.
+
+// Uniswap's routers at the same address on Mainnet and its forks.
+const MAINNET_ROUTERS = Object.freeze([
+    'v3-swap-router:0xE592427A0AEce92De3Edee1F18E0157C05861564',
+    'swap-router-02:0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+    'universal-router:0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD',
+    'universal-router:0x66a9893cC07D91D95644AEDD05D03f95e1dBA8Af',
+]);
+
+const NETWORKS = Object.freeze({
+    mainnet: Object.freeze({
+        chainId: 1,
+        routerAddress: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+        routers: MAINNET_ROUTERS,
+        factoryAddress: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
+        pairInitCodeHash: '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f',
+        wethAddress: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+    }),
+    // Uniswap's own V2 deployment on Sepolia (same pair bytecode as Mainnet).
+    sepolia: Object.freeze({
+        chainId: 11155111,
+        routerAddress: '0xeE567Fe1712Faf6149d80dA1E6934E354124CfE3',
+        routers: Object.freeze([
+            'swap-router-02:0x3bFA4769FB09eefC5a80d6E87c3B9C650f7Ae48E',
+            'universal-router:0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD',
+        ]),
+        factoryAddress: '0xF62c03E08ada871A0bEb309762E260a7a6a880E6',
+        pairInitCodeHash: '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f',
+        wethAddress: '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14',
+    }),
+    // A development chain forked from Mainnet (Anvil, Hardhat), so Mainnet's contracts.
+    local: Object.freeze({
+        chainId: 31337,
+        routerAddress: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+        routers: MAINNET_ROUTERS,
+        factoryAddress: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
+        pairInitCodeHash: '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f',
+        wethAddress: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+    }),
+});
+
+module.exports = {
+    NETWORKS,
+};
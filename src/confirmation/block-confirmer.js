@@ -0,0 +1,292 @@
+// src/confirmation/block-confirmer.js (Post-inclusion confirmation of sandwich alerts)
+
+// Mempool detections are made on pending transactions, whose final order is unknown.
+// The confirmer watches every new block for the transactions behind recent alerts and
+// settles each alert once the chain has decided:
+// - `confirmed`: frontrun, victim and backrun were mined in that order (by block number,
+//   then `transactionIndex`), and the receipts' Swap logs show the actual amounts.
+// - `retracted`: they were mined in another order, the victim reverted, the frontrun or
+//   backrun reverted (the bot lost the gas auction), the frontrun did not land before the
+//   victim, or the legs were not all mined within `maxPendingBlocks`.
+// Results are emitted as `confirmed` / `retracted` events carrying the original alert.
+
+const { EventEmitter } = require('events');
+const { formatEther } = require('ethers');
+const { pairInterface } = require('../pools/pool-state');
+
+const SWAP_TOPIC = pairInterface.getEvent('Swap').topicHash;
+const LEGS = ['frontrun', 'victim', 'backrun'];
+
+// Reasons reported with a `retracted` event.
+const RetractReason = Object.freeze({
+    WRONG_ORDER: 'wrong_order',
+    FRONTRUN_NOT_BEFORE_VICTIM: 'frontrun_not_before_victim',
+    VICTIM_REVERTED: 'victim_reverted',
+    ATTACK_REVERTED: 'attack_reverted',
+    NOT_INCLUDED: 'not_included',
+    // Copycats (see copycat-confirmer.js)
+    ORIGINAL_FIRST: 'original_first',
+    COPY_REVERTED: 'copy_reverted',
+});
+
+/**
+ * Compares two inclusion positions (`{ blockNumber, transactionIndex }`).
+ * @returns {number} Negative if `a` comes first on-chain, positive if `b` does.
+ */
+function comparePositions(a, b) {
+    return a.blockNumber !== b.blockNumber
+        ? a.blockNumber - b.blockNumber
+        : a.transactionIndex - b.transactionIndex;
+}
+
+/**
+ * Extracts the Uniswap V2 pair Swap events from a receipt.
+ * @param {Object} receipt - An ethers transaction receipt.
+ * @returns {Array<Object>} `{ pair, amount0In, amount1In, amount0Out, amount1Out, to }` with bigint amounts.
+ */
+function swapLogsOf(receipt) {
+    const swaps = [];
+    for (const log of receipt.logs || []) {
+        if (!log.topics || log.topics[0] !== SWAP_TOPIC) continue;
+        const args = pairInterface.decodeEventLog('Swap', log.data, log.topics);
+        swaps.push({
+            pair: log.address.toLowerCase(),
+            amount0In: args.amount0In,
+            amount1In: args.amount1In,
+            amount0Out: args.amount0Out,
+            amount1Out: args.amount1Out,
+            to: args.to.toLowerCase(),
+        });
+    }
+    return swaps;
+}
+
+/**
+ * Converts a Swap event's bigint amounts to decimal strings for JSON payloads.
+ */
+function serializeSwap(swap) {
+    return {
+        pair: swap.pair,
+        amount0In: swap.amount0In.toString(),
+        amount1In: swap.amount1In.toString(),
+        amount0Out: swap.amount0Out.toString(),
+        amount1Out: swap.amount1Out.toString(),
+        to: swap.to,
+    };
+}
+
+class BlockConfirmer extends EventEmitter {
+    /**
+     * @param {Object} provider - Anything with `getBlock(number)` and `getTransactionReceipt(hash)`.
+     * @param {Object} [options]
+     * @param {number} [options.maxPendingBlocks=3] - Blocks to wait for all legs before retracting.
+     * @param {import('../pools/pool-state').PoolStateCache} [options.poolState] - Used to name the
+     *   tokens of the attacked pair and value WETH profits in ETH.
+     */
+    constructor(provider, options = {}) {
+        super();
+        this.provider = provider;
+        this.maxPendingBlocks = options.maxPendingBlocks !== undefined ? options.maxPendingBlocks : 3;
+        this.poolState = options.poolState || null;
+        // Map<trackingKey, { alert, hashes, positions, trackedAtBlock }>, where `hashes` and
+        // `positions` are keyed by leg.
+        this.tracked = new Map();
+        this.currentBlock = null;
+        // Blocks are processed one at a time, in the order they are handed to us.
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Starts watching the transactions behind an alert.
+     * @param {Object} alert - A sandwich alert with `frontrun_tx`, `victim_tx` and `backrun_tx`.
+     * @returns {string} The tracking key (the three hashes joined by `:`).
+     */
+    track(alert) {
+        const hashes = {
+            frontrun: alert.frontrun_tx.toLowerCase(),
+            victim: alert.victim_tx.toLowerCase(),
+            backrun: alert.backrun_tx.toLowerCase(),
+        };
+        const key = `${hashes.frontrun}:${hashes.victim}:${hashes.backrun}`;
+        if (!this.tracked.has(key)) {
+            this.tracked.set(key, { alert, hashes, positions: {}, trackedAtBlock: this.currentBlock });
+        }
+        return key;
+    }
+
+    /**
+     * @returns {number} The number of alerts still waiting to be settled.
+     */
+    get size() {
+        return this.tracked.size;
+    }
+
+    /**
+     * Checks a newly mined block for tracked transactions. Call this from the provider's
+     * `block` listener; calls are queued so blocks are always processed in order.
+     * @param {number} blockNumber
+     * @param {Object|null} [block] - The block, if the caller has already fetched it (it is
+     *   fetched here otherwise).
+     * @returns {Promise<void>}
+     */
+    handleBlock(blockNumber, block) {
+        this.queue = this.queue
+            .then(() => this.processBlock(blockNumber, block))
+            .catch(error => this.emit('error', error));
+        return this.queue;
+    }
+
+    async processBlock(blockNumber, block) {
+        if (this.currentBlock === null || blockNumber > this.currentBlock) {
+            this.currentBlock = blockNumber;
+        }
+        if (this.tracked.size === 0) {
+            return;
+        }
+
+        if (block === undefined) {
+            block = await this.provider.getBlock(blockNumber);
+        }
+        if (block) {
+            const indexByHash = new Map(block.transactions.map((hash, index) => [hash.toLowerCase(), index]));
+            for (const entry of this.tracked.values()) {
+                for (const leg of Object.keys(entry.hashes)) {
+                    if (!entry.positions[leg] && indexByHash.has(entry.hashes[leg])) {
+                        entry.positions[leg] = { blockNumber, transactionIndex: indexByHash.get(entry.hashes[leg]) };
+                    }
+                }
+                if (entry.trackedAtBlock === null) {
+                    entry.trackedAtBlock = blockNumber;
+                }
+            }
+        }
+
+        for (const [key, entry] of Array.from(this.tracked.entries())) {
+            const outcome = await this.evaluate(entry);
+            if (outcome) {
+                this.tracked.delete(key);
+                this.emit(outcome.status, outcome);
+            }
+        }
+    }
+
+    /**
+     * Decides whether an alert can be settled yet.
+     * @param {Object} entry - A tracked alert.
+     * @returns {Promise<Object|null>} The outcome event, or `null` to keep waiting.
+     */
+    async evaluate(entry) {
+        const { frontrun, victim, backrun } = entry.positions;
+
+        if (victim && (!frontrun || comparePositions(frontrun, victim) > 0)) {
+            // The victim landed and the frontrun is not ahead of it: whatever happens to
+            // the other legs, this is not the sandwich we alerted on.
+            const reason = frontrun ? RetractReason.WRONG_ORDER : RetractReason.FRONTRUN_NOT_BEFORE_VICTIM;
+            return this.retract(entry, reason);
+        }
+
+        if (frontrun && victim && backrun) {
+            if (comparePositions(victim, backrun) > 0) {
+                return this.retract(entry, RetractReason.WRONG_ORDER);
+            }
+            return this.confirm(entry);
+        }
+
+        if (entry.trackedAtBlock !== null && this.currentBlock - entry.trackedAtBlock >= this.maxPendingBlocks) {
+            return this.retract(entry, RetractReason.NOT_INCLUDED);
+        }
+        return null;
+    }
+
+    retract(entry, reason) {
+        return {
+            status: 'retracted',
+            reason,
+            alert: entry.alert,
+            positions: entry.positions,
+        };
+    }
+
+    /**
+     * Reads the three receipts and builds the `confirmed` event, with the actual swap
+     * amounts on the attacked pair and the attacker's realized profit.
+     */
+    async confirm(entry) {
+        const receipts = {};
+        for (const leg of LEGS) {
+            receipts[leg] = await this.provider.getTransactionReceipt(entry.hashes[leg]);
+        }
+        if (receipts.victim && receipts.victim.status === 0) {
+            return this.retract(entry, RetractReason.VICTIM_REVERTED);
+        }
+        if ((receipts.frontrun && receipts.frontrun.status === 0) || (receipts.backrun && receipts.backrun.status === 0)) {
+            return this.retract(entry, RetractReason.ATTACK_REVERTED);
+        }
+
+        const swaps = {};
+        for (const leg of LEGS) {
+            swaps[leg] = receipts[leg] ? swapLogsOf(receipts[leg]) : [];
+        }
+
+        // The attacked pair is the one all three transactions swapped on.
+        const victimPairs = new Set(swaps.victim.map(swap => swap.pair));
+        const pair = swaps.frontrun
+            .map(swap => swap.pair)
+            .find(address => victimPairs.has(address) && swaps.backrun.some(swap => swap.pair === address));
+
+        const onPair = leg => (pair ? swaps[leg].find(swap => swap.pair === pair) : null);
+        const actual = {
+            pool: pair || null,
+            frontrun: onPair('frontrun') ? serializeSwap(onPair('frontrun')) : null,
+            victim: onPair('victim') ? serializeSwap(onPair('victim')) : null,
+            backrun: onPair('backrun') ? serializeSwap(onPair('backrun')) : null,
+            gas_cost_eth: Number(formatEther(this.gasCostWei(receipts.frontrun) + this.gasCostWei(receipts.backrun))),
+            ...this.realizedProfit(pair, onPair('frontrun'), onPair('backrun')),
+        };
+
+        return {
+            status: 'confirmed',
+            reason: null,
+            alert: entry.alert,
+            positions: entry.positions,
+            actual,
+        };
+    }
+
+    gasCostWei(receipt) {
+        if (!receipt) return 0n;
+        return BigInt(receipt.gasUsed || 0) * BigInt(receipt.gasPrice || 0);
+    }
+
+    /**
+     * Computes the attacker's gross profit from the frontrun and backrun Swap events on
+     * the attacked pair: what the backrun got back of the token the frontrun paid in.
+     * @returns {{profit_token: (string|null), gross_profit: (string|null), gross_profit_eth: (number|null)}}
+     */
+    realizedProfit(pair, frontrun, backrun) {
+        const none = { profit_token: null, gross_profit: null, gross_profit_eth: null };
+        if (!pair || !frontrun || !backrun) {
+            return none;
+        }
+        // The frontrun pays in token0 if it has a token0 input, otherwise token1.
+        const paidToken0 = frontrun.amount0In > 0n;
+        const grossProfit = paidToken0
+            ? backrun.amount0Out - frontrun.amount0In
+            : backrun.amount1Out - frontrun.amount1In;
+
+        const pool = this.poolState ? this.poolState.getCachedPool(pair) : null;
+        const profitToken = pool ? (paidToken0 ? pool.token0 : pool.token1) : (paidToken0 ? 'token0' : 'token1');
+        return {
+            profit_token: profitToken,
+            gross_profit: grossProfit.toString(),
+            gross_profit_eth: pool && profitToken === this.poolState.wethAddress ? Number(formatEther(grossProfit)) : null,
+        };
+    }
+}
+
+module.exports = {
+    RetractReason,
+    comparePositions,
+    swapLogsOf,
+    BlockConfirmer,
+};
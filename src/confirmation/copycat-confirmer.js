@@ -0,0 +1,75 @@
+// src/confirmation/copycat-confirmer.js (Post-inclusion confirmation of copycat alerts)
+
+// Settles copycat alerts the same way the sandwich confirmer settles sandwiches, on the
+// same `handleBlock` / `confirmed` / `retracted` interface:
+// - `confirmed`: the copy was mined before the original (or without it) and did not revert.
+// - `retracted`: the original was mined first, the copy reverted, or neither was mined
+//   within `maxPendingBlocks`.
+// Both outcomes report which of the two landed first.
+
+const { formatEther } = require('ethers');
+const { BlockConfirmer, RetractReason, comparePositions } = require('./block-confirmer');
+
+class CopycatConfirmer extends BlockConfirmer {
+    /**
+     * Starts watching the two transactions behind a copycat alert.
+     * @param {Object} alert - A copycat alert with `original_tx` and `copy_tx`.
+     * @returns {string} The tracking key (the two hashes joined by `:`).
+     */
+    track(alert) {
+        const hashes = {
+            original: alert.original_tx.toLowerCase(),
+            copy: alert.copy_tx.toLowerCase(),
+        };
+        const key = `${hashes.original}:${hashes.copy}`;
+        if (!this.tracked.has(key)) {
+            this.tracked.set(key, { alert, hashes, positions: {}, trackedAtBlock: this.currentBlock });
+        }
+        return key;
+    }
+
+    async evaluate(entry) {
+        const { original, copy } = entry.positions;
+
+        if (copy && (!original || comparePositions(copy, original) < 0)) {
+            return this.confirm(entry);
+        }
+        if (original) {
+            // The original landed and the copy is not ahead of it.
+            return { ...this.retract(entry, RetractReason.ORIGINAL_FIRST), landed_first: 'original' };
+        }
+        if (entry.trackedAtBlock !== null && this.currentBlock - entry.trackedAtBlock >= this.maxPendingBlocks) {
+            return { ...this.retract(entry, RetractReason.NOT_INCLUDED), landed_first: null };
+        }
+        return null;
+    }
+
+    /**
+     * Checks the copy's receipt and builds the `confirmed` event. The original may not be
+     * mined yet; when it is, whether it reverted (it usually does once copied) is reported.
+     */
+    async confirm(entry) {
+        const copyReceipt = await this.provider.getTransactionReceipt(entry.hashes.copy);
+        if (copyReceipt && copyReceipt.status === 0) {
+            return { ...this.retract(entry, RetractReason.COPY_REVERTED), landed_first: 'copy' };
+        }
+        const originalReceipt = entry.positions.original
+            ? await this.provider.getTransactionReceipt(entry.hashes.original)
+            : null;
+        return {
+            status: 'confirmed',
+            reason: null,
+            alert: entry.alert,
+            positions: entry.positions,
+            landed_first: 'copy',
+            actual: {
+                copy_gas_cost_eth: Number(formatEther(this.gasCostWei(copyReceipt))),
+                original_reverted: originalReceipt ? originalReceipt.status === 0 : null,
+            },
+        };
+    }
+}
+
+module.exports = {
+    CopycatConfirmer,
+};
@@ -0,0 +1,247 @@
+// src/consumer/alert-store.js (SQLite history of every attack the detector reported)
+
+// One row per attack, keyed by the `alert_id` of its `suspected` alert. When the
+// `confirmed` / `retracted` follow-up arrives (matched through `parent_alert_id`), the
+// row's status, block and realized profit are updated in place. Alert ids are
+// deterministic, so messages delivered twice are stored once.
+//
+// Totals count every attack that was not retracted. Profit is the realized profit of
+// confirmed attacks, or the simulated estimate while an attack is still suspected.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS attacks (
+        alert_id             TEXT PRIMARY KEY,
+        detection_type       TEXT NOT NULL,
+        status               TEXT NOT NULL,
+        chain_id             INTEGER,
+        attacker             TEXT NOT NULL,
+        victim               TEXT,
+        pool                 TEXT,
+        router               TEXT,
+        rule                 TEXT,
+        confidence           REAL,
+        tx_hashes            TEXT NOT NULL,
+        frontrun_tx          TEXT,
+        victim_tx            TEXT,
+        backrun_tx           TEXT,
+        estimated_profit_eth REAL,
+        realized_profit_eth  REAL,
+        victim_loss_eth      REAL,
+        block_number         INTEGER,
+        retract_reason       TEXT,
+        detected_at          INTEGER NOT NULL,
+        settled_at           INTEGER,
+        alert                TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS attacks_attacker_detected_at ON attacks (attacker, detected_at);
+    CREATE INDEX IF NOT EXISTS attacks_victim_detected_at ON attacks (victim, detected_at);
+    CREATE INDEX IF NOT EXISTS attacks_pool_detected_at ON attacks (pool, detected_at);
+    CREATE INDEX IF NOT EXISTS attacks_detected_at ON attacks (detected_at);
+    CREATE INDEX IF NOT EXISTS attacks_status ON attacks (status);
+`;
+
+// Profit used for totals: realized once confirmed, simulated before.
+const PROFIT_SQL = 'COALESCE(realized_profit_eth, estimated_profit_eth)';
+
+const lower = value => (typeof value === 'string' ? value.toLowerCase() : null);
+
+class AlertStore {
+    /**
+     * Opens (creating if needed) the database.
+     * @param {string} dbPath - SQLite file, or `:memory:`.
+     */
+    constructor(dbPath) {
+        if (dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+        this.db = new Database(dbPath);
+        // WAL lets the query API read while the consumer writes.
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.insertAttack = this.db.prepare(`
+            INSERT INTO attacks (
+                alert_id, detection_type, status, chain_id, attacker, victim, pool, router, rule,
+                confidence, tx_hashes, frontrun_tx, victim_tx, backrun_tx, estimated_profit_eth,
+                victim_loss_eth, detected_at, alert
+            ) VALUES (
+                @alert_id, @detection_type, 'suspected', @chain_id, @attacker, @victim, @pool, @router, @rule,
+                @confidence, @tx_hashes, @frontrun_tx, @victim_tx, @backrun_tx, @profit_eth,
+                @victim_loss_eth, @timestamp, @alert
+            )
+            ON CONFLICT (alert_id) DO NOTHING
+        `);
+        this.settleAttack = this.db.prepare(`
+            UPDATE attacks SET
+                status = @status,
+                realized_profit_eth = @profit_eth,
+                block_number = @block_number,
+                retract_reason = @reason,
+                pool = COALESCE(@pool, pool),
+                settled_at = @timestamp
+            WHERE alert_id = @parent_alert_id
+        `);
+        // A follow-up can arrive for an attack we never saw (e.g. the consumer started
+        // between the two messages): it then creates the row itself.
+        this.ingestFollowUp = this.db.transaction(alert => {
+            const params = this.rowParams(alert);
+            this.insertAttack.run({ ...params, alert_id: alert.parent_alert_id, profit_eth: null });
+            this.settleAttack.run({
+                status: alert.status,
+                profit_eth: alert.status === 'confirmed' ? alert.profit_eth : null,
+                block_number: alert.block_number !== undefined ? alert.block_number : null,
+                reason: alert.reason,
+                pool: lower(alert.pool),
+                timestamp: alert.timestamp,
+                parent_alert_id: alert.parent_alert_id,
+            });
+        });
+    }
+
+    rowParams(alert) {
+        return {
+            alert_id: alert.alert_id,
+            detection_type: alert.detection_type,
+            chain_id: alert.chain_id,
+            attacker: lower(alert.attacker),
+            victim: lower(alert.victim),
+            pool: lower(alert.pool),
+            router: lower(alert.router),
+            rule: alert.rule !== undefined ? alert.rule : null,
+            confidence: alert.confidence,
+            tx_hashes: JSON.stringify(alert.tx_hashes.map(lower)),
+            frontrun_tx: lower(alert.frontrun_tx),
+            victim_tx: lower(alert.victim_tx),
+            backrun_tx: lower(alert.backrun_tx),
+            profit_eth: alert.profit_eth !== undefined ? alert.profit_eth : null,
+            victim_loss_eth: alert.victim_loss_eth !== undefined ? alert.victim_loss_eth : null,
+            timestamp: alert.timestamp,
+            alert: JSON.stringify(alert),
+        };
+    }
+
+    /**
+     * Stores one alert (already validated against the alert schema). Rollups are skipped.
+     * @param {Object} alert
+     */
+    ingest(alert) {
+        if (alert.status === 'rollup') {
+            // Rollups summarize repeat sandwiches the detector chose not to alert on
+            // individually; they are not attacks of their own.
+            return;
+        }
+        if (alert.parent_alert_id) {
+            this.ingestFollowUp(alert);
+        } else {
+            this.insertAttack.run(this.rowParams(alert));
+        }
+    }
+
+    /**
+     * Lists attacks, newest first.
+     * @param {Object} [filter]
+     * @param {string} [filter.attacker]
+     * @param {string} [filter.victim]
+     * @param {string} [filter.pool]
+     * @param {string} [filter.status] - `suspected`, `confirmed` or `retracted`.
+     * @param {string} [filter.detectionType]
+     * @param {number} [filter.from] - Unix seconds, inclusive.
+     * @param {number} [filter.to] - Unix seconds, inclusive.
+     * @param {number} [filter.limit=100]
+     * @param {number} [filter.offset=0]
+     * @returns {Array<Object>}
+     */
+    listAttacks(filter = {}) {
+        const { where, params } = this.whereClause(filter);
+        const rows = this.db.prepare(`
+            SELECT * FROM attacks ${where}
+            ORDER BY detected_at DESC, alert_id
+            LIMIT @limit OFFSET @offset
+        `).all({ ...params, ...pageParams(filter) });
+        return rows.map(toAttack);
+    }
+
+    /**
+     * @param {string} alertId
+     * @returns {Object|null}
+     */
+    getAttack(alertId) {
+        const row = this.db.prepare('SELECT * FROM attacks WHERE alert_id = ?').get(alertId);
+        return row ? toAttack(row) : null;
+    }
+
+    /**
+     * Per-attacker totals over the non-retracted attacks, busiest attackers first.
+     * @param {Object} [filter] - Same fields as `listAttacks` (`status` is ignored).
+     * @returns {Array<{attacker: string, attack_count: number, confirmed_count: number,
+     *   total_profit_eth: number, first_seen: number, last_seen: number}>}
+     */
+    attackerTotals(filter = {}) {
+        const { where, params } = this.whereClause({ ...filter, status: undefined }, ["status != 'retracted'"]);
+        return this.db.prepare(`
+            SELECT
+                attacker,
+                COUNT(*) AS attack_count,
+                SUM(status = 'confirmed') AS confirmed_count,
+                COALESCE(SUM(${PROFIT_SQL}), 0) AS total_profit_eth,
+                MIN(detected_at) AS first_seen,
+                MAX(detected_at) AS last_seen
+            FROM attacks ${where}
+            GROUP BY attacker
+            ORDER BY attack_count DESC, attacker
+            LIMIT @limit OFFSET @offset
+        `).all({ ...params, ...pageParams(filter) });
+    }
+
+    whereClause(filter, conditions = []) {
+        const clauses = [...conditions];
+        const params = {};
+        const equals = { attacker: 'attacker', victim: 'victim', pool: 'pool', status: 'status', detectionType: 'detection_type' };
+        for (const [key, column] of Object.entries(equals)) {
+            if (filter[key] !== undefined && filter[key] !== null) {
+                clauses.push(`${column} = @${key}`);
+                // Addresses and pools are stored lowercased.
+                params[key] = ['status', 'detectionType'].includes(key) ? filter[key] : filter[key].toLowerCase();
+            }
+        }
+        if (filter.from !== undefined && filter.from !== null) {
+            clauses.push('detected_at >= @from');
+            params.from = filter.from;
+        }
+        if (filter.to !== undefined && filter.to !== null) {
+            clauses.push('detected_at <= @to');
+            params.to = filter.to;
+        }
+        return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+/**
+ * The `LIMIT` / `OFFSET` parameters of a filter. A `limit` of 0 means no rows, not the default.
+ */
+function pageParams(filter) {
+    return {
+        limit: filter.limit !== undefined && filter.limit !== null ? filter.limit : 100,
+        offset: filter.offset !== undefined && filter.offset !== null ? filter.offset : 0,
+    };
+}
+
+/**
+ * Converts a database row to the API's attack object.
+ */
+function toAttack(row) {
+    const { alert, tx_hashes: txHashes, ...columns } = row;
+    return { ...columns, tx_hashes: JSON.parse(txHashes), alert: JSON.parse(alert) };
+}
+
+module.exports = {
+    AlertStore,
+};
@@ -0,0 +1,34 @@
+// src/consumer/message-handler.js (Stores the alert messages the consumer reads from Kafka)
+
+const { validateAlert, AlertSchemaError } = require('../alerts/alert-schema');
+
+/**
+ * Creates the consumer's `eachMessage` handler. Messages that are not valid alerts are
+ * logged and skipped, so one bad message cannot block the partition.
+ * @param {import('./alert-store').AlertStore} store
+ * @param {Object} [logger=console]
+ * @returns {function({topic: string, partition: number, message: Object}): boolean} Stores
+ *   one kafkajs message; returns whether it was a valid alert.
+ */
+function createMessageHandler(store, logger = console) {
+    return ({ topic, partition, message }) => {
+        let alert;
+        try {
+            alert = JSON.parse(message.value.toString());
+        } catch (error) {
+            logger.error(`Skipping unparsable message at ${topic}[${partition}]@${message.offset}:`, error.message);
+            return false;
+        }
+        const errors = validateAlert(alert);
+        if (errors.length > 0) {
+            logger.error(`Skipping invalid alert at ${topic}[${partition}]@${message.offset}: ${new AlertSchemaError(alert, errors).message}`);
+            return false;
+        }
+        store.ingest(alert);
+        return true;
+    };
+}
+
+module.exports = {
+    createMessageHandler,
+};
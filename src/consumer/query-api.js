@@ -0,0 +1,129 @@
+// src/consumer/query-api.js (HTTP API over the stored attack history)
+
+// Read-only JSON endpoints:
+//   GET /attacks?attacker=&victim=&pool=&status=&type=&from=&to=&limit=&offset=
+//   GET /attacks/<alert_id>
+//   GET /attackers?from=&to=&limit=&offset=      per-attacker totals, busiest first
+//   GET /attackers/<address>?from=&to=           totals for one attacker
+// `from` / `to` are unix seconds or ISO-8601 dates. `limit` is capped at MAX_LIMIT;
+// `limit=0` returns no rows.
+
+const http = require('http');
+
+const MAX_LIMIT = 1000;
+
+class BadRequestError extends Error {}
+
+/**
+ * Parses a `from` / `to` query value.
+ * @param {string|null} value
+ * @returns {number|undefined} Unix seconds.
+ */
+function parseTime(name, value) {
+    if (value === null || value === '') {
+        return undefined;
+    }
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) {
+        throw new BadRequestError(`"${name}" must be unix seconds or an ISO-8601 date, got "${value}".`);
+    }
+    return Math.floor(ms / 1000);
+}
+
+/**
+ * Parses a `limit` / `offset` query value.
+ * @param {string|null} value
+ * @param {number} fallback - When the parameter is absent.
+ * @param {number} [max=Infinity] - Larger values are clamped to it.
+ * @returns {number}
+ */
+function parseCount(name, value, fallback, max = Infinity) {
+    if (value === null || value === '') {
+        return fallback;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new BadRequestError(`"${name}" must be a non-negative integer, got "${value}".`);
+    }
+    return Math.min(Number(value), max);
+}
+
+/**
+ * Reads the filter shared by every list endpoint from the query string.
+ * @param {URLSearchParams} query
+ */
+function filterFrom(query) {
+    const optional = name => (query.get(name) ? query.get(name) : undefined);
+    return {
+        attacker: optional('attacker'),
+        victim: optional('victim'),
+        pool: optional('pool'),
+        status: optional('status'),
+        detectionType: optional('type'),
+        from: parseTime('from', query.get('from')),
+        to: parseTime('to', query.get('to')),
+        limit: parseCount('limit', query.get('limit'), 100, MAX_LIMIT),
+        offset: parseCount('offset', query.get('offset'), 0),
+    };
+}
+
+/**
+ * Creates the HTTP server (not yet listening).
+ * @param {import('./alert-store').AlertStore} store
+ * @returns {http.Server}
+ */
+function createQueryServer(store) {
+    return http.createServer((req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+        if (req.method !== 'GET') {
+            send(405, { error: 'Only GET is supported.' });
+            return;
+        }
+
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const parts = url.pathname.split('/').filter(Boolean);
+            const filter = filterFrom(url.searchParams);
+
+            if (parts[0] === 'attacks' && parts.length === 1) {
+                send(200, { attacks: store.listAttacks(filter) });
+            } else if (parts[0] === 'attacks' && parts.length === 2) {
+                const attack = store.getAttack(parts[1]);
+                if (attack) {
+                    send(200, attack);
+                } else {
+                    send(404, { error: `No attack with alert id ${parts[1]}.` });
+                }
+            } else if (parts[0] === 'attackers' && parts.length === 1) {
+                send(200, { attackers: store.attackerTotals(filter) });
+            } else if (parts[0] === 'attackers' && parts.length === 2) {
+                const [totals] = store.attackerTotals({ ...filter, attacker: parts[1], limit: 1, offset: 0 });
+                if (totals) {
+                    send(200, totals);
+                } else {
+                    send(404, { error: `No attacks recorded for ${parts[1]}.` });
+                }
+            } else {
+                send(404, { error: `Unknown endpoint ${url.pathname}.` });
+            }
+        } catch (error) {
+            if (error instanceof BadRequestError) {
+                send(400, { error: error.message });
+            } else {
+                console.error('Query API error:', error);
+                send(500, { error: 'Internal error.' });
+            }
+        }
+    });
+}
+
+module.exports = {
+    MAX_LIMIT,
+    parseTime,
+    createQueryServer,
+};
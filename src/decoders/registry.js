@@ -0,0 +1,112 @@
+// src/decoders/registry.js (Which decoder reads the calls of which router)
+
+// Every router whose calls we decode is a decoder name and an address: `routerAddress` is
+// always read as a Uniswap V2 Router 02, and the `routers` setting adds others
+// (`universal-router:0x...`), so a new deployment of a known router only needs config.
+// Whatever the router, each decoded swap is the same normalized swap record (see
+// `swapRecord` in uniswap-v2.js), which is what the clusterer and the detectors read.
+
+const { DecodeStatus, decodeUniswapV2Transaction } = require('./uniswap-v2');
+const { decodeSwapRouterTransaction, decodeSwapRouter02Transaction } = require('./uniswap-v3');
+const { decodeUniversalRouterTransaction } = require('./universal-router');
+
+// Decoders by name. Each takes `(tx, { routerAddress, wethAddress })` and returns
+// `{ status, method, swaps, liquidity }`.
+const DECODERS = Object.freeze({
+    'v2-router': (tx, options) => {
+        const { status, method, swap, liquidity } = decodeUniswapV2Transaction(tx, options);
+        return { status, method, swaps: swap ? [swap] : [], liquidity };
+    },
+    'v3-swap-router': decodeSwapRouterTransaction,
+    'swap-router-02': decodeSwapRouter02Transaction,
+    'universal-router': decodeUniversalRouterTransaction,
+});
+
+/**
+ * Parses a `routers` entry.
+ * @param {string} entry - `<decoder>:<address>`.
+ * @returns {{decoder: string, address: string}}
+ * @throws {Error} If the decoder is unknown.
+ */
+function parseRouterEntry(entry) {
+    const separator = entry.lastIndexOf(':');
+    const decoder = entry.slice(0, separator);
+    if (separator === -1 || !DECODERS[decoder]) {
+        throw new Error(`Unknown router decoder in "${entry}": expected one of ${Object.keys(DECODERS).join(', ')}`);
+    }
+    return { decoder, address: entry.slice(separator + 1) };
+}
+
+class DecoderRegistry {
+    /**
+     * @param {Array<{decoder: string, address: string}>} routers - One router per address; a
+     *   later entry for the same address replaces an earlier one.
+     * @param {Object} [options]
+     * @param {string} [options.wethAddress] - The WETH the routers wrap ETH into; Mainnet's by default.
+     */
+    constructor(routers, options = {}) {
+        this.wethAddress = options.wethAddress;
+        // Map<routerAddress (lowercase), decoder name>
+        this.routers = new Map();
+        for (const { decoder, address } of routers) {
+            if (!DECODERS[decoder]) {
+                throw new Error(`Unknown router decoder "${decoder}"`);
+            }
+            this.routers.set(address.toLowerCase(), decoder);
+        }
+    }
+
+    /**
+     * The registry of a config: `routerAddress` as a V2 router, then every `routers` entry.
+     * @param {Object} config - The effective config (see src/config/config.js).
+     * @returns {DecoderRegistry}
+     */
+    static fromConfig(config) {
+        const routers = [{ decoder: 'v2-router', address: config.routerAddress }]
+            .concat((config.routers || []).map(parseRouterEntry));
+        return new DecoderRegistry(routers, { wethAddress: config.wethAddress });
+    }
+
+    /**
+     * Decodes a transaction with the decoder of the router it calls. Never throws.
+     * @param {Object} tx - A transaction with at least `to`, `from`, `data` (or `input`) and `value`.
+     * @returns {{status: string, method: (string|null), swap: (Object|null), swaps: Array<Object>,
+     *   liquidity: (Object|null)}} `swap` is the first of `swaps`.
+     */
+    decode(tx) {
+        const decoder = typeof tx.to === 'string' ? this.routers.get(tx.to.toLowerCase()) : undefined;
+        if (!decoder) {
+            return { status: DecodeStatus.NOT_ROUTER, method: null, swap: null, swaps: [], liquidity: null };
+        }
+        const { status, method, swaps, liquidity } = DECODERS[decoder](tx, { routerAddress: tx.to, wethAddress: this.wethAddress });
+        return { status, method, swap: swaps.length > 0 ? swaps[0] : null, swaps, liquidity };
+    }
+
+    /**
+     * Decodes a transaction and copies the result onto it, as `annotateTransaction` in
+     * uniswap-v2.js does; `swaps` holds every swap of a batched call, `swap` (and the flat
+     * swap fields the Rust engine reads) the first.
+     * @param {Object} tx - The transaction to annotate (modified in place).
+     * @returns {Object} The same transaction, for chaining.
+     */
+    annotate(tx) {
+        const { status, method, swap, swaps, liquidity } = this.decode(tx);
+        tx.decode_status = status;
+        tx.router_method = method;
+        tx.is_uniswap_swap = status === DecodeStatus.SWAP;
+        tx.swap = swap;
+        tx.swaps = swaps;
+        tx.liquidity = liquidity;
+        tx.token_in = swap ? swap.token_in : null;
+        tx.token_out = swap ? swap.token_out : null;
+        tx.amount_in = swap ? swap.amount_in : null;
+        tx.amount_out_min = swap ? swap.amount_out_min : null;
+        return tx;
+    }
+}
+
+module.exports = {
+    DECODERS,
+    parseRouterEntry,
+    DecoderRegistry,
+};
@@ -0,0 +1,267 @@
+// src/decoders/uniswap-v2.js (Uniswap V2 Router 02 calldata decoder)
+
+// `Interface` parses ABI-encoded calldata back into named, typed arguments.
+const { Interface } = require('ethers');
+
+// The router ABI is shared with the subgraph so both sides always agree on the
+// exact function signatures we understand.
+const ROUTER_ABI = require('../../mev-subgraph/abis/IUniswapV2Router02.json');
+// The router wraps ETH into WETH for the `...ETH` liquidity calls.
+const { WETH_ADDRESS } = require('../pools/pool-state');
+
+// Uniswap V2 Router 02 on Mainnet. Other networks pass their own (see src/config/networks.js).
+const UNISWAP_V2_ROUTER_ADDRESS = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D';
+
+// Outcome of decoding a transaction, stored on the transaction as `decode_status`.
+// - `not_router`:  the transaction does not target the router at all.
+// - `swap`:        a router swap call that was fully decoded.
+// - `not_swap`:    a valid router call that is not a swap (liquidity management, quotes, ...).
+//                  Liquidity calls are still decoded, into `liquidity` (see `LIQUIDITY_METHODS`).
+// - `undecodable`: the transaction targets the router but its calldata matches no known function.
+//                  We flag these explicitly rather than guessing what they do.
+const DecodeStatus = Object.freeze({
+    NOT_ROUTER: 'not_router',
+    SWAP: 'swap',
+    NOT_SWAP: 'not_swap',
+    UNDECODABLE: 'undecodable',
+});
+
+const routerInterface = new Interface(ROUTER_ABI);
+
+// Describes how each swap variant maps onto a normalized swap record.
+// - `kind`: `exact_in` fixes the input amount, `exact_out` fixes the output amount.
+// - `ethIn`: the input amount is carried in `tx.value` rather than in the calldata.
+// - `feeOnTransfer`: the `SupportingFeeOnTransferTokens` variants, whose real
+//   output can be lower than the pool math suggests (they are not simulated).
+const SWAP_METHODS = {
+    swapExactTokensForTokens: { kind: 'exact_in', ethIn: false, feeOnTransfer: false },
+    swapExactTokensForETH: { kind: 'exact_in', ethIn: false, feeOnTransfer: false },
+    swapExactETHForTokens: { kind: 'exact_in', ethIn: true, feeOnTransfer: false },
+    swapTokensForExactTokens: { kind: 'exact_out', ethIn: false, feeOnTransfer: false },
+    swapTokensForExactETH: { kind: 'exact_out', ethIn: false, feeOnTransfer: false },
+    swapETHForExactTokens: { kind: 'exact_out', ethIn: true, feeOnTransfer: false },
+    swapExactTokensForTokensSupportingFeeOnTransferTokens: { kind: 'exact_in', ethIn: false, feeOnTransfer: true },
+    swapExactTokensForETHSupportingFeeOnTransferTokens: { kind: 'exact_in', ethIn: false, feeOnTransfer: true },
+    swapExactETHForTokensSupportingFeeOnTransferTokens: { kind: 'exact_in', ethIn: true, feeOnTransfer: true },
+};
+
+// Describes how each liquidity call maps onto a normalized liquidity record.
+// - `action`: `add` or `remove`.
+// - `eth`: one side of the pair is ETH (wrapped by the router into WETH); for adds, its
+//   amount is carried in `tx.value`.
+const LIQUIDITY_METHODS = {
+    addLiquidity: { action: 'add', eth: false },
+    addLiquidityETH: { action: 'add', eth: true },
+    removeLiquidity: { action: 'remove', eth: false },
+    removeLiquidityETH: { action: 'remove', eth: true },
+    removeLiquidityWithPermit: { action: 'remove', eth: false },
+    removeLiquidityETHWithPermit: { action: 'remove', eth: true },
+    removeLiquidityETHSupportingFeeOnTransferTokens: { action: 'remove', eth: true },
+    removeLiquidityETHWithPermitSupportingFeeOnTransferTokens: { action: 'remove', eth: true },
+};
+
+/**
+ * Checks whether an address is the Uniswap V2 Router 02 (case-insensitive).
+ * @param {string|null|undefined} address - The address to check.
+ * @param {string} [routerAddress] - The router on this network; Mainnet's by default.
+ * @returns {boolean} True if the address is the router.
+ */
+function isUniswapV2Router(address, routerAddress = UNISWAP_V2_ROUTER_ADDRESS) {
+    return typeof address === 'string' && address.toLowerCase() === routerAddress.toLowerCase();
+}
+
+/**
+ * Converts a decoded numeric argument (bigint) into a decimal string, which is how
+ * amounts travel through the rest of the pipeline and into the Rust engine.
+ * @param {bigint|null|undefined} value
+ * @returns {string|null}
+ */
+function toAmountString(value) {
+    return value === null || value === undefined ? null : value.toString();
+}
+
+/**
+ * Builds a normalized swap record: the shape every DEX decoder (see registry.js) outputs,
+ * whatever the router and the protocol.
+ * @param {Object} fields
+ * @param {string} fields.dex - The protocol of the pools traded on: `uniswap-v2` or `uniswap-v3`.
+ * @param {string} fields.method - The router function (or Universal Router command).
+ * @param {string} fields.kind - `exact_in` or `exact_out`.
+ * @param {boolean} [fields.feeOnTransfer=false]
+ * @param {Array<string>} fields.path - Tokens from the input to the output.
+ * @param {Array<number>|null} [fields.fees=null] - Fee tier of each hop (hundredths of a bip),
+ *   for Uniswap V3; `null` for V2 pairs (always 0.3%).
+ * @param {bigint|null} [fields.amountIn] - Exact-in only; `null` if the router decides it.
+ * @param {bigint|null} [fields.amountInMax] - Exact-out only.
+ * @param {bigint|null} [fields.amountOut] - Exact-out only.
+ * @param {bigint|null} [fields.amountOutMin] - Exact-in only.
+ * @param {string|null} fields.recipient - Who gets the output, if known.
+ * @param {number|null} fields.deadline - Unix seconds, if the call has one.
+ * @returns {Object}
+ */
+function swapRecord(fields) {
+    const path = fields.path.map(address => address.toLowerCase());
+    const exactIn = fields.kind === 'exact_in';
+    return {
+        dex: fields.dex,
+        method: fields.method,
+        kind: fields.kind,
+        fee_on_transfer: Boolean(fields.feeOnTransfer),
+        path,
+        fees: fields.fees || null,
+        token_in: path[0],
+        token_out: path[path.length - 1],
+        amount_in: exactIn ? toAmountString(fields.amountIn) : null,
+        amount_in_max: exactIn ? null : toAmountString(fields.amountInMax),
+        amount_out: exactIn ? null : toAmountString(fields.amountOut),
+        amount_out_min: exactIn ? toAmountString(fields.amountOutMin) : null,
+        recipient: fields.recipient ? fields.recipient.toLowerCase() : null,
+        deadline: fields.deadline === null || fields.deadline === undefined ? null : Number(fields.deadline),
+    };
+}
+
+/**
+ * Builds the normalized swap record for a decoded router swap call.
+ * @param {string} method - The router function name.
+ * @param {Object} args - The decoded arguments (an ethers `Result`).
+ * @param {bigint} txValue - The ETH value attached to the transaction.
+ * @returns {Object} The normalized swap record.
+ */
+function buildSwapRecord(method, args, txValue) {
+    const { kind, ethIn, feeOnTransfer } = SWAP_METHODS[method];
+    // For exact-in swaps the input is fixed (in calldata, or `msg.value` for ETH);
+    // for exact-out swaps the input is only bounded by `amountInMax` (or `msg.value`).
+    return swapRecord({
+        dex: 'uniswap-v2',
+        method,
+        kind,
+        feeOnTransfer,
+        path: args.path,
+        amountIn: kind === 'exact_in' ? (ethIn ? txValue : args.amountIn) : null,
+        amountInMax: kind === 'exact_out' ? (ethIn ? txValue : args.amountInMax) : null,
+        amountOut: kind === 'exact_out' ? args.amountOut : null,
+        amountOutMin: kind === 'exact_in' ? args.amountOutMin : null,
+        recipient: args.to,
+        deadline: args.deadline,
+    });
+}
+
+/**
+ * Builds the normalized liquidity record for a decoded router liquidity call.
+ * For the ETH variants, `token_b` is WETH.
+ * @param {string} method - The router function name.
+ * @param {Object} args - The decoded arguments (an ethers `Result`).
+ * @param {bigint} txValue - The ETH value attached to the transaction.
+ * @param {string} wethAddress - The WETH the router wraps ETH into.
+ * @returns {Object} The normalized liquidity record.
+ */
+function buildLiquidityRecord(method, args, txValue, wethAddress) {
+    const { action, eth } = LIQUIDITY_METHODS[method];
+    const tokenA = (eth ? args.token : args.tokenA).toLowerCase();
+    const tokenB = eth ? wethAddress.toLowerCase() : args.tokenB.toLowerCase();
+
+    let amountADesired = null;
+    let amountBDesired = null;
+    if (action === 'add') {
+        amountADesired = eth ? args.amountTokenDesired : args.amountADesired;
+        amountBDesired = eth ? txValue : args.amountBDesired;
+    }
+
+    return {
+        dex: 'uniswap-v2',
+        method,
+        action,
+        token_a: tokenA,
+        token_b: tokenB,
+        amount_a_desired: toAmountString(amountADesired),
+        amount_b_desired: toAmountString(amountBDesired),
+        // LP tokens burned by a remove.
+        liquidity: action === 'remove' ? toAmountString(args.liquidity) : null,
+        recipient: args.to.toLowerCase(),
+        deadline: Number(args.deadline),
+    };
+}
+
+/**
+ * Decodes a transaction sent to the Uniswap V2 Router 02.
+ * Never throws: anything that cannot be decoded is reported via `status`.
+ * @param {Object} tx - A transaction with at least `to`, `data` (or `input`) and `value`.
+ * @param {Object} [options]
+ * @param {string} [options.routerAddress] - The router on this network; Mainnet's by default.
+ * @param {string} [options.wethAddress] - The WETH that router wraps ETH into; Mainnet's by default.
+ * @returns {{status: string, method: (string|null), swap: (Object|null), liquidity: (Object|null)}}
+ */
+function decodeUniswapV2Transaction(tx, options = {}) {
+    if (!isUniswapV2Router(tx.to, options.routerAddress)) {
+        return { status: DecodeStatus.NOT_ROUTER, method: null, swap: null, liquidity: null };
+    }
+
+    let parsed = null;
+    try {
+        // ethers transactions carry calldata in `data`; the engine's records call it `input`.
+        parsed = routerInterface.parseTransaction({ data: tx.data || tx.input, value: tx.value || 0n });
+    } catch (error) {
+        // Malformed calldata (e.g. truncated arguments) for a known selector.
+        parsed = null;
+    }
+    if (!parsed) {
+        return { status: DecodeStatus.UNDECODABLE, method: null, swap: null, liquidity: null };
+    }
+
+    if (LIQUIDITY_METHODS[parsed.name]) {
+        return {
+            status: DecodeStatus.NOT_SWAP,
+            method: parsed.name,
+            swap: null,
+            liquidity: buildLiquidityRecord(parsed.name, parsed.args, BigInt(tx.value || 0), options.wethAddress || WETH_ADDRESS),
+        };
+    }
+
+    if (!SWAP_METHODS[parsed.name]) {
+        return { status: DecodeStatus.NOT_SWAP, method: parsed.name, swap: null, liquidity: null };
+    }
+
+    // A swap needs at least two tokens in its path; anything shorter would revert on-chain.
+    if (parsed.args.path.length < 2) {
+        return { status: DecodeStatus.UNDECODABLE, method: parsed.name, swap: null, liquidity: null };
+    }
+
+    return {
+        status: DecodeStatus.SWAP,
+        method: parsed.name,
+        swap: buildSwapRecord(parsed.name, parsed.args, BigInt(tx.value || 0)),
+        liquidity: null,
+    };
+}
+
+/**
+ * Decodes a transaction and copies the result onto it using the field names the
+ * Rust engine expects (`is_uniswap_swap`, `token_in`, `amount_out_min`, ...).
+ * @param {Object} tx - The transaction to annotate (modified in place).
+ * @param {Object} [options] - As for `decodeUniswapV2Transaction`.
+ * @returns {Object} The same transaction, for chaining.
+ */
+function annotateTransaction(tx, options = {}) {
+    const { status, method, swap, liquidity } = decodeUniswapV2Transaction(tx, options);
+    tx.decode_status = status;
+    tx.router_method = method;
+    tx.is_uniswap_swap = status === DecodeStatus.SWAP;
+    tx.swap = swap;
+    tx.liquidity = liquidity;
+    tx.token_in = swap ? swap.token_in : null;
+    tx.token_out = swap ? swap.token_out : null;
+    tx.amount_in = swap ? swap.amount_in : null;
+    tx.amount_out_min = swap ? swap.amount_out_min : null;
+    return tx;
+}
+
+module.exports = {
+    UNISWAP_V2_ROUTER_ADDRESS,
+    DecodeStatus,
+    LIQUIDITY_METHODS,
+    routerInterface,
+    isUniswapV2Router,
+    swapRecord,
+    decodeUniswapV2Transaction,
+    annotateTransaction,
+};
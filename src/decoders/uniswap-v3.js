@@ -0,0 +1,353 @@
+// src/decoders/uniswap-v3.js (Uniswap V3 SwapRouter and SwapRouter02 calldata decoders)
+
+// Both routers take single swaps (`exactInputSingle`, `exactInput`, `exactOutputSingle`,
+// `exactOutput`) or several calls batched in a `multicall`, typically a swap followed by
+// `unwrapWETH9` or `sweepToken` to pay its output out. SwapRouter02 also routes through
+// Uniswap V2 pairs (`swapExactTokensForTokens`, `swapTokensForExactTokens`, without a
+// deadline) and moves the deadline to `multicall(deadline, data)`.
+//
+// Every swap decodes into the normalized swap record of the V2 decoder (`swapRecord`),
+// with the fee tier of each V3 hop in `fees`.
+
+const { Interface, ZeroAddress, dataLength, dataSlice, toNumber } = require('ethers');
+const { DecodeStatus, swapRecord } = require('./uniswap-v2');
+const { WETH_ADDRESS } = require('../pools/pool-state');
+
+// Uniswap V3 SwapRouter and SwapRouter02 on Mainnet.
+const SWAP_ROUTER_ADDRESS = '0xE592427A0AEce92De3Edee1F18E0157C05861564';
+const SWAP_ROUTER_02_ADDRESS = '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45';
+
+// Recipients the periphery contracts read as placeholders: the caller, and the router
+// itself (the output stays there for a later call to pay out).
+const MSG_SENDER = '0x0000000000000000000000000000000000000001';
+const ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+
+// Calls that only move tokens or approvals around, common to both routers.
+const PERIPHERY_ABI = [
+    'function refundETH()',
+    'function selfPermit(address token, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+    'function selfPermitIfNecessary(address token, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+    'function selfPermitAllowed(address token, uint256 nonce, uint256 expiry, uint8 v, bytes32 r, bytes32 s)',
+    'function selfPermitAllowedIfNecessary(address token, uint256 nonce, uint256 expiry, uint8 v, bytes32 r, bytes32 s)',
+];
+
+const swapRouterInterface = new Interface([
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)',
+    'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)',
+    'function exactOutput((bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params)',
+    'function multicall(bytes[] data)',
+    'function unwrapWETH9(uint256 amountMinimum, address recipient)',
+    'function sweepToken(address token, uint256 amountMinimum, address recipient)',
+    ...PERIPHERY_ABI,
+]);
+
+const swapRouter02Interface = new Interface([
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params)',
+    'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)',
+    'function exactOutput((bytes path, address recipient, uint256 amountOut, uint256 amountInMaximum) params)',
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to)',
+    'function multicall(bytes[] data)',
+    'function multicall(uint256 deadline, bytes[] data)',
+    'function multicall(bytes32 previousBlockhash, bytes[] data)',
+    'function unwrapWETH9(uint256 amountMinimum, address recipient)',
+    'function unwrapWETH9(uint256 amountMinimum)',
+    'function sweepToken(address token, uint256 amountMinimum, address recipient)',
+    'function sweepToken(address token, uint256 amountMinimum)',
+    'function wrapETH(uint256 value)',
+    ...PERIPHERY_ABI,
+]);
+
+// A V3 path packs each token (20 bytes) with the fee tier (3 bytes) of the pool to the next.
+const ADDRESS_BYTES = 20;
+const FEE_BYTES = 3;
+
+/**
+ * Decodes a packed Uniswap V3 path.
+ * @param {string} path - `token (20 bytes) | fee (3 bytes) | token | ...`, hex-encoded.
+ * @param {boolean} [reversed=false] - The path is in exact-output order (output token first),
+ *   as the exact-output calls take it; it is returned from the input to the output.
+ * @returns {{tokens: Array<string>, fees: Array<number>}|null} Lowercase tokens from input to
+ *   output and the fee tier of each hop, or `null` if the bytes are not a path.
+ */
+function decodeV3Path(path, reversed = false) {
+    const length = dataLength(path);
+    if (length < 2 * ADDRESS_BYTES + FEE_BYTES || (length - ADDRESS_BYTES) % (ADDRESS_BYTES + FEE_BYTES) !== 0) {
+        return null;
+    }
+    const tokens = [];
+    const fees = [];
+    for (let offset = 0; ; offset += ADDRESS_BYTES + FEE_BYTES) {
+        tokens.push(dataSlice(path, offset, offset + ADDRESS_BYTES).toLowerCase());
+        if (offset + ADDRESS_BYTES === length) break;
+        fees.push(toNumber(dataSlice(path, offset + ADDRESS_BYTES, offset + ADDRESS_BYTES + FEE_BYTES)));
+    }
+    return reversed ? { tokens: tokens.reverse(), fees: fees.reverse() } : { tokens, fees };
+}
+
+/**
+ * Collects the swaps of a batch of router calls, and works out who receives their output.
+ * A swap may leave its output in the router (recipient `ADDRESS_THIS`, or the router's own
+ * address) for a later call of the batch to unwrap or sweep; it then gets that call's recipient.
+ */
+class SwapCollector {
+    /**
+     * @param {Object} context
+     * @param {string} context.from - Who sent the transaction (`MSG_SENDER`).
+     * @param {string} context.routerAddress
+     * @param {string} context.wethAddress
+     */
+    constructor(context) {
+        this.from = context.from ? context.from.toLowerCase() : null;
+        this.routerAddress = context.routerAddress.toLowerCase();
+        this.wethAddress = context.wethAddress.toLowerCase();
+        // `swapRecord` fields, in call order.
+        this.swaps = [];
+        // Swaps whose output is still held by the router.
+        this.held = [];
+        // A call could not be decoded (a swap along an invalid path, an unknown command, ...).
+        this.undecodable = false;
+    }
+
+    /**
+     * Resolves a recipient argument.
+     * @param {string} address
+     * @returns {string|null} The lowercase recipient, or `null` if that is the router.
+     */
+    recipientFor(address) {
+        const recipient = address.toLowerCase();
+        if (recipient === MSG_SENDER) {
+            return this.from;
+        }
+        if (recipient === ADDRESS_THIS || recipient === ZeroAddress || recipient === this.routerAddress) {
+            return null;
+        }
+        return recipient;
+    }
+
+    /**
+     * Adds a decoded swap.
+     * @param {Object} fields - For `swapRecord`, with `recipient` as found in the calldata.
+     */
+    addSwap(fields) {
+        const swap = { ...fields, recipient: this.recipientFor(fields.recipient) };
+        this.swaps.push(swap);
+        if (swap.recipient === null) {
+            this.held.push(swap);
+        }
+    }
+
+    /**
+     * Records a payout of the router's balance of a token (`sweepToken`, or `unwrapWETH9` for
+     * WETH): it goes to whoever receives the output of the swaps that left that token there.
+     * @param {string} token
+     * @param {string} recipientAddress
+     */
+    payOut(token, recipientAddress) {
+        const recipient = this.recipientFor(recipientAddress);
+        if (recipient === null) {
+            return;
+        }
+        const lowerToken = token.toLowerCase();
+        this.held = this.held.filter(swap => {
+            if (swap.path[swap.path.length - 1].toLowerCase() !== lowerToken) {
+                return true;
+            }
+            swap.recipient = recipient;
+            return false;
+        });
+    }
+
+    /**
+     * The outcome of the batch, as a decoder returns it.
+     * @param {string} method - The transaction's top-level router function.
+     * @returns {{status: string, method: string, swaps: Array<Object>, liquidity: null}}
+     */
+    result(method) {
+        let status = DecodeStatus.NOT_SWAP;
+        if (this.swaps.length > 0) {
+            status = DecodeStatus.SWAP;
+        } else if (this.undecodable) {
+            status = DecodeStatus.UNDECODABLE;
+        }
+        return { status, method, swaps: this.swaps.map(swapRecord), liquidity: null };
+    }
+}
+
+/**
+ * Parses calldata against a router interface.
+ * @param {Interface} iface
+ * @param {string} data
+ * @param {bigint} value
+ * @returns {TransactionDescription|null} `null` for an unknown selector or malformed arguments.
+ */
+function parseCall(iface, data, value) {
+    try {
+        return iface.parseTransaction({ data, value });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Adds one router call, or each call of a `multicall`, to a collector.
+ * @param {SwapCollector} collector
+ * @param {TransactionDescription} parsed
+ * @param {Object} context
+ * @param {Interface} context.iface
+ * @param {bigint} context.value - The ETH value attached to the transaction.
+ * @param {number|null} context.deadline - From `multicall(deadline, data)`, for SwapRouter02
+ *   calls that carry none.
+ */
+function collectCall(collector, parsed, context) {
+    const { args } = parsed;
+    switch (parsed.name) {
+        case 'multicall': {
+            const deadline = parsed.signature === 'multicall(uint256,bytes[])' ? Number(args.deadline) : context.deadline;
+            for (const data of args.data) {
+                const inner = parseCall(context.iface, data, context.value);
+                if (!inner || inner.name === 'multicall') {
+                    collector.undecodable = true;
+                    continue;
+                }
+                collectCall(collector, inner, { ...context, deadline });
+            }
+            return;
+        }
+        case 'exactInputSingle':
+        case 'exactOutputSingle': {
+            const { params } = args;
+            collector.addSwap(v3SwapFields(parsed.name, params, [params.tokenIn, params.tokenOut], [Number(params.fee)], context.deadline));
+            return;
+        }
+        case 'exactInput':
+        case 'exactOutput': {
+            const { params } = args;
+            const decodedPath = decodeV3Path(params.path, parsed.name === 'exactOutput');
+            if (!decodedPath) {
+                collector.undecodable = true;
+                return;
+            }
+            collector.addSwap(v3SwapFields(parsed.name, params, decodedPath.tokens, decodedPath.fees, context.deadline));
+            return;
+        }
+        case 'swapExactTokensForTokens':
+        case 'swapTokensForExactTokens': {
+            if (args.path.length < 2) {
+                collector.undecodable = true;
+                return;
+            }
+            const exactIn = parsed.name === 'swapExactTokensForTokens';
+            collector.addSwap({
+                dex: 'uniswap-v2',
+                method: parsed.name,
+                kind: exactIn ? 'exact_in' : 'exact_out',
+                path: args.path,
+                // SwapRouter02 swaps its whole balance of the input token for an `amountIn` of 0.
+                amountIn: exactIn && args.amountIn !== 0n ? args.amountIn : null,
+                amountInMax: exactIn ? null : args.amountInMax,
+                amountOut: exactIn ? null : args.amountOut,
+                amountOutMin: exactIn ? args.amountOutMin : null,
+                recipient: args.to,
+                deadline: context.deadline,
+            });
+            return;
+        }
+        case 'unwrapWETH9':
+            collector.payOut(collector.wethAddress, args.length > 1 ? args.recipient : MSG_SENDER);
+            return;
+        case 'sweepToken':
+            collector.payOut(args.token, args.length > 2 ? args.recipient : MSG_SENDER);
+            return;
+        default:
+            // Permits, refunds and wraps trade nothing.
+            return;
+    }
+}
+
+/**
+ * The `swapRecord` fields of a V3 swap call.
+ * @param {string} method
+ * @param {Object} params - The call's decoded parameter struct.
+ * @param {Array<string>} tokens - From the input to the output.
+ * @param {Array<number>} fees
+ * @param {number|null} deadline - For calls whose struct has none (SwapRouter02).
+ * @returns {Object}
+ */
+function v3SwapFields(method, params, tokens, fees, deadline) {
+    const exactIn = method.startsWith('exactInput');
+    return {
+        dex: 'uniswap-v3',
+        method,
+        kind: exactIn ? 'exact_in' : 'exact_out',
+        path: tokens,
+        fees,
+        // SwapRouter02 swaps its whole balance of the input token for an `amountIn` of 0.
+        amountIn: exactIn && params.amountIn !== 0n ? params.amountIn : null,
+        amountInMax: exactIn ? null : params.amountInMaximum,
+        amountOut: exactIn ? null : params.amountOut,
+        amountOutMin: exactIn ? params.amountOutMinimum : null,
+        recipient: params.recipient,
+        deadline: params.deadline !== undefined ? params.deadline : deadline,
+    };
+}
+
+/**
+ * Decodes a transaction against one of the two routers.
+ * @param {Interface} iface
+ * @param {Object} tx
+ * @param {string} routerAddress
+ * @param {string} [wethAddress]
+ * @returns {{status: string, method: (string|null), swaps: Array<Object>, liquidity: null}}
+ */
+function decodeRouterTransaction(iface, tx, routerAddress, wethAddress) {
+    if (typeof tx.to !== 'string' || tx.to.toLowerCase() !== routerAddress.toLowerCase()) {
+        return { status: DecodeStatus.NOT_ROUTER, method: null, swaps: [], liquidity: null };
+    }
+    const value = BigInt(tx.value || 0);
+    const parsed = parseCall(iface, tx.data || tx.input, value);
+    if (!parsed) {
+        return { status: DecodeStatus.UNDECODABLE, method: null, swaps: [], liquidity: null };
+    }
+    const collector = new SwapCollector({ from: tx.from, routerAddress, wethAddress: wethAddress || WETH_ADDRESS });
+    collectCall(collector, parsed, { iface, value, deadline: null });
+    return collector.result(parsed.name);
+}
+
+/**
+ * Decodes a transaction sent to the Uniswap V3 SwapRouter. Never throws.
+ * @param {Object} tx - A transaction with at least `to`, `from`, `data` (or `input`) and `value`.
+ * @param {Object} [options]
+ * @param {string} [options.routerAddress] - The router on this network; Mainnet's by default.
+ * @param {string} [options.wethAddress] - The WETH it unwraps; Mainnet's by default.
+ * @returns {{status: string, method: (string|null), swaps: Array<Object>, liquidity: null}} Every
+ *   swap of the call, in order.
+ */
+function decodeSwapRouterTransaction(tx, options = {}) {
+    return decodeRouterTransaction(swapRouterInterface, tx, options.routerAddress || SWAP_ROUTER_ADDRESS, options.wethAddress);
+}
+
+/**
+ * Decodes a transaction sent to Uniswap SwapRouter02. Never throws.
+ * @param {Object} tx - As for `decodeSwapRouterTransaction`.
+ * @param {Object} [options] - As for `decodeSwapRouterTransaction`.
+ * @returns {{status: string, method: (string|null), swaps: Array<Object>, liquidity: null}}
+ */
+function decodeSwapRouter02Transaction(tx, options = {}) {
+    return decodeRouterTransaction(swapRouter02Interface, tx, options.routerAddress || SWAP_ROUTER_02_ADDRESS, options.wethAddress);
+}
+
+module.exports = {
+    SWAP_ROUTER_ADDRESS,
+    SWAP_ROUTER_02_ADDRESS,
+    MSG_SENDER,
+    ADDRESS_THIS,
+    swapRouterInterface,
+    swapRouter02Interface,
+    decodeV3Path,
+    SwapCollector,
+    decodeSwapRouterTransaction,
+    decodeSwapRouter02Transaction,
+};
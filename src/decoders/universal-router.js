@@ -0,0 +1,213 @@
+// src/decoders/universal-router.js (Uniswap Universal Router calldata decoder)
+
+// The Universal Router runs a program: `execute(commands, inputs[, deadline])`, where each
+// byte of `commands` names a command and the matching `inputs` entry holds its ABI-encoded
+// arguments. A retail swap is typically WRAP_ETH or a Permit2 permit, then one or more
+// V2/V3 swaps, then UNWRAP_WETH or SWEEP to pay the output out. Swaps decode into the
+// normalized swap record (`swapRecord` in uniswap-v2.js), like the other routers' calls.
+//
+// Commands that trade on protocols we do not model (Uniswap V4, NFT marketplaces, ...) are
+// not decoded: a program made only of those is `undecodable`.
+
+const { AbiCoder, Interface, getBytes } = require('ethers');
+const { DecodeStatus } = require('./uniswap-v2');
+const { decodeV3Path, SwapCollector } = require('./uniswap-v3');
+const { WETH_ADDRESS } = require('../pools/pool-state');
+
+// Universal Router on Mainnet.
+const UNIVERSAL_ROUTER_ADDRESS = '0x66a9893cC07D91D95644AEDD05D03f95e1dBA8Af';
+
+// An amount meaning "the router's whole balance of the token".
+const CONTRACT_BALANCE = 1n << 255n;
+
+// The low bits of a command byte name the command; the high bit lets it revert without
+// reverting the program.
+const COMMAND_TYPE_MASK = 0x3f;
+
+// Commands, with the ABI types of their inputs. Those without types trade nothing and
+// are skipped (Permit2 permits and transfers, balance checks).
+const COMMANDS = {
+    0x00: { name: 'V3_SWAP_EXACT_IN', types: ['address', 'uint256', 'uint256', 'bytes', 'bool'] },
+    0x01: { name: 'V3_SWAP_EXACT_OUT', types: ['address', 'uint256', 'uint256', 'bytes', 'bool'] },
+    0x02: { name: 'PERMIT2_TRANSFER_FROM' },
+    0x03: { name: 'PERMIT2_PERMIT_BATCH' },
+    0x04: { name: 'SWEEP', types: ['address', 'address', 'uint256'] },
+    0x05: { name: 'TRANSFER' },
+    0x06: { name: 'PAY_PORTION' },
+    0x08: { name: 'V2_SWAP_EXACT_IN', types: ['address', 'uint256', 'uint256', 'address[]', 'bool'] },
+    0x09: { name: 'V2_SWAP_EXACT_OUT', types: ['address', 'uint256', 'uint256', 'address[]', 'bool'] },
+    0x0a: { name: 'PERMIT2_PERMIT' },
+    0x0b: { name: 'WRAP_ETH', types: ['address', 'uint256'] },
+    0x0c: { name: 'UNWRAP_WETH', types: ['address', 'uint256'] },
+    0x0d: { name: 'PERMIT2_TRANSFER_FROM_BATCH' },
+    0x0e: { name: 'BALANCE_CHECK_ERC20' },
+    0x21: { name: 'EXECUTE_SUB_PLAN', types: ['bytes', 'bytes[]'] },
+};
+
+const universalRouterInterface = new Interface([
+    'function execute(bytes commands, bytes[] inputs)',
+    'function execute(bytes commands, bytes[] inputs, uint256 deadline)',
+]);
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Runs the commands of a program (or sub-plan) through a collector.
+ * @param {SwapCollector} collector
+ * @param {string} commands
+ * @param {Array<string>} inputs
+ * @param {Object} context
+ * @param {bigint} context.value - The ETH value attached to the transaction.
+ * @param {number|null} context.deadline
+ * @param {{amount: (bigint|null)}} context.wrapped - ETH wrapped so far, which a swap of the
+ *   router's whole WETH balance spends.
+ */
+function collectCommands(collector, commands, inputs, context) {
+    const commandBytes = getBytes(commands);
+    if (commandBytes.length !== inputs.length) {
+        collector.undecodable = true;
+        return;
+    }
+    commandBytes.forEach((commandByte, index) => {
+        const command = COMMANDS[commandByte & COMMAND_TYPE_MASK];
+        if (!command) {
+            collector.undecodable = true;
+            return;
+        }
+        if (!command.types) {
+            return;
+        }
+        let args;
+        try {
+            args = abiCoder.decode(command.types, inputs[index]);
+        } catch (error) {
+            collector.undecodable = true;
+            return;
+        }
+        collectCommand(collector, command.name, args, context);
+    });
+}
+
+/**
+ * Adds one decoded command to a collector.
+ * @param {SwapCollector} collector
+ * @param {string} name
+ * @param {Result} args
+ * @param {Object} context - As for `collectCommands`.
+ */
+function collectCommand(collector, name, args, context) {
+    switch (name) {
+        case 'V3_SWAP_EXACT_IN':
+        case 'V3_SWAP_EXACT_OUT': {
+            const [recipient, amount, limit, path] = args;
+            const exactIn = name === 'V3_SWAP_EXACT_IN';
+            const decodedPath = decodeV3Path(path, !exactIn);
+            if (!decodedPath) {
+                collector.undecodable = true;
+                return;
+            }
+            collector.addSwap(swapFields(collector, name, 'uniswap-v3', decodedPath.tokens, decodedPath.fees, { recipient, amount, limit }, context));
+            return;
+        }
+        case 'V2_SWAP_EXACT_IN':
+        case 'V2_SWAP_EXACT_OUT': {
+            const [recipient, amount, limit, path] = args;
+            if (path.length < 2) {
+                collector.undecodable = true;
+                return;
+            }
+            collector.addSwap(swapFields(collector, name, 'uniswap-v2', path, null, { recipient, amount, limit }, context));
+            return;
+        }
+        case 'WRAP_ETH': {
+            const amount = args[1] === CONTRACT_BALANCE ? context.value : args[1];
+            context.wrapped.amount = (context.wrapped.amount || 0n) + amount;
+            return;
+        }
+        case 'UNWRAP_WETH':
+            collector.payOut(collector.wethAddress, args[0]);
+            return;
+        case 'SWEEP':
+            collector.payOut(args[0], args[1]);
+            return;
+        case 'EXECUTE_SUB_PLAN':
+            collectCommands(collector, args[0], args[1], context);
+            return;
+        default:
+            return;
+    }
+}
+
+/**
+ * The `swapRecord` fields of a swap command.
+ * @param {SwapCollector} collector
+ * @param {string} name - The command.
+ * @param {string} dex
+ * @param {Array<string>} path - From the input to the output.
+ * @param {Array<number>|null} fees
+ * @param {{recipient: string, amount: bigint, limit: bigint}} input - The command's recipient,
+ *   its exact amount (in or out) and the bound on the other side.
+ * @param {Object} context - As for `collectCommands`.
+ * @returns {Object}
+ */
+function swapFields(collector, name, dex, path, fees, { recipient, amount, limit }, context) {
+    const exactIn = name.endsWith('_EXACT_IN');
+    let amountIn = exactIn ? amount : null;
+    if (amountIn === CONTRACT_BALANCE) {
+        // The router's balance is known only when it is the ETH this program wrapped.
+        const spendsWrapped = path[0].toLowerCase() === collector.wethAddress && context.wrapped.amount !== null;
+        amountIn = spendsWrapped ? context.wrapped.amount : null;
+    }
+    return {
+        dex,
+        method: name,
+        kind: exactIn ? 'exact_in' : 'exact_out',
+        path,
+        fees,
+        amountIn,
+        amountInMax: exactIn ? null : limit,
+        amountOut: exactIn ? null : amount,
+        amountOutMin: exactIn ? limit : null,
+        recipient,
+        deadline: context.deadline,
+    };
+}
+
+/**
+ * Decodes a transaction sent to the Universal Router. Never throws.
+ * @param {Object} tx - A transaction with at least `to`, `from`, `data` (or `input`) and `value`.
+ * @param {Object} [options]
+ * @param {string} [options.routerAddress] - The router on this network; Mainnet's by default.
+ * @param {string} [options.wethAddress] - The WETH it wraps ETH into; Mainnet's by default.
+ * @returns {{status: string, method: (string|null), swaps: Array<Object>, liquidity: null}} Every
+ *   swap of the program, in order; each swap's `method` is its command.
+ */
+function decodeUniversalRouterTransaction(tx, options = {}) {
+    const routerAddress = options.routerAddress || UNIVERSAL_ROUTER_ADDRESS;
+    if (typeof tx.to !== 'string' || tx.to.toLowerCase() !== routerAddress.toLowerCase()) {
+        return { status: DecodeStatus.NOT_ROUTER, method: null, swaps: [], liquidity: null };
+    }
+    const value = BigInt(tx.value || 0);
+    let parsed = null;
+    try {
+        parsed = universalRouterInterface.parseTransaction({ data: tx.data || tx.input, value });
+    } catch (error) {
+        parsed = null;
+    }
+    if (!parsed) {
+        return { status: DecodeStatus.UNDECODABLE, method: null, swaps: [], liquidity: null };
+    }
+
+    const collector = new SwapCollector({ from: tx.from, routerAddress, wethAddress: options.wethAddress || WETH_ADDRESS });
+    const deadline = parsed.args.length > 2 ? Number(parsed.args.deadline) : null;
+    collectCommands(collector, parsed.args.commands, parsed.args.inputs, { value, deadline, wrapped: { amount: null } });
+    return collector.result(parsed.name);
+}
+
+module.exports = {
+    UNIVERSAL_ROUTER_ADDRESS,
+    CONTRACT_BALANCE,
+    COMMANDS,
+    universalRouterInterface,
+    decodeUniversalRouterTransaction,
+};
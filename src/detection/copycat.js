@@ -0,0 +1,294 @@
+// src/detection/copycat.js (Generalized frontrunning: copied calldata from another sender)
+
+// Generalized frontrunners do not understand the calls they attack. They copy a pending
+// transaction's calldata, put their own address wherever the original had one (the
+// recipient, usually), and resubmit it to the same contract with a higher priority fee so
+// it is mined first.
+//
+// Every ingested transaction is fingerprinted: its selector and 32-byte calldata words,
+// with address-shaped words normalized out. A transaction is flagged as a copy of an
+// earlier pending one when it calls the same contract with the same selector and as many
+// words, comes from a different sender, pays a higher priority fee, arrives within
+// `windowMs`, and at least `minSimilarity` of its normalized words match.
+//
+// Ordinary users rarely send word-for-word identical calls: amounts, minimum outputs and
+// deadlines differ. Short calls (approve, transfer, ...) are the exception, which is what
+// `minWords` is for.
+//
+// A popular router selector can account for most of the window, so a new transaction is
+// not scored against every earlier call of its shape. Exact copies (every normalized word
+// the same) are looked up by fingerprint hash, however many calls share the shape; near
+// copies are only looked for among the last `maxCandidates` calls of that shape.
+
+const crypto = require('crypto');
+const { formatUnits } = require('ethers');
+const { effectiveFees } = require('../ingestion/fee-model');
+
+const RULE_COPYCAT = 'copycat';
+// Stands in for every address-shaped word.
+const ADDRESS_WORD = 'address';
+
+/**
+ * Tells whether a 32-byte calldata word holds an address: its top 12 bytes are zero and
+ * its value is too large to be an amount (2^128 or more). Addresses with 4 or more leading
+ * zero bytes are treated as numbers.
+ * @param {string} word - 64 hex characters.
+ * @returns {boolean}
+ */
+function isAddressWord(word) {
+    return word.startsWith('0'.repeat(24)) && !word.startsWith('0'.repeat(32));
+}
+
+/**
+ * Fingerprints calldata with its addresses normalized out.
+ * @param {string} data - The transaction's calldata (`0x`-prefixed hex).
+ * @returns {{selector: string, words: Array<string>, hash: string}|null} The selector, the
+ *   normalized words and a hash of both; `null` for calldata without a selector.
+ */
+function calldataFingerprint(data) {
+    const hex = (data || '0x').toLowerCase().replace(/^0x/, '');
+    if (hex.length < 8) {
+        return null;
+    }
+    const selector = `0x${hex.slice(0, 8)}`;
+    const words = [];
+    for (let i = 8; i < hex.length; i += 64) {
+        const word = hex.slice(i, i + 64).padEnd(64, '0');
+        words.push(isAddressWord(word) ? ADDRESS_WORD : word);
+    }
+    const hash = crypto.createHash('sha256').update([selector, ...words].join(':')).digest('hex');
+    return { selector, words, hash };
+}
+
+/**
+ * Scores how alike two fingerprints are.
+ * @returns {number} The share of normalized words that match (0..1); 0 for different
+ *   selectors or lengths.
+ */
+function similarity(a, b) {
+    if (a.selector !== b.selector || a.words.length !== b.words.length) {
+        return 0;
+    }
+    if (a.hash === b.hash || a.words.length === 0) {
+        return 1;
+    }
+    const matching = a.words.filter((word, i) => word === b.words[i]).length;
+    return matching / a.words.length;
+}
+
+/**
+ * The fee a transaction pays the block producer per gas: its effective priority fee as set
+ * at ingestion, or else the priority fee it offers (`maxPriorityFeePerGas`, or `gasPrice`
+ * for legacy transactions).
+ * @param {Object} tx - An ethers `TransactionResponse`.
+ * @returns {bigint}
+ */
+function priorityFee(tx) {
+    return tx.effective_priority_fee !== undefined
+        ? tx.effective_priority_fee
+        : effectiveFees(tx, null).priorityFee;
+}
+
+class CopycatDetector {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minSimilarity=0.9] - Share of normalized words that must match.
+     * @param {number} [options.minWords=4] - Calls with fewer calldata words are ignored.
+     * @param {number} [options.windowMs=60000] - How long after the original a copy may arrive.
+     * @param {number} [options.capacity=20000] - Pending transactions remembered at most.
+     * @param {number} [options.maxCandidates=256] - Most recent calls of the same contract,
+     *   selector and length scored for a near copy.
+     */
+    constructor(options = {}) {
+        this.minSimilarity = options.minSimilarity !== undefined ? options.minSimilarity : 0.9;
+        this.minWords = options.minWords !== undefined ? options.minWords : 4;
+        this.windowMs = options.windowMs !== undefined ? options.windowMs : 60 * 1000;
+        this.capacity = options.capacity !== undefined ? options.capacity : 20000;
+        this.maxCandidates = options.maxCandidates !== undefined ? options.maxCandidates : 256;
+        // Map<hash, entry>, oldest first.
+        this.entries = new Map();
+        // Map<"to:fingerprint hash", Set<hash>>: exact copies of a call, oldest first.
+        this.exact = new Map();
+        // Map<"to:selector:words", Array<hash>>: the last `maxCandidates` calls of that shape,
+        // oldest first, scored for near copies.
+        this.recent = new Map();
+        this.findings = [];
+    }
+
+    /**
+     * Fingerprints a pending transaction and checks it against the earlier ones.
+     * Findings are queued for `takeFindings`.
+     * @param {Object} tx - An ethers `TransactionResponse` with an `ingestionTime` (ms).
+     * @returns {Object|null} The finding if `tx` copies an earlier transaction.
+     */
+    observe(tx) {
+        if (!tx.to || !tx.from) {
+            return null;
+        }
+        const fingerprint = calldataFingerprint(tx.data);
+        if (!fingerprint || fingerprint.words.length < this.minWords) {
+            return null;
+        }
+        const hash = tx.hash.toLowerCase();
+        if (this.entries.has(hash)) {
+            return null;
+        }
+        const seenAt = tx.ingestionTime !== undefined ? tx.ingestionTime : Date.now();
+        this.expire(seenAt);
+
+        const entry = {
+            hash,
+            from: tx.from.toLowerCase(),
+            to: tx.to.toLowerCase(),
+            fingerprint,
+            fee: priorityFee(tx),
+            seenAt,
+        };
+        const exactKey = `${entry.to}:${fingerprint.hash}`;
+        const shapeKey = `${entry.to}:${fingerprint.selector}:${fingerprint.words.length}`;
+        const finding = this.match(entry, this.exact.get(exactKey), this.recent.get(shapeKey));
+
+        this.entries.set(hash, { ...entry, exactKey, shapeKey });
+        if (!this.exact.has(exactKey)) {
+            this.exact.set(exactKey, new Set());
+        }
+        this.exact.get(exactKey).add(hash);
+        if (!this.recent.has(shapeKey)) {
+            this.recent.set(shapeKey, []);
+        }
+        const recent = this.recent.get(shapeKey);
+        recent.push(hash);
+        if (recent.length > this.maxCandidates) {
+            recent.shift();
+        }
+        if (this.entries.size > this.capacity) {
+            this.remove([this.entries.keys().next().value]);
+        }
+
+        if (finding) {
+            this.findings.push(finding);
+        }
+        return finding;
+    }
+
+    /**
+     * Picks the original a transaction copies: the most similar earlier transaction from
+     * another sender that pays less, the earliest one on ties.
+     * @param {Object} copy - The new transaction's entry.
+     * @param {Set<string>|undefined} exact - Earlier calls with the same fingerprint.
+     * @param {Array<string>|undefined} recent - The last calls of the same shape.
+     */
+    match(copy, exact, recent) {
+        const eligible = original => original.from !== copy.from && copy.fee > original.fee;
+        let best = null;
+        let bestScore = 0;
+        // Nothing scores higher than an exact copy, and the earliest one wins.
+        for (const hash of exact || []) {
+            const original = this.entries.get(hash);
+            if (eligible(original)) {
+                best = original;
+                bestScore = 1;
+                break;
+            }
+        }
+        if (!best) {
+            for (const hash of recent || []) {
+                const original = this.entries.get(hash);
+                if (!eligible(original)) {
+                    continue;
+                }
+                const score = similarity(original.fingerprint, copy.fingerprint);
+                if (score >= this.minSimilarity && score > bestScore) {
+                    best = original;
+                    bestScore = score;
+                }
+            }
+        }
+        if (!best) {
+            return null;
+        }
+        return {
+            rule: RULE_COPYCAT,
+            original_hash: best.hash,
+            copy_hash: copy.hash,
+            // Named like the other detectors' findings, for the deduplicator.
+            victim_hash: best.hash,
+            attacker: copy.from,
+            victim: best.from,
+            target: copy.to,
+            pool: null,
+            selector: copy.fingerprint.selector,
+            similarity: bestScore,
+            original_priority_fee_gwei: Number(formatUnits(best.fee, 'gwei')),
+            copy_priority_fee_gwei: Number(formatUnits(copy.fee, 'gwei')),
+            fee_difference_gwei: Number(formatUnits(copy.fee - best.fee, 'gwei')),
+            gas_premium: (copy.fee - best.fee).toString(), // Wei per gas
+            time_gap_ms: copy.seenAt - best.seenAt,
+        };
+    }
+
+    /**
+     * Forgets transactions older than the window.
+     * @param {number} now - Current time (ms).
+     */
+    expire(now) {
+        const expired = [];
+        for (const [hash, entry] of this.entries) {
+            if (now - entry.seenAt <= this.windowMs) break;
+            expired.push(hash);
+        }
+        this.remove(expired);
+    }
+
+    /**
+     * Forgets transactions, e.g. once they are mined.
+     * @param {Iterable<string>} hashes
+     */
+    remove(hashes) {
+        for (const hash of hashes) {
+            const key = hash.toLowerCase();
+            const entry = this.entries.get(key);
+            if (!entry) continue;
+            this.entries.delete(key);
+            const exact = this.exact.get(entry.exactKey);
+            exact.delete(key);
+            if (exact.size === 0) {
+                this.exact.delete(entry.exactKey);
+            }
+            const recent = this.recent.get(entry.shapeKey);
+            const index = recent.indexOf(key);
+            if (index !== -1) {
+                recent.splice(index, 1);
+                if (recent.length === 0) {
+                    this.recent.delete(entry.shapeKey);
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns and clears the findings made since the last call.
+     * @returns {Array<Object>}
+     */
+    takeFindings() {
+        const findings = this.findings;
+        this.findings = [];
+        return findings;
+    }
+
+    /**
+     * @returns {number} The number of pending transactions remembered.
+     */
+    get size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = {
+    RULE_COPYCAT,
+    isAddressWord,
+    calldataFingerprint,
+    similarity,
+    priorityFee,
+    CopycatDetector,
+};
@@ -0,0 +1,219 @@
+// src/detection/detection-pool.js (Runs the detectors on a pool of worker threads)
+
+// The WASM detectors are synchronous, so running them on the main thread stalls the
+// WebSocket events for as long as a detection round takes. A `DetectionPool` runs them in
+// `size` worker threads (src/detection/detection-worker.js) instead, each with its own
+// instance of the WASM module:
+//
+//     const pool = new DetectionPool({ size: 2 });
+//     const results = await pool.detect(clusters, { retain: hash => clusterer.has(hash) });
+//     await pool.close();
+//
+// Clusters are sharded by their key, so a pool's cluster always goes to the same worker.
+// The worker keeps the engine records it was sent, so a transaction is converted and sent
+// to a worker once rather than every round its cluster is analyzed; `retain` tells the
+// pool which of the records sent earlier may still be needed. Every round prunes every
+// worker, so one whose pools went quiet does not hold on to records nobody needs.
+//
+// A worker that dies fails its pending requests and is replaced on the next `detect`.
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { toEngineTransaction } = require('./sandwich');
+
+const WORKER_PATH = path.join(__dirname, 'detection-worker.js');
+
+/**
+ * FNV-1a hash of a string, to pick a cluster's worker.
+ * @param {string} key
+ * @returns {number} An unsigned 32-bit integer.
+ */
+function hashKey(key) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+class DetectionPool {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.size=2] - Worker threads (at least 1).
+     * @param {string} [options.detectors] - Path of a module exporting `detectSandwiches` and
+     *   `detectJitLiquidity` (each taking a JSON array of engine records) to run instead of
+     *   the WASM bridges.
+     * @param {function(Object): Object} [options.toRecord=toEngineTransaction] - Converts a
+     *   clustered transaction into the record the detectors take.
+     */
+    constructor(options = {}) {
+        this.size = options.size !== undefined ? options.size : 2;
+        if (!Number.isInteger(this.size) || this.size < 1) {
+            throw new Error(`DetectionPool: size must be a positive integer, got ${options.size}`);
+        }
+        this.detectorsPath = options.detectors || null;
+        this.toRecord = options.toRecord || toEngineTransaction;
+        // One slot per worker: `{ worker, sent: Set<txHash>, pending: Map<id, {resolve, reject}> }`,
+        // or null until the worker is (re)started.
+        this.slots = new Array(this.size).fill(null);
+        this.nextRequestId = 0;
+        this.closed = false;
+        for (let index = 0; index < this.size; index++) {
+            this.slots[index] = this.spawn(index);
+        }
+    }
+
+    /**
+     * Starts the worker of a slot.
+     * @param {number} index
+     * @returns {Object} The slot.
+     */
+    spawn(index) {
+        const worker = new Worker(WORKER_PATH, { workerData: { detectors: this.detectorsPath } });
+        const slot = { worker, sent: new Set(), pending: new Map(), failure: null };
+        worker.on('message', ({ id, results }) => {
+            const request = slot.pending.get(id);
+            if (request) {
+                slot.pending.delete(id);
+                request.resolve(results);
+            }
+        });
+        worker.on('error', (error) => {
+            slot.failure = error;
+        });
+        worker.on('exit', (code) => {
+            const error = slot.failure || new Error(`Detection worker exited with code ${code}`);
+            for (const request of slot.pending.values()) {
+                request.reject(error);
+            }
+            slot.pending.clear();
+            if (this.slots[index] === slot) {
+                this.slots[index] = null; // Restarted by the next `detect`.
+            }
+        });
+        return slot;
+    }
+
+    /**
+     * @param {string} key - A cluster key.
+     * @returns {number} The index of the worker that analyzes the cluster.
+     */
+    shardOf(key) {
+        return hashKey(key) % this.size;
+    }
+
+    /**
+     * Runs both detectors over every cluster, spread over the workers.
+     * @param {Array<{key: string, transactions: Array<Object>}>} clusters - E.g. from
+     *   `PoolClusterer.takeDirtyClusters`.
+     * @param {Object} [options]
+     * @param {function(string): boolean} [options.retain] - Whether a transaction sent in an
+     *   earlier call may be in a later one (kept by its worker); none are by default.
+     * @returns {Promise<Array<Object>>} One result per cluster, in order: the findings
+     *   `{ sandwiches, jit, durationMs }` (see `detectSandwiches` and `detectJitLiquidity`),
+     *   or `{ error }` if the detectors failed on that cluster.
+     */
+    async detect(clusters, options = {}) {
+        if (this.closed) {
+            throw new Error('DetectionPool is closed');
+        }
+        const retain = options.retain || (() => false);
+        const shards = this.slots.map(() => []);
+        clusters.forEach((cluster, position) => shards[this.shardOf(cluster.key)].push({ cluster, position }));
+
+        const results = new Array(clusters.length);
+        await Promise.all(shards.map(async (shard, index) => {
+            if (shard.length === 0) {
+                // An idle worker still drops the records that are no longer retained.
+                await this.prune(this.slots[index], retain);
+                return;
+            }
+            const slot = this.slots[index] || (this.slots[index] = this.spawn(index));
+            const needed = new Map();
+            for (const { cluster } of shard) {
+                for (const tx of cluster.transactions) {
+                    needed.set(tx.hash, tx);
+                }
+            }
+            const removed = [];
+            for (const hash of slot.sent) {
+                if (!needed.has(hash) && !retain(hash)) {
+                    removed.push(hash);
+                    slot.sent.delete(hash);
+                }
+            }
+            const added = [];
+            for (const [hash, tx] of needed) {
+                if (!slot.sent.has(hash)) {
+                    added.push(this.toRecord(tx));
+                    slot.sent.add(hash);
+                }
+            }
+
+            let shardResults;
+            try {
+                shardResults = await this.request(slot, {
+                    removed,
+                    added,
+                    clusters: shard.map(({ cluster }) => ({ hashes: cluster.transactions.map(tx => tx.hash) })),
+                });
+            } catch (error) {
+                shardResults = shard.map(() => ({ error }));
+            }
+            shard.forEach(({ position }, i) => {
+                results[position] = shardResults[i];
+            });
+        }));
+        return results;
+    }
+
+    /**
+     * Tells a worker without clusters this round to drop the records that are not retained.
+     * @param {Object|null} slot
+     * @param {function(string): boolean} retain
+     * @returns {Promise<void>}
+     */
+    async prune(slot, retain) {
+        if (!slot) {
+            return;
+        }
+        const removed = Array.from(slot.sent).filter(hash => !retain(hash));
+        if (removed.length === 0) {
+            return;
+        }
+        removed.forEach(hash => slot.sent.delete(hash));
+        try {
+            await this.request(slot, { removed, added: [], clusters: [] });
+        } catch (error) {
+            // The worker died, and its records with it; it is replaced on the next call.
+        }
+    }
+
+    /**
+     * Sends a request to a worker.
+     * @param {Object} slot
+     * @param {{removed: Array<string>, added: Array<Object>, clusters: Array<Object>}} message
+     * @returns {Promise<Array<Object>>} One result per cluster.
+     */
+    request(slot, message) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            slot.pending.set(id, { resolve, reject });
+            slot.worker.postMessage({ id, ...message });
+        });
+    }
+
+    /**
+     * Stops the workers; pending requests fail.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.closed = true;
+        await Promise.all(this.slots.filter(Boolean).map(slot => slot.worker.terminate()));
+    }
+}
+
+module.exports = {
+    DetectionPool,
+};
@@ -0,0 +1,45 @@
+// src/detection/detection-worker.js (Runs the detectors for a DetectionPool, in a worker thread)
+
+// Each worker loads its own instance of the WASM module and keeps the engine records it
+// was sent, serialized once, until the pool says they are no longer needed. A request
+// names its clusters by their transactions' hashes, so a record is sent to (and
+// serialized by) a worker once, however many detection rounds its cluster takes part in.
+//
+// Request: `{ id, removed: [hash], added: [record], clusters: [{ hashes: [hash] }] }`
+// Reply:   `{ id, results: [{ sandwiches, jit, durationMs } | { error }] }`, one result per cluster.
+
+const { parentPort, workerData } = require('worker_threads');
+const { performance } = require('perf_hooks');
+
+// The WASM bridges, unless the pool names a module with the same functions (e.g. the
+// stand-ins of src/testing/fake-detectors.js).
+const detectors = workerData.detectors
+    ? require(workerData.detectors)
+    : { ...require('./sandwich'), ...require('./jit-liquidity') };
+
+// Map<txHash, string>: the JSON of every record this worker holds.
+const records = new Map();
+
+parentPort.on('message', ({ id, removed, added, clusters }) => {
+    for (const hash of removed) {
+        records.delete(hash);
+    }
+    for (const record of added) {
+        records.set(record.hash, JSON.stringify(record));
+    }
+    const results = clusters.map(({ hashes }) => {
+        const started = performance.now();
+        try {
+            // One JSON array for both detectors, joined from the cached records.
+            const json = `[${hashes.map(hash => records.get(hash)).join(',')}]`;
+            return {
+                sandwiches: detectors.detectSandwiches(json),
+                jit: detectors.detectJitLiquidity(json),
+                durationMs: performance.now() - started,
+            };
+        } catch (error) {
+            return { error };
+        }
+    });
+    parentPort.postMessage({ id, results });
+});
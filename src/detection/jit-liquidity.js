@@ -0,0 +1,22 @@
+// src/detection/jit-liquidity.js (Bridge to the Rust WASM JIT liquidity detector)
+
+// `detect_jit_liquidity` takes the same engine records as the sandwich detector
+// (see `toEngineTransaction`) and returns a JSON array of findings.
+const { detect_jit_liquidity } = require('../../mev_engine/pkg');
+
+/**
+ * Runs the WASM JIT liquidity detector over a cluster of engine records.
+ * Each finding has the shape of the Rust `JitFinding` struct:
+ * `{ rule, add_hash, victim_hash, remove_hash, attacker, victim, router, pool, time_gap_secs, block_gap }`,
+ * where `attacker` is the JIT liquidity provider.
+ * @param {Array<Object>|string} records - Engine records (see `toEngineTransaction`), or
+ *   their JSON array.
+ * @returns {Array<Object>} Every JIT liquidity attack found in the cluster (possibly none).
+ */
+function detectJitLiquidity(records) {
+    return JSON.parse(detect_jit_liquidity(typeof records === 'string' ? records : JSON.stringify(records)));
+}
+
+module.exports = {
+    detectJitLiquidity,
+};
@@ -0,0 +1,73 @@
+// src/detection/sandwich.js (Bridge to the Rust WASM sandwich detector)
+
+// Import our compiled Rust WASM module.
+// `detect_mev_sandwiches` returns a JSON array of findings rather than a single boolean.
+const { detect_mev_sandwiches } = require('../../mev_engine/pkg');
+
+/**
+ * @param {bigint|null|undefined} value
+ * @returns {string|null} The value as a decimal string, `null` if it is not set.
+ */
+function decimalOrNull(value) {
+    return value === null || value === undefined ? null : value.toString();
+}
+
+/**
+ * Converts an ingested transaction into the record the Rust `Transaction` struct expects.
+ * `value`, `gas_price`, `gas_limit` and the EIP-1559 fee fields are sent as strings because
+ * bigint values can't be serialized to JSON, and `ingestionTime` is converted to seconds for
+ * `timestamp`.
+ * @param {Object} tx - An ingested (and decoded) transaction.
+ * @returns {Object} The engine record.
+ */
+function toEngineTransaction(tx) {
+    return {
+        hash: tx.hash,
+        from: tx.from,
+        to: tx.to,
+        value: tx.value ? tx.value.toString() : '0', // Convert bigint to string
+        gas_price: tx.gasPrice ? tx.gasPrice.toString() : '0',
+        gas_limit: tx.gasLimit ? tx.gasLimit.toString() : '0',
+        input: tx.data,
+        timestamp: Math.floor(tx.ingestionTime / 1000), // Convert milliseconds to seconds
+        block_number: tx.blockNumber || 0, // 0 while the transaction is still pending
+        sender: tx.sender,
+        slippage_tolerance: tx.slippage_tolerance,
+        is_uniswap_swap: tx.is_uniswap_swap,
+        decode_status: tx.decode_status,
+        token_in: tx.token_in, // Decoded from the router calldata
+        token_out: tx.token_out,
+        amount_in: tx.amount_in,
+        amount_out_min: tx.amount_out_min,
+        path: tx.swap ? tx.swap.path : null,
+        swaps: tx.swaps || null, // Every swap of a batched call, with its dex and V3 fee tiers
+        recipient: tx.swap ? tx.swap.recipient : null,
+        deadline: tx.swap ? tx.swap.deadline : null,
+        liquidity: tx.liquidity || null, // Decoded addLiquidity*/removeLiquidity* call
+        tx_type: tx.type !== null && tx.type !== undefined ? tx.type : null,
+        max_fee_per_gas: decimalOrNull(tx.maxFeePerGas), // Type 2+ only
+        max_priority_fee_per_gas: decimalOrNull(tx.maxPriorityFeePerGas),
+        // Set by the fee model at ingestion, against the next block's base fee.
+        effective_priority_fee: decimalOrNull(tx.effective_priority_fee),
+        nonce: tx.nonce !== null && tx.nonce !== undefined ? tx.nonce : null,
+    };
+}
+
+/**
+ * Runs the WASM sandwich detector over a cluster of engine records.
+ * Each finding has the shape of the Rust `SandwichFinding` struct:
+ * `{ rule, frontrun_hash, victim_hash, backrun_hash, attacker, victim, router, pool, time_gap_secs, block_gap, gas_premium }`,
+ * `pool` keyed like the clusters (see `swapPoolKeys` in src/clustering/pool-clusterer.js),
+ * highest `gas_premium` (frontrun priority fee minus the victim's, wei per gas) first.
+ * @param {Array<Object>|string} records - Engine records (see `toEngineTransaction`), or
+ *   their JSON array (serialized once for both detectors).
+ * @returns {Array<Object>} Every sandwich found in the cluster (possibly none).
+ */
+function detectSandwiches(records) {
+    return JSON.parse(detect_mev_sandwiches(typeof records === 'string' ? records : JSON.stringify(records)));
+}
+
+module.exports = {
+    toEngineTransaction,
+    detectSandwiches,
+};
@@ -0,0 +1,184 @@
+// src/ingestion/fee-model.js (EIP-1559 fee modeling and per-sender nonce tracking)
+
+// Since EIP-1559 a transaction's `gasPrice` no longer says what it pays: a type-2
+// transaction offers up to `maxFeePerGas`, of which the block's base fee is burned and
+// at most `maxPriorityFeePerGas` goes to the block producer. Who is mined first in a
+// block depends on that priority fee, so frontrun analysis compares effective priority
+// fees, computed against the base fee the next block will charge (derived from the
+// latest block header).
+//
+// Pending transactions are also indexed by sender and nonce: a sender's transactions are
+// mined in nonce order, and a new transaction with a pending nonce replaces the old one.
+
+// EIP-1559 constants: blocks target half their gas limit, and the base fee moves by at
+// most 1/8 per block towards that target.
+const ELASTICITY_MULTIPLIER = 2n;
+const BASE_FEE_MAX_CHANGE_DENOMINATOR = 8n;
+
+const toBigInt = value => (value === null || value === undefined ? null : BigInt(value));
+
+/**
+ * Computes the base fee of the block after `block`, as the protocol does.
+ * @param {Object} block - A block header with `baseFeePerGas`, `gasUsed` and `gasLimit`.
+ * @returns {bigint|null} `null` for pre-London blocks.
+ */
+function nextBaseFee(block) {
+    const baseFee = toBigInt(block.baseFeePerGas);
+    if (baseFee === null) {
+        return null;
+    }
+    const gasUsed = BigInt(block.gasUsed);
+    const gasTarget = BigInt(block.gasLimit) / ELASTICITY_MULTIPLIER;
+    if (gasTarget === 0n || gasUsed === gasTarget) {
+        return baseFee;
+    }
+    if (gasUsed > gasTarget) {
+        const delta = (baseFee * (gasUsed - gasTarget)) / gasTarget / BASE_FEE_MAX_CHANGE_DENOMINATOR;
+        return baseFee + (delta > 1n ? delta : 1n);
+    }
+    const delta = (baseFee * (gasTarget - gasUsed)) / gasTarget / BASE_FEE_MAX_CHANGE_DENOMINATOR;
+    return baseFee - delta;
+}
+
+/**
+ * Computes what a transaction would pay per gas in a block with the given base fee.
+ * Type-2 (and later) transactions pay `min(maxPriorityFeePerGas, maxFeePerGas - baseFee)`
+ * on top of the base fee; legacy ones pay `gasPrice - baseFee`. Without a known base fee
+ * the offered fees are returned as they are.
+ * @param {Object} tx - An ethers `TransactionResponse`.
+ * @param {bigint|null} baseFee
+ * @returns {{priorityFee: bigint, gasPrice: bigint}} `priorityFee` is 0 for a transaction
+ *   that cannot pay the base fee (it cannot be included yet).
+ */
+function effectiveFees(tx, baseFee) {
+    const maxFee = toBigInt(tx.maxFeePerGas);
+    const maxPriorityFee = toBigInt(tx.maxPriorityFeePerGas);
+    const gasPrice = toBigInt(tx.gasPrice) || 0n;
+    const isDynamicFee = maxFee !== null && maxPriorityFee !== null;
+
+    if (baseFee === null) {
+        return isDynamicFee
+            ? { priorityFee: maxPriorityFee, gasPrice: maxFee }
+            : { priorityFee: gasPrice, gasPrice };
+    }
+    const headroom = (isDynamicFee ? maxFee : gasPrice) - baseFee;
+    if (headroom <= 0n) {
+        return { priorityFee: 0n, gasPrice: baseFee };
+    }
+    const priorityFee = isDynamicFee && maxPriorityFee < headroom ? maxPriorityFee : headroom;
+    return { priorityFee, gasPrice: baseFee + priorityFee };
+}
+
+/**
+ * Follows the base fee from block headers.
+ */
+class BaseFeeTracker {
+    constructor() {
+        this.blockNumber = null;
+        this.baseFee = null;
+        this.nextBaseFee = null;
+    }
+
+    /**
+     * Records a new block's header. Older blocks (e.g. from a reorg notification that
+     * arrived late) are ignored.
+     * @param {Object} block - An ethers `Block`.
+     */
+    update(block) {
+        if (!block || (this.blockNumber !== null && block.number < this.blockNumber)) {
+            return;
+        }
+        this.blockNumber = block.number;
+        this.baseFee = toBigInt(block.baseFeePerGas);
+        this.nextBaseFee = nextBaseFee(block);
+    }
+
+    /**
+     * @returns {bigint|null} The base fee pending transactions will pay in the next block,
+     *   `null` until the first (post-London) block is seen.
+     */
+    get current() {
+        return this.nextBaseFee;
+    }
+}
+
+/**
+ * Indexes pending transactions by sender and nonce.
+ */
+class NonceTracker {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.capacity=20000] - Pending transactions remembered at most;
+     *   the oldest are forgotten first.
+     */
+    constructor(options = {}) {
+        this.capacity = options.capacity !== undefined ? options.capacity : 20000;
+        // Map<sender, Map<nonce, hash>>
+        this.bySender = new Map();
+        // Map<hash, { sender, nonce }>, oldest first.
+        this.byHash = new Map();
+    }
+
+    /**
+     * Records a pending transaction.
+     * @param {Object} tx - An ethers `TransactionResponse`.
+     * @returns {{replaced: (string|null)}} The hash of the pending transaction with the same
+     *   sender and nonce that this one replaces, if any.
+     */
+    observe(tx) {
+        const hash = tx.hash.toLowerCase();
+        if (!tx.from || tx.nonce === null || tx.nonce === undefined || this.byHash.has(hash)) {
+            return { replaced: null };
+        }
+        const sender = tx.from.toLowerCase();
+        const nonce = Number(tx.nonce);
+        if (!this.bySender.has(sender)) {
+            this.bySender.set(sender, new Map());
+        }
+        const nonces = this.bySender.get(sender);
+        const replaced = nonces.has(nonce) ? nonces.get(nonce) : null;
+        if (replaced) {
+            this.byHash.delete(replaced);
+        }
+        nonces.set(nonce, hash);
+        this.byHash.set(hash, { sender, nonce });
+        if (this.byHash.size > this.capacity) {
+            this.remove([this.byHash.keys().next().value]);
+        }
+        return { replaced };
+    }
+
+    /**
+     * Forgets transactions, e.g. once they are mined.
+     * @param {Iterable<string>} hashes
+     */
+    remove(hashes) {
+        for (const hash of hashes) {
+            const key = hash.toLowerCase();
+            const entry = this.byHash.get(key);
+            if (!entry) continue;
+            this.byHash.delete(key);
+            const nonces = this.bySender.get(entry.sender);
+            if (nonces.get(entry.nonce) === key) {
+                nonces.delete(entry.nonce);
+            }
+            if (nonces.size === 0) {
+                this.bySender.delete(entry.sender);
+            }
+        }
+    }
+
+    /**
+     * @returns {number} The number of pending transactions tracked.
+     */
+    get size() {
+        return this.byHash.size;
+    }
+}
+
+module.exports = {
+    nextBaseFee,
+    effectiveFees,
+    BaseFeeTracker,
+    NonceTracker,
+};
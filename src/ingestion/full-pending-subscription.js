@@ -0,0 +1,42 @@
+// src/ingestion/full-pending-subscription.js (Full-body pending transaction subscription)
+
+// Geth (1.11+) and several other nodes accept `eth_subscribe("newPendingTransactions", true)`
+// and push whole transactions instead of hashes, which saves one `getTransaction` round
+// trip per transaction. ethers' `provider.on('pending')` only asks for hashes, so this
+// subscribes directly on the socket provider.
+//
+// ethers has no public hook for a custom subscription: messages for an id nobody has
+// registered are buffered forever, and its RPC transaction formatter is not exported. So
+// this uses two internal `SocketProvider` methods, `_register` and
+// `_wrapTransactionResponse`. package.json pins ethers to the exact version they were
+// checked against, and test/ingestion.test.js runs them against the fake node; re-check
+// both when upgrading ethers.
+
+/**
+ * Subscribes to full pending transactions.
+ * @param {import('ethers').WebSocketProvider} provider
+ * @param {Object} handlers
+ * @param {function(Object): *} handlers.onTransaction - Called with each ethers `TransactionResponse`.
+ * @param {function(string): *} handlers.onHash - Called instead when the node sends a bare hash.
+ * @returns {Promise<string>} The subscription id.
+ * @throws If the node rejects the subscription (then fall back to `provider.on('pending')`).
+ */
+async function subscribeFullPendingTransactions(provider, { onTransaction, onHash }) {
+    const subscriptionId = await provider.send('eth_subscribe', ['newPendingTransactions', true]);
+    // The socket provider routes `eth_subscription` messages to whatever is registered
+    // under the subscription id.
+    provider._register(subscriptionId, {
+        _handleMessage(message) {
+            if (typeof message === 'string') {
+                onHash(message);
+            } else {
+                onTransaction(provider._wrapTransactionResponse(message));
+            }
+        },
+    });
+    return subscriptionId;
+}
+
+module.exports = {
+    subscribeFullPendingTransactions,
+};
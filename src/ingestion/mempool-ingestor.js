@@ -0,0 +1,241 @@
+// src/ingestion/mempool-ingestor.js (Bounded, backpressured pending-transaction fetching)
+
+// Pending transaction hashes go into a bounded queue; at most `concurrency` batches of
+// up to `batchSize` hashes are fetched at a time. All `getTransaction` calls of a batch are
+// issued together, so a JSON-RPC provider with batching enabled (`batchMaxCount`) sends
+// them as one request. Each fetched transaction is handed to `handleTransaction`, and the
+// next batch only starts once a batch has been fully handled, so a slow node or a slow
+// pipeline shows up as queue depth rather than as unbounded memory.
+//
+// Hashes are dropped (and reported through `drop` events) when:
+// - `queue_full`: the queue already holds `maxQueueSize` hashes.
+// - `duplicate`: the hash is already queued, being fetched, or was recently handled.
+// - `mined`: the transaction was seen in a block (`markMined`) before it was handled.
+//
+// A failed fetch (an RPC error, or no transaction yet) is reported through `fetchError`
+// and forgotten, so a later announcement or the txpool backfill can fetch it again.
+//
+// Full transactions from a `newPendingTransactions` subscription with full bodies can
+// be passed to `ingest`, skipping the fetch but not the queue.
+
+const { EventEmitter } = require('events');
+
+// Reasons reported with a `drop` event.
+const DropReason = Object.freeze({
+    QUEUE_FULL: 'queue_full',
+    DUPLICATE: 'duplicate',
+    MINED: 'mined',
+});
+
+/**
+ * A set that forgets its oldest entries beyond `capacity`.
+ */
+class BoundedSet {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Set();
+    }
+
+    add(item) {
+        this.items.delete(item);
+        this.items.add(item);
+        if (this.items.size > this.capacity) {
+            this.items.delete(this.items.values().next().value);
+        }
+    }
+
+    has(item) {
+        return this.items.has(item);
+    }
+
+    get size() {
+        return this.items.size;
+    }
+}
+
+class MempoolIngestor extends EventEmitter {
+    /**
+     * @param {Object} provider - Anything with `getTransaction(hash)`.
+     * @param {Object} options
+     * @param {function(Object): Promise<void>} options.handleTransaction - Called with each fetched transaction.
+     * @param {number} [options.concurrency=4] - Batches fetched at the same time.
+     * @param {number} [options.batchSize=25] - Hashes per batch.
+     * @param {number} [options.maxQueueSize=10000] - Hashes waiting to be fetched before new ones are dropped.
+     * @param {number} [options.memorySize=50000] - Recently handled and mined hashes remembered for dedup
+     *   (failed fetches are not remembered).
+     */
+    constructor(provider, options) {
+        super();
+        this.provider = provider;
+        this.handleTransaction = options.handleTransaction;
+        this.concurrency = options.concurrency || 4;
+        this.batchSize = options.batchSize || 25;
+        this.maxQueueSize = options.maxQueueSize || 10000;
+        const memorySize = options.memorySize || 50000;
+        // Map<hash, { hash, tx, waiters }>, in arrival order: the fetch queue.
+        this.queued = new Map();
+        this.inFlight = new Set();
+        this.handled = new BoundedSet(memorySize);
+        this.mined = new BoundedSet(memorySize);
+        this.activeBatches = 0;
+        this.pumpScheduled = false;
+    }
+
+    /**
+     * Queues a pending transaction hash for fetching.
+     * @param {string} hash
+     * @returns {Promise<void>} Resolves once the transaction was handled or dropped (replays
+     *   await it to stay deterministic; the live pipeline does not).
+     */
+    enqueue(hash) {
+        return this.admit(hash.toLowerCase(), null);
+    }
+
+    /**
+     * Queues a full pending transaction, e.g. from a full-body pending subscription.
+     * @param {Object} tx - An ethers `TransactionResponse`.
+     * @returns {Promise<void>}
+     */
+    ingest(tx) {
+        return this.admit(tx.hash.toLowerCase(), tx);
+    }
+
+    admit(hash, tx) {
+        if (this.mined.has(hash)) {
+            this.drop(DropReason.MINED, hash);
+            return Promise.resolve();
+        }
+        if (this.queued.has(hash) || this.inFlight.has(hash) || this.handled.has(hash)) {
+            this.drop(DropReason.DUPLICATE, hash);
+            return Promise.resolve();
+        }
+        if (this.queued.size >= this.maxQueueSize) {
+            this.drop(DropReason.QUEUE_FULL, hash);
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            this.queued.set(hash, { hash, tx, waiters: [resolve] });
+            this.schedulePump();
+        });
+    }
+
+    /**
+     * Records the transactions of a newly mined block: queued ones are dropped, and later
+     * announcements of them are ignored.
+     * @param {Array<string>} hashes
+     * @returns {number} How many queued transactions were dropped.
+     */
+    markMined(hashes) {
+        let dropped = 0;
+        for (const raw of hashes) {
+            const hash = raw.toLowerCase();
+            this.mined.add(hash);
+            const item = this.queued.get(hash);
+            if (item) {
+                this.queued.delete(hash);
+                item.waiters.forEach(resolve => resolve());
+                this.drop(DropReason.MINED, hash);
+                dropped++;
+            }
+        }
+        return dropped;
+    }
+
+    /**
+     * Pumps once the current burst of announcements has been queued, so hashes that
+     * arrive together are fetched together instead of one batch each.
+     */
+    schedulePump() {
+        if (this.pumpScheduled) return;
+        this.pumpScheduled = true;
+        setImmediate(() => {
+            this.pumpScheduled = false;
+            this.pump();
+        });
+    }
+
+    /**
+     * Starts batches while there is queued work and a free slot.
+     */
+    pump() {
+        while (this.activeBatches < this.concurrency && this.queued.size > 0) {
+            const items = [];
+            for (const item of this.queued.values()) {
+                items.push(item);
+                if (items.length === this.batchSize) break;
+            }
+            for (const item of items) {
+                this.queued.delete(item.hash);
+                this.inFlight.add(item.hash);
+            }
+            this.activeBatches++;
+            this.runBatch(items).finally(() => {
+                this.activeBatches--;
+                this.pump();
+            });
+        }
+    }
+
+    /**
+     * Fetches a batch (all requests issued at once) and hands each transaction on, in order.
+     */
+    async runBatch(items) {
+        const results = await Promise.allSettled(items.map(item =>
+            (item.tx ? Promise.resolve(item.tx) : this.provider.getTransaction(item.hash))));
+
+        for (let i = 0; i < items.length; i++) {
+            const { hash, waiters } = items[i];
+            const result = results[i];
+            // Whether the hash is done with, rather than open to another fetch.
+            let settled = true;
+            try {
+                if (result.status === 'rejected') {
+                    settled = false;
+                    this.emit('fetchError', result.reason, hash);
+                } else if (!result.value) {
+                    // Mined or dropped between the announcement and the fetch, or not yet
+                    // known to the node that answered.
+                    settled = false;
+                    this.emit('fetchError', null, hash);
+                } else if (this.mined.has(hash)) {
+                    this.drop(DropReason.MINED, hash);
+                } else {
+                    this.emit('fetched', hash);
+                    await this.handleTransaction(result.value);
+                }
+            } catch (error) {
+                this.emit('handleError', error, hash);
+            } finally {
+                this.inFlight.delete(hash);
+                if (settled) {
+                    this.handled.add(hash);
+                }
+                waiters.forEach(resolve => resolve());
+            }
+        }
+    }
+
+    drop(reason, hash) {
+        this.emit('drop', reason, hash);
+    }
+
+    /**
+     * @returns {number} Hashes waiting to be fetched.
+     */
+    get queueDepth() {
+        return this.queued.size;
+    }
+
+    /**
+     * @returns {number} Transactions being fetched or handled.
+     */
+    get inFlightCount() {
+        return this.inFlight.size;
+    }
+}
+
+module.exports = {
+    DropReason,
+    BoundedSet,
+    MempoolIngestor,
+};
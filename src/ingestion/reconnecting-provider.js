@@ -0,0 +1,218 @@
+// src/ingestion/reconnecting-provider.js (WebSocket provider with reconnection and failover)
+
+// ethers' `WebSocketProvider` never reconnects: once the socket closes (the node restarts,
+// a load balancer drops the connection, ...) it stays silent. This wrapper owns one
+// `WebSocketProvider` at a time and replaces it when its socket closes, re-registering
+// every `pending` / `block` / `error` listener on the new one.
+//
+// Endpoints are tried in order: the primary first, then each fallback. When a whole round
+// fails, the next round starts after an exponential backoff (`initialDelayMs`, doubling up
+// to `maxDelayMs`). Every new connection starts again from the primary.
+//
+// RPC calls are forwarded to the current connection. While disconnected they fail at once
+// with a `NETWORK_ERROR`, and calls still in flight when the socket closes fail the same
+// way, rather than hanging on a socket that will never answer.
+//
+// Emits `connected` ({ url, endpoint, reconnect }), `disconnected` ({ url, endpoint, code })
+// and `connectError` (error, { url, endpoint }), where `endpoint` is the index in `urls`.
+
+const { EventEmitter } = require('events');
+const { WebSocketProvider, Network } = require('ethers');
+const WebSocket = require('ws');
+
+// Provider events whose listeners follow the connection.
+const PROVIDER_EVENTS = ['pending', 'block', 'error'];
+// Provider methods forwarded to the current connection.
+const FORWARDED_METHODS = ['getTransaction', 'getBlock', 'getTransactionReceipt', 'call', 'getLogs', 'getBlockNumber', 'getCode', 'send'];
+
+/**
+ * An error shaped like ethers' own network errors, so callers can count it by `code`.
+ * @param {string} message
+ * @returns {Error}
+ */
+function networkError(message) {
+    return Object.assign(new Error(message), { code: 'NETWORK_ERROR' });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class ReconnectingProvider extends EventEmitter {
+    /**
+     * @param {Array<string>} urls - WebSocket endpoints: the primary, then the fallbacks in order.
+     * @param {Object} [options]
+     * @param {number} [options.chainId] - Expected chain; skips ethers' network detection.
+     * @param {number} [options.initialDelayMs=1000] - Backoff after the first failed round.
+     * @param {number} [options.maxDelayMs=30000] - Backoff ceiling.
+     * @param {number} [options.connectTimeoutMs=10000] - How long an endpoint may take to answer.
+     */
+    constructor(urls, options = {}) {
+        super();
+        if (!Array.isArray(urls) || urls.length === 0) {
+            throw new Error('ReconnectingProvider needs at least one WebSocket URL.');
+        }
+        this.urls = urls;
+        this.network = options.chainId !== undefined ? Network.from(options.chainId) : undefined;
+        this.initialDelayMs = options.initialDelayMs !== undefined ? options.initialDelayMs : 1000;
+        this.maxDelayMs = options.maxDelayMs !== undefined ? options.maxDelayMs : 30000;
+        this.connectTimeoutMs = options.connectTimeoutMs !== undefined ? options.connectTimeoutMs : 10000;
+        // Array<[event, listener]> registered through `on`, re-attached on every connection.
+        this.providerListeners = [];
+        // The live connection: { provider, socket, url, endpoint, closed } or null.
+        this.connection = null;
+        this.connections = 0;
+        this.destroyed = false;
+
+        for (const method of FORWARDED_METHODS) {
+            this[method] = (...params) => this.forward(method, params);
+        }
+    }
+
+    /**
+     * Connects, retrying until an endpoint answers. Also called after every disconnect.
+     * @returns {Promise<void>} Resolves once connected (or destroyed).
+     */
+    async start() {
+        for (let attempt = 0; !this.destroyed; attempt++) {
+            const endpoint = attempt % this.urls.length;
+            const round = Math.floor(attempt / this.urls.length);
+            if (endpoint === 0 && round > 0) {
+                await sleep(this.backoffDelay(round));
+                if (this.destroyed) return;
+            }
+            try {
+                await this.open(endpoint);
+                return;
+            } catch (error) {
+                this.emit('connectError', error, { url: this.urls[endpoint], endpoint });
+            }
+        }
+    }
+
+    /**
+     * @param {number} round - Failed rounds over all endpoints so far (1 or more).
+     * @returns {number} Milliseconds to wait before the next round.
+     */
+    backoffDelay(round) {
+        return Math.min(this.maxDelayMs, this.initialDelayMs * 2 ** (round - 1));
+    }
+
+    /**
+     * Opens one endpoint and makes it the current connection.
+     * @param {number} endpoint - Index in `urls`.
+     */
+    async open(endpoint) {
+        const url = this.urls[endpoint];
+        const socket = new WebSocket(url);
+        let rejectClosed;
+        const closed = new Promise((resolve, reject) => { rejectClosed = reject; });
+        // Only ever rejected; keeps a close without callers from being reported as unhandled.
+        closed.catch(() => {});
+        // Without an `error` listener, a refused connection would crash the process.
+        socket.on('error', () => {});
+        socket.on('close', (code) => rejectClosed(networkError(`WebSocket to endpoint ${endpoint} closed (code ${code}).`)));
+
+        const provider = new WebSocketProvider(socket, this.network, { staticNetwork: Boolean(this.network) });
+        const connection = { provider, socket, url, endpoint, closed };
+        let timer;
+        try {
+            // The first answered request proves the node is up and the provider started.
+            await Promise.race([
+                provider.getBlockNumber(),
+                closed,
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(networkError(`Endpoint ${endpoint} did not answer within ${this.connectTimeoutMs} ms.`)),
+                        this.connectTimeoutMs);
+                }),
+            ]);
+        } catch (error) {
+            socket.terminate();
+            provider.destroy();
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+        if (this.destroyed) {
+            provider.destroy();
+            return;
+        }
+
+        this.connection = connection;
+        socket.on('close', (code) => this.handleClose(connection, code));
+        for (const [event, listener] of this.providerListeners) {
+            await provider.on(event, listener);
+        }
+        this.emit('connected', { url, endpoint, reconnect: this.connections > 0 });
+        this.connections++;
+    }
+
+    handleClose(connection, code) {
+        if (this.connection !== connection) {
+            return;
+        }
+        this.connection = null;
+        connection.provider.destroy();
+        this.emit('disconnected', { url: connection.url, endpoint: connection.endpoint, code });
+        if (!this.destroyed) {
+            this.start();
+        }
+    }
+
+    /**
+     * Calls a provider method on the current connection, failing if it closes first.
+     */
+    async forward(method, params) {
+        const connection = this.connection;
+        if (!connection) {
+            throw networkError(`Not connected to any node (${method}).`);
+        }
+        return Promise.race([connection.provider[method](...params), connection.closed]);
+    }
+
+    /**
+     * Registers a listener. `pending`, `block` and `error` listeners are attached to the
+     * current connection and to every later one; other events are this wrapper's own.
+     * @param {string} event
+     * @param {Function} listener
+     * @returns {ReconnectingProvider}
+     */
+    on(event, listener) {
+        if (!PROVIDER_EVENTS.includes(event)) {
+            return super.on(event, listener);
+        }
+        this.providerListeners.push([event, listener]);
+        if (this.connection) {
+            this.connection.provider.on(event, listener);
+        }
+        return this;
+    }
+
+    /**
+     * @returns {WebSocketProvider|null} The provider of the current connection.
+     */
+    get current() {
+        return this.connection ? this.connection.provider : null;
+    }
+
+    /**
+     * @returns {boolean} Whether a connection is open.
+     */
+    isConnected() {
+        return this.connection !== null && this.connection.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Closes the current connection and stops reconnecting.
+     */
+    destroy() {
+        this.destroyed = true;
+        const connection = this.connection;
+        this.connection = null;
+        if (connection) {
+            connection.provider.destroy();
+        }
+    }
+}
+
+module.exports = {
+    ReconnectingProvider,
+};
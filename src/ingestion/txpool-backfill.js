@@ -0,0 +1,32 @@
+// src/ingestion/txpool-backfill.js (Recovers the pending set missed while disconnected)
+
+// Pending transactions announced while the WebSocket was down are never announced again.
+// After a reconnect, Geth's `txpool_content` lists everything currently executable in its
+// pool (the `pending` section; `queued` holds nonce-gapped transactions that cannot be
+// mined yet), so the detector can catch up on what it missed. Transactions it had already
+// seen are dropped by the fetch queue as duplicates.
+//
+// The RPC transactions are wrapped with ethers' internal `_wrapTransactionResponse`, like
+// the full pending subscription's (see src/ingestion/full-pending-subscription.js for why
+// ethers is pinned).
+
+/**
+ * Reads the node's executable pending transactions.
+ * @param {import('ethers').JsonRpcApiProvider} provider - Needs the `txpool` RPC API.
+ * @returns {Promise<Array<Object>>} ethers `TransactionResponse`s, each sender's in nonce order.
+ */
+async function fetchTxpoolPending(provider) {
+    const content = await provider.send('txpool_content', []);
+    const transactions = [];
+    for (const byNonce of Object.values((content && content.pending) || {})) {
+        const nonces = Object.keys(byNonce).sort((a, b) => Number(a) - Number(b));
+        for (const nonce of nonces) {
+            transactions.push(provider._wrapTransactionResponse(byNonce[nonce]));
+        }
+    }
+    return transactions;
+}
+
+module.exports = {
+    fetchTxpoolPending,
+};
@@ -0,0 +1,63 @@
+// src/metrics/health-server.js (Metrics, liveness and readiness endpoints)
+
+//   GET /metrics  Prometheus text format.
+//   GET /healthz  Liveness: 200 while the process can answer at all.
+//   GET /readyz   Readiness: 200 only if every dependency check passes, else 503.
+//                 The body lists each check, e.g. {"provider":true,"redis":false,...}.
+
+const http = require('http');
+
+/**
+ * Runs every readiness check. A check that throws counts as failed.
+ * @param {Object<string, Function>} checks - Name → `() => boolean | Promise<boolean>`.
+ * @returns {Promise<{ready: boolean, checks: Object<string, boolean>}>}
+ */
+async function runChecks(checks) {
+    const results = {};
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            results[name] = Boolean(await check());
+        } catch (error) {
+            results[name] = false;
+        }
+    }
+    return { ready: Object.values(results).every(Boolean), checks: results };
+}
+
+/**
+ * Creates the HTTP server (not yet listening).
+ * @param {Object} options
+ * @param {import('prom-client').Registry} options.registry
+ * @param {Object<string, Function>} [options.checks] - Readiness checks.
+ * @returns {http.Server}
+ */
+function createHealthServer({ registry, checks = {} }) {
+    return http.createServer(async (req, res) => {
+        const path = new URL(req.url, 'http://localhost').pathname;
+        try {
+            if (path === '/metrics') {
+                res.writeHead(200, { 'Content-Type': registry.contentType });
+                res.end(await registry.metrics());
+            } else if (path === '/healthz') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: 'ok' }));
+            } else if (path === '/readyz') {
+                const { ready, checks: results } = await runChecks(checks);
+                res.writeHead(ready ? 200 : 503, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: ready ? 'ready' : 'not_ready', checks: results }));
+            } else {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: `Unknown endpoint ${path}.` }));
+            }
+        } catch (error) {
+            console.error('Health server error:', error);
+            res.writeHead(500);
+            res.end();
+        }
+    });
+}
+
+module.exports = {
+    runChecks,
+    createHealthServer,
+};
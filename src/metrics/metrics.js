@@ -0,0 +1,158 @@
+// src/metrics/metrics.js (Prometheus metrics of the detector process)
+
+// All metrics live in their own registry (plus Node's default process metrics), served
+// at /metrics by the health server. Names are prefixed with `mev_`.
+
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const metrics = {
+    pendingReceived: new client.Counter({
+        name: 'mev_pending_transactions_received_total',
+        help: 'Pending transaction hashes announced by the node.',
+        registers: [registry],
+    }),
+    pendingFetched: new client.Counter({
+        name: 'mev_pending_transactions_fetched_total',
+        help: 'Pending transactions whose details were fetched successfully.',
+        registers: [registry],
+    }),
+    fetchErrors: new client.Counter({
+        name: 'mev_pending_transaction_fetch_errors_total',
+        help: 'Pending transactions that could not be fetched, by cause.',
+        labelNames: ['cause'],
+        registers: [registry],
+    }),
+    fetchQueueDepth: new client.Gauge({
+        name: 'mev_fetch_queue_depth',
+        help: 'Pending transaction hashes waiting to be fetched.',
+        registers: [registry],
+    }),
+    fetchesInFlight: new client.Gauge({
+        name: 'mev_fetches_in_flight',
+        help: 'Pending transactions being fetched or processed.',
+        registers: [registry],
+    }),
+    ingestionDrops: new client.Counter({
+        name: 'mev_ingestion_drops_total',
+        help: 'Pending transactions dropped before detection, by reason (queue_full, duplicate, mined, lru_evicted, replaced).',
+        labelNames: ['reason'],
+        registers: [registry],
+    }),
+    processingErrors: new client.Counter({
+        name: 'mev_pending_transaction_processing_errors_total',
+        help: 'Fetched transactions that could not be processed, by stage (decode, replacement, copycat, slippage, cluster).',
+        labelNames: ['stage'],
+        registers: [registry],
+    }),
+    clusteredTransactions: new client.Gauge({
+        name: 'mev_clustered_transactions',
+        help: 'Decoded swaps currently held in the pool clusters.',
+        registers: [registry],
+    }),
+    clusters: new client.Gauge({
+        name: 'mev_clusters',
+        help: 'Pool clusters currently holding at least one swap.',
+        registers: [registry],
+    }),
+    clusterSize: new client.Histogram({
+        name: 'mev_cluster_size',
+        help: 'Transactions in each cluster analyzed by a detection round.',
+        buckets: [1, 2, 3, 5, 10, 20, 50, 100, 250, 500],
+        registers: [registry],
+    }),
+    detectionDuration: new client.Histogram({
+        name: 'mev_wasm_detection_duration_seconds',
+        help: 'Time spent in the WASM detector per cluster.',
+        buckets: [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1],
+        registers: [registry],
+    }),
+    detectionRoundDuration: new client.Histogram({
+        name: 'mev_detection_round_duration_seconds',
+        help: 'Time taken by each detection round, from taking the clusters to the last alert.',
+        buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+        registers: [registry],
+    }),
+    detectionRoundsCoalesced: new client.Counter({
+        name: 'mev_detection_rounds_coalesced_total',
+        help: 'Detection rounds due while the previous one was still running, merged into the next.',
+        registers: [registry],
+    }),
+    detections: new client.Counter({
+        name: 'mev_detections_total',
+        help: 'Findings returned by the detectors (sandwich, JIT liquidity, copycat), by rule.',
+        labelNames: ['rule'],
+        registers: [registry],
+    }),
+    dedupHits: new client.Counter({
+        name: 'mev_dedup_hits_total',
+        help: 'Findings suppressed by deduplication (repeat sandwiches and re-detections).',
+        registers: [registry],
+    }),
+    alertsSent: new client.Counter({
+        name: 'mev_alerts_sent_total',
+        help: 'Alerts delivered, by sink.',
+        labelNames: ['sink'],
+        registers: [registry],
+    }),
+    alertSendFailures: new client.Counter({
+        name: 'mev_alert_send_failures_total',
+        help: 'Alerts a sink failed to deliver (written to its dead-letter file), by sink.',
+        labelNames: ['sink'],
+        registers: [registry],
+    }),
+    alertsSuppressed: new client.Counter({
+        name: 'mev_alerts_suppressed_total',
+        help: 'Alerts the alert rules kept from the sinks, by the rule that suppressed them.',
+        labelNames: ['rule'],
+        registers: [registry],
+    }),
+    alertsEscalated: new client.Counter({
+        name: 'mev_alerts_escalated_total',
+        help: 'Alerts the alert rules escalated, by the rule that escalated them.',
+        labelNames: ['rule'],
+        registers: [registry],
+    }),
+    nodeReconnects: new client.Counter({
+        name: 'mev_node_reconnects_total',
+        help: 'Reconnections to the Ethereum node, by endpoint (0 is the primary, then the fallbacks in order).',
+        labelNames: ['endpoint'],
+        registers: [registry],
+    }),
+    backfilledTransactions: new client.Counter({
+        name: 'mev_backfilled_transactions_total',
+        help: 'Pending transactions read from txpool_content after a reconnection.',
+        registers: [registry],
+    }),
+    nextBaseFee: new client.Gauge({
+        name: 'mev_next_base_fee_gwei',
+        help: 'Base fee of the next block, derived from the latest block header.',
+        registers: [registry],
+    }),
+    lastBlockTimestamp: new client.Gauge({
+        name: 'mev_last_block_received_timestamp_seconds',
+        help: 'When the last new block event was received (unix seconds).',
+        registers: [registry],
+    }),
+};
+
+/**
+ * Names the cause of a failed `getTransaction`, for the `cause` label.
+ * @param {Error|null} error - `null` when the node returned no transaction.
+ * @returns {string} `not_found` (mined or dropped before we asked), or the ethers error
+ *   code in lowercase (`timeout`, `network_error`, `server_error`, ...), or `unknown`.
+ */
+function fetchErrorCause(error) {
+    if (!error) {
+        return 'not_found';
+    }
+    return typeof error.code === 'string' ? error.code.toLowerCase() : 'unknown';
+}
+
+module.exports = {
+    registry,
+    metrics,
+    fetchErrorCause,
+};
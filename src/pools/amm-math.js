@@ -0,0 +1,66 @@
+// src/pools/amm-math.js (Uniswap V2 constant-product math)
+
+// All amounts are `bigint` and follow UniswapV2Library exactly, including its
+// integer rounding, so simulated results match what the pair contract would do.
+
+// Uniswap V2 charges a 0.3% fee on the input amount: only 997/1000 of it is swapped.
+const FEE_NUMERATOR = 997n;
+const FEE_DENOMINATOR = 1000n;
+
+/**
+ * Given an input amount and the pair's reserves, returns the maximum output amount
+ * (UniswapV2Library.getAmountOut).
+ * @param {bigint} amountIn - Amount of the input token.
+ * @param {bigint} reserveIn - Reserve of the input token.
+ * @param {bigint} reserveOut - Reserve of the output token.
+ * @returns {bigint} Amount of the output token.
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut) {
+    if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) {
+        return 0n;
+    }
+    const amountInWithFee = amountIn * FEE_NUMERATOR;
+    const numerator = amountInWithFee * reserveOut;
+    const denominator = reserveIn * FEE_DENOMINATOR + amountInWithFee;
+    return numerator / denominator;
+}
+
+/**
+ * Given a desired output amount and the pair's reserves, returns the required input
+ * amount (UniswapV2Library.getAmountIn). Returns `null` if the output cannot be
+ * reached because it would drain the pool.
+ * @param {bigint} amountOut - Desired amount of the output token.
+ * @param {bigint} reserveIn - Reserve of the input token.
+ * @param {bigint} reserveOut - Reserve of the output token.
+ * @returns {bigint|null} Amount of the input token.
+ */
+function getAmountIn(amountOut, reserveIn, reserveOut) {
+    if (amountOut <= 0n || reserveIn <= 0n || amountOut >= reserveOut) {
+        return null;
+    }
+    const numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+    const denominator = (reserveOut - amountOut) * FEE_NUMERATOR;
+    return numerator / denominator + 1n;
+}
+
+/**
+ * Applies a swap to a pair's reserves and returns the new reserves.
+ * @param {{reserveIn: bigint, reserveOut: bigint}} reserves - Reserves before the swap.
+ * @param {bigint} amountIn - Amount added to the input side.
+ * @param {bigint} amountOut - Amount removed from the output side.
+ * @returns {{reserveIn: bigint, reserveOut: bigint}} Reserves after the swap.
+ */
+function applySwap(reserves, amountIn, amountOut) {
+    return {
+        reserveIn: reserves.reserveIn + amountIn,
+        reserveOut: reserves.reserveOut - amountOut,
+    };
+}
+
+module.exports = {
+    FEE_NUMERATOR,
+    FEE_DENOMINATOR,
+    getAmountOut,
+    getAmountIn,
+    applySwap,
+};
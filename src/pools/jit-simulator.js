@@ -0,0 +1,98 @@
+// src/pools/jit-simulator.js (Fee estimate for JIT liquidity attacks)
+
+// A JIT provider mints liquidity right before a victim's swap and burns it right after,
+// so for that one swap it owns a share of the pair and collects that share of the 0.3%
+// fee. Existing LPs are diluted by the same share: that part of the fee would have been
+// theirs. The estimate uses the locally cached reserves from before the attack.
+
+const { formatEther } = require('ethers');
+const { sortTokens } = require('./pool-state');
+const { ReserveOverlay, canSimulate, quoteSwap, ensurePools, valueInEth, gasCostWei } = require('./sandwich-simulator');
+
+// Uniswap V2 LPs earn 3/1000 of every swap's input.
+const LP_FEE_NUMERATOR = 3n;
+const LP_FEE_DENOMINATOR = 1000n;
+// Shares are computed in parts per million to keep bigint precision.
+const PPM = 1000000n;
+
+/**
+ * Computes the amounts an `addLiquidity` call actually deposits, the way the router's
+ * `_addLiquidity` does: the desired amounts, scaled down on one side to the pair's ratio.
+ * @param {Object} liquidity - A decoded `add` liquidity record.
+ * @param {bigint} reserveA - Reserve of `liquidity.token_a`.
+ * @param {bigint} reserveB - Reserve of `liquidity.token_b`.
+ * @returns {{amountA: bigint, amountB: bigint}}
+ */
+function depositAmounts(liquidity, reserveA, reserveB) {
+    const desiredA = BigInt(liquidity.amount_a_desired);
+    const desiredB = BigInt(liquidity.amount_b_desired);
+    if (reserveA === 0n || reserveB === 0n) {
+        return { amountA: desiredA, amountB: desiredB };
+    }
+    const optimalB = (desiredA * reserveB) / reserveA;
+    if (optimalB <= desiredB) {
+        return { amountA: desiredA, amountB: optimalB };
+    }
+    return { amountA: (desiredB * reserveA) / reserveB, amountB: desiredB };
+}
+
+/**
+ * Estimates what a JIT liquidity attack earned and what it cost the existing LPs.
+ * @param {import('./pool-state').PoolStateCache} poolState
+ * @param {Object} legs
+ * @param {Object} legs.add - `{ liquidity, gas_price, gas_limit, gas_used? }`: the provider's add.
+ * @param {Object} legs.victim - `{ swap }`.
+ * @param {Object} legs.remove - `{ gas_price, gas_limit, gas_used? }`: the provider's remove.
+ * @returns {Promise<Object|null>} The estimate, or `null` if it cannot be computed.
+ */
+async function simulateJit(poolState, { add, victim, remove }) {
+    if (!add.liquidity || add.liquidity.action !== 'add' || !canSimulate(victim.swap)) {
+        return null;
+    }
+    const { token_a: tokenA, token_b: tokenB } = add.liquidity;
+    if (!(await ensurePools(poolState, victim.swap.path)) || !(await poolState.getPool(tokenA, tokenB))) {
+        return null;
+    }
+
+    // The hop of the victim's path that trades on the JIT pair.
+    const pairKey = sortTokens(tokenA, tokenB).join(':');
+    const path = victim.swap.path;
+    const hop = path.findIndex((token, i) => i < path.length - 1 && sortTokens(token, path[i + 1]).join(':') === pairKey);
+    const view = new ReserveOverlay(poolState);
+    const quote = quoteSwap(view, victim.swap);
+    if (hop === -1 || !quote || quote.reverted) {
+        return null;
+    }
+
+    const { reserveIn: reserveA, reserveOut: reserveB } = view.reservesFor(tokenA, tokenB);
+    const { amountA } = depositAmounts(add.liquidity, reserveA, reserveB);
+    // The provider's share of the pair while the victim swaps.
+    const sharePpm = (amountA * PPM) / (reserveA + amountA);
+
+    const feeToken = path[hop];
+    const victimAmountIn = quote.amounts[hop];
+    const victimFee = (victimAmountIn * LP_FEE_NUMERATOR) / LP_FEE_DENOMINATOR;
+    const jitFees = (victimFee * sharePpm) / PPM;
+    const hopReserveIn = view.reservesFor(feeToken, path[hop + 1]).reserveIn;
+
+    const jitFeesEth = valueInEth(view, feeToken, jitFees);
+    const gasCostEth = Number(formatEther(gasCostWei(add) + gasCostWei(remove)));
+    return {
+        pool: poolState.pairAddressFor(tokenA, tokenB),
+        fee_token: feeToken,
+        victim_fee: victimFee.toString(),
+        jit_fees: jitFees.toString(),
+        jit_fees_eth: jitFeesEth,
+        // The share of the victim's fee taken from the existing LPs.
+        lp_dilution: Number(sharePpm) / Number(PPM),
+        // The victim's input as a share of the pair's reserve of that token.
+        victim_volume_share: hopReserveIn === 0n ? null : Number((victimAmountIn * PPM) / hopReserveIn) / Number(PPM),
+        gas_cost_eth: gasCostEth,
+        net_profit_eth: jitFeesEth === null ? null : jitFeesEth - gasCostEth,
+    };
+}
+
+module.exports = {
+    depositAmounts,
+    simulateJit,
+};
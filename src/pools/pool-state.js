@@ -0,0 +1,207 @@
+// src/pools/pool-state.js (Local Uniswap V2 pair reserve cache)
+
+// Keeps an in-memory copy of the reserves of every Uniswap V2 pair the detector has
+// seen a swap for. Each pair is seeded once with `getReserves()` and then kept current
+// by applying the `Sync` events emitted in every new block, so simulations never need
+// a round-trip to the node.
+
+const { Interface, getCreate2Address, solidityPackedKeccak256 } = require('ethers');
+
+// Uniswap V2 Factory on Mainnet and the keccak256 of the pair creation code.
+// Together they let us compute any pair address offline (CREATE2).
+const UNISWAP_V2_FACTORY_ADDRESS = '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f';
+const UNISWAP_V2_PAIR_INIT_CODE_HASH = '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f';
+// Wrapped ETH on Mainnet, lowercase: profits are valued through its pairs.
+const WETH_ADDRESS = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+
+// Only the parts of the pair ABI we need.
+const pairInterface = new Interface([
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+    'event Sync(uint112 reserve0, uint112 reserve1)',
+    'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+]);
+const SYNC_TOPIC = pairInterface.getEvent('Sync').topicHash;
+
+/**
+ * Sorts two token addresses the same way the Uniswap V2 Factory does.
+ * @param {string} tokenA
+ * @param {string} tokenB
+ * @returns {[string, string]} `[token0, token1]`, lowercase.
+ */
+function sortTokens(tokenA, tokenB) {
+    const a = tokenA.toLowerCase();
+    const b = tokenB.toLowerCase();
+    return a < b ? [a, b] : [b, a];
+}
+
+class PoolStateCache {
+    /**
+     * @param {Object} provider - Anything with `call({ to, data })` and `getLogs(filter)`:
+     *   an ethers provider, or a `JsonFixtureProvider` for offline runs.
+     * @param {Object} [options]
+     * @param {string} [options.factoryAddress] - Uniswap V2 Factory address.
+     * @param {string} [options.initCodeHash] - Pair init code hash for that factory.
+     * @param {string} [options.wethAddress] - Wrapped ETH on the same network.
+     * Each defaults to Mainnet's; see src/config/networks.js for other networks.
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.factoryAddress = options.factoryAddress || UNISWAP_V2_FACTORY_ADDRESS;
+        this.initCodeHash = options.initCodeHash || UNISWAP_V2_PAIR_INIT_CODE_HASH;
+        this.wethAddress = (options.wethAddress || WETH_ADDRESS).toLowerCase();
+        // Map<pairAddress (lowercase), { address, token0, token1, reserve0, reserve1, blockNumber }>
+        this.pools = new Map();
+        // In-flight `getReserves` calls, so concurrent lookups of a new pair share one request.
+        this.seeding = new Map();
+        // Highest block whose Sync events have been applied.
+        this.lastSyncedBlock = null;
+    }
+
+    /**
+     * Computes the pair address for two tokens without touching the node.
+     * @param {string} tokenA
+     * @param {string} tokenB
+     * @returns {string} The pair address, lowercase.
+     */
+    pairAddressFor(tokenA, tokenB) {
+        const [token0, token1] = sortTokens(tokenA, tokenB);
+        const salt = solidityPackedKeccak256(['address', 'address'], [token0, token1]);
+        return getCreate2Address(this.factoryAddress, salt, this.initCodeHash).toLowerCase();
+    }
+
+    /**
+     * Returns the cached state of the pair for two tokens, seeding it from
+     * `getReserves()` the first time the pair is requested.
+     * @param {string} tokenA
+     * @param {string} tokenB
+     * @returns {Promise<Object|null>} The pool, or `null` if the pair does not exist.
+     */
+    async getPool(tokenA, tokenB) {
+        const address = this.pairAddressFor(tokenA, tokenB);
+        if (this.pools.has(address)) {
+            return this.pools.get(address);
+        }
+        if (!this.seeding.has(address)) {
+            const [token0, token1] = sortTokens(tokenA, tokenB);
+            this.seeding.set(address, this.seedPool(address, token0, token1)
+                .finally(() => this.seeding.delete(address)));
+        }
+        return this.seeding.get(address);
+    }
+
+    /**
+     * Fetches a pair's reserves from the node and stores them.
+     * @param {string} address - Pair address.
+     * @param {string} token0
+     * @param {string} token1
+     * @returns {Promise<Object|null>} The seeded pool, or `null` if the pair does not exist.
+     */
+    async seedPool(address, token0, token1) {
+        let result;
+        try {
+            result = await this.provider.call({
+                to: address,
+                data: pairInterface.encodeFunctionData('getReserves'),
+            });
+        } catch (error) {
+            // A call to an address with no code reverts: the pair was never created.
+            return null;
+        }
+        if (!result || result === '0x') {
+            return null;
+        }
+        const [reserve0, reserve1] = pairInterface.decodeFunctionResult('getReserves', result);
+        const pool = {
+            address,
+            token0,
+            token1,
+            reserve0: BigInt(reserve0),
+            reserve1: BigInt(reserve1),
+            blockNumber: this.lastSyncedBlock,
+        };
+        this.pools.set(address, pool);
+        return pool;
+    }
+
+    /**
+     * Returns the cached pool for a pair address, if we are tracking it.
+     * @param {string} address
+     * @returns {Object|undefined}
+     */
+    getCachedPool(address) {
+        return this.pools.get(address.toLowerCase());
+    }
+
+    /**
+     * Returns the reserves of a cached pair oriented for a swap from `tokenIn` to `tokenOut`.
+     * @param {string} tokenIn
+     * @param {string} tokenOut
+     * @returns {{reserveIn: bigint, reserveOut: bigint}|null} `null` if the pair is not cached.
+     */
+    reservesFor(tokenIn, tokenOut) {
+        const pool = this.pools.get(this.pairAddressFor(tokenIn, tokenOut));
+        if (!pool) {
+            return null;
+        }
+        return tokenIn.toLowerCase() === pool.token0
+            ? { reserveIn: pool.reserve0, reserveOut: pool.reserve1 }
+            : { reserveIn: pool.reserve1, reserveOut: pool.reserve0 };
+    }
+
+    /**
+     * Applies the Sync events of every block up to `blockNumber` to the tracked pairs.
+     * Call this from the provider's `block` listener.
+     * @param {number} blockNumber - The newly mined block.
+     * @returns {Promise<number>} The number of Sync events applied.
+     */
+    async handleBlock(blockNumber) {
+        const fromBlock = this.lastSyncedBlock === null ? blockNumber : this.lastSyncedBlock + 1;
+        if (fromBlock > blockNumber) {
+            return 0;
+        }
+        if (this.pools.size === 0) {
+            this.lastSyncedBlock = blockNumber;
+            return 0;
+        }
+
+        const logs = await this.provider.getLogs({
+            address: Array.from(this.pools.keys()),
+            topics: [SYNC_TOPIC],
+            fromBlock,
+            toBlock: blockNumber,
+        });
+        // Logs come back in chain order, so the last Sync for a pair wins.
+        for (const log of logs) {
+            this.applySyncLog(log);
+        }
+        this.lastSyncedBlock = blockNumber;
+        return logs.length;
+    }
+
+    /**
+     * Updates a tracked pair from a single Sync log.
+     * @param {Object} log - An ethers-style log (`address`, `topics`, `data`, `blockNumber`).
+     * @returns {boolean} True if the log belonged to a tracked pair.
+     */
+    applySyncLog(log) {
+        const pool = this.pools.get(log.address.toLowerCase());
+        if (!pool) {
+            return false;
+        }
+        const { reserve0, reserve1 } = pairInterface.decodeEventLog('Sync', log.data, log.topics);
+        pool.reserve0 = BigInt(reserve0);
+        pool.reserve1 = BigInt(reserve1);
+        pool.blockNumber = log.blockNumber;
+        return true;
+    }
+}
+
+module.exports = {
+    UNISWAP_V2_FACTORY_ADDRESS,
+    UNISWAP_V2_PAIR_INIT_CODE_HASH,
+    WETH_ADDRESS,
+    SYNC_TOPIC,
+    pairInterface,
+    sortTokens,
+    PoolStateCache,
+};
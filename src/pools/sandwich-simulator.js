@@ -0,0 +1,296 @@
+// src/pools/sandwich-simulator.js (Constant-product sandwich replay)
+
+// Replays frontrun -> victim -> backrun against the locally cached Uniswap V2 reserves
+// using the x*y=k formula (0.3% fee), and compares the victim's outcome with an
+// unsandwiched execution. This replaces the random profit/slippage numbers the
+// alerts used to carry. Swaps on Uniswap V3 pools, swaps whose input the router only
+// learns on-chain (its whole balance), and the router's `SupportingFeeOnTransferTokens`
+// swaps are not simulated: a token that takes a cut of every transfer moves the reserves
+// by less than the amounts in the calldata, so the pool math would be wrong.
+
+const { formatEther } = require('ethers');
+const { getAmountOut, getAmountIn } = require('./amm-math');
+
+// Profits and losses in WETH (the pool cache's `wethAddress`) are reported directly in
+// ETH; other tokens are converted through their WETH pair when we track one.
+
+/**
+ * A copy-on-write view over the pool cache, so a simulation can move reserves
+ * around without touching the shared cached state.
+ */
+class ReserveOverlay {
+    /**
+     * @param {import('./pool-state').PoolStateCache} poolState
+     */
+    constructor(poolState) {
+        this.poolState = poolState;
+        this.overrides = new Map(); // Map<pairAddress, { token0, reserve0, reserve1 }>
+    }
+
+    reservesFor(tokenIn, tokenOut) {
+        const address = this.poolState.pairAddressFor(tokenIn, tokenOut);
+        const override = this.overrides.get(address);
+        if (!override) {
+            return this.poolState.reservesFor(tokenIn, tokenOut);
+        }
+        return tokenIn.toLowerCase() === override.token0
+            ? { reserveIn: override.reserve0, reserveOut: override.reserve1 }
+            : { reserveIn: override.reserve1, reserveOut: override.reserve0 };
+    }
+
+    setReserves(tokenIn, tokenOut, reserveIn, reserveOut) {
+        const address = this.poolState.pairAddressFor(tokenIn, tokenOut);
+        const pool = this.poolState.getCachedPool(address);
+        const inIsToken0 = tokenIn.toLowerCase() === pool.token0;
+        this.overrides.set(address, {
+            token0: pool.token0,
+            reserve0: inIsToken0 ? reserveIn : reserveOut,
+            reserve1: inIsToken0 ? reserveOut : reserveIn,
+        });
+    }
+}
+
+/**
+ * Makes sure every pair along a swap path is in the cache.
+ * @param {import('./pool-state').PoolStateCache} poolState
+ * @param {Array<string>} path
+ * @returns {Promise<boolean>} False if any pair along the path does not exist.
+ */
+async function ensurePools(poolState, path) {
+    for (let i = 0; i < path.length - 1; i++) {
+        if (!(await poolState.getPool(path[i], path[i + 1]))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Whether a swap record can be replayed here: it trades on Uniswap V2 pairs, without a
+ * fee-on-transfer token, and its amounts are in its calldata.
+ * @param {Object|null} swap - A normalized swap record from the decoder.
+ * @returns {boolean}
+ */
+function canSimulate(swap) {
+    if (!swap || swap.dex !== 'uniswap-v2' || swap.fee_on_transfer) {
+        return false;
+    }
+    return swap.kind === 'exact_in'
+        ? swap.amount_in !== null
+        : swap.amount_out !== null && swap.amount_in_max !== null;
+}
+
+/**
+ * Quotes a swap record against a reserve view without changing it.
+ * Exact-in swaps walk the path forwards with `getAmountOut`, exact-out swaps walk it
+ * backwards with `getAmountIn`, exactly like the router does.
+ * @param {Object} view - A `ReserveOverlay` (or anything with `reservesFor`).
+ * @param {Object} swap - A normalized swap record from the decoder.
+ * @param {bigint} [amountInOverride] - Use this input instead of the swap's own.
+ * @returns {{amounts: Array<bigint>, reverted: boolean}|null} `null` if a pair is missing.
+ */
+function quoteSwap(view, swap, amountInOverride) {
+    const path = swap.path;
+    const amounts = new Array(path.length).fill(0n);
+
+    if (swap.kind === 'exact_in' || amountInOverride !== undefined) {
+        amounts[0] = amountInOverride !== undefined ? amountInOverride : BigInt(swap.amount_in);
+        for (let i = 0; i < path.length - 1; i++) {
+            const reserves = view.reservesFor(path[i], path[i + 1]);
+            if (!reserves) return null;
+            amounts[i + 1] = getAmountOut(amounts[i], reserves.reserveIn, reserves.reserveOut);
+        }
+        const minOut = swap.amount_out_min !== null && amountInOverride === undefined
+            ? BigInt(swap.amount_out_min)
+            : 0n;
+        return { amounts, reverted: amounts[path.length - 1] < minOut };
+    }
+
+    amounts[path.length - 1] = BigInt(swap.amount_out);
+    for (let i = path.length - 1; i > 0; i--) {
+        const reserves = view.reservesFor(path[i - 1], path[i]);
+        if (!reserves) return null;
+        const amountIn = getAmountIn(amounts[i], reserves.reserveIn, reserves.reserveOut);
+        if (amountIn === null) {
+            return { amounts, reverted: true };
+        }
+        amounts[i - 1] = amountIn;
+    }
+    return { amounts, reverted: amounts[0] > BigInt(swap.amount_in_max) };
+}
+
+/**
+ * Executes a quoted swap on a reserve view, moving the reserves of every hop.
+ * @param {ReserveOverlay} view
+ * @param {Array<string>} path
+ * @param {Array<bigint>} amounts - The per-hop amounts returned by `quoteSwap`.
+ */
+function executeSwap(view, path, amounts) {
+    for (let i = 0; i < path.length - 1; i++) {
+        const { reserveIn, reserveOut } = view.reservesFor(path[i], path[i + 1]);
+        view.setReserves(path[i], path[i + 1], reserveIn + amounts[i], reserveOut - amounts[i + 1]);
+    }
+}
+
+/**
+ * Computes the slippage tolerance a victim's swap actually allows, from its
+ * `amountOutMin` (exact-in) or `amountInMax` (exact-out) against current reserves.
+ * For example, 0.05 means the swap still succeeds if the price moves 5% against it.
+ * @param {Object} swap - A normalized swap record from the decoder.
+ * @param {import('./pool-state').PoolStateCache} poolState
+ * @returns {Promise<number|null>} The tolerance as a fraction, or `null` if it cannot be computed.
+ */
+async function impliedSlippage(swap, poolState) {
+    if (!canSimulate(swap) || !(await ensurePools(poolState, swap.path))) {
+        return null;
+    }
+    const quote = quoteSwap(new ReserveOverlay(poolState), swap);
+    if (!quote) {
+        return null;
+    }
+
+    if (swap.kind === 'exact_in') {
+        const expectedOut = quote.amounts[quote.amounts.length - 1];
+        if (expectedOut === 0n) return null;
+        const minOut = BigInt(swap.amount_out_min);
+        // (expected - min) / expected, computed in parts per million to keep bigint precision.
+        return Number(((expectedOut - minOut) * 1000000n) / expectedOut) / 1000000;
+    }
+
+    const expectedIn = quote.amounts[0];
+    if (expectedIn === 0n) return null;
+    const maxIn = BigInt(swap.amount_in_max);
+    return Number(((maxIn - expectedIn) * 1000000n) / expectedIn) / 1000000;
+}
+
+/**
+ * Values an amount of `token` in ETH: directly for WETH, or at the spot price of the
+ * token's WETH pair when that pair is cached.
+ * @param {ReserveOverlay} view
+ * @param {string} token
+ * @param {bigint} amount
+ * @returns {number|null}
+ */
+function valueInEth(view, token, amount) {
+    const weth = view.poolState.wethAddress;
+    if (token.toLowerCase() === weth) {
+        return Number(formatEther(amount));
+    }
+    const reserves = view.reservesFor(token, weth);
+    if (!reserves || reserves.reserveIn === 0n) {
+        return null;
+    }
+    return Number(formatEther((amount * reserves.reserveOut) / reserves.reserveIn));
+}
+
+/**
+ * Gas cost of a transaction in wei. Uses `gas_used` when known (mined transactions),
+ * otherwise `gas_limit`, which makes the cost an upper bound for pending transactions.
+ * @param {Object} leg - `{ gas_price, gas_limit, gas_used? }`.
+ * @returns {bigint}
+ */
+function gasCostWei(leg) {
+    const gas = leg.gas_used !== undefined && leg.gas_used !== null ? leg.gas_used : leg.gas_limit;
+    return BigInt(gas || 0) * BigInt(leg.gas_price || 0);
+}
+
+/**
+ * Replays a sandwich against the cached reserves.
+ *
+ * The attacker's frontrun must be a decoded swap. The backrun is assumed to sell the
+ * frontrun's full output back along the reversed path, unless it is itself a decoded
+ * swap along that reversed path, in which case its own input amount is used.
+ *
+ * @param {import('./pool-state').PoolStateCache} poolState
+ * @param {Object} legs
+ * @param {Object} legs.frontrun - `{ swap, gas_price, gas_limit, gas_used? }`.
+ * @param {Object} legs.victim - `{ swap }`.
+ * @param {Object} legs.backrun - `{ swap, gas_price, gas_limit, gas_used? }`.
+ * @returns {Promise<Object|null>} The simulation result, or `null` if it cannot be simulated.
+ */
+async function simulateSandwich(poolState, { frontrun, victim, backrun }) {
+    if (!canSimulate(frontrun.swap) || !canSimulate(victim.swap)) {
+        return null;
+    }
+    const frontrunPath = frontrun.swap.path;
+    const backrunPath = [...frontrunPath].reverse();
+    if (!(await ensurePools(poolState, frontrunPath)) || !(await ensurePools(poolState, victim.swap.path))) {
+        return null;
+    }
+
+    // Baseline: the victim's swap on the untouched pools.
+    const baseline = quoteSwap(new ReserveOverlay(poolState), victim.swap);
+
+    // Sandwiched: frontrun, then victim, then backrun on the same evolving reserves.
+    const view = new ReserveOverlay(poolState);
+    const frontrunQuote = quoteSwap(view, frontrun.swap);
+    if (!baseline || !frontrunQuote || frontrunQuote.reverted) {
+        return null;
+    }
+    executeSwap(view, frontrunPath, frontrunQuote.amounts);
+
+    const victimQuote = quoteSwap(view, victim.swap);
+    if (!victimQuote) {
+        return null;
+    }
+    if (!victimQuote.reverted) {
+        executeSwap(view, victim.swap.path, victimQuote.amounts);
+    }
+
+    const boughtAmount = frontrunQuote.amounts[frontrunQuote.amounts.length - 1];
+    const backrunMatchesPath = canSimulate(backrun.swap)
+        && backrun.swap.kind === 'exact_in'
+        && backrun.swap.path.join() === backrunPath.join();
+    const backrunAmountIn = backrunMatchesPath ? BigInt(backrun.swap.amount_in) : boughtAmount;
+    const backrunQuote = quoteSwap(view, { path: backrunPath }, backrunAmountIn);
+    if (!backrunQuote) {
+        return null;
+    }
+    executeSwap(view, backrunPath, backrunQuote.amounts);
+
+    // Attacker: what came back minus what went in, in the frontrun's input token.
+    const profitToken = frontrunPath[0];
+    const grossProfit = backrunQuote.amounts[backrunQuote.amounts.length - 1] - frontrunQuote.amounts[0];
+    const gasWei = gasCostWei(frontrun) + gasCostWei(backrun);
+    const grossProfitEth = valueInEth(view, profitToken, grossProfit);
+    const gasCostEth = Number(formatEther(gasWei));
+
+    // Victim: how much worse the swap went compared to the unsandwiched execution.
+    let victimLoss = 0n;
+    let victimLossToken;
+    if (victim.swap.kind === 'exact_in') {
+        victimLossToken = victim.swap.token_out;
+        const lastHop = baseline.amounts.length - 1;
+        victimLoss = victimQuote.reverted ? 0n : baseline.amounts[lastHop] - victimQuote.amounts[lastHop];
+    } else {
+        victimLossToken = victim.swap.token_in;
+        victimLoss = victimQuote.reverted ? 0n : victimQuote.amounts[0] - baseline.amounts[0];
+    }
+
+    return {
+        pool: poolState.pairAddressFor(frontrunPath[frontrunPath.length - 2], frontrunPath[frontrunPath.length - 1]),
+        profit_token: profitToken,
+        gross_profit: grossProfit.toString(),
+        gross_profit_eth: grossProfitEth,
+        gas_cost_eth: gasCostEth,
+        net_profit_eth: grossProfitEth === null ? null : grossProfitEth - gasCostEth,
+        victim_reverted: victimQuote.reverted,
+        victim_loss: victimLoss.toString(),
+        victim_loss_token: victimLossToken,
+        victim_loss_eth: valueInEth(view, victimLossToken, victimLoss),
+        // What the victim puts in, at the prices before the sandwich.
+        victim_amount_eth: valueInEth(new ReserveOverlay(poolState), victim.swap.token_in, baseline.amounts[0]),
+        victim_slippage_tolerance: await impliedSlippage(victim.swap, poolState),
+    };
+}
+
+module.exports = {
+    ReserveOverlay,
+    canSimulate,
+    ensurePools,
+    quoteSwap,
+    impliedSlippage,
+    valueInEth,
+    gasCostWei,
+    simulateSandwich,
+};
@@ -0,0 +1,309 @@
+// src/reputation/attacker-profiles.js (Redis-backed attacker reputation profiles)
+
+// Every address an alert names as the attacker gets a profile that outlives the dedup
+// keys: when it was first and last seen, how many attacks it made and what they earned,
+// the victims and pools it touched, whether it is a contract, and the addresses linked to
+// it (swap recipients, a contract's owner, or funders supplied by an import).
+//
+// New detections get a confidence that combines the rule's own confidence with the
+// attacker's history: a sender with a long record of confirmed attacks is more likely to
+// be attacking again than one seen for the first time. See `scoreConfidence`.
+//
+// Profiles never expire. `exportProfiles` / `importProfiles` move them between instances
+// or pre-seed known bots (see profiles.js).
+//
+// Redis keys (all prefixed `mev:profile:`, or `keyPrefix:`):
+//   <address>          hash: first_seen, last_seen, attack_count, confirmed_count,
+//                      retracted_count, profit_eth, is_contract ("1" / "0", unset until known)
+//   <address>:victims  set of victim addresses (at most `maxMembers`)
+//   <address>:pools    set of pools (at most `maxMembers`)
+//   <address>:linked   hash: linked address -> how it is linked (recipient, owner, funder, ...)
+//   index              set of every profiled address
+
+const { Interface, getAddress } = require('ethers');
+
+// A profile's history counts fully once it has this many (non-retracted) attacks.
+const HISTORY_SATURATION = 20;
+// At most this share of the gap between the rule's confidence and certainty is closed by
+// history; the rest needs the block confirmer.
+const HISTORY_WEIGHT = 0.5;
+// Contracts sending attacks are bot infrastructure: they count as this much history.
+const CONTRACT_HISTORY = 0.3;
+
+const ownableInterface = new Interface(['function owner() view returns (address)']);
+
+// KEYS: profile hash, victims set, pools set, linked hash, index set
+// ARGV: address, seen at (unix seconds), attacks, profit (ETH), max members, victim, pool,
+//       then pairs of linked address and link
+// Returns the updated profile hash as a flat list.
+const RECORD_SCRIPT = `
+redis.call('HSETNX', KEYS[1], 'first_seen', ARGV[2])
+local last = tonumber(redis.call('HGET', KEYS[1], 'last_seen') or '0')
+if tonumber(ARGV[2]) > last then
+    redis.call('HSET', KEYS[1], 'last_seen', ARGV[2])
+end
+redis.call('HINCRBY', KEYS[1], 'attack_count', ARGV[3])
+redis.call('HINCRBYFLOAT', KEYS[1], 'profit_eth', ARGV[4])
+if ARGV[6] ~= '' then redis.call('SADD', KEYS[2], ARGV[6]) end
+if ARGV[7] ~= '' then redis.call('SADD', KEYS[3], ARGV[7]) end
+for i = 8, #ARGV, 2 do
+    redis.call('HSETNX', KEYS[4], ARGV[i], ARGV[i + 1])
+end
+for _, key in ipairs({KEYS[2], KEYS[3]}) do
+    local excess = redis.call('SCARD', key) - tonumber(ARGV[5])
+    if excess > 0 then redis.call('SPOP', key, excess) end
+end
+redis.call('SADD', KEYS[5], ARGV[1])
+return redis.call('HGETALL', KEYS[1])
+`;
+
+const lower = value => (typeof value === 'string' ? value.toLowerCase() : null);
+
+/**
+ * Converts a flat `HGETALL` reply to an object.
+ * @param {Array<string>} fields
+ * @returns {Object}
+ */
+function hashFromReply(fields) {
+    const hash = {};
+    for (let i = 0; i < fields.length; i += 2) {
+        hash[fields[i]] = fields[i + 1];
+    }
+    return hash;
+}
+
+/**
+ * Combines a rule's confidence with the attacker's history.
+ * History is the attacker's earlier non-retracted attacks, on a logarithmic scale that
+ * saturates at `HISTORY_SATURATION` (a contract sender counts as at least
+ * `CONTRACT_HISTORY`). It closes up to `HISTORY_WEIGHT` of the gap to 1.
+ * @param {number} ruleConfidence - The confidence the detection rule assigns (0..1).
+ * @param {Object|null} profile - The attacker's profile, not counting this detection.
+ * @returns {number} The combined confidence (0..1), rounded to 3 decimals.
+ */
+function scoreConfidence(ruleConfidence, profile) {
+    if (!profile) {
+        return ruleConfidence;
+    }
+    const attacks = Math.max(0, profile.attack_count - profile.retracted_count);
+    let history = Math.min(1, Math.log2(1 + attacks) / Math.log2(1 + HISTORY_SATURATION));
+    if (profile.is_contract) {
+        history = Math.max(history, CONTRACT_HISTORY);
+    }
+    const confidence = ruleConfidence + (1 - ruleConfidence) * HISTORY_WEIGHT * history;
+    return parseFloat(confidence.toFixed(3));
+}
+
+class AttackerProfileStore {
+    /**
+     * @param {import('ioredis').Redis} redis
+     * @param {Object} [provider] - Anything with `getCode(address)` and `call(tx)`, to classify
+     *   new attackers; without one they stay unclassified.
+     * @param {Object} [options]
+     * @param {string} [options.keyPrefix='mev:profile'] - Namespace of the Redis keys.
+     * @param {number} [options.maxMembers=1000] - Victims and pools kept per profile.
+     */
+    constructor(redis, provider, options = {}) {
+        this.redis = redis;
+        this.provider = provider || null;
+        this.keyPrefix = options.keyPrefix || 'mev:profile';
+        this.maxMembers = options.maxMembers !== undefined ? options.maxMembers : 1000;
+        this.indexKey = `${this.keyPrefix}:index`;
+
+        this.redis.defineCommand('mevRecordProfile', { numberOfKeys: 5, lua: RECORD_SCRIPT });
+    }
+
+    keysFor(address) {
+        const base = `${this.keyPrefix}:${address}`;
+        return [base, `${base}:victims`, `${base}:pools`, `${base}:linked`, this.indexKey];
+    }
+
+    /**
+     * Counts a detection towards its attacker's profile, classifying the attacker first if
+     * it is new.
+     * @param {Object} alert - A `suspected` or `rollup` alert (rollups add their suppressed count).
+     * @param {Object} [details]
+     * @param {Array<{address: string, link: string}>} [details.links] - Addresses the detection
+     *   ties to the attacker (e.g. the frontrun's swap recipient).
+     * @returns {Promise<{before: Object, after: Object}>} The profile without and with this
+     *   detection (only the counts differ).
+     */
+    async record(alert, details = {}) {
+        const address = alert.attacker.toLowerCase();
+        const isRollup = alert.status === 'rollup';
+        const attacks = isRollup ? alert.suppressed_count : 1;
+        const profit = isRollup ? alert.total_profit_eth : alert.profit_eth;
+        const links = (details.links || [])
+            .filter(({ address: linked }) => linked && linked.toLowerCase() !== address)
+            .flatMap(({ address: linked, link }) => [linked.toLowerCase(), link]);
+
+        await this.classify(address);
+        const fields = await this.redis.mevRecordProfile(
+            ...this.keysFor(address),
+            address,
+            alert.timestamp,
+            attacks,
+            profit || 0,
+            this.maxMembers,
+            isRollup ? '' : lower(alert.victim) || '',
+            isRollup ? '' : lower(alert.pool) || '',
+            ...links,
+        );
+        const after = await this.readProfile(address, hashFromReply(fields));
+        const before = { ...after, attack_count: after.attack_count - attacks, profit_eth: after.profit_eth - (profit || 0) };
+        return { before, after };
+    }
+
+    /**
+     * Counts the outcome of a settled detection.
+     * @param {Object} alert - A `confirmed` or `retracted` follow-up.
+     */
+    async settle(alert) {
+        const field = alert.status === 'confirmed' ? 'confirmed_count' : 'retracted_count';
+        const [key] = this.keysFor(alert.attacker.toLowerCase());
+        // Only for profiles that exist: a follow-up alone does not make an attacker.
+        if (await this.redis.exists(key)) {
+            await this.redis.hincrby(key, field, 1);
+        }
+    }
+
+    /**
+     * Finds out (once) whether an address is a contract, and for contracts, who owns them
+     * (if they implement `owner()`). Failures leave the address unclassified, to be
+     * retried on its next detection.
+     * @param {string} address - Lowercase.
+     */
+    async classify(address) {
+        const [key, , , linkedKey] = this.keysFor(address);
+        if (!this.provider || (await this.redis.hexists(key, 'is_contract'))) {
+            return;
+        }
+        let code;
+        try {
+            code = await this.provider.getCode(address);
+        } catch (error) {
+            return;
+        }
+        const isContract = code !== '0x';
+        await this.redis.hset(key, 'is_contract', isContract ? '1' : '0');
+        if (!isContract) {
+            return;
+        }
+        try {
+            const result = await this.provider.call({ to: address, data: ownableInterface.encodeFunctionData('owner') });
+            const [owner] = ownableInterface.decodeFunctionResult('owner', result);
+            await this.redis.hsetnx(linkedKey, owner.toLowerCase(), 'owner');
+        } catch (error) {
+            // Not Ownable: no owner to link.
+        }
+    }
+
+    /**
+     * @param {string} address
+     * @returns {Promise<Object|null>} The profile, or `null` if the address was never flagged.
+     */
+    async get(address) {
+        const key = address.toLowerCase();
+        const hash = await this.redis.hgetall(this.keysFor(key)[0]);
+        return Object.keys(hash).length > 0 ? this.readProfile(key, hash) : null;
+    }
+
+    /**
+     * Builds a profile object from its hash and reads its sets.
+     */
+    async readProfile(address, hash) {
+        const [, victimsKey, poolsKey, linkedKey] = this.keysFor(address);
+        const [victims, pools, linked] = await Promise.all([
+            this.redis.smembers(victimsKey),
+            this.redis.smembers(poolsKey),
+            this.redis.hgetall(linkedKey),
+        ]);
+        return {
+            address,
+            first_seen: hash.first_seen !== undefined ? Number(hash.first_seen) : null,
+            last_seen: hash.last_seen !== undefined ? Number(hash.last_seen) : null,
+            attack_count: Number(hash.attack_count || 0),
+            confirmed_count: Number(hash.confirmed_count || 0),
+            retracted_count: Number(hash.retracted_count || 0),
+            profit_eth: Number(hash.profit_eth || 0),
+            is_contract: hash.is_contract === undefined ? null : hash.is_contract === '1',
+            victims: victims.sort(),
+            pools: pools.sort(),
+            linked,
+        };
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Every profile, ordered by address.
+     */
+    async exportProfiles() {
+        const addresses = (await this.redis.smembers(this.indexKey)).sort();
+        const profiles = [];
+        for (const address of addresses) {
+            const profile = await this.get(address);
+            if (profile) {
+                profiles.push(profile);
+            }
+        }
+        return profiles;
+    }
+
+    /**
+     * Loads profiles, e.g. from `exportProfiles` on another instance or a list of known bots.
+     * An existing profile is replaced by the imported one.
+     * @param {Array<Object>} profiles - Profile objects; only `address` is required.
+     * @returns {Promise<number>} The number of profiles imported.
+     */
+    async importProfiles(profiles) {
+        for (const profile of profiles) {
+            // Throws on anything that is not an address.
+            const address = getAddress(profile.address).toLowerCase();
+            const [key, victimsKey, poolsKey, linkedKey, indexKey] = this.keysFor(address);
+            const hash = {
+                attack_count: profile.attack_count || 0,
+                confirmed_count: profile.confirmed_count || 0,
+                retracted_count: profile.retracted_count || 0,
+                profit_eth: profile.profit_eth || 0,
+            };
+            if (profile.first_seen !== undefined && profile.first_seen !== null) hash.first_seen = profile.first_seen;
+            if (profile.last_seen !== undefined && profile.last_seen !== null) hash.last_seen = profile.last_seen;
+            if (profile.is_contract !== undefined && profile.is_contract !== null) hash.is_contract = profile.is_contract ? '1' : '0';
+
+            const multi = this.redis.multi().del(key, victimsKey, poolsKey, linkedKey).hset(key, hash);
+            const victims = (profile.victims || []).map(lower);
+            const pools = (profile.pools || []).map(lower);
+            const linked = Object.entries(profile.linked || {}).map(([linkedAddress, link]) => [linkedAddress.toLowerCase(), link]);
+            if (victims.length > 0) multi.sadd(victimsKey, ...victims);
+            if (pools.length > 0) multi.sadd(poolsKey, ...pools);
+            if (linked.length > 0) multi.hset(linkedKey, Object.fromEntries(linked));
+            await multi.sadd(indexKey, address).exec();
+        }
+        return profiles.length;
+    }
+}
+
+/**
+ * Summarizes a profile for an alert's `attacker_profile`.
+ * @param {Object} profile - The attacker's profile, including the alerted detection.
+ * @returns {Object}
+ */
+function profileSummary(profile) {
+    return {
+        first_seen: profile.first_seen,
+        attack_count: profile.attack_count,
+        confirmed_count: profile.confirmed_count,
+        retracted_count: profile.retracted_count,
+        profit_eth: parseFloat(profile.profit_eth.toFixed(4)),
+        victim_count: profile.victims.length,
+        pool_count: profile.pools.length,
+        is_contract: profile.is_contract,
+        linked: profile.linked,
+    };
+}
+
+module.exports = {
+    HISTORY_SATURATION,
+    scoreConfidence,
+    profileSummary,
+    AttackerProfileStore,
+};
@@ -0,0 +1,785 @@
+// src/service/detector-service.js (The detection pipeline, built from injected clients)
+
+// Everything between the node and the alert sinks: fetching and decoding pending
+// transactions, clustering them by pool, running the detectors, simulating, deduplicating,
+// scoring and publishing their findings, and following the alerts up once mined. The
+// clients it talks to are passed in rather than created here, so the same pipeline runs
+// against a live node, a replayed capture, or the in-memory stand-ins in src/testing/:
+//
+//     const service = new DetectorService(config, { provider, redis, alertRouter });
+//     await service.start();
+//     ...
+//     service.stop(); // then close the clients
+//
+// index.js builds the live clients and serves /metrics, /healthz and /readyz around it.
+
+const { formatUnits } = require('ethers');
+
+// Bridges to the compiled Rust WASM detectors (sandwiches, and JIT liquidity attacks).
+const { toEngineTransaction, detectSandwiches } = require('../detection/sandwich');
+const { detectJitLiquidity } = require('../detection/jit-liquidity');
+// Generalized frontrunning: pending transactions copied by another sender with a higher fee.
+const { CopycatDetector } = require('../detection/copycat');
+// Uniswap V2 Router calldata decoder: fills in real swap fields (path, tokens, amounts, ...).
+const { DecoderRegistry } = require('../decoders/registry');
+// Local Uniswap V2 reserve cache and constant-product sandwich simulator.
+const { PoolStateCache } = require('../pools/pool-state');
+const { impliedSlippage, simulateSandwich } = require('../pools/sandwich-simulator');
+const { simulateJit } = require('../pools/jit-simulator');
+// Builds the alert payload for each finding.
+const { buildSandwichAlert, buildConfirmationAlert, buildRollupAlert } = require('../alerts/sandwich-alert');
+const { buildJitAlert } = require('../alerts/jit-alert');
+const { buildCopycatAlert, buildCopycatConfirmationAlert } = require('../alerts/copycat-alert');
+const { DetectionType } = require('../alerts/alert-schema');
+// Atomic Redis deduplication, with rollups of suppressed repeat detections.
+const { AlertDeduplicator } = require('../alerts/alert-deduplicator');
+const { AttackerProfileStore, scoreConfidence, profileSummary } = require('../reputation/attacker-profiles');
+const { AlertRules } = require('../alerts/alert-rules');
+// Confirms or retracts alerts once their transactions are mined.
+const { BlockConfirmer } = require('../confirmation/block-confirmer');
+const { CopycatConfirmer } = require('../confirmation/copycat-confirmer');
+// Per-pool sliding-window clustering of decoded swaps.
+const { PoolClusterer, swapOnPool } = require('../clustering/pool-clusterer');
+// Bounded, batched fetching of pending transactions, and the full-body pending subscription.
+const { MempoolIngestor } = require('../ingestion/mempool-ingestor');
+const { BaseFeeTracker, NonceTracker, effectiveFees } = require('../ingestion/fee-model');
+const { subscribeFullPendingTransactions } = require('../ingestion/full-pending-subscription');
+const { fetchTxpoolPending } = require('../ingestion/txpool-backfill');
+const { metrics, fetchErrorCause } = require('../metrics/metrics');
+
+/**
+ * Links the addresses an attacker's swaps paid out to, when they are not the attacker itself
+ * (bots often collect in a separate contract).
+ * @param {Array<Object|undefined>} txs - The attacker's ingested transactions.
+ * @returns {Array<{address: string, link: string}>}
+ */
+function recipientLinks(txs) {
+    return txs
+        .filter(tx => tx && (tx.swap || tx.liquidity))
+        .map(tx => ({ address: tx.swap ? tx.swap.recipient : tx.liquidity.recipient, link: 'recipient' }))
+        .filter(({ address }) => Boolean(address));
+}
+
+/**
+ * Sets the fields the clusterer and the detectors read on a fetched transaction: its decoded
+ * router call and its effective fees. Shared by live ingestion and the backtest (src/backtest/).
+ * @param {Object} tx - An ethers `TransactionResponse`, annotated in place.
+ * @param {DecoderRegistry} decoders - The routers whose calls are decoded.
+ * @param {bigint|null} baseFee - Base fee of the block it is priced for: the next block for a
+ *   pending transaction, its own block for a mined one.
+ */
+function normalizeTransaction(tx, decoders, baseFee) {
+    // Decode the calldata with the decoder of the router it calls (V2, V3 or Universal Router).
+    // This sets `is_uniswap_swap`, `decode_status` and the swap fields
+    // (`token_in`, `token_out`, `amount_in`, `amount_out_min`, path, deadline, recipient);
+    // `tx.swaps` holds every swap of a batched call.
+    // Liquidity adds and removes set `tx.liquidity` (pair, amounts) instead.
+    // Router calls we cannot decode are marked `decode_status: 'undecodable'`.
+    decoders.annotate(tx);
+    tx.sender = tx.from; // For simplicity, attacker/victim sender is `from` address.
+    // What it pays per gas: its effective priority fee (what orders it against the other
+    // transactions) and its effective gas price.
+    const fees = effectiveFees(tx, baseFee);
+    tx.effective_priority_fee = fees.priorityFee;
+    tx.effective_gas_price = fees.gasPrice;
+}
+
+/**
+ * Replays a sandwich finding against a pool cache to get real profit and victim-loss numbers.
+ * @param {PoolStateCache} poolState
+ * @param {Object} finding - A finding returned by the WASM detector.
+ * @param {Map<string, Object>} txsByHash - The cluster's ingested transactions by hash.
+ * @returns {Promise<Object|null>} The simulation result, or `null` if it cannot be simulated.
+ */
+async function simulateSandwichFinding(poolState, finding, txsByHash) {
+    const frontrun = txsByHash.get(finding.frontrun_hash);
+    const victim = txsByHash.get(finding.victim_hash);
+    const backrun = txsByHash.get(finding.backrun_hash);
+    if (!frontrun || !victim || !backrun) {
+        return null;
+    }
+    // `gas_used` is only known for mined transactions (a backtest).
+    const toLeg = tx => ({ swap: swapOnPool(tx, finding.pool), gas_price: tx.effective_gas_price, gas_limit: tx.gasLimit, gas_used: tx.gas_used });
+    return simulateSandwich(poolState, {
+        frontrun: toLeg(frontrun),
+        victim: toLeg(victim),
+        backrun: toLeg(backrun),
+    });
+}
+
+/**
+ * Estimates a JIT liquidity finding's fees and LP dilution from a pool cache.
+ * @param {PoolStateCache} poolState
+ * @param {Object} finding - A finding returned by the WASM JIT detector.
+ * @param {Map<string, Object>} txsByHash - The cluster's ingested transactions by hash.
+ * @returns {Promise<Object|null>} The estimate, or `null` if it cannot be computed.
+ */
+async function simulateJitFinding(poolState, finding, txsByHash) {
+    const add = txsByHash.get(finding.add_hash);
+    const victim = txsByHash.get(finding.victim_hash);
+    const remove = txsByHash.get(finding.remove_hash);
+    if (!add || !victim || !remove) {
+        return null;
+    }
+    return simulateJit(poolState, {
+        add: { liquidity: add.liquidity, gas_price: add.effective_gas_price, gas_limit: add.gasLimit, gas_used: add.gas_used },
+        victim: { swap: swapOnPool(victim, finding.pool) },
+        remove: { gas_price: remove.effective_gas_price, gas_limit: remove.gasLimit, gas_used: remove.gas_used },
+    });
+}
+
+class DetectorService {
+    /**
+     * @param {Object} config - The effective config (see src/config/config.js).
+     * @param {Object} clients
+     * @param {Object} clients.provider - Source of the `pending` and `block` events, and of
+     *   the RPC calls behind them: an ethers provider, a `ReconnectingProvider`, a
+     *   recording or replay provider, or a `FakeProvider`.
+     * @param {import('../ingestion/reconnecting-provider').ReconnectingProvider} [clients.nodeConnection=null] -
+     *   The live connection behind `provider`, if any: its connection events drive the
+     *   subscriptions and backfills, and it is started by `start()`.
+     * @param {Object} [clients.fetchProvider=clients.provider] - Where pending transactions are fetched from.
+     * @param {import('ioredis').Redis} clients.redis - Deduplication and attacker profiles.
+     * @param {import('../alerts/alert-router').AlertRouter} clients.alertRouter
+     * @param {AlertRules} [clients.alertRules] - No rules by default.
+     * @param {function(): number} [clients.now=Date.now] - The pipeline's clock (ms).
+     * @param {{detectSandwiches: Function, detectJitLiquidity: Function}} [clients.detectors] -
+     *   The detectors run on the main thread when there is no `detectionPool`; the WASM
+     *   detectors by default.
+     * @param {import('../detection/detection-pool').DetectionPool} [clients.detectionPool=null] -
+     *   Worker threads to run the detectors on instead.
+     * @param {number|null} [clients.tickIntervalMs=config.batchProcessingIntervalMs] - How often
+     *   `start()` schedules a detection round; `null` to run `runDetectionTick()` yourself
+     *   (e.g. on a replay's `tick` events).
+     * @param {Console} [clients.logger=console]
+     */
+    constructor(config, clients) {
+        this.config = config;
+        this.provider = clients.provider;
+        this.nodeConnection = clients.nodeConnection || null;
+        this.fetchProvider = clients.fetchProvider || clients.provider;
+        this.redis = clients.redis;
+        this.alertRouter = clients.alertRouter;
+        this.alertRules = clients.alertRules || new AlertRules();
+        this.now = clients.now || Date.now;
+        // What every alert is built with: the chain, and this clock for its timestamp.
+        this.alertContext = { chainId: config.chainId, now: this.now };
+        this.detectors = clients.detectors || { detectSandwiches, detectJitLiquidity };
+        this.detectionPool = clients.detectionPool || null;
+        this.tickIntervalMs = clients.tickIntervalMs !== undefined ? clients.tickIntervalMs : config.batchProcessingIntervalMs;
+        this.logger = clients.logger || console;
+        // Which decoder reads the calls of which router (`routerAddress` and `routers`).
+        this.decoders = DecoderRegistry.fromConfig(config);
+
+        // Decides which findings are alerted on, atomically across overlapping ticks and instances.
+        const dedupOptions = {
+            scope: config.dedupScope,
+            ttlSeconds: config.redisTtlSeconds,
+            rollupIntervalMs: config.rollupIntervalMs,
+            escalationThreshold: config.escalationThreshold,
+        };
+        this.deduplicator = new AlertDeduplicator(this.redis, dedupOptions);
+        // Same for JIT liquidity and copycat alerts, with their own keys and rollups.
+        this.jitDeduplicator = new AlertDeduplicator(this.redis, { ...dedupOptions, keyPrefix: 'mev:jit' });
+        this.copycatDeduplicator = new AlertDeduplicator(this.redis, { ...dedupOptions, keyPrefix: 'mev:copycat' });
+        // Long-lived reputation profile of every attacker, used to score new detections.
+        this.profiles = new AttackerProfileStore(this.redis, this.provider);
+        // Reserve cache for every Uniswap V2 pair we see swaps on, kept current from Sync logs.
+        this.poolState = new PoolStateCache(this.provider, {
+            factoryAddress: config.factoryAddress,
+            initCodeHash: config.pairInitCodeHash,
+            wethAddress: config.wethAddress,
+        });
+        // Watches new blocks for the transactions behind recent alerts and checks their mined order.
+        this.confirmer = new BlockConfirmer(this.provider, { poolState: this.poolState });
+        // Same for copycat alerts: did the copy land before the original?
+        this.copycatConfirmer = new CopycatConfirmer(this.provider);
+
+        // Decoded swaps grouped by the Uniswap V2 pair they trade on.
+        // Only swaps are clustered, so memory and detection cost track DEX activity
+        // rather than total mempool volume. Each cluster is a sliding window: transactions leave
+        // it after `transactionLifespanMs`, or `clusterWindowBlocks` blocks (a sandwich lands in
+        // the same block as its victim, or the next one), and the oldest are evicted past
+        // `clusterMaxTransactions`.
+        this.clusterer = new PoolClusterer({
+            windowMs: config.transactionLifespanMs,
+            windowBlocks: config.clusterWindowBlocks,
+            maxTransactions: config.clusterMaxTransactions,
+            onEvict: () => metrics.ingestionDrops.inc({ reason: 'lru_evicted' }),
+        });
+        // Base fee of the next block, from the latest block header: what pending transactions'
+        // effective priority fees are computed against.
+        this.baseFees = new BaseFeeTracker();
+        // Pending transactions by sender and nonce, to drop the ones replaced by a new transaction.
+        this.nonces = new NonceTracker({ capacity: config.clusterMaxTransactions });
+        // Calldata fingerprints of every pending transaction (not only swaps), over the same window.
+        this.copycatDetector = new CopycatDetector({
+            minSimilarity: config.copycatMinSimilarity,
+            minWords: config.copycatMinWords,
+            windowMs: config.transactionLifespanMs,
+            capacity: config.clusterMaxTransactions,
+        });
+        // Fetch queue between the pending-transaction announcements and `ingestTransaction`.
+        this.ingestor = new MempoolIngestor(this.fetchProvider, {
+            handleTransaction: tx => this.ingestTransaction(tx),
+            concurrency: config.fetchConcurrency,
+            batchSize: config.fetchBatchSize,
+            maxQueueSize: config.fetchQueueLimit,
+        });
+
+        // When the last block event arrived (pipeline clock, ms); `null` until the first one.
+        this.lastBlockAt = null;
+        // Whether the `pending` (hash) listener is registered. It follows reconnections by itself.
+        this.pendingHashesSubscribed = false;
+        this.timer = null;
+        // The detection round running, and the one queued behind it (see `runDetectionTick`).
+        this.round = null;
+        this.nextRound = null;
+    }
+
+    /**
+     * Sends an alert message to every sink it is routed to, unless an alert rule suppresses it
+     * (it then goes to the rules' audit sinks only). Failed deliveries are written to the
+     * sink's dead-letter file by the router.
+     * @param {Object} alertData - The payload of the alert, conforming to src/alerts/schemas/alert-v1.schema.json.
+     * Example: `{ "schema_version": "1.6.0", "alert_id": "...", "detection_type": "sandwich", "status": "suspected",
+     *   "chain_id": 11155111, "confidence": 0.8, "victim": "0x...", "attacker": "0x...", "profit_eth": 0.42, ... }`
+     * @param {Object} [details]
+     * @param {Array<{address: string, link: string}>} [details.links] - Addresses tied to the attacker.
+     * @returns {Promise<boolean>} Whether the alert was published (not suppressed by a rule).
+     */
+    async publishAlert(alertData, details = {}) {
+        // Suppressed alerts still count towards the attacker's profile.
+        await this.updateAttackerProfile(alertData, details.links);
+        const published = this.alertRules.apply(alertData);
+        if (!published) {
+            metrics.alertsSuppressed.inc({ rule: alertData.rules.suppressed_by });
+            this.logger.log(`Alert ${alertData.alert_id} suppressed by rule "${alertData.rules.suppressed_by}".`);
+        } else if (alertData.rules.escalated_by) {
+            metrics.alertsEscalated.inc({ rule: alertData.rules.escalated_by });
+        }
+        try {
+            const { delivered, failed } = await this.alertRouter.publish(alertData, published ? {} : { sinks: this.alertRules.auditSinks });
+            delivered.forEach(sink => metrics.alertsSent.inc({ sink }));
+            failed.forEach(sink => metrics.alertSendFailures.inc({ sink }));
+            if (delivered.length > 0) {
+                this.logger.log(`Alert sent to ${delivered.join(', ')}: ${JSON.stringify(alertData)}`);
+            }
+        } catch (error) {
+            // An alert that doesn't match the schema is a bug in the detector: it is dropped, loudly.
+            this.logger.error('Alert rejected, not published:', error);
+        }
+        return published;
+    }
+
+    /**
+     * Records an alert in its attacker's profile. New detections also get the attacker's
+     * profile and a confidence that includes the attacker's history (the rule's own confidence
+     * is kept in `rule_confidence`). If Redis fails, the alert goes out unscored.
+     * @param {Object} alertData - The alert about to be published.
+     * @param {Array<{address: string, link: string}>} [links] - Addresses tied to the attacker.
+     */
+    async updateAttackerProfile(alertData, links = []) {
+        try {
+            if (alertData.status === 'suspected') {
+                const { before, after } = await this.profiles.record(alertData, { links });
+                alertData.rule_confidence = alertData.confidence;
+                alertData.confidence = scoreConfidence(alertData.confidence, before);
+                alertData.attacker_profile = profileSummary(after);
+            } else if (alertData.status === 'rollup') {
+                await this.profiles.record(alertData);
+            } else {
+                await this.profiles.settle(alertData);
+            }
+        } catch (error) {
+            this.logger.error(`Error updating the profile of ${alertData.attacker}:`, error);
+        }
+    }
+
+    /**
+     * Decodes a fetched pending transaction and adds it to the pool clusters.
+     * Called by the fetch queue, one transaction at a time per batch.
+     * @param {Object} tx - An ethers `TransactionResponse`.
+     */
+    async ingestTransaction(tx) {
+        metrics.pendingFetched.inc();
+
+        // The step under way, to label a failure with.
+        let stage = 'decode';
+        try {
+            // Add an `ingestionTime` timestamp for managing transaction lifespan in the clusters.
+            tx.ingestionTime = this.now();
+            // Decode it, and price it against the next block's base fee.
+            normalizeTransaction(tx, this.decoders, this.baseFees.current);
+            stage = 'replacement';
+            // A pending transaction with the same sender and nonce is replaced by this one.
+            const { replaced } = this.nonces.observe(tx);
+            if (replaced) {
+                this.copycatDetector.remove([replaced]);
+                if (this.clusterer.remove(replaced)) {
+                    metrics.ingestionDrops.inc({ reason: 'replaced' });
+                }
+            }
+            // Compare its calldata with the other pending transactions; copies are alerted on
+            // in the next detection round.
+            stage = 'copycat';
+            this.copycatDetector.observe(tx);
+            // Derive the real slippage tolerance from `amount_out_min` / `amount_in_max`
+            // against the pool's cached reserves (seeded via `getReserves` on first sight).
+            stage = 'slippage';
+            tx.slippage_tolerance = tx.is_uniswap_swap
+                ? await impliedSlippage(tx.swap, this.poolState)
+                : null;
+
+            // Add the swap to the cluster of every pair on its path (a liquidity call to its pair's).
+            // Transactions that aren't decoded swaps or liquidity calls join no cluster and are dropped here.
+            stage = 'cluster';
+            this.clusterer.add(tx);
+        } catch (error) {
+            metrics.processingErrors.inc({ stage });
+            this.logger.error(`Error processing pending transaction ${tx.hash} (${stage}):`, error);
+        }
+    }
+
+    /**
+     * Replays a sandwich finding against the cached pool reserves (see `simulateSandwichFinding`).
+     * @param {Object} finding - A finding returned by the WASM detector.
+     * @param {Map<string, Object>} txsByHash - The cluster's ingested transactions by hash.
+     * @returns {Promise<Object|null>}
+     */
+    simulateFinding(finding, txsByHash) {
+        return simulateSandwichFinding(this.poolState, finding, txsByHash);
+    }
+
+    /**
+     * Estimates a JIT liquidity finding against the cached pool reserves (see `simulateJitFinding`).
+     * @param {Object} finding - A finding returned by the WASM JIT detector.
+     * @param {Map<string, Object>} txsByHash - The cluster's ingested transactions by hash.
+     * @returns {Promise<Object|null>}
+     */
+    simulateJitFinding(finding, txsByHash) {
+        return simulateJitFinding(this.poolState, finding, txsByHash);
+    }
+
+    /**
+     * Checks a finding against its deduplicator. Repeats are counted towards the attacker's
+     * rollup, which is published at once when the attacker reaches the escalation threshold.
+     * @param {AlertDeduplicator} findingDeduplicator - The deduplicator of the finding's detection type.
+     * @param {Object} finding - A finding returned by a detector.
+     * @param {number|null} profitEth - Simulated net profit, for the rollup total.
+     * @param {string} detectionType - For the rollup alert.
+     * @returns {Promise<boolean>} Whether the finding should be alerted on.
+     */
+    async isNewFinding(findingDeduplicator, finding, profitEth, detectionType) {
+        const dedup = await findingDeduplicator.check(finding, { profitEth, now: this.now() });
+        if (dedup.isNew) {
+            return true;
+        }
+        metrics.dedupHits.inc();
+        if (dedup.escalate) {
+            // A busy attacker: report the rollup now rather than at the next interval.
+            const rollup = await findingDeduplicator.takeRollup(finding.attacker);
+            if (rollup) {
+                await this.publishAlert(buildRollupAlert(rollup, this.alertContext, { escalated: true, detectionType }));
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Runs the detectors over the clusters, on the detection pool or on the main thread.
+     * @param {Array<{key: string, transactions: Array<Object>}>} clusters
+     * @returns {Promise<Array<Object>>} One result per cluster: `{ sandwiches, jit }`, or
+     *   `{ error }`.
+     */
+    async detectClusters(clusters) {
+        if (this.detectionPool) {
+            // Workers keep the records of transactions still clustered for the next rounds.
+            const results = await this.detectionPool.detect(clusters, { retain: hash => this.clusterer.has(hash) });
+            for (const result of results) {
+                if (!result.error) {
+                    metrics.detectionDuration.observe(result.durationMs / 1000);
+                }
+            }
+            return results;
+        }
+        return clusters.map(({ transactions }) => {
+            const endTimer = metrics.detectionDuration.startTimer();
+            try {
+                // Serialized once for both detectors.
+                const records = JSON.stringify(transactions.map(toEngineTransaction));
+                return {
+                    sandwiches: this.detectors.detectSandwiches(records),
+                    jit: this.detectors.detectJitLiquidity(records),
+                };
+            } catch (error) {
+                return { error };
+            } finally {
+                endTimer();
+            }
+        });
+    }
+
+    /**
+     * Runs one round of MEV detection over the pool clusters that changed since the last round.
+     * Called every `tickIntervalMs` once started, or by the owner of the service (e.g. on
+     * each `tick` of a replay).
+     *
+     * Rounds never overlap: one due while another is running is queued behind it, and any
+     * more due meanwhile are merged into that one (it takes every cluster changed since).
+     * @returns {Promise<void>} Resolves once the round that covers this call has finished.
+     */
+    runDetectionTick() {
+        if (this.round) {
+            if (this.nextRound) {
+                metrics.detectionRoundsCoalesced.inc();
+            } else {
+                this.nextRound = this.round.then(() => {
+                    this.nextRound = null;
+                    return this.runDetectionTick();
+                });
+            }
+            return this.nextRound;
+        }
+        const endTimer = metrics.detectionRoundDuration.startTimer();
+        this.round = this.detectionRound().finally(() => {
+            endTimer();
+            this.round = null;
+        });
+        return this.round;
+    }
+
+    /**
+     * One detection round (see `runDetectionTick`).
+     */
+    async detectionRound() {
+        // Evict expired transactions and get only the pool clusters that received
+        // new transactions since the last tick; unchanged clusters can't hold new sandwiches.
+        const clusters = this.clusterer.takeDirtyClusters(this.now());
+        // A multi-hop swap sits in several clusters, so the same sandwich can be found twice.
+        const seenFindings = new Set();
+        const isFirstSighting = (id) => {
+            if (seenFindings.has(id)) return false;
+            seenFindings.add(id);
+            return true;
+        };
+
+        try {
+            // A sandwich needs a frontrun, a victim and a backrun (JIT: add, victim, remove).
+            const candidates = clusters.filter(({ transactions }) => transactions.length >= 3);
+            candidates.forEach(({ transactions }) => metrics.clusterSize.observe(transactions.length));
+            // Call the Rust WASM detectors: one finding per sandwich, each naming the
+            // frontrun, victim and backrun transactions and the rule that matched, and one
+            // per JIT liquidity attack, naming the add, the victim and the remove.
+            const detected = await this.detectClusters(candidates);
+
+            for (const [index, { key, transactions: cluster }] of candidates.entries()) {
+                const { error, sandwiches: rawFindings, jit: rawJitFindings } = detected[index];
+                if (error) {
+                    this.logger.error(`Error in WASM MEV detection on cluster ${key}:`, error);
+                    continue;
+                }
+                const txsByHash = new Map(cluster.map(tx => [tx.hash, tx]));
+                const findings = rawFindings.filter(finding =>
+                    isFirstSighting(`${finding.frontrun_hash}:${finding.victim_hash}:${finding.backrun_hash}`));
+                const jitFindings = rawJitFindings.filter(finding =>
+                    isFirstSighting(`${finding.add_hash}:${finding.victim_hash}:${finding.remove_hash}`));
+                if (findings.length > 0) {
+                    this.logger.warn(`!!! ${findings.length} POTENTIAL MEV SANDWICH ATTACK(S) DETECTED !!!`);
+                }
+
+                for (const finding of findings) {
+                    metrics.detections.inc({ rule: finding.rule });
+                    // Replay the sandwich on the cached reserves (x*y=k, 0.3% fee) for real numbers.
+                    const simulation = await this.simulateFinding(finding, txsByHash);
+                    // Check Redis to prevent duplicate alerts for this attacker and victim (or pool).
+                    // Suppressed sandwiches are counted towards the attacker's rollup.
+                    const profitEth = simulation ? simulation.net_profit_eth : null;
+                    if (!(await this.isNewFinding(this.deduplicator, finding, profitEth, DetectionType.SANDWICH))) {
+                        continue;
+                    }
+                    const alertData = buildSandwichAlert(finding, simulation, txsByHash.get(finding.victim_hash), this.alertContext);
+                    // Send the alert to its sinks, then watch for its transactions being mined
+                    // (suppressed alerts get no follow-up).
+                    const published = await this.publishAlert(alertData, {
+                        links: recipientLinks([txsByHash.get(finding.frontrun_hash), txsByHash.get(finding.backrun_hash)]),
+                    });
+                    if (published) {
+                        this.confirmer.track(alertData);
+                    }
+                }
+
+                for (const finding of jitFindings) {
+                    // Estimate the provider's share of the victim's fee, and skip small victims.
+                    const simulation = await this.simulateJitFinding(finding, txsByHash);
+                    if (simulation && simulation.victim_volume_share !== null
+                        && simulation.victim_volume_share < this.config.jitMinVictimShare) {
+                        continue;
+                    }
+                    metrics.detections.inc({ rule: finding.rule });
+                    this.logger.warn(`!!! POTENTIAL JIT LIQUIDITY ATTACK DETECTED on ${finding.pool} !!!`);
+                    const profitEth = simulation ? simulation.net_profit_eth : null;
+                    if (!(await this.isNewFinding(this.jitDeduplicator, finding, profitEth, DetectionType.JIT_LIQUIDITY))) {
+                        continue;
+                    }
+                    await this.publishAlert(buildJitAlert(finding, simulation, txsByHash.get(finding.victim_hash), this.alertContext), {
+                        links: recipientLinks([txsByHash.get(finding.add_hash), txsByHash.get(finding.remove_hash)]),
+                    });
+                }
+            }
+        } catch (error) {
+            this.logger.error('Error in MEV detection:', error);
+        }
+
+        // Alert on the copied transactions seen since the last round.
+        for (const finding of this.copycatDetector.takeFindings()) {
+            try {
+                metrics.detections.inc({ rule: finding.rule });
+                this.logger.warn(`!!! POTENTIAL COPYCAT FRONTRUN DETECTED on ${finding.target} !!!`);
+                if (!(await this.isNewFinding(this.copycatDeduplicator, finding, null, DetectionType.COPYCAT))) {
+                    continue;
+                }
+                const alertData = buildCopycatAlert(finding, this.alertContext);
+                if (await this.publishAlert(alertData)) {
+                    this.copycatConfirmer.track(alertData);
+                }
+            } catch (error) {
+                this.logger.error(`Error reporting copycat ${finding.copy_hash}:`, error);
+            }
+        }
+
+        // Report the repeat detections suppressed since the last rollup, once per interval.
+        try {
+            for (const rollup of await this.deduplicator.takeDueRollups(this.now())) {
+                await this.publishAlert(buildRollupAlert(rollup, this.alertContext));
+            }
+            for (const rollup of await this.jitDeduplicator.takeDueRollups(this.now())) {
+                await this.publishAlert(buildRollupAlert(rollup, this.alertContext, { detectionType: DetectionType.JIT_LIQUIDITY }));
+            }
+            for (const rollup of await this.copycatDeduplicator.takeDueRollups(this.now())) {
+                await this.publishAlert(buildRollupAlert(rollup, this.alertContext, { detectionType: DetectionType.COPYCAT }));
+            }
+        } catch (error) {
+            this.logger.error('Error reporting alert rollups:', error);
+        }
+        metrics.clusteredTransactions.set(this.clusterer.size);
+        metrics.clusters.set(this.clusterer.clusterCount);
+        metrics.fetchQueueDepth.set(this.ingestor.queueDepth);
+        metrics.fetchesInFlight.set(this.ingestor.inFlightCount);
+    }
+
+    /**
+     * Announced pending transaction hashes go to the fetch queue.
+     * @param {string} txHash
+     * @returns {Promise<void>} Settles once the transaction is fetched and clustered (or
+     *   dropped), so a replay can wait for it.
+     */
+    handlePendingHash(txHash) {
+        metrics.pendingReceived.inc();
+        return this.ingestor.enqueue(txHash);
+    }
+
+    /**
+     * Drops the transactions of a new block from the fetch queue and the clusters, then
+     * settles the alerts it confirms or retracts and applies its Sync events.
+     * @param {number} blockNumber
+     */
+    async handleBlock(blockNumber) {
+        this.lastBlockAt = this.now();
+        metrics.lastBlockTimestamp.set(Math.floor(this.lastBlockAt / 1000));
+        // Advance the clusters' block window.
+        this.clusterer.onBlock(blockNumber);
+        // Mined transactions are no longer pending: drop them from the fetch queue and
+        // the clusters (their sandwiches, if any, were already detected).
+        // The confirmers look at the same block; if it could not be fetched, they try again.
+        let block;
+        try {
+            block = await this.provider.getBlock(blockNumber);
+            if (block) {
+                this.baseFees.update(block);
+                if (this.baseFees.current !== null) {
+                    metrics.nextBaseFee.set(Number(formatUnits(this.baseFees.current, 'gwei')));
+                }
+                this.ingestor.markMined(block.transactions);
+                this.copycatDetector.remove(block.transactions);
+                this.nonces.remove(block.transactions);
+                for (const hash of block.transactions) {
+                    if (this.clusterer.remove(hash)) {
+                        metrics.ingestionDrops.inc({ reason: 'mined' });
+                    }
+                }
+            }
+        } catch (error) {
+            this.logger.error(`Error fetching block ${blockNumber}:`, error);
+        }
+        // Check the block for the transactions behind recent alerts (queued, in block order).
+        // Awaited so a replay settles each block's alerts before moving on.
+        await this.confirmer.handleBlock(blockNumber, block);
+        await this.copycatConfirmer.handleBlock(blockNumber, block);
+        // Apply this block's Sync events so the cached pair reserves stay current.
+        try {
+            await this.poolState.handleBlock(blockNumber);
+        } catch (error) {
+            this.logger.error(`Error syncing pool reserves for block ${blockNumber}:`, error);
+        }
+    }
+
+    /**
+     * Subscribes to pending transactions. Called on every connection to the node.
+     * Whole transactions are asked for if enabled; once the node refuses, hashes are
+     * subscribed to instead, for this and every later connection.
+     */
+    async subscribePending() {
+        if (this.config.fullPendingTransactions && !this.pendingHashesSubscribed
+            && this.nodeConnection && this.provider === this.nodeConnection) {
+            try {
+                await subscribeFullPendingTransactions(this.nodeConnection.current, {
+                    onTransaction: (tx) => {
+                        metrics.pendingReceived.inc();
+                        this.ingestor.ingest(tx);
+                    },
+                    onHash: txHash => this.handlePendingHash(txHash),
+                });
+                this.logger.log('Subscribed to full pending transactions.');
+                return;
+            } catch (error) {
+                this.logger.warn('Node refused full pending transactions, subscribing to hashes:', error.message);
+            }
+        }
+        // `provider.on('pending', ...)` fires whenever a new transaction enters the mempool
+        // (is seen by the node). It follows reconnections.
+        if (!this.pendingHashesSubscribed) {
+            this.pendingHashesSubscribed = true;
+            this.provider.on('pending', txHash => this.handlePendingHash(txHash));
+        }
+    }
+
+    /**
+     * Feeds the node's current pending set into the fetch queue after a reconnection, so
+     * transactions announced while we were disconnected are not missed. Already handled
+     * ones are dropped as duplicates.
+     */
+    async backfillPending() {
+        try {
+            const transactions = await fetchTxpoolPending(this.nodeConnection.current);
+            transactions.forEach(tx => this.ingestor.ingest(tx));
+            metrics.backfilledTransactions.inc(transactions.length);
+            this.logger.log(`Backfilled ${transactions.length} pending transactions from txpool_content.`);
+        } catch (error) {
+            this.logger.error('Error backfilling pending transactions:', error.message);
+        }
+    }
+
+    /**
+     * Whether the node connection is up: the WebSocket is open and blocks keep arriving.
+     * Without a live connection (a replay, a fake) there is no connection to lose.
+     * @returns {boolean}
+     */
+    isProviderConnected() {
+        if (!this.nodeConnection) {
+            return true;
+        }
+        return this.nodeConnection.isConnected() && this.lastBlockAt !== null
+            && this.now() - this.lastBlockAt <= this.config.blockStaleSeconds * 1000;
+    }
+
+    /**
+     * Connects the alert sinks, subscribes to pending transactions and blocks, starts the
+     * node connection (if any) and schedules the detection rounds.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        // Connect the alert sinks before starting to listen for transactions.
+        await this.alertRouter.connect();
+        const unknownAuditSinks = this.alertRules.auditSinks.filter(name => !this.alertRouter.sinks.has(name));
+        if (unknownAuditSinks.length > 0) {
+            this.logger.warn(`Alert rules name audit sinks that are not enabled: ${unknownAuditSinks.join(', ')}. Suppressed alerts will not reach them.`);
+        }
+
+        // Fetch failures are counted by cause: timeouts and RPC errors by their ethers
+        // error code, `not_found` when the transaction was mined (or dropped) very quickly
+        // after being seen as pending, before we could fetch its details.
+        this.ingestor.on('fetchError', (error) => {
+            metrics.fetchErrors.inc({ cause: fetchErrorCause(error) });
+        });
+        this.ingestor.on('drop', (reason) => {
+            metrics.ingestionDrops.inc({ reason });
+        });
+        this.ingestor.on('handleError', (error) => {
+            this.logger.error('Error ingesting pending transaction:', error);
+        });
+        if (this.nodeConnection) {
+            // (Re)subscribe on every connection; after a reconnection, also catch up on the
+            // pending transactions announced while we were away. Not while recording: the
+            // backfill bypasses the capture, so a replay could not reproduce it.
+            this.nodeConnection.on('connected', ({ url, endpoint, reconnect }) => {
+                this.logger.log(`Connected to Ethereum node ${endpoint} (${new URL(url).host}).`);
+                this.subscribePending();
+                if (reconnect) {
+                    metrics.nodeReconnects.inc({ endpoint });
+                    if (!this.config.record) {
+                        this.backfillPending();
+                    }
+                }
+            });
+            this.nodeConnection.on('disconnected', ({ endpoint, code }) => {
+                this.logger.warn(`Lost Ethereum node ${endpoint} (WebSocket code ${code}), reconnecting...`);
+            });
+            this.nodeConnection.on('connectError', (error, { endpoint }) => {
+                this.logger.warn(`Ethereum node ${endpoint} unavailable: ${error.message}`);
+            });
+        } else {
+            await this.subscribePending();
+        }
+
+        // Listen for errors from the WebSocket provider.
+        this.provider.on('error', (error) => {
+            this.logger.error('WebSocket Provider Error:', error);
+        });
+
+        // Send a follow-up for every alert the confirmer settles, so consumers can tell
+        // confirmed attacks apart from mempool suspicions.
+        const sendConfirmation = (outcome) => this.publishAlert(buildConfirmationAlert(outcome, this.alertContext));
+        this.confirmer.on('confirmed', sendConfirmation);
+        this.confirmer.on('retracted', sendConfirmation);
+        this.confirmer.on('error', (error) => {
+            this.logger.error('Error confirming alerts:', error);
+        });
+        const sendCopycatConfirmation = (outcome) => this.publishAlert(buildCopycatConfirmationAlert(outcome, this.alertContext));
+        this.copycatConfirmer.on('confirmed', sendCopycatConfirmation);
+        this.copycatConfirmer.on('retracted', sendCopycatConfirmation);
+        this.copycatConfirmer.on('error', (error) => {
+            this.logger.error('Error confirming copycat alerts:', error);
+        });
+
+        // Listen for new blocks being mined.
+        this.provider.on('block', blockNumber => this.handleBlock(blockNumber));
+
+        if (this.nodeConnection) {
+            // Keeps retrying in the background; /readyz reports the node down meanwhile.
+            this.nodeConnection.start();
+        }
+        if (this.tickIntervalMs !== null) {
+            this.timer = setInterval(() => this.runDetectionTick(), this.tickIntervalMs);
+        }
+    }
+
+    /**
+     * Stops the detection rounds. The clients passed in are left to their owner to close
+     * (destroying the provider ends its events).
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = {
+    recipientLinks,
+    normalizeTransaction,
+    simulateSandwichFinding,
+    simulateJitFinding,
+    DetectorService,
+};
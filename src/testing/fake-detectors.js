@@ -0,0 +1,102 @@
+// src/testing/fake-detectors.js (Stand-ins for the WASM detectors)
+
+// Same interface as the WASM bridges (src/detection/sandwich.js and jit-liquidity.js), so
+// the pipeline can be tested before (or without) building mev_engine/pkg. It is a module
+// rather than a harness option so a `DetectionPool` can load it in its workers too:
+//
+//     new DetectionPool({ detectors: require.resolve('./fake-detectors') });
+//
+// The sandwich rule is deliberately simple: a swap by one sender, a later swap by another
+// sender on the same pool in the same direction, then the first sender's next transaction
+// (by nonce) swapping back on that pool. The JIT rule: a liquidity add by one sender, a
+// later swap by another sender on that pair, then the first sender's next remove from it.
+// Pools are keyed like the clusters (and the engine) key them.
+
+const { swapPoolKeys } = require('../clustering/pool-clusterer');
+
+/**
+ * @param {Array<Object>|string} records - Engine records, or their JSON array.
+ * @returns {Array<Object>}
+ */
+const parseRecords = records => (typeof records === 'string' ? JSON.parse(records) : records);
+
+/** The "token0:token1" key of a Uniswap V2 pair. */
+const pairKey = (tokenA, tokenB) => [tokenA, tokenB].map(token => token.toLowerCase()).sort().join(':');
+
+/**
+ * The pool hops of every swap of an engine record, in order. Like the engine, takes a record
+ * without `swaps` for a single swap along `path`, on Uniswap V2 pairs.
+ * @returns {Array<{tokenIn: string, tokenOut: string, pool: string}>}
+ */
+const hops = record => (record.swaps || (record.path ? [{ path: record.path, fees: null }] : []))
+    .flatMap(swap => swapPoolKeys(swap).map((pool, i) => ({ tokenIn: swap.path[i], tokenOut: swap.path[i + 1], pool })));
+
+/**
+ * @param {Array<Object>|string} records - Engine records (see `toEngineTransaction`), or
+ *   their JSON array.
+ * @returns {Array<Object>} Findings shaped like the Rust `SandwichFinding`.
+ */
+function detectSandwiches(records) {
+    const cluster = parseRecords(records);
+    const findings = [];
+    cluster.forEach((frontrun, i) => cluster.slice(i + 1).forEach((victim, j) => cluster.slice(i + j + 2).forEach((backrun) => {
+        if (frontrun.sender !== backrun.sender || backrun.nonce !== frontrun.nonce + 1 || victim.sender === frontrun.sender) return;
+        const attacked = hops(victim).find(hop => hops(frontrun).some(({ pool, tokenIn }) => pool === hop.pool && tokenIn === hop.tokenIn)
+            && hops(backrun).some(({ pool, tokenIn }) => pool === hop.pool && tokenIn === hop.tokenOut));
+        if (attacked) {
+            findings.push({
+                rule: 'pool_sandwich',
+                frontrun_hash: frontrun.hash,
+                victim_hash: victim.hash,
+                backrun_hash: backrun.hash,
+                attacker: frontrun.sender,
+                victim: victim.sender,
+                router: victim.to,
+                pool: attacked.pool,
+                time_gap_secs: backrun.timestamp - frontrun.timestamp,
+                block_gap: null,
+                gas_premium: (BigInt(frontrun.effective_priority_fee) - BigInt(victim.effective_priority_fee)).toString(),
+            });
+        }
+    })));
+    return findings;
+}
+
+/**
+ * @param {Array<Object>|string} records - Engine records, or their JSON array.
+ * @returns {Array<Object>} Findings shaped like the Rust `JitFinding`.
+ */
+function detectJitLiquidity(records) {
+    const cluster = parseRecords(records);
+    const liquidityOn = (tx, action) => (tx.liquidity && tx.liquidity.action === action
+        ? pairKey(tx.liquidity.token_a, tx.liquidity.token_b) : null);
+    const findings = [];
+    cluster.forEach((add, i) => {
+        const pool = liquidityOn(add, 'add');
+        if (!pool) return;
+        cluster.slice(i + 1).forEach((victim, j) => {
+            if (victim.sender === add.sender || !hops(victim).some(hop => hop.pool === pool)) return;
+            const remove = cluster.slice(i + j + 2).find(tx => tx.sender === add.sender && liquidityOn(tx, 'remove') === pool);
+            if (remove) {
+                findings.push({
+                    rule: 'jit_liquidity',
+                    add_hash: add.hash,
+                    victim_hash: victim.hash,
+                    remove_hash: remove.hash,
+                    attacker: add.sender,
+                    victim: victim.sender,
+                    router: victim.to,
+                    pool,
+                    time_gap_secs: remove.timestamp - add.timestamp,
+                    block_gap: null,
+                });
+            }
+        });
+    });
+    return findings;
+}
+
+module.exports = {
+    detectSandwiches,
+    detectJitLiquidity,
+};
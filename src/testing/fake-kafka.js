@@ -0,0 +1,90 @@
+// src/testing/fake-kafka.js (In-memory stand-in for a kafkajs producer)
+
+// Implements the part of the kafkajs `Producer` API that `KafkaSink` uses (`connect`,
+// `send`, `disconnect`, and the connect/disconnect events) and keeps every message sent,
+// so a test can read back exactly what a broker would have received:
+//
+//     const producer = new FakeKafkaProducer();
+//     const sink = new KafkaSink('kafka', { topic: 'mev-alerts', producer });
+//     ...
+//     producer.messages[0].key;           // the attacker
+//     JSON.parse(producer.messages[0].value);
+//
+// `failWith(error)` makes the following sends fail, as with a broker that is down.
+
+const { EventEmitter } = require('events');
+
+// The event names of kafkajs' `producer.events`.
+const PRODUCER_EVENTS = Object.freeze({
+    CONNECT: 'producer.connect',
+    DISCONNECT: 'producer.disconnect',
+});
+
+class FakeKafkaProducer {
+    constructor() {
+        this.events = PRODUCER_EVENTS;
+        this.emitter = new EventEmitter();
+        this.connected = false;
+        // Every message sent, in order, each with its `topic`.
+        this.messages = [];
+        this.error = null;
+    }
+
+    /**
+     * @param {string} event - One of `events`.
+     * @param {Function} listener
+     * @returns {Function} Removes the listener, like kafkajs.
+     */
+    on(event, listener) {
+        this.emitter.on(event, listener);
+        return () => this.emitter.off(event, listener);
+    }
+
+    async connect() {
+        this.connected = true;
+        this.emitter.emit(PRODUCER_EVENTS.CONNECT);
+    }
+
+    async disconnect() {
+        this.connected = false;
+        this.emitter.emit(PRODUCER_EVENTS.DISCONNECT);
+    }
+
+    /**
+     * @param {{topic: string, messages: Array<{key: string, value: string, headers: Object}>}} record
+     * @returns {Promise<Array<Object>>} kafkajs-style record metadata.
+     */
+    async send({ topic, messages }) {
+        if (!this.connected) {
+            throw new Error('FakeKafkaProducer: send() before connect()');
+        }
+        if (this.error) {
+            throw this.error;
+        }
+        const baseOffset = this.messages.filter(message => message.topic === topic).length;
+        messages.forEach(message => this.messages.push({ topic, ...message }));
+        return [{ topicName: topic, partition: 0, errorCode: 0, baseOffset: String(baseOffset) }];
+    }
+
+    /**
+     * Makes every later `send` fail with `error`, until called with `null`.
+     * @param {Error|null} error
+     */
+    failWith(error) {
+        this.error = error;
+    }
+
+    /**
+     * @param {string} [topic] - Only this topic's messages.
+     * @returns {Array<Object>} The sent messages' values, parsed.
+     */
+    sentValues(topic) {
+        return this.messages
+            .filter(message => topic === undefined || message.topic === topic)
+            .map(message => JSON.parse(message.value));
+    }
+}
+
+module.exports = {
+    FakeKafkaProducer,
+};
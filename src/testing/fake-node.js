@@ -0,0 +1,384 @@
+// src/testing/fake-node.js (Scriptable local stand-in for the Ethereum node)
+
+// A tiny JSON-RPC node that speaks just enough of Geth's API for the detector:
+// `eth_subscribe` (newHeads, newPendingTransactions with or without full bodies) over
+// WebSocket, `eth_getTransactionByHash`, `eth_getBlockByNumber`, `eth_blockNumber`,
+// `txpool_content` and a few stubs, over both WebSocket and HTTP (with batch requests).
+// Pending transactions are real signed transactions, so ethers parses them like Geth's.
+//
+// It exists to exercise the connection paths without a node: drop every socket, go down
+// for a while, come back, and check that the detector reconnects and backfills what it
+// missed. Script it from code:
+//
+//     const node = new FakeNode({ wsPort: 8546, httpPort: 8545 });
+//     await node.start();
+//     await node.addPendingTransaction();
+//     node.mineBlock();
+//     await node.restart(5000); // down for 5 seconds
+//
+// or run it as a stand-in for the compose node (`npm run fake-node -- --help`).
+
+const http = require('http');
+const { parseArgs } = require('util');
+const WebSocket = require('ws');
+const { Wallet, Transaction, parseEther, parseUnits, ZeroHash, randomBytes, hexlify, toBeHex } = require('ethers');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Converts a signed ethers `Transaction` to the JSON-RPC shape Geth returns.
+ * @param {Transaction} tx
+ * @param {Object|null} block - The block it was mined in, if any.
+ * @param {number} [index]
+ * @returns {Object}
+ */
+function rpcTransaction(tx, block, index) {
+    return {
+        hash: tx.hash,
+        type: toBeHex(tx.type),
+        from: tx.from,
+        to: tx.to,
+        nonce: toBeHex(tx.nonce),
+        gas: toBeHex(tx.gasLimit),
+        gasPrice: toBeHex(tx.maxFeePerGas),
+        maxFeePerGas: toBeHex(tx.maxFeePerGas),
+        maxPriorityFeePerGas: toBeHex(tx.maxPriorityFeePerGas),
+        value: toBeHex(tx.value),
+        input: tx.data,
+        chainId: toBeHex(tx.chainId),
+        accessList: [],
+        v: toBeHex(tx.signature.yParity),
+        yParity: toBeHex(tx.signature.yParity),
+        r: tx.signature.r,
+        s: tx.signature.s,
+        blockHash: block ? block.hash : null,
+        blockNumber: block ? toBeHex(block.number) : null,
+        transactionIndex: block ? toBeHex(index) : null,
+    };
+}
+
+class FakeNode {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.wsPort=8546] - 0 for a free port, kept across restarts.
+     * @param {number} [options.httpPort=8545] - `null` to serve WebSocket only; 0 for a free port.
+     * @param {number} [options.chainId=11155111]
+     */
+    constructor(options = {}) {
+        this.wsPort = options.wsPort !== undefined ? options.wsPort : 8546;
+        this.httpPort = options.httpPort !== undefined ? options.httpPort : 8545;
+        this.chainId = options.chainId !== undefined ? options.chainId : 11155111;
+        // Map<hash, Transaction>, in arrival order: the txpool.
+        this.pending = new Map();
+        // Map<hash, { tx, block, index }> of mined transactions.
+        this.mined = new Map();
+        this.blocks = [this.makeBlock(0, [])];
+        this.wallets = Array.from({ length: 4 }, () => ({ wallet: Wallet.createRandom(), nonce: 0 }));
+        this.wsServer = null;
+        this.httpServer = null;
+        // Map<socket, Map<subscriptionId, { kind, full }>>
+        this.subscriptions = new Map();
+        this.nextSubscriptionId = 1;
+    }
+
+    /**
+     * Starts listening. Connections made while stopped are refused, like a down node.
+     */
+    async start() {
+        this.wsServer = new WebSocket.Server({ port: this.wsPort });
+        this.wsServer.on('connection', socket => this.handleSocket(socket));
+        await new Promise(resolve => this.wsServer.once('listening', resolve));
+        this.wsPort = this.wsServer.address().port;
+        if (this.httpPort !== null) {
+            this.httpServer = http.createServer((req, res) => this.handleHttp(req, res));
+            await new Promise(resolve => this.httpServer.listen(this.httpPort, resolve));
+            this.httpPort = this.httpServer.address().port;
+        }
+    }
+
+    /**
+     * Stops listening and closes every connection.
+     */
+    async stop() {
+        this.dropConnections();
+        if (this.wsServer) {
+            await new Promise(resolve => this.wsServer.close(resolve));
+            this.wsServer = null;
+        }
+        if (this.httpServer) {
+            this.httpServer.closeAllConnections();
+            await new Promise(resolve => this.httpServer.close(resolve));
+            this.httpServer = null;
+        }
+    }
+
+    /**
+     * Stops, stays down for `downMs`, and starts again. The txpool survives the restart.
+     * @param {number} [downMs=0]
+     */
+    async restart(downMs = 0) {
+        await this.stop();
+        await sleep(downMs);
+        await this.start();
+    }
+
+    /**
+     * Kills every WebSocket connection without a close handshake, like a crashed node or
+     * a dropped TCP connection. The server keeps accepting new ones.
+     */
+    dropConnections() {
+        for (const socket of this.subscriptions.keys()) {
+            socket.terminate();
+        }
+        this.subscriptions.clear();
+    }
+
+    /**
+     * Signs a transaction from one of the fake senders, adds it to the txpool and announces
+     * it to the pending subscribers.
+     * @param {Object} [fields] - Transaction fields to override (`to`, `data`, `value`, ...).
+     * @returns {Promise<string>} The transaction hash.
+     */
+    async addPendingTransaction(fields = {}) {
+        const sender = this.wallets[Math.floor(Math.random() * this.wallets.length)];
+        const signed = await sender.wallet.signTransaction({
+            type: 2,
+            chainId: this.chainId,
+            nonce: sender.nonce++,
+            to: hexlify(randomBytes(20)),
+            value: parseEther('0.01'),
+            gasLimit: 21000,
+            maxFeePerGas: parseUnits('30', 'gwei'),
+            maxPriorityFeePerGas: parseUnits('2', 'gwei'),
+            data: '0x',
+            ...fields,
+        });
+        const tx = Transaction.from(signed);
+        this.pending.set(tx.hash, tx);
+        this.broadcast('pending', full => (full ? rpcTransaction(tx, null) : tx.hash));
+        return tx.hash;
+    }
+
+    /**
+     * Mines every pending transaction (or the first `count`) into a new block and
+     * announces its header.
+     * @param {number} [count]
+     * @returns {Object} The block.
+     */
+    mineBlock(count = Infinity) {
+        const hashes = Array.from(this.pending.keys()).slice(0, count);
+        const block = this.makeBlock(this.blocks.length, hashes);
+        this.blocks.push(block);
+        hashes.forEach((hash, index) => {
+            this.mined.set(hash, { tx: this.pending.get(hash), block, index });
+            this.pending.delete(hash);
+        });
+        this.broadcast('newHeads', () => this.rpcBlock(block, false));
+        return block;
+    }
+
+    makeBlock(number, transactions) {
+        return {
+            number,
+            hash: hexlify(randomBytes(32)),
+            parentHash: this.blocks ? this.blocks[this.blocks.length - 1].hash : ZeroHash,
+            timestamp: Math.floor(Date.now() / 1000),
+            transactions,
+        };
+    }
+
+    rpcBlock(block, full) {
+        return {
+            number: toBeHex(block.number),
+            hash: block.hash,
+            parentHash: block.parentHash,
+            timestamp: toBeHex(block.timestamp),
+            nonce: '0x0000000000000000',
+            difficulty: '0x0',
+            gasLimit: toBeHex(30000000),
+            gasUsed: toBeHex(21000 * block.transactions.length),
+            miner: '0x0000000000000000000000000000000000000000',
+            extraData: '0x',
+            baseFeePerGas: toBeHex(parseUnits('10', 'gwei')),
+            transactions: full
+                ? block.transactions.map((hash, index) => rpcTransaction(this.mined.get(hash).tx, block, index))
+                : block.transactions,
+        };
+    }
+
+    /**
+     * Sends a subscription message to every subscriber of `kind`.
+     * @param {'pending'|'newHeads'} kind
+     * @param {function(boolean): *} makeResult - Builds the payload; gets whether the
+     *   subscriber asked for full transactions.
+     */
+    broadcast(kind, makeResult) {
+        for (const [socket, subscriptions] of this.subscriptions) {
+            for (const [id, subscription] of subscriptions) {
+                if (subscription.kind === kind && socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify({
+                        jsonrpc: '2.0',
+                        method: 'eth_subscription',
+                        params: { subscription: id, result: makeResult(subscription.full) },
+                    }));
+                }
+            }
+        }
+    }
+
+    handleSocket(socket) {
+        this.subscriptions.set(socket, new Map());
+        socket.on('close', () => this.subscriptions.delete(socket));
+        socket.on('message', data => {
+            const request = JSON.parse(data);
+            socket.send(JSON.stringify(this.answer(request, socket)));
+        });
+    }
+
+    handleHttp(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            const response = Array.isArray(request)
+                ? request.map(item => this.answer(item, null))
+                : this.answer(request, null);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(response));
+        });
+    }
+
+    answer({ id, method, params = [] }, socket) {
+        try {
+            return { jsonrpc: '2.0', id, result: this.call(method, params, socket) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id, error: { code: -32601, message: error.message } };
+        }
+    }
+
+    call(method, params, socket) {
+        switch (method) {
+            case 'eth_chainId':
+                return toBeHex(this.chainId);
+            case 'net_version':
+                return String(this.chainId);
+            case 'eth_blockNumber':
+                return toBeHex(this.blocks.length - 1);
+            case 'eth_getBlockByNumber': {
+                const number = params[0] === 'latest' ? this.blocks.length - 1 : Number(params[0]);
+                return this.blocks[number] ? this.rpcBlock(this.blocks[number], params[1]) : null;
+            }
+            case 'eth_getTransactionByHash': {
+                const hash = params[0].toLowerCase();
+                if (this.pending.has(hash)) {
+                    return rpcTransaction(this.pending.get(hash), null);
+                }
+                const mined = this.mined.get(hash);
+                return mined ? rpcTransaction(mined.tx, mined.block, mined.index) : null;
+            }
+            case 'eth_getTransactionReceipt':
+                return null;
+            case 'eth_getLogs':
+                return [];
+            case 'eth_getCode':
+                // Every sender is a plain account (its wallet is generated here).
+                return '0x';
+            case 'txpool_content': {
+                const pending = {};
+                for (const tx of this.pending.values()) {
+                    pending[tx.from] = pending[tx.from] || {};
+                    pending[tx.from][tx.nonce] = rpcTransaction(tx, null);
+                }
+                return { pending, queued: {} };
+            }
+            case 'eth_subscribe': {
+                if (!socket) throw new Error('notifications not supported');
+                const kind = params[0] === 'newPendingTransactions' ? 'pending' : params[0];
+                if (kind !== 'pending' && kind !== 'newHeads') {
+                    throw new Error(`unsupported subscription ${params[0]}`);
+                }
+                const id = toBeHex(this.nextSubscriptionId++);
+                this.subscriptions.get(socket).set(id, { kind, full: params[1] === true });
+                return id;
+            }
+            case 'eth_unsubscribe':
+                return socket ? this.subscriptions.get(socket).delete(params[0]) : false;
+            default:
+                throw new Error(`the method ${method} does not exist/is not available`);
+        }
+    }
+}
+
+/**
+ * Runs the stand-in from the command line: a steady stream of pending transactions and
+ * blocks, with optional periodic outages.
+ */
+async function main() {
+    const { values: flags } = parseArgs({
+        options: {
+            'ws-port': { type: 'string', default: '8546' },
+            'http-port': { type: 'string', default: '8545' },
+            'tx-per-second': { type: 'string', default: '5' },
+            'block-time': { type: 'string', default: '12' },
+            'drop-every': { type: 'string' },
+            'down-for': { type: 'string', default: '0' },
+            'chain-id': { type: 'string', default: '11155111' },
+            help: { type: 'boolean' },
+        },
+    });
+    if (flags.help) {
+        console.log(`Usage: node src/testing/fake-node.js [options]
+  --ws-port <port>        WebSocket port (default 8546)
+  --http-port <port>      HTTP JSON-RPC port (default 8545)
+  --tx-per-second <n>     Pending transactions announced per second (default 5)
+  --block-time <s>        Seconds between blocks (default 12)
+  --drop-every <s>        Go down every <s> seconds (default: never)
+  --down-for <s>          Seconds to stay down; 0 only drops the connections (default 0)
+  --chain-id <id>         Chain id it reports and signs for (default 11155111, Sepolia;
+                          31337 matches the detector's local network profile)`);
+        return;
+    }
+    const node = new FakeNode({
+        wsPort: Number(flags['ws-port']),
+        httpPort: Number(flags['http-port']),
+        chainId: Number(flags['chain-id']),
+    });
+    await node.start();
+    console.log(`Fake node on ws://localhost:${node.wsPort} and http://localhost:${node.httpPort}`);
+
+    const txRate = Number(flags['tx-per-second']);
+    if (txRate > 0) {
+        setInterval(() => node.addPendingTransaction().catch(console.error), 1000 / txRate);
+    }
+    setInterval(() => {
+        const block = node.mineBlock();
+        console.log(`Block ${block.number}: ${block.transactions.length} transactions`);
+    }, Number(flags['block-time']) * 1000);
+    if (flags['drop-every']) {
+        const downMs = Number(flags['down-for']) * 1000;
+        setInterval(async () => {
+            console.log(downMs > 0 ? `Going down for ${downMs} ms` : 'Dropping every connection');
+            if (downMs > 0) {
+                await node.restart(downMs);
+            } else {
+                node.dropConnections();
+            }
+        }, Number(flags['drop-every']) * 1000);
+    }
+    process.on('SIGINT', async () => {
+        await node.stop();
+        process.exit(0);
+    });
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    FakeNode,
+    rpcTransaction,
+};
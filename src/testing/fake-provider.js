@@ -0,0 +1,173 @@
+// src/testing/fake-provider.js (Scripted in-process stand-in for the Ethereum provider)
+
+// Emits `pending` and `block` events when told to and answers the RPC calls the pipeline
+// makes behind them (`getTransaction`, `getBlock`, `getTransactionReceipt`, `getCode`,
+// and the `getReserves` calls and Sync logs of `JsonFixtureProvider`), all from memory.
+// Unlike `FakeNode` there is no socket: it is handed to the pipeline in place of the
+// provider, for tests that drive ingestion and detection step by step:
+//
+//     const provider = new FakeProvider({ pairs: { [pair]: { token0, token1, reserve0, reserve1 } } });
+//     await provider.addPendingTransaction(tx);  // resolves once the pipeline has ingested it
+//     await provider.mineBlock([tx.hash], { syncs: [{ pair, reserve0, reserve1 }] });
+//
+// `getTransaction` calls are logged in `transactionRequests` (hashes, in call order), so
+// tests can check how pending transactions were fetched.
+//
+// Like `ReplayProvider`, events wait for their (async) listeners, so each step is finished
+// when its promise resolves.
+
+const { EventEmitter } = require('events');
+const { id, parseUnits } = require('ethers');
+const { JsonFixtureProvider } = require('../providers/json-fixture-provider');
+
+class FakeProvider extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, Object>} [options.pairs] - Uniswap V2 pair state by address
+     *   (see src/providers/json-fixture-provider.js).
+     * @param {number} [options.blockNumber=1000] - The latest block; `mineBlock` mines the next one.
+     * @param {bigint} [options.baseFeePerGas=10 gwei] - Base fee of the mined blocks.
+     * @param {Object<string, string>} [options.code] - Contract code by address; other
+     *   addresses are accounts (`0x`).
+     * @param {function(): number} [options.now=Date.now] - Clock of the mined blocks' timestamps (ms).
+     */
+    constructor(options = {}) {
+        super();
+        this.fixture = new JsonFixtureProvider({ blockNumber: options.blockNumber || 1000, pairs: options.pairs });
+        this.blockNumber = this.fixture.blockNumber;
+        this.baseFeePerGas = options.baseFeePerGas !== undefined ? options.baseFeePerGas : parseUnits('10', 'gwei');
+        this.code = new Map(Object.entries(options.code || {}).map(([address, code]) => [address.toLowerCase(), code]));
+        this.transactions = new Map();
+        this.blocks = new Map();
+        this.receipts = new Map();
+        this.transactionRequests = [];
+        this.now = options.now || Date.now;
+        this.destroyed = false;
+    }
+
+    /**
+     * Emits an event and waits for every (possibly async) listener to finish.
+     * @param {string} event
+     * @param {...*} args
+     */
+    async emitAndWait(event, ...args) {
+        await Promise.all(this.listeners(event).map(listener => listener(...args)));
+    }
+
+    /**
+     * Adds a transaction to the mempool and announces its hash.
+     * @param {Object} tx - An ethers-style transaction (`hash`, `from`, `to`, `data`, `nonce`, ...).
+     * @returns {Promise<string>} Its hash, once the `pending` listeners are done with it.
+     */
+    async addPendingTransaction(tx) {
+        this.transactions.set(tx.hash.toLowerCase(), { blockNumber: null, ...tx });
+        await this.emitAndWait('pending', tx.hash);
+        return tx.hash;
+    }
+
+    /**
+     * Mines the next block with the given transactions (in that order) and announces it.
+     * @param {Array<string>} [hashes=[]] - Hashes of transactions added earlier, or of
+     *   transactions that were never pending.
+     * @param {Object} [options]
+     * @param {Array<{pair: string, reserve0: string, reserve1: string}>} [options.syncs] - Sync
+     *   events the block emits (pair reserves after it).
+     * @param {Object<string, Object>} [options.receipts] - Receipt fields by transaction hash
+     *   (e.g. `{ status: 0 }`, or Swap `logs`).
+     * @returns {Promise<number>} The block number, once the `block` listeners are done with it.
+     */
+    async mineBlock(hashes = [], options = {}) {
+        const number = ++this.blockNumber;
+        this.fixture.blockNumber = number;
+        const block = {
+            number,
+            hash: id(`block:${number}`),
+            timestamp: Math.floor(this.now() / 1000),
+            baseFeePerGas: this.baseFeePerGas,
+            // Exactly at the gas target, so the base fee stays the same from block to block.
+            gasLimit: 30000000n,
+            gasUsed: 15000000n,
+            transactions: hashes.slice(),
+        };
+        this.blocks.set(number, block);
+        hashes.forEach((hash, index) => {
+            const tx = this.transactions.get(hash.toLowerCase());
+            if (tx) {
+                tx.blockNumber = number;
+            }
+            this.receipts.set(hash.toLowerCase(), {
+                hash,
+                blockNumber: number,
+                index,
+                status: 1,
+                from: tx ? tx.from : null,
+                to: tx ? tx.to : null,
+                gasUsed: tx && tx.gasLimit ? tx.gasLimit : 21000n,
+                gasPrice: tx && tx.gasPrice ? tx.gasPrice : this.baseFeePerGas,
+                logs: [],
+                ...((options.receipts || {})[hash] || {}),
+            });
+        });
+        for (const sync of options.syncs || []) {
+            this.fixture.syncs.push({ ...sync, blockNumber: number, logIndex: this.fixture.syncs.length });
+            this.fixture.pairs.set(sync.pair.toLowerCase(), {
+                ...this.fixture.pairs.get(sync.pair.toLowerCase()),
+                reserve0: sync.reserve0,
+                reserve1: sync.reserve1,
+            });
+        }
+        await this.emitAndWait('block', number);
+        return number;
+    }
+
+    /**
+     * Sets (or replaces) a pair's state, as returned by `getReserves()`.
+     * @param {string} address
+     * @param {{token0: string, token1: string, reserve0: string, reserve1: string}} pair
+     */
+    setPair(address, pair) {
+        this.fixture.pairs.set(address.toLowerCase(), pair);
+    }
+
+    async getTransaction(hash) {
+        this.transactionRequests.push(hash);
+        return this.transactions.get(hash.toLowerCase()) || null;
+    }
+
+    async getTransactionReceipt(hash) {
+        return this.receipts.get(hash.toLowerCase()) || null;
+    }
+
+    async getBlock(blockNumber) {
+        return this.blocks.get(blockNumber) || null;
+    }
+
+    async getBlockNumber() {
+        return this.blockNumber;
+    }
+
+    async getCode(address) {
+        return this.code.get(address.toLowerCase()) || '0x';
+    }
+
+    async call(tx) {
+        return this.fixture.call(tx);
+    }
+
+    async getLogs(filter) {
+        return this.fixture.getLogs(filter);
+    }
+
+    async send(method) {
+        throw new Error(`FakeProvider: ${method} is not supported`);
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.removeAllListeners();
+    }
+}
+
+module.exports = {
+    FakeProvider,
+};
@@ -0,0 +1,558 @@
+// src/testing/fake-redis.js (In-memory, TTL-aware stand-in for an ioredis client)
+
+// Implements the slice of the ioredis API the detector uses: strings, hashes, sets and
+// lists, key expiry, `multi()`, and `defineCommand` Lua scripts. Scripts are run by a real
+// Lua interpreter (fengari) whose `redis.call` reaches this keyspace, so the dedup and
+// profile scripts are tested as written rather than re-implemented in JavaScript.
+//
+// Time comes from the `now` option, so a test can expire keys without waiting:
+//
+//     let time = Date.now();
+//     const redis = new FakeRedis({ now: () => time });
+//     await redis.set('k', 'v', 'EX', 10);
+//     time += 10000;
+//     await redis.get('k'); // null
+//
+// Values are stored as strings, as Redis does. `SPOP` takes the oldest members rather than
+// random ones, so runs are repeatable.
+
+const { lua, lauxlib, lualib, to_luastring } = require('fengari');
+
+const WRONGTYPE = 'WRONGTYPE Operation against a key holding the wrong kind of value';
+
+/**
+ * Converts a glob (`KEYS` pattern: `*` and `?`) to a regular expression.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    const source = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Formats a float reply like Redis (which adds in long double precision, so sums such as
+ * 0.1 + 0.2 come back as "0.3").
+ * @param {number} value
+ * @returns {string}
+ */
+function formatFloat(value) {
+    return String(Number(value.toPrecision(15)));
+}
+
+/**
+ * @param {string} value
+ * @param {string} message - The error if `value` is not an integer.
+ * @returns {number}
+ */
+function parseInteger(value, message) {
+    if (!/^-?\d+$/.test(value)) {
+        throw new Error(message);
+    }
+    return Number(value);
+}
+
+// The commands, by lowercase name. Each takes the keyspace and the arguments as strings
+// and returns the raw Redis reply: a number (integer), a string or `null` (bulk), an array,
+// or 'OK' (status).
+const COMMANDS = {
+    get(db, key) {
+        return db.read(key, 'string', null);
+    },
+    set(db, key, value, ...options) {
+        let ttlMs = null;
+        let keepTtl = false;
+        let condition = null;
+        for (let i = 0; i < options.length; i++) {
+            const option = options[i].toUpperCase();
+            if (option === 'EX' || option === 'PX') {
+                const amount = parseInteger(options[++i] || '', 'ERR value is not an integer or out of range');
+                ttlMs = option === 'EX' ? amount * 1000 : amount;
+            } else if (option === 'NX' || option === 'XX') {
+                condition = option;
+            } else if (option === 'KEEPTTL') {
+                keepTtl = true;
+            } else {
+                throw new Error('ERR syntax error');
+            }
+        }
+        const existing = db.entry(key);
+        if ((condition === 'NX' && existing) || (condition === 'XX' && !existing)) {
+            return null;
+        }
+        const expiresAt = ttlMs !== null ? db.now() + ttlMs : (keepTtl && existing ? existing.expiresAt : null);
+        db.store.set(key, { type: 'string', value, expiresAt });
+        return 'OK';
+    },
+    del(db, ...keys) {
+        return keys.filter(key => db.entry(key) && db.store.delete(key)).length;
+    },
+    exists(db, ...keys) {
+        return keys.filter(key => db.entry(key)).length;
+    },
+    expire(db, key, seconds) {
+        return COMMANDS.pexpire(db, key, String(parseInteger(seconds, 'ERR value is not an integer or out of range') * 1000));
+    },
+    pexpire(db, key, milliseconds) {
+        const entry = db.entry(key);
+        if (!entry) {
+            return 0;
+        }
+        entry.expiresAt = db.now() + parseInteger(milliseconds, 'ERR value is not an integer or out of range');
+        return 1;
+    },
+    persist(db, key) {
+        const entry = db.entry(key);
+        if (!entry || entry.expiresAt === null) {
+            return 0;
+        }
+        entry.expiresAt = null;
+        return 1;
+    },
+    ttl(db, key) {
+        const ttl = COMMANDS.pttl(db, key);
+        return ttl < 0 ? ttl : Math.ceil(ttl / 1000);
+    },
+    pttl(db, key) {
+        const entry = db.entry(key);
+        if (!entry) {
+            return -2;
+        }
+        return entry.expiresAt === null ? -1 : entry.expiresAt - db.now();
+    },
+    keys(db, pattern) {
+        const regexp = globToRegExp(pattern);
+        return Array.from(db.store.keys()).filter(key => db.entry(key) && regexp.test(key));
+    },
+    flushall(db) {
+        db.store.clear();
+        return 'OK';
+    },
+
+    hset(db, key, ...fieldValues) {
+        if (fieldValues.length === 0 || fieldValues.length % 2 !== 0) {
+            throw new Error("ERR wrong number of arguments for 'hset' command");
+        }
+        const hash = db.write(key, 'hash', () => new Map());
+        let added = 0;
+        for (let i = 0; i < fieldValues.length; i += 2) {
+            if (!hash.has(fieldValues[i])) added++;
+            hash.set(fieldValues[i], fieldValues[i + 1]);
+        }
+        return added;
+    },
+    hsetnx(db, key, field, value) {
+        const hash = db.write(key, 'hash', () => new Map());
+        if (hash.has(field)) {
+            return 0;
+        }
+        hash.set(field, value);
+        return 1;
+    },
+    hget(db, key, field) {
+        const hash = db.read(key, 'hash', null);
+        return hash && hash.has(field) ? hash.get(field) : null;
+    },
+    hgetall(db, key) {
+        const hash = db.read(key, 'hash', new Map());
+        return Array.from(hash.entries()).flat();
+    },
+    hexists(db, key, field) {
+        const hash = db.read(key, 'hash', null);
+        return hash && hash.has(field) ? 1 : 0;
+    },
+    hdel(db, key, ...fields) {
+        const hash = db.read(key, 'hash', null);
+        if (!hash) {
+            return 0;
+        }
+        const removed = fields.filter(field => hash.delete(field)).length;
+        db.dropIfEmpty(key, hash.size);
+        return removed;
+    },
+    hlen(db, key) {
+        return db.read(key, 'hash', new Map()).size;
+    },
+    hincrby(db, key, field, increment) {
+        const hash = db.write(key, 'hash', () => new Map());
+        const current = hash.has(field) ? parseInteger(hash.get(field), 'ERR hash value is not an integer') : 0;
+        const result = current + parseInteger(increment, 'ERR value is not an integer or out of range');
+        hash.set(field, String(result));
+        return result;
+    },
+    hincrbyfloat(db, key, field, increment) {
+        const hash = db.write(key, 'hash', () => new Map());
+        const current = hash.has(field) ? Number(hash.get(field)) : 0;
+        const delta = Number(increment);
+        if (!Number.isFinite(current) || !Number.isFinite(delta)) {
+            throw new Error('ERR value is not a valid float');
+        }
+        const result = formatFloat(current + delta);
+        hash.set(field, result);
+        return result;
+    },
+
+    sadd(db, key, ...members) {
+        const set = db.write(key, 'set', () => new Set());
+        return members.filter(member => !set.has(member) && set.add(member)).length;
+    },
+    srem(db, key, ...members) {
+        const set = db.read(key, 'set', null);
+        if (!set) {
+            return 0;
+        }
+        const removed = members.filter(member => set.delete(member)).length;
+        db.dropIfEmpty(key, set.size);
+        return removed;
+    },
+    smembers(db, key) {
+        return Array.from(db.read(key, 'set', new Set()));
+    },
+    sismember(db, key, member) {
+        return db.read(key, 'set', new Set()).has(member) ? 1 : 0;
+    },
+    scard(db, key) {
+        return db.read(key, 'set', new Set()).size;
+    },
+    spop(db, key, count) {
+        const set = db.read(key, 'set', null);
+        const taken = set ? Array.from(set).slice(0, count === undefined ? 1 : Number(count)) : [];
+        taken.forEach(member => set.delete(member));
+        if (set) {
+            db.dropIfEmpty(key, set.size);
+        }
+        if (count === undefined) {
+            return taken.length > 0 ? taken[0] : null;
+        }
+        return taken;
+    },
+
+    rpush(db, key, ...values) {
+        const list = db.write(key, 'list', () => []);
+        list.push(...values);
+        return list.length;
+    },
+    lpush(db, key, ...values) {
+        const list = db.write(key, 'list', () => []);
+        list.unshift(...values.reverse());
+        return list.length;
+    },
+    llen(db, key) {
+        return db.read(key, 'list', []).length;
+    },
+    lrange(db, key, start, stop) {
+        const list = db.read(key, 'list', []);
+        const from = Number(start) < 0 ? Math.max(list.length + Number(start), 0) : Number(start);
+        const to = Number(stop) < 0 ? list.length + Number(stop) : Math.min(Number(stop), list.length - 1);
+        return list.slice(from, to + 1);
+    },
+};
+
+// Replies ioredis reshapes for JavaScript.
+const REPLY_TRANSFORMS = {
+    hgetall: (reply) => {
+        const hash = {};
+        for (let i = 0; i < reply.length; i += 2) {
+            hash[reply[i]] = reply[i + 1];
+        }
+        return hash;
+    },
+};
+
+/**
+ * Flattens ioredis-style arguments (`hset(key, { field: value })`, numbers) into strings.
+ * @param {Array<*>} args
+ * @returns {Array<string>}
+ */
+function toArguments(args) {
+    return args.flatMap(arg => (arg && typeof arg === 'object' && !Array.isArray(arg)
+        ? Object.entries(arg).flat()
+        : arg)).map(String);
+}
+
+/**
+ * Pushes a Redis reply onto the Lua stack, converted as Redis does.
+ */
+function pushReply(L, reply) {
+    if (reply === null) {
+        lua.lua_pushboolean(L, false);
+    } else if (typeof reply === 'number') {
+        lua.lua_pushinteger(L, reply);
+    } else if (Array.isArray(reply)) {
+        lua.lua_createtable(L, reply.length, 0);
+        reply.forEach((item, index) => {
+            pushReply(L, item);
+            lua.lua_rawseti(L, -2, index + 1);
+        });
+    } else {
+        lua.lua_pushstring(L, to_luastring(String(reply)));
+    }
+}
+
+/**
+ * Reads the Lua value at `index` as a Redis reply, converted as Redis does (numbers are
+ * truncated to integers, `false` is nil, tables are arrays up to their first nil).
+ */
+function readReply(L, index) {
+    const at = lua.lua_absindex(L, index);
+    switch (lua.lua_type(L, at)) {
+        case lua.LUA_TNUMBER:
+            return Math.trunc(lua.lua_tonumber(L, at));
+        case lua.LUA_TSTRING:
+            return lua.lua_tojsstring(L, at);
+        case lua.LUA_TBOOLEAN:
+            return lua.lua_toboolean(L, at) ? 1 : null;
+        case lua.LUA_TTABLE: {
+            lua.lua_getfield(L, at, to_luastring('err'));
+            const error = lua.lua_isstring(L, -1) ? lua.lua_tojsstring(L, -1) : null;
+            lua.lua_pop(L, 1);
+            if (error !== null) {
+                throw new Error(error);
+            }
+            const items = [];
+            for (let i = 1; lua.lua_rawgeti(L, at, i) !== lua.LUA_TNIL; i++) {
+                items.push(readReply(L, -1));
+                lua.lua_pop(L, 1);
+            }
+            lua.lua_pop(L, 1);
+            return items;
+        }
+        default:
+            return null;
+    }
+}
+
+class FakeMulti {
+    constructor(redis) {
+        this.redis = redis;
+        this.queued = [];
+    }
+
+    /**
+     * Runs the queued commands in one step.
+     * @returns {Promise<Array<[Error|null, *]>>} Each command's error or result, like ioredis.
+     */
+    async exec() {
+        return this.queued.map(([name, args]) => {
+            try {
+                return [null, this.redis.callAndTransform(name, args)];
+            } catch (error) {
+                return [error, null];
+            }
+        });
+    }
+}
+
+class FakeRedis {
+    /**
+     * @param {Object} [options]
+     * @param {function(): number} [options.now=Date.now] - The clock key expiry follows (ms).
+     */
+    constructor(options = {}) {
+        this.now = options.now || Date.now;
+        // Map<key, {type: 'string'|'hash'|'set'|'list', value, expiresAt: (number|null)}>
+        this.store = new Map();
+        this.status = 'ready';
+        this.lua = null;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Object|undefined} The key's entry, unless it has expired (it is then deleted).
+     */
+    entry(key) {
+        const entry = this.store.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+            this.store.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    /**
+     * @returns {*} The key's value if it holds a `type`, `missing` if it does not exist.
+     * @throws {Error} WRONGTYPE if it holds another type.
+     */
+    read(key, type, missing) {
+        const entry = this.entry(key);
+        if (!entry) {
+            return missing;
+        }
+        if (entry.type !== type) {
+            throw new Error(WRONGTYPE);
+        }
+        return entry.value;
+    }
+
+    /**
+     * @returns {*} The key's value, created with `create()` if it does not exist.
+     * @throws {Error} WRONGTYPE if it holds another type.
+     */
+    write(key, type, create) {
+        if (!this.entry(key)) {
+            this.store.set(key, { type, value: create(), expiresAt: null });
+        }
+        return this.read(key, type);
+    }
+
+    // Redis deletes hashes, sets and lists once they are empty.
+    dropIfEmpty(key, size) {
+        if (size === 0) {
+            this.store.delete(key);
+        }
+    }
+
+    /**
+     * Runs a command synchronously.
+     * @param {string} name - Any case.
+     * @param {Array<string>} args
+     * @returns {*} The raw Redis reply.
+     */
+    call(name, args) {
+        const command = COMMANDS[name.toLowerCase()];
+        if (!command) {
+            throw new Error(`ERR unknown command '${name}'`);
+        }
+        if (this.status === 'end') {
+            throw new Error('Connection is closed.');
+        }
+        return command(this, ...args);
+    }
+
+    callAndTransform(name, args) {
+        const reply = this.call(name, toArguments(args));
+        return REPLY_TRANSFORMS[name] ? REPLY_TRANSFORMS[name](reply) : reply;
+    }
+
+    /**
+     * Runs a Lua script with `KEYS` and `ARGV` set, as `EVAL` does.
+     * @param {string} script
+     * @param {Array<string>} keys
+     * @param {Array<string>} argv
+     * @returns {*} The script's reply.
+     */
+    evalScript(script, keys, argv) {
+        const L = this.luaState();
+        const top = lua.lua_gettop(L);
+        for (const [name, values] of [['KEYS', keys], ['ARGV', argv]]) {
+            pushReply(L, values);
+            lua.lua_setglobal(L, to_luastring(name));
+        }
+        try {
+            if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK
+                || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+                throw new Error(`ERR Error running script: ${lua.lua_tojsstring(L, -1)}`);
+            }
+            return readReply(L, -1);
+        } finally {
+            lua.lua_settop(L, top);
+        }
+    }
+
+    /**
+     * The Lua interpreter, with `redis.call` and `redis.pcall` bound to this keyspace.
+     */
+    luaState() {
+        if (this.lua) {
+            return this.lua;
+        }
+        const L = lauxlib.luaL_newstate();
+        lualib.luaL_openlibs(L);
+        const redisCall = raise => (state) => {
+            const args = [];
+            for (let i = 1; i <= lua.lua_gettop(state); i++) {
+                if (lua.lua_type(state, i) === lua.LUA_TNUMBER) {
+                    args.push(lua.lua_isinteger(state, i)
+                        ? String(lua.lua_tointeger(state, i))
+                        : String(lua.lua_tonumber(state, i)));
+                } else {
+                    args.push(lua.lua_tojsstring(state, i));
+                }
+            }
+            let reply;
+            try {
+                reply = this.call(args[0], args.slice(1));
+            } catch (error) {
+                if (raise) {
+                    lua.lua_pushstring(state, to_luastring(error.message));
+                    return lua.lua_error(state);
+                }
+                lua.lua_createtable(state, 0, 1);
+                lua.lua_pushstring(state, to_luastring(error.message));
+                lua.lua_setfield(state, -2, to_luastring('err'));
+                return 1;
+            }
+            pushReply(state, reply);
+            return 1;
+        };
+        lua.lua_createtable(L, 0, 2);
+        lua.lua_pushjsfunction(L, redisCall(true));
+        lua.lua_setfield(L, -2, to_luastring('call'));
+        lua.lua_pushjsfunction(L, redisCall(false));
+        lua.lua_setfield(L, -2, to_luastring('pcall'));
+        lua.lua_setglobal(L, to_luastring('redis'));
+        this.lua = L;
+        return L;
+    }
+
+    /**
+     * Adds a script as a command, like ioredis: `redis.name(...keys, ...args)`.
+     * @param {string} name
+     * @param {{numberOfKeys: number, lua: string}} definition
+     */
+    defineCommand(name, { numberOfKeys, lua: script }) {
+        this[name] = async (...args) => {
+            const strings = toArguments(args);
+            return this.evalScript(script, strings.slice(0, numberOfKeys), strings.slice(numberOfKeys));
+        };
+    }
+
+    /**
+     * @param {string} script
+     * @param {number} numberOfKeys
+     * @param {...*} args - The keys, then the arguments.
+     */
+    async eval(script, numberOfKeys, ...args) {
+        const strings = toArguments(args);
+        return this.evalScript(script, strings.slice(0, numberOfKeys), strings.slice(numberOfKeys));
+    }
+
+    /**
+     * Queues commands to run in one step on `exec()`.
+     * @returns {FakeMulti}
+     */
+    multi() {
+        return new FakeMulti(this);
+    }
+
+    async connect() {
+        this.status = 'ready';
+    }
+
+    async quit() {
+        this.status = 'end';
+        return 'OK';
+    }
+
+    disconnect() {
+        this.status = 'end';
+    }
+}
+
+// `redis.get(...)`, `redis.hset(...)`, ... and their queued `multi()` forms.
+for (const name of Object.keys(COMMANDS)) {
+    FakeRedis.prototype[name] = async function command(...args) {
+        return this.callAndTransform(name, args);
+    };
+    FakeMulti.prototype[name] = function queue(...args) {
+        this.queued.push([name, args]);
+        return this;
+    };
+}
+
+module.exports = {
+    FakeRedis,
+};
@@ -0,0 +1,242 @@
+// src/testing/harness.js (A DetectorService on in-memory stand-ins, for tests)
+
+// Builds the whole pipeline with no Docker and no network: a `FakeProvider` for the node,
+// a `FakeRedis` for deduplication and profiles, and the real `KafkaSink` writing to a
+// `FakeKafkaProducer`. Every part shares one manual clock, so windows, TTLs and rollup
+// intervals pass by calling `clock.advance(ms)`:
+//
+//     const harness = createHarness({ pools: [{ tokenA: WETH, tokenB: token, reserveA, reserveB }] });
+//     await harness.start();
+//     await harness.provider.addPendingTransaction(swapTransaction({ from, path, amountIn }));
+//     await harness.service.runDetectionTick();
+//     harness.alerts(); // what reached Kafka
+//
+// Detection rounds only run when the test calls `runDetectionTick()`.
+// `stop()` throws if the schema rejected any alert, so a malformed alert fails the test
+// instead of only being logged.
+
+const os = require('os');
+const path = require('path');
+const { id, parseUnits } = require('ethers');
+const { loadConfig } = require('../config/config');
+const { UNISWAP_V2_ROUTER_ADDRESS, routerInterface } = require('../decoders/uniswap-v2');
+const { WETH_ADDRESS, sortTokens } = require('../pools/pool-state');
+const { AlertRouter } = require('../alerts/alert-router');
+const { AlertRules } = require('../alerts/alert-rules');
+const { AlertSchemaError } = require('../alerts/alert-schema');
+const { KafkaSink } = require('../alerts/sinks/kafka-sink');
+const { DetectorService } = require('../service/detector-service');
+const { FakeProvider } = require('./fake-provider');
+const { FakeRedis } = require('./fake-redis');
+const { FakeKafkaProducer } = require('./fake-kafka');
+
+// Where the clock starts (ms): any fixed time keeps runs identical.
+const START_TIME = Date.UTC(2024, 0, 1);
+
+let transactionCount = 0;
+
+/**
+ * Builds a pending type-2 transaction as ethers returns it from `getTransaction`.
+ * @param {Object} fields
+ * @param {string} fields.from
+ * @param {string} fields.to
+ * @param {string} [fields.data='0x']
+ * @param {bigint} [fields.value=0n]
+ * @param {number} [fields.nonce=0]
+ * @param {string|number} [fields.priorityFeeGwei='1'] - Tip per gas.
+ * @param {string|number} [fields.maxFeeGwei='100']
+ * @param {bigint} [fields.gasLimit=200000n]
+ * @param {number} [fields.chainId=1]
+ * @returns {Object}
+ */
+function pendingTransaction(fields) {
+    const maxFeePerGas = parseUnits(String(fields.maxFeeGwei !== undefined ? fields.maxFeeGwei : '100'), 'gwei');
+    return {
+        // Unique per transaction built, and the same for every run.
+        hash: id(`fake-transaction:${++transactionCount}`),
+        type: 2,
+        from: fields.from,
+        to: fields.to,
+        data: fields.data || '0x',
+        value: fields.value || 0n,
+        nonce: fields.nonce || 0,
+        gasLimit: fields.gasLimit || 200000n,
+        gasPrice: maxFeePerGas,
+        maxFeePerGas,
+        maxPriorityFeePerGas: parseUnits(String(fields.priorityFeeGwei !== undefined ? fields.priorityFeeGwei : '1'), 'gwei'),
+        chainId: BigInt(fields.chainId || 1),
+        blockNumber: null,
+    };
+}
+
+/**
+ * Builds a pending Uniswap V2 Router swap (exact input).
+ * @param {Object} fields - As for `pendingTransaction`, plus:
+ * @param {Array<string>} fields.path - Tokens swapped through; the ETH methods are used
+ *   when it starts or ends with `weth`.
+ * @param {bigint} fields.amountIn
+ * @param {bigint} [fields.amountOutMin=0n]
+ * @param {string} [fields.router] - The router called (Mainnet's by default).
+ * @param {string} [fields.weth] - Mainnet's WETH by default.
+ * @param {string} [fields.recipient=fields.from]
+ * @returns {Object}
+ */
+function swapTransaction(fields) {
+    const router = fields.router || UNISWAP_V2_ROUTER_ADDRESS;
+    const weth = (fields.weth || WETH_ADDRESS).toLowerCase();
+    const recipient = fields.recipient || fields.from;
+    const amountOutMin = fields.amountOutMin || 0n;
+    const deadline = 4102444800; // 2100-01-01
+    let data;
+    let value = 0n;
+    if (fields.path[0].toLowerCase() === weth) {
+        data = routerInterface.encodeFunctionData('swapExactETHForTokens', [amountOutMin, fields.path, recipient, deadline]);
+        value = fields.amountIn;
+    } else if (fields.path[fields.path.length - 1].toLowerCase() === weth) {
+        data = routerInterface.encodeFunctionData('swapExactTokensForETH', [fields.amountIn, amountOutMin, fields.path, recipient, deadline]);
+    } else {
+        data = routerInterface.encodeFunctionData('swapExactTokensForTokens', [fields.amountIn, amountOutMin, fields.path, recipient, deadline]);
+    }
+    return pendingTransaction({ ...fields, to: router, data, value });
+}
+
+/**
+ * Builds a pending Uniswap V2 Router `addLiquidity` or `removeLiquidity` call (token/token).
+ * @param {Object} fields - As for `pendingTransaction`, plus:
+ * @param {'add'|'remove'} fields.action
+ * @param {string} fields.tokenA
+ * @param {string} fields.tokenB
+ * @param {bigint} [fields.amountA=0n] - Desired deposit of `tokenA` (adds).
+ * @param {bigint} [fields.amountB=0n] - Desired deposit of `tokenB` (adds).
+ * @param {bigint} [fields.liquidity=0n] - LP tokens burned (removes).
+ * @param {string} [fields.router] - The router called (Mainnet's by default).
+ * @returns {Object}
+ */
+function liquidityTransaction(fields) {
+    const router = fields.router || UNISWAP_V2_ROUTER_ADDRESS;
+    const deadline = 4102444800; // 2100-01-01
+    const data = fields.action === 'add'
+        ? routerInterface.encodeFunctionData('addLiquidity', [
+            fields.tokenA, fields.tokenB, fields.amountA || 0n, fields.amountB || 0n, 0n, 0n, fields.from, deadline,
+        ])
+        : routerInterface.encodeFunctionData('removeLiquidity', [
+            fields.tokenA, fields.tokenB, fields.liquidity || 0n, 0n, 0n, fields.from, deadline,
+        ]);
+    return pendingTransaction({ ...fields, to: router, data });
+}
+
+/**
+ * Builds a `DetectorService` on the in-memory stand-ins.
+ * @param {Object} [options]
+ * @param {string} [options.network='mainnet'] - Network profile (src/config/networks.js);
+ *   `swapTransaction` calls Mainnet's router by default.
+ * @param {Object} [options.config] - Settings to override (see src/config/config.js).
+ * @param {Array<{tokenA: string, tokenB: string, reserveA: bigint, reserveB: bigint}>} [options.pools] -
+ *   Uniswap V2 pairs the fake node knows, at their CREATE2 address.
+ * @param {Object} [options.rules] - An alert rules config (see src/alerts/alert-rules.js).
+ * @param {Object} [options.detectors] - Stand-ins for the WASM detectors (e.g.
+ *   src/testing/fake-detectors.js).
+ * @param {import('../detection/detection-pool').DetectionPool} [options.detectionPool] - Run
+ *   the detectors on these workers instead (closed by `stop`).
+ * @param {Object<string, import('../alerts/sinks/alert-sink').AlertSink>} [options.sinks] - Sinks
+ *   besides `kafka`.
+ * @param {Object} [options.alertConfig] - Routes (and `deadLetterDir`) for the alert router.
+ * @param {function(FakeProvider): Object} [options.provider] - Builds the provider the pipeline
+ *   runs on from the fake node, e.g. a `RecordingProvider` around it, or a `ReplayProvider`
+ *   in its place (closed by `stop`).
+ * @param {boolean} [options.nodeConnection=false] - The provider built by `options.provider`
+ *   is a `ReconnectingProvider`: the service subscribes and backfills on its connections,
+ *   and `start` connects it.
+ * @param {function(): number} [options.now] - The clock of every part (ms), instead of the
+ *   manual one, e.g. a replay's.
+ * @returns {Object} `{ service, provider, redis, producer, alertRouter, clock, config, start,
+ *   stop, alerts, errors, logs }`.
+ */
+function createHarness(options = {}) {
+    const { config: defaults } = loadConfig({ argv: ['--network', options.network || 'mainnet'], env: {} });
+    const config = Object.freeze({ ...defaults, ...options.config });
+    const clock = {
+        time: START_TIME,
+        now: () => clock.time,
+        advance: (ms) => { clock.time += ms; },
+    };
+    const now = options.now || clock.now;
+    const logs = [];
+    const logger = {
+        log: (...args) => logs.push({ level: 'log', args }),
+        warn: (...args) => logs.push({ level: 'warn', args }),
+        error: (...args) => logs.push({ level: 'error', args }),
+    };
+
+    const provider = new FakeProvider({ now });
+    const pipelineProvider = options.provider ? options.provider(provider) : provider;
+    const redis = new FakeRedis({ now });
+    const producer = new FakeKafkaProducer();
+    const alertRouter = new AlertRouter({
+        deadLetterDir: path.join(os.tmpdir(), 'mev-detector-test-dead-letters'),
+        ...options.alertConfig,
+    }, {
+        sinks: { kafka: new KafkaSink('kafka', { topic: config.kafkaTopic, producer }), ...options.sinks },
+        logger,
+    });
+    const service = new DetectorService(config, {
+        provider: pipelineProvider,
+        nodeConnection: options.nodeConnection ? pipelineProvider : null,
+        redis,
+        alertRouter,
+        alertRules: new AlertRules(options.rules || {}),
+        now,
+        detectors: options.detectors,
+        detectionPool: options.detectionPool,
+        tickIntervalMs: null,
+        logger,
+    });
+    for (const { tokenA, tokenB, reserveA, reserveB } of options.pools || []) {
+        const [token0] = sortTokens(tokenA, tokenB);
+        const aIsToken0 = token0 === tokenA.toLowerCase();
+        provider.setPair(service.poolState.pairAddressFor(tokenA, tokenB), {
+            token0: aIsToken0 ? tokenA : tokenB,
+            token1: aIsToken0 ? tokenB : tokenA,
+            reserve0: String(aIsToken0 ? reserveA : reserveB),
+            reserve1: String(aIsToken0 ? reserveB : reserveA),
+        });
+    }
+
+    return {
+        service,
+        provider,
+        redis,
+        producer,
+        alertRouter,
+        clock,
+        config,
+        logs,
+        start: () => service.start(),
+        stop: async () => {
+            service.stop();
+            if (options.detectionPool) {
+                await options.detectionPool.close();
+            }
+            await alertRouter.close();
+            await pipelineProvider.destroy();
+            await redis.quit();
+            // The service only logs alerts the schema rejects; in tests they are bugs.
+            const rejected = logs.filter(entry => entry.level === 'error' && entry.args.some(arg => arg instanceof AlertSchemaError));
+            if (rejected.length > 0) {
+                throw new Error(`${rejected.length} alert(s) rejected by the schema: ${rejected[0].args.find(arg => arg instanceof AlertSchemaError).message}`);
+            }
+        },
+        /** @returns {Array<Object>} The alerts published to Kafka, in order. */
+        alerts: () => producer.sentValues(config.kafkaTopic),
+        /** @returns {Array<Array<*>>} What the service logged as errors. */
+        errors: () => logs.filter(entry => entry.level === 'error').map(entry => entry.args),
+    };
+}
+
+module.exports = {
+    START_TIME,
+    pendingTransaction,
+    swapTransaction,
+    liquidityTransaction,
+    createHarness,
+};
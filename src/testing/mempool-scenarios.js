@@ -0,0 +1,438 @@
+// src/testing/mempool-scenarios.js (Synthetic mempool clusters with ground-truth labels)
+
+// Builds clusters of engine records (see `toEngineTransaction`), like the ones the pipeline
+// hands the detectors, with MEV scenarios injected at known places. Every injected scenario
+// is labeled, so a detector's findings can be scored: which sandwiches it found, which it
+// missed, and which near misses fooled it. The scenarios:
+// - `sandwich`: an attacker's frontrun, a victim's swap in the same direction on the same
+//   pair, then the attacker's backrun in the other direction (next nonce, lower tip).
+// - `multi_attacker`: two attackers sandwiching the same victim, one inside the other.
+// - `other_pool`: one sender trades before and after the victim, but on another pair.
+// - `wrong_order`: one sender trades before and after the victim on its pair, first against
+//   the victim's direction and then with it, which can only lose money.
+// - `low_slippage`: one sender trades through the victim's router before and after it, on
+//   another pair, around a victim that allows at most 0.5% slippage: the shape the router
+//   rule looks for, with too little slippage to sandwich.
+// Only `sandwich` and `multi_attacker` are sandwiches. Each scenario is one contiguous run
+// of transactions; the rest of a cluster is benign traffic from one-off senders (plain
+// transfers, and swaps on random pairs).
+//
+// Given a `seed`, a generator makes the same clusters every time, hashes and addresses
+// included, so their scores can be asserted exactly.
+
+const crypto = require('crypto');
+const { UNISWAP_V2_ROUTER_ADDRESS, routerInterface } = require('../decoders/uniswap-v2');
+const { WETH_ADDRESS } = require('../pools/pool-state');
+const { scoreFindings } = require('../backtest/report');
+
+// Whether each scenario is a real sandwich.
+const SCENARIOS = Object.freeze({
+    sandwich: true,
+    multi_attacker: true,
+    other_pool: false,
+    wrong_order: false,
+    low_slippage: false,
+});
+
+// Scenarios injected per cluster, on average.
+const DEFAULT_MIX = Object.freeze({ sandwich: 0.1, multi_attacker: 0.02, other_pool: 0.03, wrong_order: 0.03, low_slippage: 0.03 });
+
+const BASE_FEE_GWEI = 10;
+// Slippage a victim allows: what makes it worth sandwiching, and what does not.
+const VICTIM_SLIPPAGE = [0.02, 0.1];
+const LOW_SLIPPAGE = [0.001, 0.005];
+const BENIGN_SLIPPAGE = [0.001, 0.05];
+const DEADLINE_SECS = 20 * 60;
+const SWAP_SELECTOR = routerInterface.getFunction('swapExactTokensForTokens').selector;
+
+// Amounts are built from numbers directly, which is cheaper than parsing decimal strings.
+const GWEI = 1000000000;
+const MICRO_ETHER = 1000000000000n;
+
+/**
+ * A seeded pseudo-random number generator (mulberry32).
+ * @param {number} seed - Taken as a 32-bit integer.
+ * @returns {function(): number} Numbers in [0, 1), like `Math.random`.
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random bytes from a pool refilled in bulk, not from one system call (or one call of a
+ * seeded generator) per hash.
+ */
+class RandomBytes {
+    /**
+     * @param {number|null} seed - `null` for the system's random bytes.
+     */
+    constructor(seed) {
+        this.pool = Buffer.alloc(64 * 1024);
+        this.offset = this.pool.length;
+        if (seed === null) {
+            this.fill = () => crypto.randomFillSync(this.pool);
+        } else {
+            const random = seededRandom(seed);
+            this.fill = () => {
+                for (let i = 0; i < this.pool.length; i += 4) {
+                    this.pool.writeUInt32LE(Math.floor(random() * 4294967296), i);
+                }
+            };
+        }
+    }
+
+    /**
+     * @param {number} length - In bytes.
+     * @returns {string} Random bytes, hex-encoded.
+     */
+    hex(length) {
+        if (this.offset + length > this.pool.length) {
+            this.fill();
+            this.offset = 0;
+        }
+        this.offset += length;
+        return `0x${this.pool.toString('hex', this.offset - length, this.offset)}`;
+    }
+}
+
+/**
+ * ABI-encodes a `swapExactTokensForTokens` call over two tokens. Same calldata as
+ * `routerInterface.encodeFunctionData`, which spends most of a load test's generation time
+ * checksumming the addresses.
+ * @param {bigint} amountIn
+ * @param {bigint} amountOutMin
+ * @param {[string, string]} path - Lowercase.
+ * @param {string} to - Lowercase.
+ * @param {number} deadline
+ * @returns {string}
+ */
+function encodeSwap(amountIn, amountOutMin, path, to, deadline) {
+    const word = value => value.toString(16).padStart(64, '0');
+    const address = value => value.slice(2).padStart(64, '0');
+    // The path array is the tail, after the five head words.
+    return SWAP_SELECTOR + word(amountIn) + word(amountOutMin) + word(5 * 32) + address(to) + word(deadline)
+        + word(path.length) + path.map(address).join('');
+}
+
+/**
+ * Parses `scenario=rate` entries (the `loadTestMix` setting).
+ * @param {Array<string>} entries
+ * @returns {Object<string, number>} Scenarios injected per cluster, on average.
+ * @throws {Error} If a scenario is unknown or a rate is not a number >= 0.
+ */
+function parseMix(entries) {
+    const mix = {};
+    for (const entry of entries) {
+        const [name, rate] = entry.split('=');
+        if (SCENARIOS[name] === undefined || !(Number(rate) >= 0)) {
+            throw new Error(`Invalid scenario rate "${entry}": expected <scenario>=<rate>, the scenario one of ${Object.keys(SCENARIOS).join(', ')}`);
+        }
+        mix[name] = Number(rate);
+    }
+    return mix;
+}
+
+class ScenarioGenerator {
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, number>} [options.mix=DEFAULT_MIX] - Scenarios injected per
+     *   cluster, on average (see `parseMix`).
+     * @param {number} [options.attackers=4] - Attackers the sandwiches are shared between; each
+     *   keeps its nonce across clusters.
+     * @param {number} [options.swapShare=0.05] - Share of the benign traffic that is swaps.
+     * @param {number} [options.tokens=8] - Tokens traded, WETH included (at least 4).
+     * @param {string} [options.routerAddress] - The router every swap calls; Mainnet's by default.
+     * @param {string} [options.wethAddress] - Mainnet's by default.
+     * @param {number} [options.seed] - Makes the clusters reproducible. Unseeded by default.
+     * @param {function(): number} [options.random] - Math.random unless seeded.
+     * @param {function(): number} [options.now=Date.now]
+     */
+    constructor(options = {}) {
+        this.mix = options.mix !== undefined ? options.mix : DEFAULT_MIX;
+        this.swapShare = options.swapShare !== undefined ? options.swapShare : 0.05;
+        this.routerAddress = options.routerAddress || UNISWAP_V2_ROUTER_ADDRESS;
+        this.wethAddress = (options.wethAddress || WETH_ADDRESS).toLowerCase();
+        const seeded = options.seed !== undefined;
+        this.random = options.random || (seeded ? seededRandom(options.seed) : Math.random);
+        // Hashes and addresses come from a stream of their own, derived from the seed.
+        this.bytes = new RandomBytes(seeded ? options.seed ^ 0x5eed : null);
+        this.now = options.now || Date.now;
+        const tokenCount = options.tokens !== undefined ? options.tokens : 8;
+        this.tokens = [this.wethAddress].concat(Array.from({ length: tokenCount - 1 }, () => this.randomAddress()));
+        this.attackers = Array.from({ length: options.attackers !== undefined ? options.attackers : 4 }, () => ({ address: this.randomAddress(), nonce: 0 }));
+        // Benign swaps generated so far, the population the false positives come from.
+        this.benignSwaps = 0;
+    }
+
+    /**
+     * Generates a cluster.
+     * @param {number} size - Transactions in it; injected scenarios take their share.
+     * @returns {{transactions: Array<Object>, labels: Array<Object>}} The engine records, and
+     *   one label per scenario injected: `{ scenario, sandwich, victim_hash, attackers,
+     *   hashes }`, `hashes` being the scenario's transactions in order.
+     */
+    generateBatch(size) {
+        const timestamp = Math.floor(this.now() / 1000);
+        const runs = [];
+        for (const [scenario, rate] of Object.entries(this.mix)) {
+            const count = Math.floor(rate) + (this.random() < rate % 1 ? 1 : 0);
+            for (let i = 0; i < count; i++) {
+                runs.push(this.scenario(scenario, timestamp));
+            }
+        }
+        const injected = runs.reduce((total, run) => total + run.transactions.length, 0);
+        const transactions = [];
+        while (transactions.length < size - injected) {
+            transactions.push(this.benign(timestamp));
+        }
+        // Each run goes in at a random place, in one piece: the detectors order a cluster by
+        // timestamp and then by position, and all of it is stamped with the same second.
+        for (const run of runs) {
+            transactions.splice(Math.floor(this.random() * (transactions.length + 1)), 0, ...run.transactions);
+        }
+        return { transactions, labels: runs.map(run => run.label) };
+    }
+
+    /**
+     * Builds one scenario's transactions and label.
+     * @param {string} scenario
+     * @param {number} timestamp
+     * @returns {{transactions: Array<Object>, label: Object}}
+     */
+    scenario(scenario, timestamp) {
+        const [tokenIn, tokenOut] = this.pair();
+        const lowSlippage = scenario === 'low_slippage';
+        const victim = this.swap({ tokenIn, tokenOut, slippage: this.between(lowSlippage ? LOW_SLIPPAGE : VICTIM_SLIPPAGE), timestamp });
+        const attackers = this.pickAttackers(scenario === 'multi_attacker' ? 2 : 1);
+
+        let transactions;
+        if (scenario === 'sandwich' || scenario === 'multi_attacker') {
+            // Attackers nest: the first one in frontruns first and backruns last.
+            const frontruns = attackers.map((attacker, i) => this.attackerSwap(attacker, tokenIn, tokenOut, 8 - i, timestamp));
+            const backruns = attackers.map(attacker => this.attackerSwap(attacker, tokenOut, tokenIn, 1, timestamp)).reverse();
+            transactions = frontruns.concat([victim], backruns);
+        } else if (scenario === 'other_pool' || lowSlippage) {
+            const [otherIn, otherOut] = this.pair([tokenIn, tokenOut]);
+            transactions = [
+                this.attackerSwap(attackers[0], otherIn, otherOut, 8, timestamp),
+                victim,
+                this.attackerSwap(attackers[0], otherOut, otherIn, 1, timestamp),
+            ];
+        } else {
+            transactions = [
+                this.attackerSwap(attackers[0], tokenOut, tokenIn, 8, timestamp),
+                victim,
+                this.attackerSwap(attackers[0], tokenIn, tokenOut, 1, timestamp),
+            ];
+        }
+        return {
+            transactions,
+            label: {
+                scenario,
+                sandwich: SCENARIOS[scenario],
+                victim_hash: victim.hash,
+                attackers: attackers.map(attacker => attacker.address),
+                hashes: transactions.map(tx => tx.hash),
+            },
+        };
+    }
+
+    /**
+     * A benign transaction: a swap on a random pair, or a plain transfer.
+     * @param {number} timestamp
+     * @returns {Object}
+     */
+    benign(timestamp) {
+        if (this.random() < this.swapShare) {
+            this.benignSwaps++;
+            const [tokenIn, tokenOut] = this.pair();
+            return this.swap({ tokenIn, tokenOut, slippage: this.between(BENIGN_SLIPPAGE), timestamp });
+        }
+        return this.record({
+            from: this.randomAddress(), to: this.randomAddress(), value: BigInt(Math.floor(this.random() * 1e6)) * MICRO_ETHER,
+            priorityFeeGwei: 1 + this.random(), gasLimit: 21000n, timestamp,
+        });
+    }
+
+    /**
+     * A swap by an attacker, at its next nonce.
+     * @param {{address: string, nonce: number}} attacker
+     * @param {string} tokenIn
+     * @param {string} tokenOut
+     * @param {number} priorityFeeGwei
+     * @param {number} timestamp
+     * @returns {Object}
+     */
+    attackerSwap(attacker, tokenIn, tokenOut, priorityFeeGwei, timestamp) {
+        // Bots accept any output: they revert on their own terms.
+        return this.swap({ from: attacker.address, nonce: attacker.nonce++, tokenIn, tokenOut, slippage: 1, priorityFeeGwei, timestamp });
+    }
+
+    /**
+     * A decoded single-hop router swap.
+     * @param {Object} fields
+     * @param {string} [fields.from] - A one-off sender by default.
+     * @param {number} [fields.nonce]
+     * @param {string} fields.tokenIn
+     * @param {string} fields.tokenOut
+     * @param {number} fields.slippage - Share of the input's value the output may fall short by.
+     * @param {number} [fields.priorityFeeGwei] - 1 to 3 gwei by default.
+     * @param {number} fields.timestamp
+     * @returns {Object}
+     */
+    swap(fields) {
+        const from = fields.from || this.randomAddress();
+        const amountIn = BigInt(Math.floor((0.01 + this.random() * 20) * 1e6)) * MICRO_ETHER;
+        // Synthetic tokens trade one for one, less the slippage allowed.
+        const amountOutMin = (amountIn * BigInt(Math.round((1 - fields.slippage) * 1e6))) / 1000000n;
+        const path = [fields.tokenIn, fields.tokenOut];
+        const deadline = fields.timestamp + DEADLINE_SECS;
+        return {
+            ...this.record({
+                from,
+                nonce: fields.nonce,
+                to: this.routerAddress,
+                input: encodeSwap(amountIn, amountOutMin, path, from, deadline),
+                priorityFeeGwei: fields.priorityFeeGwei !== undefined ? fields.priorityFeeGwei : 1 + this.random() * 2,
+                gasLimit: 200000n,
+                timestamp: fields.timestamp,
+            }),
+            slippage_tolerance: fields.slippage,
+            is_uniswap_swap: true,
+            decode_status: 'swap',
+            token_in: fields.tokenIn,
+            token_out: fields.tokenOut,
+            amount_in: amountIn.toString(),
+            amount_out_min: amountOutMin.toString(),
+            path,
+            recipient: from,
+            deadline,
+        };
+    }
+
+    /**
+     * An engine record of a pending EIP-1559 transaction that is not a router call.
+     * @param {Object} fields
+     * @returns {Object}
+     */
+    record({ from, nonce, to, value = 0n, input = '0x', priorityFeeGwei, gasLimit, timestamp }) {
+        const priorityFee = BigInt(Math.round(priorityFeeGwei * GWEI));
+        const maxFee = BigInt(2 * BASE_FEE_GWEI * GWEI) + priorityFee;
+        return {
+            hash: this.bytes.hex(32),
+            from,
+            to,
+            value: value.toString(),
+            gas_price: maxFee.toString(),
+            gas_limit: gasLimit.toString(),
+            input,
+            timestamp,
+            block_number: 0,
+            sender: from,
+            slippage_tolerance: null,
+            is_uniswap_swap: false,
+            decode_status: 'not_router',
+            token_in: null,
+            token_out: null,
+            amount_in: null,
+            amount_out_min: null,
+            path: null,
+            recipient: null,
+            deadline: null,
+            liquidity: null,
+            tx_type: 2,
+            max_fee_per_gas: maxFee.toString(),
+            max_priority_fee_per_gas: priorityFee.toString(),
+            effective_priority_fee: priorityFee.toString(),
+            nonce: nonce !== undefined ? nonce : Math.floor(this.random() * 1000),
+        };
+    }
+
+    /**
+     * @returns {string} A random address, lowercase.
+     */
+    randomAddress() {
+        return this.bytes.hex(20);
+    }
+
+    /**
+     * Two distinct tokens, in trading order.
+     * @param {Array<string>} [avoid] - A pair not to return (either way round).
+     * @returns {[string, string]}
+     */
+    pair(avoid) {
+        for (;;) {
+            const tokenIn = this.tokens[Math.floor(this.random() * this.tokens.length)];
+            const tokenOut = this.tokens[Math.floor(this.random() * this.tokens.length)];
+            if (tokenIn !== tokenOut && !(avoid && avoid.includes(tokenIn) && avoid.includes(tokenOut))) {
+                return [tokenIn, tokenOut];
+            }
+        }
+    }
+
+    /**
+     * Distinct attackers, at random.
+     * @param {number} count
+     * @returns {Array<{address: string, nonce: number}>}
+     */
+    pickAttackers(count) {
+        const start = Math.floor(this.random() * this.attackers.length);
+        return Array.from({ length: Math.min(count, this.attackers.length) }, (_, i) => this.attackers[(start + i) % this.attackers.length]);
+    }
+
+    /**
+     * @param {[number, number]} range
+     * @returns {number} A number in the range, at random.
+     */
+    between([min, max]) {
+        return min + this.random() * (max - min);
+    }
+}
+
+/**
+ * Scores sandwich findings against the labels of the scenarios injected, per victim (as
+ * `scoreFindings` scores a backtest), and counts which scenarios the flagged victims were in.
+ * @param {Array<Object>} findings - Sandwich findings (`victim_hash` is all that is read).
+ * @param {Array<Object>} labels - From `generateBatch`, every cluster's.
+ * @param {number} benignSwaps - Benign swaps generated (the generator's `benignSwaps`).
+ * @returns {Object} `scoreFindings`'s score (without `missed`), and `scenarios`: per scenario,
+ *   how many victims were injected and how many of them were flagged. `benign` counts the
+ *   benign swaps, and `attacker_legs` the attackers' own swaps flagged as victims.
+ */
+function scoreScenarios(findings, labels, benignSwaps) {
+    const truth = labels
+        .filter(label => label.sandwich)
+        .map(label => ({ block_number: null, victim_hash: label.victim_hash.toLowerCase() }));
+    const sandwichFindings = findings.map(finding => ({ type: 'sandwich', victim_hash: finding.victim_hash }));
+    const { missed, ...score } = scoreFindings(sandwichFindings, truth, { firstBlock: null, lastBlock: null });
+
+    const scenarios = { benign: { injected: benignSwaps, flagged: 0 }, attacker_legs: { injected: null, flagged: 0 } };
+    // Map<hash, scenario name, or `attacker_legs`>
+    const injectedBy = new Map();
+    for (const label of labels) {
+        scenarios[label.scenario] = scenarios[label.scenario] || { injected: 0, flagged: 0 };
+        scenarios[label.scenario].injected++;
+        for (const hash of label.hashes) {
+            injectedBy.set(hash.toLowerCase(), hash === label.victim_hash ? label.scenario : 'attacker_legs');
+        }
+    }
+    const flagged = new Set(sandwichFindings.map(finding => finding.victim_hash.toLowerCase()));
+    for (const victim of flagged) {
+        scenarios[injectedBy.get(victim) || 'benign'].flagged++;
+    }
+    return { ...score, scenarios };
+}
+
+module.exports = {
+    SCENARIOS,
+    DEFAULT_MIX,
+    parseMix,
+    ScenarioGenerator,
+    scoreScenarios,
+};
@@ -0,0 +1,247 @@
+// test/alert-rules.test.js (Alert rules: matching, suppression and escalation, validation and hot reload)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEther } = require('ethers');
+const { AlertRules, compileRules } = require('../src/alerts/alert-rules');
+const { AlertSink } = require('../src/alerts/sinks/alert-sink');
+const { createHarness, swapTransaction } = require('../src/testing/harness');
+const detectors = require('../src/testing/fake-detectors');
+const { WETH_ADDRESS } = require('../src/pools/pool-state');
+const { metrics } = require('../src/metrics/metrics');
+
+const ATTACKER = `0x${'a1'.repeat(20)}`;
+const OTHER_ATTACKER = `0x${'a2'.repeat(20)}`;
+const VICTIM = `0x${'b1'.repeat(20)}`;
+const OTHER_VICTIM = `0x${'b2'.repeat(20)}`;
+const TOKEN = `0x${'7a'.repeat(20)}`;
+const POOL = `0x${'90'.repeat(20)}`;
+const ALERT = { type: 'sandwich', status: 'suspected', attacker: ATTACKER, profit_eth: 0.01 };
+const POOLS = [{ tokenA: WETH_ADDRESS, tokenB: TOKEN, reserveA: parseEther('1000'), reserveB: parseEther('2000000') }];
+
+/** A sink keeping what it is sent. */
+class RecordingSink extends AlertSink {
+    constructor(name) {
+        super(name);
+        this.alerts = [];
+    }
+
+    async send(alert) {
+        this.alerts.push(alert);
+    }
+}
+
+test('a suppressed alert is not published, unless an escalating rule applies too', () => {
+    const rules = new AlertRules({
+        defaultSeverity: 'low',
+        rules: [
+            { name: 'small', action: 'suppress', below: { profit_eth: 0.05 } },
+            { name: 'known-bot', action: 'escalate', addresses: [OTHER_ATTACKER], tags: ['known-bot'] },
+            { name: 'any', action: 'tag', severity: 'medium', tags: ['seen', 'known-bot'] },
+        ],
+    });
+
+    const small = { ...ALERT };
+    assert.equal(rules.apply(small), false);
+    assert.equal(small.severity, 'medium');
+    assert.deepEqual(small.tags, ['seen', 'known-bot']);
+    assert.deepEqual(small.rules, { matched: ['small', 'any'], suppressed_by: 'small', escalated_by: null });
+
+    // Escalation wins, and raises the severity to at least high.
+    const escalated = { ...ALERT, attacker: OTHER_ATTACKER };
+    assert.equal(rules.apply(escalated), true);
+    assert.equal(escalated.severity, 'high');
+    assert.deepEqual(escalated.tags, ['known-bot', 'seen']);
+    assert.deepEqual(escalated.rules, { matched: ['small', 'known-bot', 'any'], suppressed_by: null, escalated_by: 'known-bot' });
+});
+
+test('thresholds never apply to an unknown value', () => {
+    const rules = new AlertRules({
+        rules: [
+            { name: 'small', action: 'suppress', below: { profit_eth: 0.05 } },
+            { name: 'large', action: 'tag', atLeast: { profit_eth: 0 }, tags: ['large'] },
+        ],
+    });
+    for (const profit of [null, undefined, '0.01']) {
+        assert.deepEqual(rules.evaluate({ ...ALERT, profit_eth: profit }).matched, [], String(profit));
+    }
+    assert.deepEqual(rules.evaluate({ ...ALERT, profit_eth: 0 }).matched, ['small', 'large']);
+    assert.deepEqual(rules.evaluate({ ...ALERT, profit_eth: 0.05 }).matched, ['large']);
+});
+
+test('token, pool and address conditions compare addresses in any case', () => {
+    const rules = new AlertRules({
+        rules: [
+            { name: 'token-min-victim', action: 'suppress', tokens: [TOKEN.toUpperCase().replace('0X', '0x')], below: { victim_amount_eth: 1 } },
+            { name: 'pool', action: 'tag', match: { pool: [POOL.toUpperCase().replace('0X', '0x')], status: 'suspected' }, tags: ['pool'] },
+            { name: 'watched', action: 'tag', addresses: [VICTIM.toUpperCase().replace('0X', '0x')], tags: ['watched'] },
+        ],
+    });
+    const matched = alert => rules.evaluate({ ...ALERT, ...alert }).matched;
+
+    assert.deepEqual(matched({ tokens: [WETH_ADDRESS, TOKEN], victim_amount_eth: 0.5 }), ['token-min-victim']);
+    assert.deepEqual(matched({ tokens: [WETH_ADDRESS, TOKEN], victim_amount_eth: 2 }), []);
+    assert.deepEqual(matched({ tokens: [WETH_ADDRESS], victim_amount_eth: 0.5 }), []);
+    assert.deepEqual(matched({ tokens: null, victim_amount_eth: 0.5 }), []);
+
+    assert.deepEqual(matched({ pool: POOL }), ['pool']);
+    assert.deepEqual(matched({ pool: POOL, status: 'confirmed' }), []);
+    assert.deepEqual(matched({ pool: `${POOL.slice(0, -1)}1` }), []);
+
+    // Any of the attacker, victim, router or target.
+    for (const field of ['victim', 'router', 'target']) {
+        assert.deepEqual(matched({ [field]: VICTIM }), ['watched'], field);
+    }
+    assert.deepEqual(matched({ from: VICTIM }), []);
+});
+
+test('invalid rules are rejected with the rule they are in', () => {
+    for (const [config, message] of [
+        [{ rules: [{ name: 'a', action: 'tag' }, { name: 'a', action: 'suppress' }] }, /more than one rule is named "a"/],
+        [{ rules: [{ name: 'short', action: 'suppress', addresses: ['0x1234'] }] }, /Alert rule "short": "addresses" must be a list of addresses/],
+        [{ rules: [{ name: 'string', action: 'suppress', addresses: ATTACKER }] }, /Alert rule "string": "addresses" must be a list of addresses/],
+        [{ rules: [{ name: 'tokens', action: 'suppress', tokens: [`${TOKEN}00`] }] }, /Alert rule "tokens": "tokens" must be a list of addresses/],
+        [{ rules: [{ name: 'limit', action: 'suppress', below: { profit_eth: '0.05' } }] }, /Alert rule "limit": below.profit_eth must be a number/],
+        [{ rules: [{ name: 'match', action: 'tag', match: ['pool'] }] }, /Alert rule "match": "match" must be an object/],
+        [{ rules: [{ name: 'level', action: 'tag', severity: 'urgent' }] }, /Alert rule "level": unknown severity "urgent"/],
+        [{ rules: [{ action: 'tag' }] }, /Alert rule #1 needs a "name"/],
+        [{ auditSinks: 'archive' }, /"auditSinks" must be a list/],
+    ]) {
+        assert.throws(() => compileRules(config), message);
+    }
+});
+
+test('a suppressed alert reaches only the audit sinks, and both outcomes are counted by rule', async (t) => {
+    const counted = async (metric, rule) => {
+        const { values } = await metric.get();
+        const series = values.find(({ labels }) => labels.rule === rule);
+        return series ? series.value : 0;
+    };
+    const suppressed = await counted(metrics.alertsSuppressed, 'own-bot');
+    const escalated = await counted(metrics.alertsEscalated, 'known-bot');
+    const audit = new RecordingSink('audit');
+    const harness = createHarness({
+        pools: POOLS,
+        detectors,
+        sinks: { audit },
+        alertConfig: { routes: [{ sinks: ['kafka'] }] },
+        rules: {
+            auditSinks: ['audit'],
+            rules: [
+                { name: 'own-bot', action: 'suppress', addresses: [ATTACKER] },
+                { name: 'known-bot', action: 'escalate', addresses: [OTHER_ATTACKER] },
+            ],
+        },
+    });
+    await harness.start();
+    t.after(() => harness.stop());
+
+    for (const [attacker, victim] of [[ATTACKER, VICTIM], [OTHER_ATTACKER, OTHER_VICTIM]]) {
+        const legs = [
+            swapTransaction({ from: attacker, nonce: 0, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('20'), priorityFeeGwei: 5 }),
+            swapTransaction({ from: victim, nonce: 0, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('10'), amountOutMin: parseEther('18000'), priorityFeeGwei: 1 }),
+            swapTransaction({ from: attacker, nonce: 1, path: [TOKEN, WETH_ADDRESS], amountIn: parseEther('39000'), priorityFeeGwei: 1 }),
+        ];
+        for (const tx of legs) {
+            await harness.provider.addPendingTransaction(tx);
+        }
+    }
+    await harness.service.runDetectionTick();
+
+    assert.deepEqual(harness.alerts().map(alert => [alert.attacker, alert.severity, alert.rules.escalated_by]), [[OTHER_ATTACKER, 'high', 'known-bot']]);
+    assert.deepEqual(audit.alerts.map(alert => [alert.attacker, alert.rules.suppressed_by]), [[ATTACKER, 'own-bot']]);
+    assert.equal(await counted(metrics.alertsSuppressed, 'own-bot'), suppressed + 1);
+    assert.equal(await counted(metrics.alertsEscalated, 'known-bot'), escalated + 1);
+});
+
+/**
+ * Waits for the next `name` event. The watcher does not keep the process alive, so the
+ * timeout does.
+ * @returns {Promise<Array>} The event's arguments.
+ */
+async function nextEvent(emitter, name, timeoutMs = 5000) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out waiting for "${name}".`)), timeoutMs);
+    });
+    try {
+        return await Promise.race([once(emitter, name), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Watches a temporary rules file; `rewrite` replaces its contents and moves its mtime on,
+ * so each rewrite is seen however coarse the file system's timestamps are. The new file is
+ * renamed into place, so the watcher never sees it half written or with its old mtime.
+ */
+function watchedRules(t, config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mev-alert-rules-'));
+    const filePath = path.join(dir, 'rules.json');
+    let mtime = Math.floor(Date.now() / 1000);
+    const rewrite = (contents) => {
+        const staged = `${filePath}.new`;
+        fs.writeFileSync(staged, typeof contents === 'string' ? contents : JSON.stringify(contents));
+        mtime += 10;
+        fs.utimesSync(staged, mtime, mtime);
+        fs.renameSync(staged, filePath);
+    };
+    rewrite(config);
+    const rules = AlertRules.watchFile(filePath, { intervalMs: 10 });
+    t.after(() => {
+        rules.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { rules, rewrite };
+}
+
+test('a rewritten rules file is reloaded, and an invalid one leaves the previous rules in force', async (t) => {
+    const { rules, rewrite } = watchedRules(t, { rules: [{ name: 'own-bot', action: 'suppress', addresses: [ATTACKER] }] });
+    assert.equal(rules.evaluate(ALERT).suppressed_by, 'own-bot');
+
+    const escalating = {
+        defaultSeverity: 'medium',
+        auditSinks: ['archive'],
+        rules: [
+            { name: 'known-bot', action: 'escalate', addresses: [ATTACKER], severity: 'critical', tags: ['known-bot'] },
+            { name: 'small', action: 'suppress', below: { profit_eth: 0.05 } },
+        ],
+    };
+    const reloaded = nextEvent(rules, 'reload');
+    rewrite(escalating);
+    assert.deepEqual(await reloaded, [{ rules: 2 }]);
+    const expected = {
+        severity: 'critical',
+        tags: ['known-bot'],
+        matched: ['known-bot', 'small'],
+        suppressed_by: null,
+        escalated_by: 'known-bot',
+    };
+    assert.deepEqual(rules.evaluate(ALERT), expected);
+    assert.deepEqual(rules.auditSinks, ['archive']);
+
+    for (const [invalid, message] of [
+        ['{"rules": [', /JSON/],
+        [{ rules: [{ name: 'typo', action: 'supress' }] }, /Alert rule "typo": unknown action "supress"/],
+        [{ defaultSeverity: 'urgent' }, /unknown defaultSeverity "urgent"/],
+    ]) {
+        const rejected = nextEvent(rules, 'reload-error');
+        rewrite(invalid);
+        const [error] = await rejected;
+        assert.match(error.message, message);
+        assert.deepEqual(rules.evaluate(ALERT), expected);
+        assert.equal(rules.defaultSeverity, 'medium');
+        assert.deepEqual(rules.auditSinks, ['archive']);
+    }
+
+    // Fixing the file brings its rules in.
+    const fixed = nextEvent(rules, 'reload');
+    rewrite({ rules: [] });
+    assert.deepEqual(await fixed, [{ rules: 0 }]);
+    assert.deepEqual(rules.evaluate(ALERT), { severity: 'low', tags: [], matched: [], suppressed_by: null, escalated_by: null });
+});
@@ -0,0 +1,111 @@
+// test/alert-sinks.test.js (Routing, webhook delivery, retries and sink failures through the alert router)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { getAddress, parseEther } = require('ethers');
+const { createHarness, swapTransaction } = require('../src/testing/harness');
+const detectors = require('../src/testing/fake-detectors');
+const { AlertRouter } = require('../src/alerts/alert-router');
+const { AlertSink } = require('../src/alerts/sinks/alert-sink');
+const { WebhookSink, signPayload } = require('../src/alerts/sinks/webhook-sink');
+const { WETH_ADDRESS } = require('../src/pools/pool-state');
+
+const TOKEN = `0x${'7a'.repeat(20)}`;
+const ATTACKER = `0x${'a1'.repeat(20)}`;
+const VICTIM = `0x${'b1'.repeat(20)}`;
+const POOLS = [{ tokenA: WETH_ADDRESS, tokenB: TOKEN, reserveA: parseEther('1000'), reserveB: parseEther('2000000') }];
+
+/**
+ * Starts a webhook receiver answering each request with the next status of `statuses`
+ * (200 once they run out), with a body the sink has to release.
+ * @returns {Promise<{url: string, requests: Array<Object>, close: function(): Promise<void>}>}
+ */
+async function startReceiver(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            const status = requests.length <= statuses.length ? statuses[requests.length - 1] : 200;
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end('x'.repeat(64 * 1024));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/alerts`,
+        requests,
+        close: () => new Promise((resolve) => {
+            server.close(resolve);
+            server.closeAllConnections();
+        }),
+    };
+}
+
+/** Runs a harness whose alerts also go to `webhook`, and publishes one sandwich alert. */
+async function publishSandwich(t, webhook) {
+    const deadLetterDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mev-alert-sinks-'));
+    t.after(() => fs.rmSync(deadLetterDir, { recursive: true, force: true }));
+    const harness = createHarness({ pools: POOLS, detectors, sinks: { webhook }, alertConfig: { deadLetterDir } });
+    await harness.start();
+    t.after(() => harness.stop());
+
+    await harness.provider.addPendingTransaction(swapTransaction({ from: ATTACKER, nonce: 0, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('20'), priorityFeeGwei: 5 }));
+    await harness.provider.addPendingTransaction(swapTransaction({
+        from: VICTIM, nonce: 0, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('10'), amountOutMin: parseEther('18000'), priorityFeeGwei: 1,
+    }));
+    await harness.provider.addPendingTransaction(swapTransaction({ from: ATTACKER, nonce: 1, path: [TOKEN, WETH_ADDRESS], amountIn: parseEther('39000'), priorityFeeGwei: 1 }));
+    await harness.service.runDetectionTick();
+    return { harness, deadLetterDir };
+}
+
+test('routes match alert fields in any case, so checksummed addresses route lowercased alerts', () => {
+    const checksummed = getAddress(ATTACKER);
+    assert.notEqual(checksummed, ATTACKER);
+    const router = new AlertRouter({
+        routes: [
+            { match: { attacker: [checksummed] }, sinks: ['ops'] },
+            { match: { pool: checksummed, status: ['CONFIRMED'] }, sinks: ['archive'] },
+            { match: { tags: ['Page'] }, sinks: ['pager'] },
+        ],
+    }, { sinks: { ops: new AlertSink('ops'), archive: new AlertSink('archive'), pager: new AlertSink('pager') } });
+
+    assert.deepEqual(router.sinksFor({ attacker: ATTACKER, pool: ATTACKER, status: 'confirmed', tags: ['page'] }), ['ops', 'archive', 'pager']);
+    assert.deepEqual(router.sinksFor({ attacker: VICTIM, pool: ATTACKER, status: 'suspected', tags: [] }), []);
+});
+
+test('a webhook answering 5xx is retried until it accepts the signed alert', async (t) => {
+    const receiver = await startReceiver([503, 502]);
+    t.after(() => receiver.close());
+    const webhook = new WebhookSink('webhook', { url: receiver.url, secret: 's3cret', retryDelayMs: 1 });
+    const { harness } = await publishSandwich(t, webhook);
+
+    assert.deepEqual(harness.errors(), []);
+    assert.equal(receiver.requests.length, 3);
+    const [alert] = harness.alerts();
+    const last = receiver.requests[2];
+    assert.deepEqual(JSON.parse(last.body), alert);
+    assert.equal(last.headers['x-mev-alert-type'], 'sandwich');
+    assert.equal(last.headers['x-mev-signature'], signPayload('s3cret', last.headers['x-mev-timestamp'], last.body));
+});
+
+test('a failing webhook is logged through the router logger and its alert dead-lettered', async (t) => {
+    const receiver = await startReceiver([400]);
+    t.after(() => receiver.close());
+    const webhook = new WebhookSink('webhook', { url: receiver.url, retryDelayMs: 1 });
+    const { harness, deadLetterDir } = await publishSandwich(t, webhook);
+
+    // 4xx responses are not retried; the other sinks still get the alert.
+    assert.equal(receiver.requests.length, 1);
+    assert.equal(harness.alerts().length, 1);
+    assert.equal(harness.errors().length, 1);
+    assert.match(harness.errors()[0][0], /Alert sink "webhook" failed to deliver an alert: .* responded 400/);
+    const [record] = fs.readFileSync(path.join(deadLetterDir, 'webhook.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(record.sink, 'webhook');
+    assert.deepEqual(record.alert, harness.alerts()[0]);
+});
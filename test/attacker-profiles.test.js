@@ -0,0 +1,147 @@
+// test/attacker-profiles.test.js (Attacker reputation: history scoring, classification and bounded sets)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Interface } = require('ethers');
+const { FakeRedis } = require('../src/testing/fake-redis');
+const { HISTORY_SATURATION, scoreConfidence, profileSummary, AttackerProfileStore } = require('../src/reputation/attacker-profiles');
+
+const ATTACKER = `0x${'a1'.repeat(20)}`;
+const OWNER = `0x${'0e'.repeat(20)}`;
+const POOL = `0x${'90'.repeat(20)}`;
+const ownable = new Interface(['function owner() view returns (address)']);
+
+/** A `suspected` alert by ATTACKER on `victim`. */
+const suspected = (victim, fields = {}) => ({
+    status: 'suspected', attacker: ATTACKER, victim, pool: POOL, profit_eth: 0.1, timestamp: 1700000000, ...fields,
+});
+
+const victimAddress = i => `0x${i.toString(16).padStart(40, 'b')}`;
+
+/**
+ * A provider answering `getCode` and `owner()` for ATTACKER, counting the calls.
+ * @param {Object} node
+ * @param {string|Error} node.code - What `getCode` returns (or throws).
+ * @param {string|Error} [node.owner] - `owner()` result (or what it throws).
+ */
+function fakeChain({ code, owner = new Error('execution reverted') }) {
+    const calls = { getCode: 0, call: 0 };
+    return {
+        calls,
+        getCode: async () => {
+            calls.getCode++;
+            if (code instanceof Error) throw code;
+            return code;
+        },
+        call: async () => {
+            calls.call++;
+            if (owner instanceof Error) throw owner;
+            return ownable.encodeFunctionResult('owner', [owner]);
+        },
+    };
+}
+
+test('history raises a detection\'s confidence on a log curve that saturates', () => {
+    const profile = (attacks, fields = {}) => ({ attack_count: attacks, retracted_count: 0, is_contract: false, ...fields });
+    assert.equal(scoreConfidence(0.8, null), 0.8);
+    assert.equal(scoreConfidence(0.8, profile(0)), 0.8);
+    // log2(1 + 1) / log2(1 + 20) of half the gap to 1.
+    assert.equal(scoreConfidence(0.8, profile(1)), 0.823);
+    assert.equal(scoreConfidence(0.8, profile(3)), 0.846);
+    assert.equal(scoreConfidence(0.8, profile(10)), 0.879);
+    // Saturated: history closes half the gap, and no more.
+    assert.equal(scoreConfidence(0.8, profile(HISTORY_SATURATION)), 0.9);
+    assert.equal(scoreConfidence(0.8, profile(1000)), 0.9);
+    assert.equal(scoreConfidence(0.5, profile(HISTORY_SATURATION)), 0.75);
+
+    // Retracted attacks do not count.
+    assert.equal(scoreConfidence(0.8, profile(10, { retracted_count: 9 })), 0.823);
+    assert.equal(scoreConfidence(0.8, profile(3, { retracted_count: 5 })), 0.8);
+
+    // A contract counts as some history, but real history beyond it still counts.
+    assert.equal(scoreConfidence(0.8, profile(0, { is_contract: true })), 0.83);
+    assert.equal(scoreConfidence(0.8, profile(10, { is_contract: true })), 0.879);
+});
+
+test('recording detections and their outcomes builds the profile that scores the next one', async () => {
+    const profiles = new AttackerProfileStore(new FakeRedis(), null);
+
+    const first = await profiles.record(suspected(victimAddress(1), { timestamp: 100 }), { links: [{ address: OWNER, link: 'recipient' }] });
+    assert.equal(first.before.attack_count, 0);
+    assert.equal(first.after.attack_count, 1);
+    assert.equal(scoreConfidence(0.8, first.before), 0.8);
+    await profiles.record(suspected(victimAddress(2), { timestamp: 50 }));
+    await profiles.record({ status: 'rollup', attacker: ATTACKER, suppressed_count: 5, total_profit_eth: 0.5, timestamp: 200 });
+
+    const profile = await profiles.get(ATTACKER.toUpperCase().replace('0X', '0x'));
+    assert.equal(profile.attack_count, 7);
+    assert.equal(profile.profit_eth, 0.7);
+    assert.deepEqual([profile.first_seen, profile.last_seen], [100, 200]);
+    // Rollups name no victim or pool of their own.
+    assert.deepEqual(profile.victims, [victimAddress(1), victimAddress(2)]);
+    assert.deepEqual(profile.pools, [POOL]);
+    assert.deepEqual(profile.linked, { [OWNER]: 'recipient' });
+    // Without a provider, the attacker stays unclassified.
+    assert.equal(profile.is_contract, null);
+
+    for (let i = 0; i < 6; i++) {
+        await profiles.settle({ status: 'retracted', attacker: ATTACKER });
+    }
+    await profiles.settle({ status: 'confirmed', attacker: ATTACKER });
+    const settled = await profiles.get(ATTACKER);
+    assert.deepEqual([settled.confirmed_count, settled.retracted_count], [1, 6]);
+    // Seven attacks, six retracted: scored like one.
+    assert.equal(scoreConfidence(0.8, settled), 0.823);
+    assert.equal(profileSummary(settled).victim_count, 2);
+
+    // A follow-up alone does not make an attacker.
+    await profiles.settle({ status: 'confirmed', attacker: OWNER });
+    assert.equal(await profiles.get(OWNER), null);
+});
+
+test('a contract attacker is classified once, linked to its owner, and scored with the contract floor', async () => {
+    const chain = fakeChain({ code: '0x6080', owner: OWNER });
+    const profiles = new AttackerProfileStore(new FakeRedis(), chain);
+
+    const { before } = await profiles.record(suspected(victimAddress(1)));
+    assert.equal(before.is_contract, true);
+    assert.equal(scoreConfidence(0.8, before), 0.83);
+    await profiles.record(suspected(victimAddress(2)));
+    assert.deepEqual(chain.calls, { getCode: 1, call: 1 });
+    assert.deepEqual((await profiles.get(ATTACKER)).linked, { [OWNER]: 'owner' });
+});
+
+test('accounts, contracts without owner() and failed lookups are classified accordingly', async () => {
+    const account = fakeChain({ code: '0x' });
+    const accountProfiles = new AttackerProfileStore(new FakeRedis(), account);
+    assert.equal((await accountProfiles.record(suspected(victimAddress(1)))).after.is_contract, false);
+    assert.deepEqual(account.calls, { getCode: 1, call: 0 });
+
+    const notOwnable = fakeChain({ code: '0x6080' });
+    const contractProfiles = new AttackerProfileStore(new FakeRedis(), notOwnable);
+    const { after } = await contractProfiles.record(suspected(victimAddress(1)));
+    assert.deepEqual([after.is_contract, after.linked], [true, {}]);
+
+    // A node error leaves the attacker unclassified, to be retried on the next detection.
+    const flaky = fakeChain({ code: new Error('timeout') });
+    const flakyProfiles = new AttackerProfileStore(new FakeRedis(), flaky);
+    assert.equal((await flakyProfiles.record(suspected(victimAddress(1)))).after.is_contract, null);
+    await flakyProfiles.record(suspected(victimAddress(2)));
+    assert.equal(flaky.calls.getCode, 2);
+});
+
+test('the victim and pool sets are trimmed to maxMembers', async () => {
+    const profiles = new AttackerProfileStore(new FakeRedis(), null, { maxMembers: 3 });
+    const victims = [1, 2, 3, 4, 5].map(victimAddress);
+    const pools = [1, 2, 3, 4, 5].map(i => `0x${i.toString(16).padStart(40, '9')}`);
+    for (let i = 0; i < 5; i++) {
+        await profiles.record(suspected(victims[i], { pool: pools[i] }));
+    }
+
+    const profile = await profiles.get(ATTACKER);
+    assert.equal(profile.attack_count, 5);
+    assert.equal(profile.victims.length, 3);
+    assert.equal(profile.pools.length, 3);
+    assert.ok(profile.victims.every(victim => victims.includes(victim)));
+    assert.ok(profile.pools.every(pool => pools.includes(pool)));
+});
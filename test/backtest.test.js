@@ -0,0 +1,180 @@
+// test/backtest.test.js (The pipeline over mined blocks, and scoring against labels)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getAddress, parseEther, parseUnits, toQuantity } = require('ethers');
+const { loadConfig } = require('../src/config/config');
+const { CaptureWriter } = require('../src/capture/capture-file');
+const { ArchiveBlockSource, readBlockFixtures } = require('../src/backtest/block-source');
+const { Backtester } = require('../src/backtest/backtester');
+const { buildReport, formatCsv, loadLabels } = require('../src/backtest/report');
+const { swapTransaction } = require('../src/testing/harness');
+const detectors = require('../src/testing/fake-detectors');
+const { PoolStateCache, WETH_ADDRESS, sortTokens } = require('../src/pools/pool-state');
+
+const TOKEN = `0x${'7a'.repeat(20)}`;
+const ATTACKER = `0x${'a1'.repeat(20)}`;
+const VICTIM = `0x${'b1'.repeat(20)}`;
+const OTHER = `0x${'c1'.repeat(20)}`;
+const BLOCK = 19000000;
+const BASE_FEE = parseUnits('10', 'gwei');
+
+const { config } = loadConfig({ argv: ['--network', 'mainnet'], env: {} });
+
+/**
+ * A transaction of `swapTransaction` as `eth_getBlockByNumber(n, true)` returns it.
+ */
+function rpcTransaction(tx, blockNumber, index) {
+    return {
+        hash: tx.hash,
+        type: toQuantity(tx.type),
+        from: tx.from.toLowerCase(),
+        to: tx.to.toLowerCase(),
+        input: tx.data,
+        value: toQuantity(tx.value),
+        nonce: toQuantity(tx.nonce),
+        gas: toQuantity(tx.gasLimit),
+        gasPrice: toQuantity(BASE_FEE + tx.maxPriorityFeePerGas),
+        maxFeePerGas: toQuantity(tx.maxFeePerGas),
+        maxPriorityFeePerGas: toQuantity(tx.maxPriorityFeePerGas),
+        chainId: '0x1',
+        blockNumber: toQuantity(blockNumber),
+        transactionIndex: toQuantity(index),
+    };
+}
+
+/**
+ * A block record of a fixture file: the block, its receipts and the reserves before it.
+ * @param {number} number
+ * @param {Array<Object>} txs - From `swapTransaction`, in mined order.
+ * @param {Set<Object>} [reverted] - Transactions whose receipt says they failed.
+ */
+function blockRecord(number, txs, reverted = new Set()) {
+    const [token0, token1] = sortTokens(WETH_ADDRESS, TOKEN);
+    const wethIsToken0 = token0 === WETH_ADDRESS;
+    return {
+        block: {
+            number: toQuantity(number),
+            timestamp: toQuantity(1718000000 + (number - BLOCK) * 12),
+            baseFeePerGas: toQuantity(BASE_FEE),
+            transactions: txs.map((tx, index) => rpcTransaction(tx, number, index)),
+        },
+        receipts: txs.map(tx => ({ transactionHash: tx.hash, status: reverted.has(tx) ? '0x0' : '0x1', gasUsed: toQuantity(120000) })),
+        pairs: {
+            [new PoolStateCache(null).pairAddressFor(WETH_ADDRESS, TOKEN)]: {
+                token0,
+                token1,
+                reserve0: String(wethIsToken0 ? parseEther('1000') : parseEther('2000000')),
+                reserve1: String(wethIsToken0 ? parseEther('2000000') : parseEther('1000')),
+            },
+        },
+    };
+}
+
+/** Writes block records to a fixture file, removed after the test. */
+async function writeFixtures(t, records) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mev-backtest-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'blocks.jsonl.gz');
+    const writer = new CaptureWriter(filePath);
+    records.forEach(record => writer.write(record));
+    await writer.close();
+    return { dir, filePath };
+}
+
+/** Runs the backtester over fixture files. */
+async function backtest(filePaths) {
+    const backtester = new Backtester(config, { detectors, logger: { error: assert.fail } });
+    const findings = [];
+    for await (const record of readBlockFixtures(filePaths)) {
+        findings.push(...(await backtester.runBlock(record)).findings);
+    }
+    return { backtester, findings };
+}
+
+function sandwichBlock() {
+    const frontrun = swapTransaction({ from: ATTACKER, nonce: 0, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('20'), priorityFeeGwei: 5 });
+    const victim = swapTransaction({ from: VICTIM, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('10'), amountOutMin: parseEther('18000') });
+    const failedVictim = swapTransaction({ from: OTHER, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('10') });
+    const backrun = swapTransaction({ from: ATTACKER, nonce: 1, path: [TOKEN, WETH_ADDRESS], amountIn: parseEther('39000') });
+    return { frontrun, victim, backrun, record: blockRecord(BLOCK, [frontrun, victim, failedVictim, backrun], new Set([failedVictim])) };
+}
+
+test('sandwiches in fixture blocks are found once, in mined order, and simulated from the reserves before the block', async (t) => {
+    const { frontrun, victim, backrun, record } = sandwichBlock();
+    // The next block trades on the same pool, so the cluster is analyzed again.
+    const later = swapTransaction({ from: OTHER, nonce: 1, path: [TOKEN, WETH_ADDRESS], amountIn: parseEther('1000') });
+    const { filePath } = await writeFixtures(t, [record, blockRecord(BLOCK + 1, [later])]);
+
+    const { backtester, findings } = await backtest([filePath]);
+    assert.equal(findings.length, 1);
+    const [finding] = findings;
+    assert.equal(finding.type, 'sandwich');
+    assert.equal(finding.block_number, BLOCK);
+    assert.deepEqual([finding.frontrun_hash, finding.victim_hash, finding.backrun_hash], [frontrun.hash, victim.hash, backrun.hash]);
+    // Checksummed, as ethers returns pending transactions.
+    assert.equal(finding.attacker, getAddress(ATTACKER));
+    // Priority fees against the block's own base fee: 5 gwei against 1.
+    assert.equal(finding.gas_premium, parseUnits('4', 'gwei').toString());
+    assert.equal(typeof finding.profit_eth, 'number');
+    assert.ok(finding.victim_loss_eth > 0);
+    assert.deepEqual(backtester.stats, { blocks: 2, transactions: 5, reverted: 1, clustered: 4, firstBlock: BLOCK, lastBlock: BLOCK + 1 });
+});
+
+test('findings are scored per victim against subgraph labels in the backtested range', async (t) => {
+    const { victim, record } = sandwichBlock();
+    const { dir, filePath } = await writeFixtures(t, [record]);
+    const missed = { blockNumber: String(BLOCK), transactionHash: `0x${'ee'.repeat(32)}`, frontrunTxHash: `0x${'e1'.repeat(32)}`, backrunTxHash: `0x${'e2'.repeat(32)}` };
+    const labelsPath = path.join(dir, 'labels.json');
+    fs.writeFileSync(labelsPath, JSON.stringify({
+        data: {
+            mevAttacks: [
+                { blockNumber: String(BLOCK), transactionHash: victim.hash, frontrunTxHash: `0x${'f1'.repeat(32)}`, backrunTxHash: `0x${'f2'.repeat(32)}` },
+                missed,
+                // Outside the blocks backtested: not counted.
+                { blockNumber: String(BLOCK + 10), transactionHash: `0x${'dd'.repeat(32)}` },
+            ],
+        },
+    }));
+
+    const { backtester, findings } = await backtest([filePath]);
+    const report = buildReport({ source: { type: 'fixtures', files: [filePath] }, chainId: 1, stats: backtester.stats, findings, labels: loadLabels(labelsPath) });
+    assert.equal(report.findings[0].label, 'tp');
+    const { missed: missedLabels, ...score } = report.score;
+    assert.deepEqual(score, { labels: 2, true_positives: 1, false_positives: 0, false_negatives: 1, precision: 1, recall: 0.5 });
+    assert.deepEqual(missedLabels.map(label => label.victim_hash), [missed.transactionHash]);
+
+    const [header, found, notFound] = formatCsv(report).trim().split('\n').map(line => line.split(','));
+    assert.equal(found[header.indexOf('label')], 'tp');
+    assert.equal(found[header.indexOf('victim_hash')], victim.hash);
+    assert.equal(notFound[header.indexOf('type')], 'missed');
+    assert.equal(notFound[header.indexOf('label')], 'fn');
+    assert.equal(notFound[header.indexOf('frontrun_hash')], missed.frontrunTxHash);
+});
+
+test('the archive source reads whole blocks with receipts, and the state before each block', async () => {
+    const { record } = sandwichBlock();
+    const requests = [];
+    const node = {
+        send: async (method, params) => {
+            requests.push([method, ...params]);
+            return method === 'eth_getBlockByNumber' ? record.block : record.receipts;
+        },
+        call: async (tx) => {
+            requests.push(['eth_call', tx.to, tx.blockTag]);
+            return '0x';
+        },
+    };
+    const source = new ArchiveBlockSource(node);
+    const fetched = await source.getBlock(BLOCK);
+    assert.equal(fetched.block, record.block);
+    await fetched.stateProvider.call({ to: TOKEN, data: '0x' });
+    assert.deepEqual(requests, [
+        ['eth_getBlockByNumber', toQuantity(BLOCK), true],
+        ['eth_getBlockReceipts', toQuantity(BLOCK)],
+        ['eth_call', TOKEN, BLOCK - 1],
+    ]);
+});
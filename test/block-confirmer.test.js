@@ -0,0 +1,199 @@
+// test/block-confirmer.test.js (Sandwich confirmation: mined order, receipts' Swap logs and realized profit)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { id, parseEther, parseUnits } = require('ethers');
+const { BlockConfirmer } = require('../src/confirmation/block-confirmer');
+const { PoolStateCache, WETH_ADDRESS, pairInterface } = require('../src/pools/pool-state');
+const { FakeProvider } = require('../src/testing/fake-provider');
+
+const TOKEN = `0x${'7a'.repeat(20)}`;
+const OTHER_TOKEN = `0x${'7b'.repeat(20)}`;
+const ATTACKER = `0x${'a1'.repeat(20)}`;
+const VICTIM = `0x${'b1'.repeat(20)}`;
+const WETH = WETH_ADDRESS.toLowerCase();
+
+const TXS = {
+    frontrun: id('confirmer:frontrun'),
+    victim: id('confirmer:victim'),
+    backrun: id('confirmer:backrun'),
+};
+const ALERT = { alert_id: 'sandwich-1', frontrun_tx: TXS.frontrun, victim_tx: TXS.victim, backrun_tx: TXS.backrun };
+
+/**
+ * A pair's Swap event log as it appears in a receipt.
+ * @param {string} pair
+ * @param {Object} amounts - `amount0In`, `amount1In`, `amount0Out`, `amount1Out` (0 when left out).
+ * @param {string} to
+ */
+function swapLog(pair, amounts, to) {
+    const { data, topics } = pairInterface.encodeEventLog('Swap', [
+        ATTACKER, amounts.amount0In || 0n, amounts.amount1In || 0n, amounts.amount0Out || 0n, amounts.amount1Out || 0n, to,
+    ]);
+    return { address: pair, data, topics };
+}
+
+function syncLog(pair, reserve0, reserve1) {
+    const { data, topics } = pairInterface.encodeEventLog('Sync', [reserve0, reserve1]);
+    return { address: pair, data, topics };
+}
+
+/**
+ * A confirmer on a fake node with the WETH/TOKEN and TOKEN/OTHER_TOKEN pairs, both cached.
+ * TOKEN sorts before WETH, so WETH is token1 of its pair.
+ */
+async function setup(options = {}) {
+    const provider = new FakeProvider();
+    const poolState = new PoolStateCache(provider);
+    const pairs = {
+        weth: poolState.pairAddressFor(WETH, TOKEN),
+        other: poolState.pairAddressFor(TOKEN, OTHER_TOKEN),
+    };
+    provider.setPair(pairs.weth, { token0: TOKEN, token1: WETH, reserve0: parseEther('2000000').toString(), reserve1: parseEther('1000').toString() });
+    provider.setPair(pairs.other, { token0: TOKEN, token1: OTHER_TOKEN, reserve0: parseEther('1000000').toString(), reserve1: parseEther('1000000').toString() });
+    await poolState.getPool(WETH, TOKEN);
+    await poolState.getPool(TOKEN, OTHER_TOKEN);
+
+    const confirmer = new BlockConfirmer(provider, { poolState, ...options });
+    const events = [];
+    confirmer.on('confirmed', outcome => events.push(outcome));
+    confirmer.on('retracted', outcome => events.push(outcome));
+    confirmer.on('error', (error) => {
+        throw error;
+    });
+    // Mines a block and hands it to the confirmer, as the service does.
+    const mine = async (hashes, receipts) => confirmer.handleBlock(await provider.mineBlock(hashes, { receipts }));
+    return { confirmer, events, pairs, mine };
+}
+
+// Gas of each attack leg: 100k gas at 20 gwei, 0.002 ETH.
+const ATTACK_GAS = { gasUsed: 100000n, gasPrice: parseUnits('20', 'gwei') };
+
+/**
+ * Receipts of a WETH -> TOKEN -> WETH sandwich on the WETH pair: the frontrun pays 10 WETH
+ * (through the TOKEN/OTHER_TOKEN pair first), and the backrun gets 10.5 WETH back.
+ */
+function sandwichReceipts(pairs) {
+    return {
+        [TXS.frontrun]: {
+            ...ATTACK_GAS,
+            logs: [
+                swapLog(pairs.other, { amount1In: parseEther('5'), amount0Out: parseEther('4') }, ATTACKER),
+                syncLog(pairs.weth, parseEther('1980000'), parseEther('1010')),
+                swapLog(pairs.weth, { amount1In: parseEther('10'), amount0Out: parseEther('19800') }, ATTACKER),
+            ],
+        },
+        [TXS.victim]: {
+            logs: [swapLog(pairs.weth, { amount1In: parseEther('1'), amount0Out: parseEther('1950') }, VICTIM)],
+        },
+        [TXS.backrun]: {
+            ...ATTACK_GAS,
+            logs: [swapLog(pairs.weth, { amount0In: parseEther('19800'), amount1Out: parseEther('10.5') }, ATTACKER)],
+        },
+    };
+}
+
+test('a sandwich mined in order is confirmed with the Swap amounts on the pair all three legs traded on', async () => {
+    const { confirmer, events, pairs, mine } = await setup();
+    confirmer.track(ALERT);
+    await mine([TXS.frontrun, TXS.victim, TXS.backrun], sandwichReceipts(pairs));
+
+    assert.equal(events.length, 1);
+    const [{ status, reason, alert, positions, actual }] = events;
+    assert.deepEqual([status, reason, alert], ['confirmed', null, ALERT]);
+    assert.deepEqual(positions.backrun, { blockNumber: 1001, transactionIndex: 2 });
+    assert.equal(confirmer.size, 0);
+
+    // The TOKEN/OTHER_TOKEN hop of the frontrun is not the attacked pair.
+    assert.equal(actual.pool, pairs.weth);
+    assert.deepEqual(actual.frontrun, {
+        pair: pairs.weth,
+        amount0In: '0',
+        amount1In: parseEther('10').toString(),
+        amount0Out: parseEther('19800').toString(),
+        amount1Out: '0',
+        to: ATTACKER,
+    });
+    assert.equal(actual.victim.amount0Out, parseEther('1950').toString());
+    assert.equal(actual.victim.to, VICTIM);
+    assert.equal(actual.backrun.amount1Out, parseEther('10.5').toString());
+
+    assert.equal(actual.profit_token, WETH);
+    assert.equal(actual.gross_profit, parseEther('0.5').toString());
+    assert.equal(actual.gross_profit_eth, 0.5);
+    assert.equal(actual.gas_cost_eth, 0.004);
+});
+
+test('a profit in another token is reported in that token, with no ETH value', async () => {
+    const { confirmer, events, pairs, mine } = await setup();
+    confirmer.track(ALERT);
+    await mine([TXS.frontrun, TXS.victim, TXS.backrun], {
+        [TXS.frontrun]: { logs: [swapLog(pairs.other, { amount0In: parseEther('100'), amount1Out: parseEther('99') }, ATTACKER)] },
+        [TXS.victim]: { logs: [swapLog(pairs.other, { amount0In: parseEther('50'), amount1Out: parseEther('49') }, VICTIM)] },
+        [TXS.backrun]: { logs: [swapLog(pairs.other, { amount1In: parseEther('99'), amount0Out: parseEther('100.2') }, ATTACKER)] },
+    });
+
+    const [{ status, actual }] = events;
+    assert.equal(status, 'confirmed');
+    assert.equal(actual.pool, pairs.other);
+    assert.equal(actual.profit_token, TOKEN);
+    assert.equal(actual.gross_profit, parseEther('0.2').toString());
+    assert.equal(actual.gross_profit_eth, null);
+});
+
+test('without Swap logs on a shared pair the sandwich is confirmed with no actual amounts', async () => {
+    const { confirmer, events, pairs, mine } = await setup();
+    confirmer.track(ALERT);
+    const receipts = sandwichReceipts(pairs);
+    receipts[TXS.victim] = { logs: [swapLog(pairs.other, { amount0In: parseEther('50'), amount1Out: parseEther('49') }, VICTIM)] };
+    await mine([TXS.frontrun, TXS.victim, TXS.backrun], receipts);
+
+    const [{ status, actual }] = events;
+    assert.equal(status, 'confirmed');
+    assert.deepEqual(
+        [actual.pool, actual.frontrun, actual.victim, actual.backrun, actual.gross_profit, actual.gross_profit_eth],
+        [null, null, null, null, null, null],
+    );
+});
+
+test('a reverted victim or attack leg retracts the sandwich', async () => {
+    for (const [leg, reason] of [['victim', 'victim_reverted'], ['frontrun', 'attack_reverted'], ['backrun', 'attack_reverted']]) {
+        const { confirmer, events, pairs, mine } = await setup();
+        confirmer.track(ALERT);
+        const receipts = sandwichReceipts(pairs);
+        receipts[TXS[leg]] = { ...receipts[TXS[leg]], status: 0, logs: [] };
+        await mine([TXS.frontrun, TXS.victim, TXS.backrun], receipts);
+
+        assert.deepEqual(events.map(event => [event.status, event.reason]), [['retracted', reason]], leg);
+    }
+});
+
+test('a backrun mined before the victim retracts the sandwich as wrong_order', async () => {
+    const { confirmer, events, pairs, mine } = await setup();
+    confirmer.track(ALERT);
+    await mine([TXS.frontrun, TXS.backrun], sandwichReceipts(pairs));
+    // Frontrun and backrun alone settle nothing yet.
+    assert.deepEqual(events, []);
+    await mine([TXS.victim], sandwichReceipts(pairs));
+
+    assert.deepEqual(events.map(event => [event.status, event.reason]), [['retracted', 'wrong_order']]);
+    assert.deepEqual(events[0].positions, {
+        frontrun: { blockNumber: 1001, transactionIndex: 0 },
+        backrun: { blockNumber: 1001, transactionIndex: 1 },
+        victim: { blockNumber: 1002, transactionIndex: 0 },
+    });
+});
+
+test('legs not all mined within maxPendingBlocks retract the sandwich as not_included', async () => {
+    const { confirmer, events, mine } = await setup({ maxPendingBlocks: 2 });
+    confirmer.track(ALERT);
+    await mine([TXS.frontrun]);
+    await mine([]);
+    assert.deepEqual(events, []);
+    assert.equal(confirmer.size, 1);
+
+    await mine([]);
+    assert.deepEqual(events.map(event => [event.status, event.reason]), [['retracted', 'not_included']]);
+    assert.deepEqual(events[0].positions, { frontrun: { blockNumber: 1001, transactionIndex: 0 } });
+    assert.equal(confirmer.size, 0);
+});
@@ -0,0 +1,94 @@
+// test/capture.test.js (Recording the node's events and responses, and replaying them)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEther } = require('ethers');
+const { createHarness, swapTransaction } = require('../src/testing/harness');
+const detectors = require('../src/testing/fake-detectors');
+const { CaptureWriter, readCapture } = require('../src/capture/capture-file');
+const { RecordingProvider } = require('../src/capture/recording-provider');
+const { ReplayProvider } = require('../src/capture/replay-provider');
+const { WETH_ADDRESS } = require('../src/pools/pool-state');
+
+const TOKEN = `0x${'7a'.repeat(20)}`;
+const ATTACKER = `0x${'a1'.repeat(20)}`;
+const VICTIM = `0x${'b1'.repeat(20)}`;
+const POOLS = [{ tokenA: WETH_ADDRESS, tokenB: TOKEN, reserveA: parseEther('1000'), reserveB: parseEther('2000000') }];
+// The replay's detection rounds, in capture time.
+const TICK_INTERVAL_MS = 1000;
+
+/**
+ * Records a sandwich being alerted on, then retracted when its victim is mined first.
+ * @returns {Promise<{alerts: Array<Object>, capture: Object}>} What was alerted, and what
+ *   the recording provider wrote.
+ */
+async function record(filePath) {
+    let recorder;
+    const harness = createHarness({
+        pools: POOLS,
+        detectors,
+        provider: (node) => {
+            recorder = new RecordingProvider(node, new CaptureWriter(filePath, { now: () => harness.clock.now() }));
+            return recorder;
+        },
+    });
+    await harness.start();
+    const frontrun = swapTransaction({ from: ATTACKER, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('20'), priorityFeeGwei: 5 });
+    const victim = swapTransaction({ from: VICTIM, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('10'), amountOutMin: parseEther('18000') });
+    const backrun = swapTransaction({ from: ATTACKER, nonce: 1, path: [TOKEN, WETH_ADDRESS], amountIn: parseEther('39000') });
+    for (const tx of [frontrun, victim, backrun]) {
+        await harness.provider.addPendingTransaction(tx);
+    }
+    // Where the replay's first round falls: one interval after the first event.
+    harness.clock.advance(TICK_INTERVAL_MS);
+    await harness.service.runDetectionTick();
+    harness.clock.advance(TICK_INTERVAL_MS);
+    await harness.provider.mineBlock([victim.hash]);
+    const alerts = harness.alerts();
+    await harness.stop();
+    return { alerts, capture: { filePath: recorder.writer.filePath, records: recorder.writer.count } };
+}
+
+/**
+ * Replays a capture through a fresh pipeline.
+ * @returns {Promise<{alerts: Array<Object>, events: number, ticks: number}>}
+ */
+async function replay(filePath) {
+    const replayProvider = new ReplayProvider(filePath, { tickIntervalMs: TICK_INTERVAL_MS });
+    const harness = createHarness({ detectors, provider: () => replayProvider, now: () => replayProvider.now() });
+    await harness.start();
+    replayProvider.on('tick', () => harness.service.runDetectionTick());
+    const { events, ticks } = await replayProvider.start();
+    const alerts = harness.alerts();
+    await harness.stop();
+    assert.deepEqual(harness.errors(), []);
+    return { alerts, events, ticks };
+}
+
+test('a recorded session replays into the same alerts, every time', async (t) => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mev-capture-')), 'session.jsonl.gz');
+    t.after(() => fs.rmSync(path.dirname(filePath), { recursive: true, force: true }));
+
+    const recorded = await record(filePath);
+    assert.deepEqual(recorded.alerts.map(alert => alert.status), ['suspected', 'retracted']);
+    const records = [];
+    for await (const entry of readCapture(filePath)) {
+        records.push(entry);
+    }
+    assert.equal(records.length, recorded.capture.records);
+    assert.deepEqual(records.filter(entry => entry.kind === 'event').map(entry => entry.event), ['pending', 'pending', 'pending', 'block']);
+    // The pair's reserves were read from the node once, and answered from the capture since.
+    assert.equal(records.filter(entry => entry.kind === 'rpc' && entry.method === 'call').length, 1);
+
+    const first = await replay(filePath);
+    const second = await replay(filePath);
+    assert.equal(first.events, 4);
+    // Every interval up to the block, and one at the end.
+    assert.equal(first.ticks, 3);
+    // Timestamps included: the alerts are stamped by the capture's clock, not the wall clock.
+    assert.deepEqual(first.alerts, recorded.alerts);
+    assert.deepEqual(second.alerts, first.alerts);
+});
@@ -0,0 +1,144 @@
+// test/consumer.test.js (The alert consumer's SQLite history and its query API)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEther } = require('ethers');
+const { createHarness, swapTransaction } = require('../src/testing/harness');
+const detectors = require('../src/testing/fake-detectors');
+const { WETH_ADDRESS } = require('../src/pools/pool-state');
+const { AlertStore } = require('../src/consumer/alert-store');
+const { createQueryServer, MAX_LIMIT } = require('../src/consumer/query-api');
+const { createMessageHandler } = require('../src/consumer/message-handler');
+
+const TOKEN = `0x${'7a'.repeat(20)}`;
+const ATTACKER = `0x${'a1'.repeat(20)}`;
+const OTHER_ATTACKER = `0x${'a2'.repeat(20)}`;
+const VICTIM = `0x${'b1'.repeat(20)}`;
+const OTHER_VICTIM = `0x${'b2'.repeat(20)}`;
+const POOLS = [{ tokenA: WETH_ADDRESS, tokenB: TOKEN, reserveA: parseEther('1000'), reserveB: parseEther('2000000') }];
+
+/**
+ * Runs the detector on two sandwiches a minute apart: ATTACKER's is confirmed, OTHER_ATTACKER's
+ * retracted (its victim is mined alone).
+ * @returns {Promise<Array<Object>>} The Kafka messages, in order: two `suspected` alerts,
+ *   then the `confirmed` and `retracted` follow-ups.
+ */
+async function detectorMessages() {
+    const harness = createHarness({ pools: POOLS, detectors });
+    await harness.start();
+    const sandwiches = [];
+    for (const [attacker, victim] of [[ATTACKER, VICTIM], [OTHER_ATTACKER, OTHER_VICTIM]]) {
+        const txs = [
+            swapTransaction({ from: attacker, nonce: 0, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('20'), priorityFeeGwei: 5 }),
+            swapTransaction({ from: victim, nonce: 0, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('10'), amountOutMin: parseEther('18000'), priorityFeeGwei: 1 }),
+            swapTransaction({ from: attacker, nonce: 1, path: [TOKEN, WETH_ADDRESS], amountIn: parseEther('39000'), priorityFeeGwei: 1 }),
+        ];
+        for (const tx of txs) {
+            await harness.provider.addPendingTransaction(tx);
+        }
+        await harness.service.runDetectionTick();
+        harness.clock.advance(60000);
+        sandwiches.push(txs);
+    }
+    await harness.provider.mineBlock(sandwiches[0].map(tx => tx.hash));
+    await harness.provider.mineBlock([sandwiches[1][1].hash]);
+    await harness.stop();
+    return harness.producer.messages;
+}
+
+/** A store holding the detector's messages, as the consumer ingests them. */
+async function seededStore(t) {
+    const store = new AlertStore(':memory:');
+    t.after(() => store.close());
+    const handleMessage = createMessageHandler(store, { error: () => {} });
+    (await detectorMessages()).forEach((message, offset) => handleMessage({ topic: 'mev-alerts', partition: 0, message: { ...message, offset } }));
+    return store;
+}
+
+test('the consumer stores each attack once, settles it from its follow-up and skips invalid messages', async (t) => {
+    const messages = await detectorMessages();
+    const store = new AlertStore(':memory:');
+    t.after(() => store.close());
+    const errors = [];
+    const handleMessage = createMessageHandler(store, { error: (...args) => errors.push(args.join(' ')) });
+    const deliver = (message, offset) => handleMessage({ topic: 'mev-alerts', partition: 0, message: { ...message, offset } });
+
+    // Delivered twice, as after a rebalance.
+    assert.deepEqual([...messages, ...messages].map(deliver), Array(8).fill(true));
+    assert.equal(deliver({ value: Buffer.from('{not json') }, 8), false);
+    assert.equal(deliver({ value: Buffer.from(JSON.stringify({ ...JSON.parse(messages[0].value), extra: true })) }, 9), false);
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /unparsable message at mev-alerts\[0\]@8/);
+    assert.match(errors[1], /invalid alert at mev-alerts\[0\]@9: .*additional properties/);
+
+    const [suspected, otherSuspected, confirmed] = messages.map(message => JSON.parse(message.value));
+    const attacks = store.listAttacks();
+    assert.deepEqual(attacks.map(attack => [attack.alert_id, attack.attacker, attack.status]), [
+        [otherSuspected.alert_id, OTHER_ATTACKER, 'retracted'],
+        [suspected.alert_id, ATTACKER, 'confirmed'],
+    ]);
+    const attack = store.getAttack(suspected.alert_id);
+    assert.equal(attack.block_number, confirmed.block_number);
+    assert.equal(attack.estimated_profit_eth, suspected.profit_eth);
+    assert.deepEqual(attack.tx_hashes, suspected.tx_hashes);
+    assert.deepEqual(attack.alert, suspected);
+    assert.equal(store.getAttack(otherSuspected.alert_id).retract_reason, 'frontrun_not_before_victim');
+    assert.equal(store.getAttack('0'.repeat(32)), null);
+
+    // Retracted attacks do not count.
+    assert.deepEqual(store.attackerTotals(), [{
+        attacker: ATTACKER,
+        attack_count: 1,
+        confirmed_count: 1,
+        total_profit_eth: suspected.profit_eth,
+        first_seen: suspected.timestamp,
+        last_seen: suspected.timestamp,
+    }]);
+});
+
+test('the store filters by attacker, status and time, and a limit of 0 returns no rows', async (t) => {
+    const store = await seededStore(t);
+    const [newest, oldest] = store.listAttacks();
+
+    assert.deepEqual(store.listAttacks({ attacker: ATTACKER.toUpperCase().replace('0X', '0x') }).map(attack => attack.attacker), [ATTACKER]);
+    assert.deepEqual(store.listAttacks({ status: 'retracted' }).map(attack => attack.alert_id), [newest.alert_id]);
+    assert.deepEqual(store.listAttacks({ from: newest.detected_at }).map(attack => attack.alert_id), [newest.alert_id]);
+    assert.deepEqual(store.listAttacks({ to: oldest.detected_at }).map(attack => attack.alert_id), [oldest.alert_id]);
+    assert.deepEqual(store.listAttacks({ limit: 1, offset: 1 }).map(attack => attack.alert_id), [oldest.alert_id]);
+    assert.deepEqual(store.listAttacks({ limit: 0 }), []);
+    assert.deepEqual(store.attackerTotals({ limit: 0 }), []);
+});
+
+test('the query API serves the history, capping the limit but not the offset', async (t) => {
+    const store = await seededStore(t);
+    const [, oldest] = store.listAttacks();
+    // Enough older attacks to page past MAX_LIMIT.
+    for (let i = 0; i < MAX_LIMIT + 1; i++) {
+        store.ingest({ ...oldest.alert, alert_id: i.toString(16).padStart(32, '0'), timestamp: oldest.detected_at - 1 - i });
+    }
+    const server = createQueryServer(store);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    const get = async (pathAndQuery, options) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${pathAndQuery}`, options);
+        return { status: response.status, body: await response.json() };
+    };
+
+    assert.equal((await get('/attacks')).body.attacks.length, 100);
+    assert.equal((await get('/attacks?limit=5000')).body.attacks.length, MAX_LIMIT);
+    assert.deepEqual((await get('/attacks?limit=0')).body, { attacks: [] });
+    // MAX_LIMIT + 3 attacks in all; the last is the oldest one ingested above.
+    assert.deepEqual((await get(`/attacks?offset=${MAX_LIMIT + 2}`)).body.attacks.map(attack => attack.alert_id), [MAX_LIMIT.toString(16).padStart(32, '0')]);
+    assert.equal((await get(`/attacks?status=retracted&type=sandwich`)).body.attacks[0].attacker, OTHER_ATTACKER);
+    assert.equal((await get(`/attacks/${oldest.alert_id}`)).body.status, 'confirmed');
+    assert.equal((await get(`/attacks/${'f'.repeat(32)}`)).status, 404);
+
+    assert.deepEqual((await get('/attackers')).body.attackers.map(totals => [totals.attacker, totals.attack_count]), [[ATTACKER, MAX_LIMIT + 2]]);
+    assert.equal((await get(`/attackers/${ATTACKER}?limit=0`)).body.attack_count, MAX_LIMIT + 2);
+    assert.equal((await get(`/attackers/${ATTACKER}?from=${oldest.detected_at}`)).body.attack_count, 1);
+    assert.equal((await get(`/attackers/${OTHER_ATTACKER}`)).status, 404);
+
+    assert.equal((await get('/attacks?from=yesterday')).status, 400);
+    assert.equal((await get('/attacks?offset=-1')).status, 400);
+    assert.equal((await get('/attacks', { method: 'POST' })).status, 405);
+});
@@ -0,0 +1,86 @@
+// test/copycat.test.js (Copycat detection: fingerprints and the candidates a new call is scored against)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { id } = require('ethers');
+const { CopycatDetector } = require('../src/detection/copycat');
+const { pendingTransaction } = require('../src/testing/harness');
+
+const TARGET = `0x${'c0'.repeat(20)}`;
+const ORIGINAL_SENDER = `0x${'b1'.repeat(20)}`;
+const COPIER = `0x${'a1'.repeat(20)}`;
+
+/** Calldata of one selector with these (numeric) words. */
+const calldata = words => `0x12345678${words.map(word => BigInt(word).toString(16).padStart(64, '0')).join('')}`;
+
+/** The ten words of a call, differing by `seed`. */
+const wordsOf = seed => Array.from({ length: 10 }, (_, i) => seed * 100 + i);
+
+let sent = 0;
+/** A pending call to TARGET, seen at `seenAt` ms. */
+function call(from, words, priorityFeeGwei, seenAt = 1000) {
+    return { ...pendingTransaction({ from, to: TARGET, data: calldata(words), priorityFeeGwei }), hash: id(`copycat:${++sent}`), ingestionTime: seenAt };
+}
+
+/** Sends `count` calls of the same shape as the others, from other senders. */
+function crowd(detector, count) {
+    for (let i = 0; i < count; i++) {
+        detector.observe(call(`0x${(i + 1).toString(16).padStart(40, 'd')}`, wordsOf(1000 + i), 1));
+    }
+}
+
+test('an exact copy is found however many calls of the same shape came in between', () => {
+    const detector = new CopycatDetector({ maxCandidates: 4 });
+    const original = call(ORIGINAL_SENDER, wordsOf(1), 1);
+    assert.equal(detector.observe(original), null);
+    crowd(detector, 10);
+
+    const finding = detector.observe(call(COPIER, wordsOf(1), 2));
+    assert.equal(finding.original_hash, original.hash.toLowerCase());
+    assert.equal(finding.similarity, 1);
+    assert.equal(finding.fee_difference_gwei, 1);
+});
+
+test('a near copy is only looked for among the last maxCandidates calls of its shape', () => {
+    const nearCopy = (words) => {
+        const copied = words.slice();
+        copied[9] += 1;
+        return copied;
+    };
+
+    const detector = new CopycatDetector({ maxCandidates: 4 });
+    const recent = call(ORIGINAL_SENDER, wordsOf(1), 1);
+    detector.observe(recent);
+    crowd(detector, 3);
+    const finding = detector.observe(call(COPIER, nearCopy(wordsOf(1)), 2));
+    assert.equal(finding.original_hash, recent.hash.toLowerCase());
+    assert.equal(finding.similarity, 0.9);
+
+    const crowded = new CopycatDetector({ maxCandidates: 4 });
+    crowded.observe(call(ORIGINAL_SENDER, wordsOf(1), 1));
+    crowd(crowded, 4);
+    assert.equal(crowded.observe(call(COPIER, nearCopy(wordsOf(1)), 2)), null);
+});
+
+test('the earliest of equally similar originals is picked, and forgotten calls leave no index behind', () => {
+    const detector = new CopycatDetector({ windowMs: 1000 });
+    const first = call(ORIGINAL_SENDER, wordsOf(1), 1, 1000);
+    const second = call(`0x${'b2'.repeat(20)}`, wordsOf(1), 1, 1100);
+    detector.observe(first);
+    // A call is no copy of its own sender's call.
+    assert.equal(detector.observe(call(ORIGINAL_SENDER, wordsOf(1), 5, 1050)), null);
+    detector.observe(second);
+    // Nor of a call paying as much.
+    assert.equal(detector.observe(call(COPIER, wordsOf(1), 1, 1200)), null);
+    assert.equal(detector.observe(call(COPIER, wordsOf(1), 2, 1300)).original_hash, first.hash.toLowerCase());
+
+    detector.remove([first.hash]);
+    assert.equal(detector.observe(call(`0x${'a2'.repeat(20)}`, wordsOf(1), 2, 1400)).original_hash, second.hash.toLowerCase());
+
+    // Past the window, everything has expired.
+    detector.observe(call(COPIER, wordsOf(2), 1, 5000));
+    assert.equal(detector.size, 1);
+    assert.deepEqual([detector.exact.size, detector.recent.size], [1, 1]);
+    detector.remove(Array.from(detector.entries.keys()));
+    assert.deepEqual([detector.size, detector.exact.size, detector.recent.size], [0, 0, 0]);
+});
@@ -0,0 +1,337 @@
+// test/decoders.test.js (V2, V3 and Universal Router calldata, and the router registry)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AbiCoder, parseEther, solidityPacked } = require('ethers');
+const { loadConfig } = require('../src/config/config');
+const { DecoderRegistry } = require('../src/decoders/registry');
+const { UNISWAP_V2_ROUTER_ADDRESS, routerInterface, decodeUniswapV2Transaction } = require('../src/decoders/uniswap-v2');
+const {
+    SWAP_ROUTER_ADDRESS, SWAP_ROUTER_02_ADDRESS, MSG_SENDER, ADDRESS_THIS, swapRouterInterface, swapRouter02Interface,
+} = require('../src/decoders/uniswap-v3');
+const { UNIVERSAL_ROUTER_ADDRESS, CONTRACT_BALANCE, universalRouterInterface } = require('../src/decoders/universal-router');
+const { createHarness, swapTransaction, pendingTransaction } = require('../src/testing/harness');
+const detectors = require('../src/testing/fake-detectors');
+const { WETH_ADDRESS } = require('../src/pools/pool-state');
+
+const TOKEN = `0x${'7a'.repeat(20)}`;
+const OTHER_TOKEN = `0x${'7b'.repeat(20)}`;
+const TRADER = `0x${'b1'.repeat(20)}`;
+const RECIPIENT = `0x${'c1'.repeat(20)}`;
+const ATTACKER = `0x${'a1'.repeat(20)}`;
+const DEADLINE = 4102444800;
+
+const { config } = loadConfig({ argv: ['--network', 'mainnet'], env: {} });
+const decoders = DecoderRegistry.fromConfig(config);
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+/** A packed V3 path: tokens with the fee tier of each hop between them. */
+function v3Path(tokens, fees) {
+    const types = [];
+    const values = [];
+    tokens.forEach((token, i) => {
+        types.push('address');
+        values.push(token);
+        if (i < fees.length) {
+            types.push('uint24');
+            values.push(fees[i]);
+        }
+    });
+    return solidityPacked(types, values);
+}
+
+/** A Universal Router `execute` call running the given commands. */
+function execute(commands, value = 0n) {
+    const data = universalRouterInterface.encodeFunctionData('execute(bytes,bytes[],uint256)', [
+        `0x${commands.map(({ command }) => command.toString(16).padStart(2, '0')).join('')}`,
+        commands.map(({ types, args }) => abiCoder.encode(types, args)),
+        DEADLINE,
+    ]);
+    return pendingTransaction({ from: TRADER, to: UNIVERSAL_ROUTER_ADDRESS, data, value });
+}
+
+/** A Uniswap V2 Router 02 call. */
+const v2Call = (method, args, value = 0n) => pendingTransaction({
+    from: TRADER, to: UNISWAP_V2_ROUTER_ADDRESS, data: routerInterface.encodeFunctionData(method, args), value,
+});
+
+test('Uniswap V2 Router swaps decode into the normalized record, ETH inputs from tx.value and exact-output bounds as amount_in_max', () => {
+    const exactIn = (amountIn, amountOutMin) => ({
+        kind: 'exact_in', amount_in: amountIn, amount_in_max: null, amount_out: null, amount_out_min: amountOutMin,
+    });
+    const exactOut = (amountOut, amountInMax) => ({
+        kind: 'exact_out', amount_in: null, amount_in_max: amountInMax, amount_out: amountOut, amount_out_min: null,
+    });
+    const cases = [
+        ['swapExactTokensForTokens', [parseEther('1'), parseEther('1900'), [TOKEN, OTHER_TOKEN]], 0n, exactIn('1', '1900')],
+        ['swapExactTokensForETH', [parseEther('2000'), parseEther('0.9'), [TOKEN, WETH_ADDRESS]], 0n, exactIn('2000', '0.9')],
+        ['swapExactETHForTokens', [parseEther('1900'), [WETH_ADDRESS, TOKEN]], parseEther('1'), exactIn('1', '1900')],
+        ['swapTokensForExactTokens', [parseEther('1900'), parseEther('1'), [TOKEN, OTHER_TOKEN]], 0n, exactOut('1900', '1')],
+        ['swapTokensForExactETH', [parseEther('1'), parseEther('2100'), [TOKEN, WETH_ADDRESS]], 0n, exactOut('1', '2100')],
+        ['swapETHForExactTokens', [parseEther('1900'), [WETH_ADDRESS, TOKEN]], parseEther('1.1'), exactOut('1900', '1.1')],
+        ['swapExactTokensForTokensSupportingFeeOnTransferTokens', [parseEther('1'), parseEther('1900'), [TOKEN, OTHER_TOKEN]], 0n, exactIn('1', '1900')],
+        ['swapExactTokensForETHSupportingFeeOnTransferTokens', [parseEther('2000'), 0n, [TOKEN, WETH_ADDRESS]], 0n, exactIn('2000', '0')],
+        ['swapExactETHForTokensSupportingFeeOnTransferTokens', [parseEther('1900'), [WETH_ADDRESS, TOKEN]], parseEther('1'), exactIn('1', '1900')],
+    ];
+    for (const [method, args, value, amounts] of cases) {
+        const path = args.find(Array.isArray).map(token => token.toLowerCase());
+        const decoded = decodeUniswapV2Transaction(v2Call(method, [...args, RECIPIENT, DEADLINE], value));
+        // Amounts in ether, to keep the table short.
+        const inWei = Object.fromEntries(Object.entries(amounts)
+            .map(([field, amount]) => [field, field.startsWith('amount') && amount !== null ? parseEther(amount).toString() : amount]));
+        assert.deepEqual(decoded, {
+            status: 'swap',
+            method,
+            liquidity: null,
+            swap: {
+                dex: 'uniswap-v2',
+                method,
+                fee_on_transfer: method.endsWith('SupportingFeeOnTransferTokens'),
+                path,
+                fees: null,
+                token_in: path[0],
+                token_out: path[path.length - 1],
+                recipient: RECIPIENT,
+                deadline: DEADLINE,
+                ...inWei,
+            },
+        }, method);
+    }
+    // Multi-hop paths run from the first token to the last.
+    const multiHop = decodeUniswapV2Transaction(v2Call('swapExactETHForTokens', [0n, [WETH_ADDRESS, TOKEN, OTHER_TOKEN], RECIPIENT, DEADLINE], 5n));
+    assert.deepEqual([multiHop.swap.token_in, multiHop.swap.token_out, multiHop.swap.amount_in], [WETH_ADDRESS.toLowerCase(), OTHER_TOKEN, '5']);
+});
+
+test('Uniswap V2 Router liquidity calls decode into liquidity records, ETH as WETH', () => {
+    const add = decodeUniswapV2Transaction(v2Call('addLiquidityETH', [TOKEN, parseEther('2000'), 0n, 0n, RECIPIENT, DEADLINE], parseEther('1')));
+    assert.equal(add.status, 'not_swap');
+    assert.equal(add.swap, null);
+    assert.deepEqual(add.liquidity, {
+        dex: 'uniswap-v2',
+        method: 'addLiquidityETH',
+        action: 'add',
+        token_a: TOKEN,
+        token_b: WETH_ADDRESS.toLowerCase(),
+        amount_a_desired: parseEther('2000').toString(),
+        amount_b_desired: parseEther('1').toString(),
+        liquidity: null,
+        recipient: RECIPIENT,
+        deadline: DEADLINE,
+    });
+
+    const remove = decodeUniswapV2Transaction(v2Call('removeLiquidityWithPermit', [
+        TOKEN, OTHER_TOKEN, parseEther('5'), 0n, 0n, RECIPIENT, DEADLINE, false, 27, `0x${'11'.repeat(32)}`, `0x${'22'.repeat(32)}`,
+    ]));
+    assert.deepEqual(
+        [remove.liquidity.action, remove.liquidity.token_a, remove.liquidity.token_b, remove.liquidity.liquidity, remove.liquidity.amount_a_desired],
+        ['remove', TOKEN, OTHER_TOKEN, parseEther('5').toString(), null],
+    );
+});
+
+test('Uniswap V2 calls that are not router swaps, or cannot be decoded, are reported without throwing', () => {
+    const swap = v2Call('swapExactTokensForTokens', [parseEther('1'), 0n, [TOKEN, OTHER_TOKEN], RECIPIENT, DEADLINE]);
+    const status = tx => decodeUniswapV2Transaction(tx);
+    const none = { swap: null, liquidity: null };
+
+    assert.deepEqual(status({ ...swap, to: TOKEN }), { status: 'not_router', method: null, ...none });
+    assert.deepEqual(status(v2Call('getAmountsOut', [parseEther('1'), [WETH_ADDRESS, TOKEN]])), { status: 'not_swap', method: 'getAmountsOut', ...none });
+    // Truncated arguments, an unknown selector, no calldata at all.
+    assert.deepEqual(status({ ...swap, data: swap.data.slice(0, -64) }), { status: 'undecodable', method: null, ...none });
+    assert.deepEqual(status({ ...swap, data: `0xdeadbeef${swap.data.slice(10)}` }), { status: 'undecodable', method: null, ...none });
+    assert.deepEqual(status({ ...swap, data: '0x' }), { status: 'undecodable', method: null, ...none });
+    // A one-token path would revert on-chain.
+    assert.deepEqual(
+        status(v2Call('swapExactTokensForTokens', [parseEther('1'), 0n, [TOKEN], RECIPIENT, DEADLINE])),
+        { status: 'undecodable', method: 'swapExactTokensForTokens', ...none },
+    );
+    // Another network's router, by option.
+    assert.equal(decodeUniswapV2Transaction({ ...swap, to: RECIPIENT }, { routerAddress: RECIPIENT }).status, 'swap');
+});
+
+test('V3 SwapRouter swaps decode into the normalized record, exact-output paths in trading order', () => {
+    const single = decoders.decode(pendingTransaction({
+        from: TRADER,
+        to: SWAP_ROUTER_ADDRESS,
+        data: swapRouterInterface.encodeFunctionData('exactInputSingle', [{
+            tokenIn: WETH_ADDRESS, tokenOut: TOKEN, fee: 500, recipient: TRADER, deadline: DEADLINE,
+            amountIn: parseEther('1'), amountOutMinimum: parseEther('1900'), sqrtPriceLimitX96: 0,
+        }]),
+    }));
+    assert.equal(single.status, 'swap');
+    assert.deepEqual(single.swap, {
+        dex: 'uniswap-v3',
+        method: 'exactInputSingle',
+        kind: 'exact_in',
+        fee_on_transfer: false,
+        path: [WETH_ADDRESS, TOKEN],
+        fees: [500],
+        token_in: WETH_ADDRESS,
+        token_out: TOKEN,
+        amount_in: parseEther('1').toString(),
+        amount_in_max: null,
+        amount_out: null,
+        amount_out_min: parseEther('1900').toString(),
+        recipient: TRADER,
+        deadline: DEADLINE,
+    });
+
+    // Exact-output paths start from the output token.
+    const multiHop = decoders.decode(pendingTransaction({
+        from: TRADER,
+        to: SWAP_ROUTER_ADDRESS,
+        data: swapRouterInterface.encodeFunctionData('exactOutput', [{
+            path: v3Path([OTHER_TOKEN, TOKEN, WETH_ADDRESS], [10000, 3000]), recipient: TRADER, deadline: DEADLINE,
+            amountOut: parseEther('500'), amountInMaximum: parseEther('2'),
+        }]),
+    }));
+    assert.equal(multiHop.swap.kind, 'exact_out');
+    assert.deepEqual(multiHop.swap.path, [WETH_ADDRESS, TOKEN, OTHER_TOKEN]);
+    assert.deepEqual(multiHop.swap.fees, [3000, 10000]);
+    assert.equal(multiHop.swap.amount_in_max, parseEther('2').toString());
+    assert.equal(multiHop.swap.amount_out, parseEther('500').toString());
+});
+
+test('SwapRouter02 multicalls yield every swap, paid out to the unwrap recipient, with the multicall deadline', () => {
+    const tx = pendingTransaction({
+        from: TRADER,
+        to: SWAP_ROUTER_02_ADDRESS,
+        data: swapRouter02Interface.encodeFunctionData('multicall(uint256,bytes[])', [DEADLINE, [
+            swapRouter02Interface.encodeFunctionData('swapExactTokensForTokens', [parseEther('100'), 0n, [OTHER_TOKEN, TOKEN], ADDRESS_THIS]),
+            // The router's balance of TOKEN: the V2 swap's output.
+            swapRouter02Interface.encodeFunctionData('exactInput', [{
+                path: v3Path([TOKEN, WETH_ADDRESS], [3000]), recipient: ADDRESS_THIS, amountIn: 0n, amountOutMinimum: parseEther('0.04'),
+            }]),
+            swapRouter02Interface.encodeFunctionData('unwrapWETH9(uint256)', [parseEther('0.04')]),
+        ]]),
+    });
+    const { status, method, swaps } = decoders.decode(tx);
+    assert.equal(status, 'swap');
+    assert.equal(method, 'multicall');
+    assert.deepEqual(swaps.map(swap => [swap.dex, swap.method, swap.amount_in, swap.deadline]), [
+        ['uniswap-v2', 'swapExactTokensForTokens', parseEther('100').toString(), DEADLINE],
+        ['uniswap-v3', 'exactInput', null, DEADLINE],
+    ]);
+    // Only the WETH the last swap left in the router is unwrapped to the sender.
+    assert.deepEqual(swaps.map(swap => swap.recipient), [null, TRADER]);
+
+    const refundOnly = decoders.decode(pendingTransaction({
+        from: TRADER,
+        to: SWAP_ROUTER_02_ADDRESS,
+        data: swapRouter02Interface.encodeFunctionData('multicall(bytes[])', [[swapRouter02Interface.encodeFunctionData('refundETH')]]),
+    }));
+    assert.equal(refundOnly.status, 'not_swap');
+});
+
+test('Universal Router programs decode command by command, through wraps, sub-plans and allow-revert flags', () => {
+    const tx = execute([
+        { command: 0x0b, types: ['address', 'uint256'], args: [ADDRESS_THIS, CONTRACT_BALANCE] },
+        { command: 0x00, types: ['address', 'uint256', 'uint256', 'bytes', 'bool'], args: [MSG_SENDER, CONTRACT_BALANCE, parseEther('1900'), v3Path([WETH_ADDRESS, TOKEN], [500]), false] },
+        {
+            command: 0x21,
+            types: ['bytes', 'bytes[]'],
+            args: ['0x89', [abiCoder.encode(['address', 'uint256', 'uint256', 'address[]', 'bool'], [ADDRESS_THIS, parseEther('10'), parseEther('1000'), [TOKEN, OTHER_TOKEN], true])]],
+        },
+        { command: 0x04, types: ['address', 'address', 'uint256'], args: [OTHER_TOKEN, RECIPIENT, 0n] },
+    ], parseEther('1'));
+    const { status, method, swaps } = decoders.decode(tx);
+    assert.equal(status, 'swap');
+    assert.equal(method, 'execute');
+    assert.deepEqual(swaps.map(swap => [swap.method, swap.kind, swap.path, swap.fees, swap.recipient, swap.deadline]), [
+        ['V3_SWAP_EXACT_IN', 'exact_in', [WETH_ADDRESS, TOKEN], [500], TRADER, DEADLINE],
+        // Allowed to revert (0x80), in a sub-plan, swept to another address.
+        ['V2_SWAP_EXACT_OUT', 'exact_out', [TOKEN, OTHER_TOKEN], null, RECIPIENT, DEADLINE],
+    ]);
+    // The whole balance of WETH is the ETH the program wrapped.
+    assert.equal(swaps[0].amount_in, parseEther('1').toString());
+    assert.equal(swaps[1].amount_in_max, parseEther('1000').toString());
+    assert.equal(swaps[1].amount_out, parseEther('10').toString());
+
+    // Commands we do not model (here a V4 swap) are undecodable when nothing else trades.
+    assert.equal(decoders.decode(execute([{ command: 0x10, types: ['bytes'], args: ['0x'] }])).status, 'undecodable');
+});
+
+test('routers are added by config, each read by the decoder it names', () => {
+    const router = `0x${'d1'.repeat(20)}`;
+    const tx = execute([{ command: 0x08, types: ['address', 'uint256', 'uint256', 'address[]', 'bool'], args: [MSG_SENDER, parseEther('1'), 0n, [WETH_ADDRESS, TOKEN], true] }]);
+    tx.to = router;
+    assert.equal(decoders.decode(tx).status, 'not_router');
+
+    const { config: custom } = loadConfig({ argv: ['--network', 'mainnet', '--routers', `universal-router:${router}`], env: {} });
+    assert.equal(DecoderRegistry.fromConfig(custom).decode(tx).swap.method, 'V2_SWAP_EXACT_IN');
+    // Without `routers`, only the V2 Router 02 is decoded.
+    const { config: v2Only } = loadConfig({ argv: ['--network', 'mainnet', '--routers', ''], env: {} });
+    assert.equal(DecoderRegistry.fromConfig(v2Only).decode(execute([])).status, 'not_router');
+    assert.throws(() => loadConfig({ argv: ['--routers', `v4-router:${router}`], env: {} }), /routers \(flag --routers\)/);
+});
+
+test('a Universal Router victim is clustered and alerted on with the V2 router swaps around it', async (t) => {
+    const pools = [{ tokenA: WETH_ADDRESS, tokenB: TOKEN, reserveA: parseEther('1000'), reserveB: parseEther('2000000') }];
+    const harness = createHarness({ pools, detectors });
+    await harness.start();
+    t.after(() => harness.stop());
+
+    const frontrun = swapTransaction({ from: ATTACKER, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('20'), priorityFeeGwei: 5 });
+    const victim = execute([
+        { command: 0x0b, types: ['address', 'uint256'], args: [ADDRESS_THIS, parseEther('10')] },
+        { command: 0x08, types: ['address', 'uint256', 'uint256', 'address[]', 'bool'], args: [MSG_SENDER, parseEther('10'), parseEther('18000'), [WETH_ADDRESS, TOKEN], false] },
+    ], parseEther('10'));
+    const backrun = swapTransaction({ from: ATTACKER, nonce: 1, path: [TOKEN, WETH_ADDRESS], amountIn: parseEther('39000') });
+    for (const tx of [frontrun, victim, backrun]) {
+        await harness.provider.addPendingTransaction(tx);
+    }
+    assert.equal(harness.service.clusterer.clusterCount, 1);
+    await harness.service.runDetectionTick();
+
+    assert.deepEqual(harness.errors(), []);
+    const [alert] = harness.alerts();
+    assert.deepEqual(alert.tx_hashes, [frontrun.hash, victim.hash, backrun.hash]);
+    assert.deepEqual(alert.tokens, [WETH_ADDRESS, TOKEN]);
+    // Its swap trades on the same V2 pair, so it is simulated like a router swap.
+    assert.equal(alert.victim_amount_eth, 10);
+    assert.equal(typeof alert.profit_eth, 'number');
+});
+
+/**
+ * Surrounds `victim` with V2 router swaps buying TOKEN before it and selling it after.
+ * @returns {Promise<Array<Object>>} The alerts published.
+ */
+async function sandwichAround(t, victim) {
+    const pools = [{ tokenA: WETH_ADDRESS, tokenB: TOKEN, reserveA: parseEther('1000'), reserveB: parseEther('2000000') }];
+    const harness = createHarness({ pools, detectors });
+    await harness.start();
+    t.after(() => harness.stop());
+    for (const tx of [
+        swapTransaction({ from: ATTACKER, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('20'), priorityFeeGwei: 5 }),
+        victim,
+        swapTransaction({ from: ATTACKER, nonce: 1, path: [TOKEN, WETH_ADDRESS], amountIn: parseEther('39000') }),
+    ]) {
+        await harness.provider.addPendingTransaction(tx);
+    }
+    await harness.service.runDetectionTick();
+    assert.deepEqual(harness.errors(), []);
+    return harness.alerts();
+}
+
+test('a batched victim is sandwiched on whichever of its swaps trades on the attacked pool', async (t) => {
+    const [alert] = await sandwichAround(t, execute([
+        { command: 0x0b, types: ['address', 'uint256'], args: [ADDRESS_THIS, parseEther('10')] },
+        { command: 0x00, types: ['address', 'uint256', 'uint256', 'bytes', 'bool'], args: [MSG_SENDER, parseEther('1'), 0n, v3Path([WETH_ADDRESS, OTHER_TOKEN], [500]), false] },
+        { command: 0x08, types: ['address', 'uint256', 'uint256', 'address[]', 'bool'], args: [MSG_SENDER, parseEther('9'), parseEther('16000'), [WETH_ADDRESS, TOKEN], false] },
+    ], parseEther('10')));
+
+    assert.equal(alert.rule, 'pool_sandwich');
+    // Reported, and simulated, on its second swap.
+    assert.deepEqual(alert.tokens, [WETH_ADDRESS, TOKEN]);
+    assert.equal(alert.victim_amount_eth, 9);
+});
+
+test('a V3 pool is not the V2 pair of the same tokens: buying on one and selling on the other is no sandwich', async (t) => {
+    // The victim buys TOKEN on the 0.3% V3 pool, where the attacker does not trade, and sells
+    // some on the V2 pair, against the frontrun's direction.
+    const alerts = await sandwichAround(t, execute([
+        { command: 0x0b, types: ['address', 'uint256'], args: [ADDRESS_THIS, parseEther('1')] },
+        { command: 0x00, types: ['address', 'uint256', 'uint256', 'bytes', 'bool'], args: [MSG_SENDER, parseEther('1'), 0n, v3Path([WETH_ADDRESS, TOKEN], [3000]), false] },
+        { command: 0x08, types: ['address', 'uint256', 'uint256', 'address[]', 'bool'], args: [MSG_SENDER, parseEther('1000'), 0n, [TOKEN, WETH_ADDRESS], true] },
+    ], parseEther('1')));
+    assert.deepEqual(alerts, []);
+});
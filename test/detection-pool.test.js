@@ -0,0 +1,170 @@
+// test/detection-pool.test.js (Detection on worker threads, and non-overlapping rounds)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEther } = require('ethers');
+const { DetectionPool } = require('../src/detection/detection-pool');
+const { createHarness, swapTransaction } = require('../src/testing/harness');
+const detectors = require('../src/testing/fake-detectors');
+const { WETH_ADDRESS } = require('../src/pools/pool-state');
+
+const FAKE_DETECTORS = require.resolve('../src/testing/fake-detectors');
+const TOKEN = `0x${'7a'.repeat(20)}`;
+const ATTACKER = `0x${'a1'.repeat(20)}`;
+const VICTIM = `0x${'b1'.repeat(20)}`;
+
+/**
+ * Engine records of a sandwich on one pool (see `toEngineTransaction`).
+ * @param {string} prefix - Makes the hashes unique.
+ * @returns {Array<Object>}
+ */
+function sandwichRecords(prefix) {
+    const record = (n, sender, nonce, tokenIn, tokenOut, fee) => ({
+        hash: `${prefix}-${n}`, sender, nonce, token_in: tokenIn, token_out: tokenOut, path: [tokenIn, tokenOut], to: ATTACKER, timestamp: n, effective_priority_fee: fee,
+    });
+    return [
+        record(1, ATTACKER, 0, WETH_ADDRESS, TOKEN, '5'),
+        record(2, VICTIM, 0, WETH_ADDRESS, TOKEN, '1'),
+        record(3, ATTACKER, 1, TOKEN, WETH_ADDRESS, '1'),
+    ];
+}
+
+function createPool(t, options = {}) {
+    const pool = new DetectionPool({ size: 2, detectors: FAKE_DETECTORS, toRecord: record => record, ...options });
+    t.after(() => pool.close());
+    return pool;
+}
+
+/** Records what the pool sends to each worker. */
+function spyOnRequests(pool) {
+    const requests = [];
+    pool.slots.forEach((slot, index) => {
+        const postMessage = slot.worker.postMessage.bind(slot.worker);
+        slot.worker.postMessage = (message) => {
+            requests.push({ worker: index, ...message });
+            postMessage(message);
+        };
+    });
+    return requests;
+}
+
+test('every cluster is analyzed by the worker of its key, and results keep their order', async (t) => {
+    const pool = createPool(t);
+    const clusters = ['a', 'b', 'c', 'd', 'e'].map(key => ({ key, transactions: sandwichRecords(key) }));
+    const requests = spyOnRequests(pool);
+    const results = await pool.detect(clusters);
+
+    assert.deepEqual(results.map(result => result.sandwiches[0].victim_hash), ['a-2', 'b-2', 'c-2', 'd-2', 'e-2']);
+    assert.deepEqual(results[0].jit, []);
+    assert.equal(typeof results[0].durationMs, 'number');
+    // One request per worker with clusters, each cluster on its shard.
+    assert.equal(requests.length, new Set(clusters.map(({ key }) => pool.shardOf(key))).size);
+    for (const request of requests) {
+        assert.ok(request.clusters.every(({ hashes }) => pool.shardOf(hashes[0].split('-')[0]) === request.worker));
+    }
+});
+
+test('a worker is sent each transaction once while it is retained', async (t) => {
+    const pool = createPool(t, { size: 1 });
+    const requests = spyOnRequests(pool);
+    const [frontrun, victim, backrun] = sandwichRecords('s');
+    const retained = new Set([frontrun.hash, victim.hash]);
+
+    await pool.detect([{ key: 'pool', transactions: [frontrun, victim] }], { retain: hash => retained.has(hash) });
+    const [result] = await pool.detect([{ key: 'pool', transactions: [frontrun, victim, backrun] }], { retain: hash => retained.has(hash) });
+    assert.equal(result.sandwiches.length, 1);
+    assert.deepEqual(requests[1].added.map(record => record.hash), [backrun.hash]);
+
+    // Records that are not retained are dropped by the worker, and sent again when needed.
+    await pool.detect([{ key: 'other', transactions: sandwichRecords('o') }], { retain: hash => retained.has(hash) });
+    assert.deepEqual(requests[2].removed, [backrun.hash]);
+    await pool.detect([{ key: 'pool', transactions: [frontrun, victim, backrun] }], { retain: hash => retained.has(hash) });
+    assert.deepEqual(requests[3].added.map(record => record.hash), [backrun.hash]);
+});
+
+test('a worker that gets no clusters still drops the records that are no longer retained', async (t) => {
+    const pool = createPool(t);
+    const requests = spyOnRequests(pool);
+    const keys = ['a', 'b', 'c', 'd', 'e'];
+    const busy = keys.find(key => pool.shardOf(key) === 0);
+    const idle = keys.find(key => pool.shardOf(key) === 1);
+    const idleRecords = sandwichRecords(idle);
+    const retained = new Set(idleRecords.map(record => record.hash));
+    const retain = hash => retained.has(hash);
+
+    await pool.detect([{ key: busy, transactions: sandwichRecords(busy) }, { key: idle, transactions: idleRecords }], { retain });
+    // Still retained: nothing to tell the idle worker.
+    await pool.detect([{ key: busy, transactions: sandwichRecords(busy) }], { retain });
+    assert.deepEqual(requests.slice(2).map(request => request.worker), [0]);
+
+    retained.delete(idleRecords[0].hash);
+    await pool.detect([{ key: busy, transactions: sandwichRecords(busy) }], { retain });
+    const pruning = requests.slice(3).find(request => request.worker === 1);
+    assert.deepEqual([pruning.removed, pruning.added, pruning.clusters], [[idleRecords[0].hash], [], []]);
+    assert.deepEqual(Array.from(pool.slots[1].sent), idleRecords.slice(1).map(record => record.hash));
+});
+
+test('detector errors fail their own cluster only', async (t) => {
+    const pool = createPool(t, { size: 1 });
+    const broken = sandwichRecords('x').map(record => ({ ...record, effective_priority_fee: 'not a number' }));
+    const [failed, found] = await pool.detect([{ key: 'x', transactions: broken }, { key: 'y', transactions: sandwichRecords('y') }]);
+    assert.match(failed.error.message, /BigInt/);
+    assert.equal(found.sandwiches.length, 1);
+});
+
+test('a worker that dies fails its pending clusters and is replaced on the next call', async (t) => {
+    const pool = createPool(t, { size: 1 });
+    const pending = pool.detect([{ key: 'a', transactions: sandwichRecords('a') }]);
+    await pool.slots[0].worker.terminate();
+    const [failed] = await pending;
+    assert.ok(failed.error);
+
+    const [result] = await pool.detect([{ key: 'a', transactions: sandwichRecords('a') }]);
+    assert.equal(result.sandwiches.length, 1);
+});
+
+test('the service publishes sandwiches found by the detection workers', async (t) => {
+    const harness = createHarness({
+        pools: [{ tokenA: WETH_ADDRESS, tokenB: TOKEN, reserveA: parseEther('1000'), reserveB: parseEther('2000000') }],
+        detectionPool: new DetectionPool({ size: 2, detectors: FAKE_DETECTORS }),
+    });
+    await harness.start();
+    t.after(() => harness.stop());
+    for (const tx of [
+        swapTransaction({ from: ATTACKER, nonce: 0, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('20'), priorityFeeGwei: 5 }),
+        swapTransaction({ from: VICTIM, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('10'), amountOutMin: parseEther('18000') }),
+        swapTransaction({ from: ATTACKER, nonce: 1, path: [TOKEN, WETH_ADDRESS], amountIn: parseEther('39000') }),
+    ]) {
+        await harness.provider.addPendingTransaction(tx);
+    }
+    await harness.service.runDetectionTick();
+
+    assert.deepEqual(harness.errors(), []);
+    const [alert] = harness.alerts();
+    assert.equal(alert.attacker, ATTACKER);
+    assert.equal(alert.victim, VICTIM);
+});
+
+test('detection rounds never overlap: rounds due meanwhile are merged into one', async (t) => {
+    const harness = createHarness({ detectors });
+    await harness.start();
+    t.after(() => harness.stop());
+    const round = harness.service.detectionRound.bind(harness.service);
+    let running = 0;
+    let mostRunning = 0;
+    let rounds = 0;
+    harness.service.detectionRound = async () => {
+        running++;
+        rounds++;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await round();
+        running--;
+    };
+
+    await Promise.all([1, 2, 3, 4].map(() => harness.service.runDetectionTick()));
+    assert.equal(mostRunning, 1);
+    assert.equal(rounds, 2);
+    await harness.service.runDetectionTick();
+    assert.equal(rounds, 3);
+});
@@ -0,0 +1,309 @@
+// test/detection.test.js (Detection wiring, deduplication and alert publishing, end to end)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEther } = require('ethers');
+const { createHarness, swapTransaction, liquidityTransaction, pendingTransaction } = require('../src/testing/harness');
+// Stand-ins for the WASM detectors, with simpler rules (the last test runs the real ones).
+const detectors = require('../src/testing/fake-detectors');
+const { WETH_ADDRESS } = require('../src/pools/pool-state');
+const { metrics } = require('../src/metrics/metrics');
+
+const TOKEN = `0x${'7a'.repeat(20)}`;
+const ATTACKER = `0x${'a1'.repeat(20)}`;
+const OTHER_ATTACKER = `0x${'a2'.repeat(20)}`;
+const VICTIM = `0x${'b1'.repeat(20)}`;
+const OTHER_VICTIM = `0x${'b2'.repeat(20)}`;
+const POOLS = [{ tokenA: WETH_ADDRESS, tokenB: TOKEN, reserveA: parseEther('1000'), reserveB: parseEther('2000000') }];
+
+/**
+ * Sends a frontrun, a victim swap and a backrun to the mempool.
+ * @returns {Promise<Object>} The three transactions.
+ */
+async function sandwich(harness, { attacker = ATTACKER, victim = VICTIM, nonce = 0 } = {}) {
+    const frontrun = swapTransaction({ from: attacker, nonce, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('20'), priorityFeeGwei: 5 });
+    const victimTx = swapTransaction({
+        from: victim, nonce, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('10'), amountOutMin: parseEther('18000'), priorityFeeGwei: 1,
+    });
+    const backrun = swapTransaction({ from: attacker, nonce: nonce + 1, path: [TOKEN, WETH_ADDRESS], amountIn: parseEther('39000'), priorityFeeGwei: 1 });
+    for (const tx of [frontrun, victimTx, backrun]) {
+        await harness.provider.addPendingTransaction(tx);
+    }
+    return { frontrun, victim: victimTx, backrun };
+}
+
+async function startHarness(t, options = {}) {
+    const harness = createHarness({ pools: POOLS, detectors, ...options });
+    await harness.start();
+    t.after(() => harness.stop());
+    return harness;
+}
+
+test('a sandwich in the mempool is simulated, scored and published to Kafka', async (t) => {
+    const harness = await startHarness(t);
+    const txs = await sandwich(harness);
+    await harness.service.runDetectionTick();
+
+    assert.deepEqual(harness.errors(), []);
+    assert.equal(harness.producer.messages.length, 1);
+    const [message] = harness.producer.messages;
+    assert.equal(message.topic, harness.config.kafkaTopic);
+    assert.equal(message.key, ATTACKER);
+    assert.equal(message.headers['alert-type'], 'sandwich');
+    assert.equal(message.headers['schema-version'], JSON.parse(message.value).schema_version);
+
+    const [alert] = harness.alerts();
+    assert.equal(alert.status, 'suspected');
+    assert.equal(alert.chain_id, harness.config.chainId);
+    assert.deepEqual(alert.tx_hashes, [txs.frontrun.hash, txs.victim.hash, txs.backrun.hash]);
+    assert.equal(alert.pool, harness.service.poolState.pairAddressFor(WETH_ADDRESS, TOKEN));
+    assert.deepEqual(alert.tokens, [WETH_ADDRESS, TOKEN]);
+    assert.equal(alert.victim_amount_eth, 10);
+    assert.equal(typeof alert.profit_eth, 'number');
+    assert.equal(alert.gas_premium, '4000000000');
+    // Scored against the attacker's (empty) history, and recorded in its profile.
+    assert.equal(alert.rule_confidence, 0.8);
+    assert.equal(alert.attacker_profile.attack_count, 1);
+    assert.equal(alert.severity, 'low');
+});
+
+test('an alert with a field outside the schema is rejected and published nowhere', async () => {
+    const harness = createHarness({ pools: POOLS, detectors });
+    await harness.start();
+    await sandwich(harness);
+    await harness.service.runDetectionTick();
+    const [alert] = harness.alerts();
+
+    await harness.service.publishAlert({ ...alert, extra: true });
+    assert.equal(harness.producer.messages.length, 1);
+    const [[, error]] = harness.errors();
+    assert.equal(error.name, 'AlertSchemaError');
+    assert.match(error.message, /must NOT have additional properties/);
+
+    // The harness fails the test on any rejected alert; this one is expected.
+    await assert.rejects(harness.stop(), /1 alert\(s\) rejected by the schema/);
+});
+
+test('the same sandwich is alerted once, and again once its dedup key expires', async (t) => {
+    const harness = await startHarness(t, { config: { dedupScope: 'victim_tx', redisTtlSeconds: 30, transactionLifespanMs: 120000 } });
+    const txs = await sandwich(harness);
+    await harness.service.runDetectionTick();
+    // A new swap on the pool makes the cluster dirty, so the sandwich is detected again.
+    await harness.provider.addPendingTransaction(swapTransaction({ from: OTHER_VICTIM, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('1') }));
+    await harness.service.runDetectionTick();
+    assert.equal(harness.alerts().length, 1);
+
+    harness.clock.advance(30000);
+    assert.equal(await harness.redis.exists(`mev:dedup:${ATTACKER}:${txs.victim.hash}`), 0);
+    await harness.provider.addPendingTransaction(swapTransaction({ from: OTHER_VICTIM, nonce: 1, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('1') }));
+    await harness.service.runDetectionTick();
+    const alerts = harness.alerts();
+    assert.equal(alerts.length, 2);
+    assert.deepEqual(alerts[1].tx_hashes, alerts[0].tx_hashes);
+});
+
+test('repeat sandwiches on a pool are rolled up, and reported once the interval passes', async (t) => {
+    const harness = await startHarness(t, { config: { escalationThreshold: 100 } });
+    await sandwich(harness);
+    await harness.service.runDetectionTick();
+    await sandwich(harness, { victim: OTHER_VICTIM, nonce: 2 });
+    await harness.service.runDetectionTick();
+    assert.equal(harness.alerts().length, 1);
+    assert.equal(await harness.redis.hget(`mev:rollup:${ATTACKER}`, 'count'), '1');
+
+    harness.clock.advance(harness.config.rollupIntervalMs);
+    await harness.service.runDetectionTick();
+    const [, rollup] = harness.alerts();
+    assert.equal(rollup.status, 'rollup');
+    assert.equal(rollup.attacker, ATTACKER);
+    assert.equal(rollup.suppressed_count, 1);
+    assert.equal(await harness.redis.exists(`mev:rollup:${ATTACKER}`), 0);
+});
+
+test('an attacker reaching the escalation threshold is reported at once', async (t) => {
+    // With the default scope and threshold.
+    const harness = await startHarness(t);
+    for (let i = 0; i <= harness.config.escalationThreshold; i++) {
+        await sandwich(harness, { victim: `0x${(0xb100 + i).toString(16).padStart(40, '0')}`, nonce: 2 * i });
+        await harness.service.runDetectionTick();
+    }
+
+    const alerts = harness.alerts();
+    assert.deepEqual(alerts.map(alert => alert.status), ['suspected', 'rollup']);
+    assert.equal(alerts[1].escalated, true);
+    assert.equal(alerts[1].suppressed_count, harness.config.escalationThreshold);
+});
+
+test('with the victim_tx scope every distinct sandwich is alerted, and none escalates', async (t) => {
+    const harness = await startHarness(t, { config: { dedupScope: 'victim_tx', escalationThreshold: 1 } });
+    await sandwich(harness);
+    await harness.service.runDetectionTick();
+    await sandwich(harness, { victim: OTHER_VICTIM, nonce: 2 });
+    await harness.service.runDetectionTick();
+
+    assert.deepEqual(harness.alerts().map(alert => [alert.status, alert.victim]), [['suspected', VICTIM], ['suspected', OTHER_VICTIM]]);
+    assert.equal(await harness.redis.exists(`mev:rollup:${ATTACKER}`), 0);
+});
+
+test('a suppressing rule keeps the alert from Kafka but still counts it in the profile', async (t) => {
+    const harness = await startHarness(t, {
+        rules: { rules: [{ name: 'own-bot', action: 'suppress', addresses: [ATTACKER] }] },
+    });
+    await sandwich(harness);
+    await sandwich(harness, { attacker: OTHER_ATTACKER, victim: OTHER_VICTIM });
+    await harness.service.runDetectionTick();
+
+    assert.deepEqual(harness.alerts().map(alert => alert.attacker), [OTHER_ATTACKER]);
+    assert.equal(await harness.redis.hget(`mev:profile:${ATTACKER}`, 'attack_count'), '1');
+});
+
+test('a sandwich whose victim is mined first is retracted', async (t) => {
+    const harness = await startHarness(t);
+    const txs = await sandwich(harness);
+    await harness.service.runDetectionTick();
+    const fetched = [];
+    const getBlock = harness.provider.getBlock.bind(harness.provider);
+    harness.provider.getBlock = (blockNumber) => {
+        fetched.push(blockNumber);
+        return getBlock(blockNumber);
+    };
+    await harness.provider.mineBlock([txs.victim.hash]);
+    // The service hands the block it fetched to the confirmers.
+    assert.equal(fetched.length, 1);
+
+    const [suspected, retracted] = harness.alerts();
+    assert.equal(retracted.status, 'retracted');
+    assert.equal(retracted.parent_alert_id, suspected.alert_id);
+    assert.equal(retracted.reason, 'frontrun_not_before_victim');
+    assert.equal(await harness.redis.hget(`mev:profile:${ATTACKER}`, 'retracted_count'), '1');
+});
+
+test('a transaction that fails processing is logged and counted by stage, and the next ones are still clustered', async (t) => {
+    const harness = await startHarness(t);
+    const failures = async () => {
+        const { values } = await metrics.processingErrors.get();
+        const counted = values.find(({ labels }) => labels.stage === 'cluster');
+        return counted ? counted.value : 0;
+    };
+    const before = await failures();
+    const { clusterer } = harness.service;
+    const add = clusterer.add;
+    clusterer.add = () => {
+        throw new Error('cluster unavailable');
+    };
+    // With the highest tip, so the sandwich's frontrun does not pass for a copy of it.
+    const failed = swapTransaction({ from: OTHER_ATTACKER, nonce: 0, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('1'), priorityFeeGwei: 10 });
+    await harness.provider.addPendingTransaction(failed);
+    clusterer.add = add;
+
+    assert.equal(await failures(), before + 1);
+    assert.equal(harness.errors().length, 1);
+    const [message, error] = harness.errors()[0];
+    assert.equal(message, `Error processing pending transaction ${failed.hash} (cluster):`);
+    assert.equal(error.message, 'cluster unavailable');
+
+    await sandwich(harness);
+    await harness.service.runDetectionTick();
+    assert.equal(harness.alerts().length, 1);
+});
+
+test('liquidity added right before a swap and removed right after is alerted as JIT liquidity', async (t) => {
+    const harness = await startHarness(t);
+    const add = liquidityTransaction({
+        from: ATTACKER, nonce: 0, action: 'add', tokenA: WETH_ADDRESS, tokenB: TOKEN, amountA: parseEther('100'), amountB: parseEther('300000'),
+    });
+    const victim = swapTransaction({ from: VICTIM, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('10') });
+    const remove = liquidityTransaction({ from: ATTACKER, nonce: 1, action: 'remove', tokenA: WETH_ADDRESS, tokenB: TOKEN, liquidity: parseEther('1') });
+    for (const tx of [add, victim, remove]) {
+        await harness.provider.addPendingTransaction(tx);
+    }
+    await harness.service.runDetectionTick();
+
+    assert.deepEqual(harness.errors(), []);
+    const [alert] = harness.alerts();
+    assert.equal(harness.alerts().length, 1);
+    assert.equal(alert.detection_type, 'jit_liquidity');
+    assert.equal(alert.attacker, ATTACKER);
+    assert.equal(alert.victim, VICTIM);
+    assert.deepEqual(alert.tx_hashes, [add.hash, victim.hash, remove.hash]);
+    assert.equal(alert.pool, harness.service.poolState.pairAddressFor(WETH_ADDRESS, TOKEN));
+    // 100 WETH (and the 200,000 TOKEN that match the pair's price) next to 1,000 WETH: 1/11
+    // of the pair, so 1/11 of the victim's 0.03 WETH fee, less 2 x 200,000 gas at 100 gwei.
+    assert.equal(alert.lp_dilution, 0.090909);
+    assert.equal(alert.jit_fees_eth, 0.0027);
+    assert.equal(alert.profit_eth, -0.0373);
+});
+
+/**
+ * Sends a call and an ATTACKER copy of it with a higher tip, and runs a detection round.
+ * @returns {Promise<Object>} The two transactions.
+ */
+async function copycat(harness) {
+    const target = `0x${'c0'.repeat(20)}`;
+    const data = `0x12345678${'00'.repeat(12)}${VICTIM.slice(2)}${['11', '22', '33', '44'].map(byte => byte.repeat(32)).join('')}`;
+    const original = pendingTransaction({ from: VICTIM, to: target, data, priorityFeeGwei: 1 });
+    const copy = pendingTransaction({ from: ATTACKER, to: target, data: data.replace(VICTIM.slice(2), ATTACKER.slice(2)), priorityFeeGwei: 3 });
+    await harness.provider.addPendingTransaction(original);
+    await harness.provider.addPendingTransaction(copy);
+    await harness.service.runDetectionTick();
+    return { original, copy };
+}
+
+test('a copied transaction with a higher tip is alerted as a copycat', async (t) => {
+    const harness = await startHarness(t);
+    await copycat(harness);
+
+    const [alert] = harness.alerts();
+    assert.equal(alert.detection_type, 'copycat');
+    assert.equal(alert.attacker, ATTACKER);
+    assert.equal(alert.victim, VICTIM);
+});
+
+test('a copy mined ahead of its original confirms the copycat', async (t) => {
+    const harness = await startHarness(t);
+    const { original, copy } = await copycat(harness);
+    // The original usually reverts once its opportunity is taken.
+    await harness.provider.mineBlock([copy.hash, original.hash], { receipts: { [original.hash]: { status: 0 } } });
+
+    const [suspected, confirmed] = harness.alerts();
+    assert.equal(confirmed.status, 'confirmed');
+    assert.equal(confirmed.parent_alert_id, suspected.alert_id);
+    assert.equal(confirmed.reason, null);
+    assert.equal(confirmed.landed_first, 'copy');
+    assert.equal(confirmed.block_number, harness.provider.blockNumber);
+    assert.deepEqual(confirmed.transaction_indexes, { original: 1, copy: 0 });
+    assert.equal(confirmed.actual.original_reverted, true);
+    assert.equal(await harness.redis.hget(`mev:profile:${ATTACKER}`, 'confirmed_count'), '1');
+});
+
+test('a copy mined after its original, or reverted, retracts the copycat', async (t) => {
+    const harness = await startHarness(t);
+    const { original, copy } = await copycat(harness);
+    await harness.provider.mineBlock([original.hash, copy.hash]);
+
+    const [suspected, retracted] = harness.alerts();
+    assert.equal(retracted.status, 'retracted');
+    assert.equal(retracted.parent_alert_id, suspected.alert_id);
+    assert.equal(retracted.reason, 'original_first');
+    assert.equal(retracted.landed_first, 'original');
+    assert.deepEqual(retracted.transaction_indexes, { original: 0, copy: 1 });
+
+    const other = await startHarness(t);
+    const reverted = await copycat(other);
+    await other.provider.mineBlock([reverted.copy.hash], { receipts: { [reverted.copy.hash]: { status: 0 } } });
+    const [, copyReverted] = other.alerts();
+    assert.deepEqual([copyReverted.status, copyReverted.reason, copyReverted.landed_first], ['retracted', 'copy_reverted', 'copy']);
+});
+
+// Runs the engine built into mev_engine/pkg (`npm test` builds it first).
+test('the WASM sandwich detector finds the sandwich', async (t) => {
+    const harness = await startHarness(t, { detectors: undefined });
+    const txs = await sandwich(harness);
+    await harness.service.runDetectionTick();
+    assert.deepEqual(harness.errors(), []);
+    const [alert, ...others] = harness.alerts().filter(alert => alert.detection_type === 'sandwich');
+    assert.deepEqual(others, []);
+    assert.deepEqual(alert.tx_hashes, [txs.frontrun.hash, txs.victim.hash, txs.backrun.hash]);
+    assert.equal(alert.rule, 'pool_sandwich');
+    assert.equal(alert.gas_premium, '4000000000');
+});
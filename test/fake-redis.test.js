@@ -0,0 +1,79 @@
+// test/fake-redis.test.js (The in-memory Redis the other tests run on)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeRedis } = require('../src/testing/fake-redis');
+
+function clockedRedis() {
+    const clock = { time: 1000000 };
+    return { clock, redis: new FakeRedis({ now: () => clock.time }) };
+}
+
+test('keys expire on the injected clock', async () => {
+    const { clock, redis } = clockedRedis();
+    assert.equal(await redis.set('marker', 'x', 'EX', 10), 'OK');
+    assert.equal(await redis.ttl('marker'), 10);
+    clock.time += 9999;
+    assert.equal(await redis.get('marker'), 'x');
+    clock.time += 1;
+    assert.equal(await redis.get('marker'), null);
+    assert.equal(await redis.ttl('marker'), -2);
+});
+
+test('SET NX only sets missing keys, and a plain SET clears the TTL', async () => {
+    const { redis } = clockedRedis();
+    assert.equal(await redis.set('k', '1', 'NX', 'EX', 5), 'OK');
+    assert.equal(await redis.set('k', '2', 'NX'), null);
+    assert.equal(await redis.set('k', '3'), 'OK');
+    assert.equal(await redis.ttl('k'), -1);
+});
+
+test('hashes, sets and lists behave like Redis', async () => {
+    const { redis } = clockedRedis();
+    assert.equal(await redis.hset('h', { a: 1, b: 'x' }), 2);
+    assert.equal(await redis.hincrby('h', 'a', 2), 3);
+    assert.equal(await redis.hincrbyfloat('h', 'f', '0.1'), '0.1');
+    assert.equal(await redis.hincrbyfloat('h', 'f', '0.2'), '0.3');
+    assert.deepEqual(await redis.hgetall('h'), { a: '3', b: 'x', f: '0.3' });
+    assert.deepEqual(await redis.hgetall('missing'), {});
+    assert.equal(await redis.sadd('s', 'a', 'b', 'a'), 2);
+    assert.equal(await redis.srem('s', 'a', 'b'), 2);
+    assert.equal(await redis.exists('s'), 0, 'empty sets are deleted');
+    await redis.rpush('l', 'a', 'b', 'c');
+    assert.deepEqual(await redis.lrange('l', 1, -1), ['b', 'c']);
+    await assert.rejects(redis.sadd('h', 'x'), /WRONGTYPE/);
+});
+
+test('multi runs queued commands and reports each result', async () => {
+    const { redis } = clockedRedis();
+    await redis.set('k', 'v');
+    const results = await redis.multi().del('k').hset('h', { a: '1' }).hgetall('h').sadd('h', 'x').exec();
+    assert.deepEqual(results.slice(0, 3), [[null, 1], [null, 1], [null, { a: '1' }]]);
+    assert.match(results[3][0].message, /WRONGTYPE/);
+});
+
+test('defined commands run their Lua script against the keyspace', async () => {
+    const { clock, redis } = clockedRedis();
+    redis.defineCommand('checkAndCount', {
+        numberOfKeys: 2,
+        lua: `
+if redis.call('SET', KEYS[1], '1', 'NX', 'EX', ARGV[1]) then
+    return {1, 0}
+end
+return {0, redis.call('HINCRBY', KEYS[2], 'count', 1), tonumber(ARGV[2]) * 1.5, false, nil, 'after nil'}
+`,
+    });
+    assert.deepEqual(await redis.checkAndCount('marker', 'counts', 60, 3), [1, 0]);
+    // Numbers are truncated to integers and a table ends at its first nil, as in Redis.
+    assert.deepEqual(await redis.checkAndCount('marker', 'counts', 60, 3), [0, 1, 4, null]);
+    clock.time += 60000;
+    assert.deepEqual(await redis.checkAndCount('marker', 'counts', 60, 3), [1, 0]);
+});
+
+test('a script error rejects, and redis.pcall returns errors as values', async () => {
+    const { redis } = clockedRedis();
+    await redis.set('string', 'x');
+    await assert.rejects(redis.eval("return redis.call('HGET', KEYS[1], 'f')", 1, 'string'), /WRONGTYPE/);
+    await assert.rejects(redis.eval("return redis.pcall('HGET', KEYS[1], 'f')", 1, 'string'), /WRONGTYPE/);
+    assert.equal(await redis.eval("local r = redis.pcall('HGET', KEYS[1], 'f') return r.err ~= nil and 'caught' or 'missed'", 1, 'string'), 'caught');
+});
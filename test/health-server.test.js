@@ -0,0 +1,112 @@
+// test/health-server.test.js (Metrics, liveness and readiness endpoints)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHealthServer } = require('../src/metrics/health-server');
+const { registry } = require('../src/metrics/metrics');
+const { FakeNode } = require('../src/testing/fake-node');
+const { ReconnectingProvider } = require('../src/ingestion/reconnecting-provider');
+const { createHarness } = require('../src/testing/harness');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(predicate, what, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${what}.`);
+        }
+        await sleep(10);
+    }
+}
+
+/**
+ * Serves the endpoints on a free port with these readiness checks.
+ * @returns {Promise<function(string): Promise<{status: number, type: string, body: string}>>} A GET of a path.
+ */
+async function serve(t, checks) {
+    const server = createHealthServer({ registry, checks });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return async (path) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+        return { status: response.status, type: response.headers.get('content-type'), body: await response.text() };
+    };
+}
+
+test('/readyz is 503 as soon as one dependency check fails or throws, and lists every check', async (t) => {
+    const up = { provider: true, redis: true, 'sink:kafka': true };
+    const get = await serve(t, {
+        provider: () => up.provider,
+        redis: async () => up.redis,
+        'sink:kafka': () => {
+            if (!up['sink:kafka']) throw new Error('broker unreachable');
+            return true;
+        },
+    });
+
+    const ready = await get('/readyz');
+    assert.equal(ready.status, 200);
+    assert.deepEqual(JSON.parse(ready.body), { status: 'ready', checks: { provider: true, redis: true, 'sink:kafka': true } });
+
+    for (const failing of Object.keys(up)) {
+        up[failing] = false;
+        const { status, body } = await get('/readyz');
+        assert.equal(status, 503, failing);
+        assert.deepEqual(JSON.parse(body), { status: 'not_ready', checks: { ...up } }, failing);
+        up[failing] = true;
+    }
+
+    // Liveness does not depend on them.
+    up.provider = false;
+    const live = await get('/healthz');
+    assert.deepEqual([live.status, live.type, JSON.parse(live.body)], [200, 'application/json', { status: 'ok' }]);
+    assert.equal((await get('/nope')).status, 404);
+});
+
+test('/metrics serves the mev_ series in the Prometheus text format', async (t) => {
+    const get = await serve(t, {});
+    const { status, type, body } = await get('/metrics');
+    assert.equal(status, 200);
+    assert.equal(type, registry.contentType);
+    for (const name of ['mev_fetch_queue_depth', 'mev_ingestion_drops_total', 'mev_alerts_suppressed_total', 'process_cpu_user_seconds_total']) {
+        assert.match(body, new RegExp(`^# TYPE ${name} `, 'm'), name);
+    }
+});
+
+test('a quiet mempool is ready, but a stale block stream or a dead WebSocket is not', async (t) => {
+    const node = new FakeNode({ wsPort: 0, httpPort: null });
+    await node.start();
+    t.after(() => node.stop());
+    const harness = createHarness({
+        config: { chainId: node.chainId, blockStaleSeconds: 60 },
+        provider: () => new ReconnectingProvider([`ws://127.0.0.1:${node.wsPort}`], { chainId: node.chainId, initialDelayMs: 20 }),
+        nodeConnection: true,
+    });
+    await harness.start();
+    t.after(() => harness.stop());
+    const get = await serve(t, { provider: () => harness.service.isProviderConnected() });
+    const readyStatus = async () => (await get('/readyz')).status;
+    const subscribedToBlocks = () => Array.from(node.subscriptions.values())
+        .some(subscriptions => Array.from(subscriptions.values()).some(subscription => subscription.kind === 'newHeads'));
+    await waitFor(subscribedToBlocks, 'the block subscription');
+
+    // Connected, but no block yet.
+    assert.equal(await readyStatus(), 503);
+    node.mineBlock();
+    await waitFor(() => harness.service.lastBlockAt !== null, 'the block');
+    // No pending transaction at all: still ready while blocks keep coming.
+    assert.equal(await readyStatus(), 200);
+
+    harness.clock.advance(60 * 1000 + 1);
+    assert.equal(await readyStatus(), 503);
+    const lastBlockAt = harness.service.lastBlockAt;
+    node.mineBlock();
+    await waitFor(() => harness.service.lastBlockAt !== lastBlockAt, 'the next block');
+    assert.equal(await readyStatus(), 200);
+
+    // The last block is recent, but the socket is gone.
+    await node.stop();
+    await waitFor(() => !harness.service.nodeConnection.isConnected(), 'the disconnection');
+    assert.equal(await readyStatus(), 503);
+});
@@ -0,0 +1,262 @@
+// test/ingestion.test.js (Pending transactions: fetching, decoding, fees and clustering)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEther, parseUnits, WebSocketProvider, TransactionResponse } = require('ethers');
+const { createHarness, swapTransaction, pendingTransaction } = require('../src/testing/harness');
+const { FakeProvider } = require('../src/testing/fake-provider');
+const { MempoolIngestor } = require('../src/ingestion/mempool-ingestor');
+const { metrics } = require('../src/metrics/metrics');
+const { WETH_ADDRESS } = require('../src/pools/pool-state');
+const { FakeNode } = require('../src/testing/fake-node');
+const { subscribeFullPendingTransactions } = require('../src/ingestion/full-pending-subscription');
+
+const TOKEN = `0x${'7a'.repeat(20)}`;
+const OTHER_TOKEN = `0x${'7b'.repeat(20)}`;
+const TRADER = `0x${'a1'.repeat(20)}`;
+const POOLS = [
+    { tokenA: WETH_ADDRESS, tokenB: TOKEN, reserveA: parseEther('1000'), reserveB: parseEther('2000000') },
+    { tokenA: TOKEN, tokenB: OTHER_TOKEN, reserveA: parseEther('1000000'), reserveB: parseEther('1000000') },
+];
+
+async function startHarness(t, options = {}) {
+    const harness = createHarness({ pools: POOLS, detectors: { detectSandwiches: () => [], detectJitLiquidity: () => [] }, ...options });
+    await harness.start();
+    t.after(() => harness.stop());
+    return harness;
+}
+
+// The pipeline's copy of an ingested transaction (the fake node hands out that object).
+const ingested = (harness, tx) => harness.provider.transactions.get(tx.hash);
+
+/** The current value of a metric's series with these labels (0 if it has none yet). */
+async function metricValue(metric, labels = {}) {
+    const { values } = await metric.get();
+    const series = values.find(value => Object.entries(labels).every(([name, label]) => value.labels[name] === label));
+    return series ? series.value : 0;
+}
+
+/** A promise and the function that resolves it. */
+function deferred() {
+    let resolve;
+    const promise = new Promise((done) => { resolve = done; });
+    return { promise, resolve };
+}
+
+test('a pending router swap is fetched, decoded and clustered on every pair of its path', async (t) => {
+    const harness = await startHarness(t);
+    const tx = swapTransaction({
+        from: TRADER, path: [WETH_ADDRESS, TOKEN, OTHER_TOKEN], amountIn: parseEther('1'), amountOutMin: parseEther('1900'),
+    });
+    await harness.provider.addPendingTransaction(tx);
+
+    const swap = ingested(harness, tx);
+    assert.equal(swap.is_uniswap_swap, true);
+    assert.equal(swap.ingestionTime, harness.clock.now());
+    assert.deepEqual(swap.swap.path, [WETH_ADDRESS, TOKEN, OTHER_TOKEN]);
+    // Quoted against the pairs' reserves, fetched from the fake node on first sight.
+    assert.equal(typeof swap.slippage_tolerance, 'number');
+    assert.equal(harness.service.clusterer.size, 1);
+    assert.equal(harness.service.clusterer.clusterCount, 2);
+});
+
+test('transactions that are not router swaps are not clustered', async (t) => {
+    const harness = await startHarness(t);
+    await harness.provider.addPendingTransaction(pendingTransaction({ from: TRADER, to: TOKEN, value: parseEther('1') }));
+    assert.equal(harness.service.clusterer.size, 0);
+    assert.deepEqual(harness.errors(), []);
+});
+
+test('a hash announced twice is fetched once', async (t) => {
+    const harness = await startHarness(t);
+    const drops = [];
+    harness.service.ingestor.on('drop', reason => drops.push(reason));
+    const tx = swapTransaction({ from: TRADER, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('1') });
+    await harness.provider.addPendingTransaction(tx);
+    await harness.provider.addPendingTransaction(tx);
+    assert.deepEqual(drops, ['duplicate']);
+    assert.equal(harness.service.clusterer.size, 1);
+});
+
+test('pending hashes are fetched batchSize at a time, and the next batch waits for a free slot', async () => {
+    const provider = new FakeProvider();
+    const txs = [];
+    for (let nonce = 0; nonce < 5; nonce++) {
+        const tx = pendingTransaction({ from: TRADER, to: TOKEN, nonce });
+        await provider.addPendingTransaction(tx);
+        txs.push(tx);
+    }
+    const hashes = txs.map(tx => tx.hash);
+    const started = deferred();
+    const release = deferred();
+    const handled = [];
+    const ingestor = new MempoolIngestor(provider, {
+        concurrency: 2,
+        batchSize: 2,
+        handleTransaction: async (tx) => {
+            handled.push(tx.hash);
+            started.resolve();
+            await release.promise;
+        },
+    });
+
+    const done = Promise.all(hashes.map(hash => ingestor.enqueue(hash)));
+    await started.promise;
+    // Two batches of two are fetched at once; the fifth hash waits for one of them.
+    assert.deepEqual(provider.transactionRequests, hashes.slice(0, 4));
+    assert.equal(ingestor.queueDepth, 1);
+    assert.equal(ingestor.inFlightCount, 4);
+
+    release.resolve();
+    await done;
+    assert.deepEqual(provider.transactionRequests, hashes);
+    // The two batches were handled side by side.
+    assert.deepEqual(handled.slice().sort(), hashes.slice().sort());
+    assert.equal(ingestor.inFlightCount, 0);
+});
+
+test('a hash whose fetch failed is fetched again when it is announced again', async () => {
+    const provider = new FakeProvider();
+    const tx = pendingTransaction({ from: TRADER, to: TOKEN });
+    const handled = [];
+    const events = [];
+    const ingestor = new MempoolIngestor(provider, { handleTransaction: async (fetched) => { handled.push(fetched.hash); } });
+    ingestor.on('fetchError', error => events.push(error ? error.code : 'not_found'));
+    ingestor.on('drop', reason => events.push(reason));
+
+    // Not known to the node yet.
+    await ingestor.enqueue(tx.hash);
+    // A transient RPC error.
+    await provider.addPendingTransaction(tx);
+    const getTransaction = provider.getTransaction;
+    provider.getTransaction = async () => {
+        throw Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+    };
+    await ingestor.enqueue(tx.hash);
+    provider.getTransaction = getTransaction;
+    assert.deepEqual(handled, []);
+
+    await ingestor.enqueue(tx.hash);
+    assert.deepEqual(handled, [tx.hash]);
+    // Only once it was handled is it a duplicate.
+    await ingestor.enqueue(tx.hash);
+    assert.deepEqual(events, ['not_found', 'TIMEOUT', 'duplicate']);
+});
+
+test('hashes past fetchQueueLimit are dropped as queue_full, and the fetch gauges show the backlog', async (t) => {
+    const harness = await startHarness(t, { config: { fetchConcurrency: 1, fetchBatchSize: 1, fetchQueueLimit: 2 } });
+    const queueFull = await metricValue(metrics.ingestionDrops, { reason: 'queue_full' });
+    const fetching = deferred();
+    const release = deferred();
+    const getTransaction = harness.provider.getTransaction.bind(harness.provider);
+    harness.provider.getTransaction = async (hash) => {
+        fetching.resolve();
+        await release.promise;
+        return getTransaction(hash);
+    };
+    const drops = [];
+    harness.service.ingestor.on('drop', (reason, hash) => drops.push([reason, hash]));
+
+    const txs = [0, 1, 2, 3].map(nonce => swapTransaction({ from: TRADER, nonce, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('1') }));
+    // Announced together: two fill the queue before the first fetch starts.
+    const announced = txs.map(tx => harness.provider.addPendingTransaction(tx));
+    assert.deepEqual(drops, [['queue_full', txs[2].hash], ['queue_full', txs[3].hash]]);
+    assert.equal(await metricValue(metrics.ingestionDrops, { reason: 'queue_full' }), queueFull + 2);
+
+    await fetching.promise;
+    await harness.service.runDetectionTick();
+    assert.equal(await metricValue(metrics.fetchQueueDepth), 1);
+    assert.equal(await metricValue(metrics.fetchesInFlight), 1);
+
+    release.resolve();
+    await Promise.all(announced);
+    await harness.service.runDetectionTick();
+    assert.equal(harness.service.clusterer.size, 2);
+    assert.equal(await metricValue(metrics.fetchQueueDepth), 0);
+    assert.equal(await metricValue(metrics.fetchesInFlight), 0);
+});
+
+test('swaps past clusterMaxTransactions evict the oldest, counted as lru_evicted', async (t) => {
+    const harness = await startHarness(t, { config: { clusterMaxTransactions: 2 } });
+    const evicted = await metricValue(metrics.ingestionDrops, { reason: 'lru_evicted' });
+    const txs = [0, 1, 2].map(nonce => swapTransaction({ from: TRADER, nonce, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('1') }));
+    for (const tx of txs) {
+        await harness.provider.addPendingTransaction(tx);
+    }
+
+    assert.equal(await metricValue(metrics.ingestionDrops, { reason: 'lru_evicted' }), evicted + 1);
+    const [{ transactions }] = harness.service.clusterer.takeDirtyClusters(harness.clock.now());
+    assert.deepEqual(transactions.map(tx => tx.hash), [txs[1].hash, txs[2].hash]);
+});
+
+test('a mined transaction leaves the clusters and is not fetched again', async (t) => {
+    const harness = await startHarness(t);
+    const tx = swapTransaction({ from: TRADER, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('1') });
+    await harness.provider.addPendingTransaction(tx);
+    await harness.provider.mineBlock([tx.hash]);
+    assert.equal(harness.service.clusterer.size, 0);
+
+    const drops = [];
+    harness.service.ingestor.on('drop', reason => drops.push(reason));
+    await harness.provider.addPendingTransaction(tx);
+    assert.deepEqual(drops, ['mined']);
+    assert.equal(harness.service.lastBlockAt, harness.clock.now());
+});
+
+test('a transaction replaced by one with the same sender and nonce leaves the clusters', async (t) => {
+    const harness = await startHarness(t);
+    const original = swapTransaction({ from: TRADER, nonce: 7, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('1') });
+    const replacement = swapTransaction({ from: TRADER, nonce: 7, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('1'), priorityFeeGwei: 2 });
+    await harness.provider.addPendingTransaction(original);
+    await harness.provider.addPendingTransaction(replacement);
+
+    const [{ transactions }] = harness.service.clusterer.takeDirtyClusters(harness.clock.now());
+    assert.deepEqual(transactions.map(tx => tx.hash), [replacement.hash]);
+});
+
+test('effective fees follow the base fee of the latest block', async (t) => {
+    const harness = await startHarness(t);
+    await harness.provider.mineBlock();
+    const tx = swapTransaction({ from: TRADER, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('1'), priorityFeeGwei: 2, maxFeeGwei: 11 });
+    await harness.provider.addPendingTransaction(tx);
+
+    // A 10 gwei base fee leaves 1 gwei of the 11 gwei cap for the 2 gwei tip.
+    assert.equal(ingested(harness, tx).effective_priority_fee, parseUnits('1', 'gwei'));
+    assert.equal(ingested(harness, tx).effective_gas_price, parseUnits('11', 'gwei'));
+});
+
+test('clustered transactions expire after the cluster window', async (t) => {
+    const harness = await startHarness(t);
+    await harness.provider.addPendingTransaction(swapTransaction({ from: TRADER, path: [WETH_ADDRESS, TOKEN], amountIn: parseEther('1') }));
+    harness.clock.advance(harness.config.transactionLifespanMs);
+    await harness.service.runDetectionTick();
+    assert.equal(harness.service.clusterer.size, 0);
+});
+
+test('full pending transactions arrive as ethers transactions through the pinned socket hooks', async (t) => {
+    const node = new FakeNode({ wsPort: 0, httpPort: null });
+    await node.start();
+    t.after(() => node.stop());
+    const provider = new WebSocketProvider(`ws://127.0.0.1:${node.wsPort}`, node.chainId, { staticNetwork: true });
+    t.after(() => provider.destroy());
+
+    const received = [];
+    let onReceived;
+    const arrived = new Promise((resolve) => { onReceived = resolve; });
+    await subscribeFullPendingTransactions(provider, {
+        onTransaction: (tx) => {
+            received.push(tx);
+            onReceived();
+        },
+        onHash: () => assert.fail('the node sent a bare hash'),
+    });
+    const hash = await node.addPendingTransaction({ value: parseEther('0.5') });
+    await arrived;
+
+    const [tx] = received;
+    assert.ok(tx instanceof TransactionResponse);
+    assert.equal(tx.hash, hash);
+    assert.equal(tx.value, parseEther('0.5'));
+    assert.equal(tx.maxPriorityFeePerGas, parseUnits('2', 'gwei'));
+    assert.equal(tx.blockNumber, null);
+});
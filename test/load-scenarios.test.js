@@ -0,0 +1,75 @@
+// test/load-scenarios.test.js (The load test's synthetic clusters, and scoring against their labels)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../src/config/config');
+const { ScenarioGenerator, parseMix, scoreScenarios } = require('../src/testing/mempool-scenarios');
+const { decodeUniswapV2Transaction } = require('../src/decoders/uniswap-v2');
+const detectors = require('../src/testing/fake-detectors');
+
+test('every scenario of the mix is injected in one piece and labeled', () => {
+    const { config } = loadConfig({ argv: ['--load-test-mix', 'sandwich=1,multi_attacker=1,other_pool=1,wrong_order=1,low_slippage=1'], env: {} });
+    const generator = new ScenarioGenerator({ mix: parseMix(config.loadTestMix), attackers: 2, seed: 3 });
+    const { transactions, labels } = generator.generateBatch(100);
+
+    assert.equal(transactions.length, 100);
+    assert.deepEqual(labels.map(label => [label.scenario, label.sandwich]), [
+        ['sandwich', true], ['multi_attacker', true], ['other_pool', false], ['wrong_order', false], ['low_slippage', false],
+    ]);
+    const hashes = transactions.map(tx => tx.hash);
+    for (const label of labels) {
+        const start = hashes.indexOf(label.hashes[0]);
+        assert.deepEqual(hashes.slice(start, start + label.hashes.length), label.hashes);
+        assert.equal(label.hashes[label.hashes.length === 5 ? 2 : 1], label.victim_hash);
+    }
+    // The calldata is the router's, so the same records decode as they would from the mempool.
+    const victim = transactions.find(tx => tx.hash === labels[0].victim_hash);
+    assert.equal(decodeUniswapV2Transaction(victim).swap.token_in, victim.token_in);
+
+    assert.throws(() => parseMix(['sandwhich=0.1']), /sandwhich/);
+    assert.throws(() => loadConfig({ argv: ['--load-test-mix', 'sandwich'], env: {} }), /load-test-mix/);
+});
+
+test('a seeded generator makes the same clusters every time', () => {
+    const batches = seed => {
+        const generator = new ScenarioGenerator({ seed, now: () => 1700000000000 });
+        return [generator.generateBatch(50), generator.generateBatch(50)];
+    };
+    assert.deepEqual(batches(7), batches(7));
+    assert.notDeepEqual(batches(7), batches(8));
+});
+
+test('findings are scored per victim, with the scenarios the flagged victims came from', () => {
+    const generator = new ScenarioGenerator({
+        seed: 1,
+        mix: { sandwich: 2, multi_attacker: 0.5, other_pool: 1, wrong_order: 0.5, low_slippage: 1 },
+    });
+    const labels = [];
+    const findings = [];
+    for (let i = 0; i < 10; i++) {
+        const batch = generator.generateBatch(50);
+        labels.push(...batch.labels);
+        findings.push(...detectors.detectSandwiches(batch.transactions));
+    }
+    const score = scoreScenarios(findings, labels, generator.benignSwaps);
+
+    // The fake detectors take the inner attacker's frontrun of each multi-attacker scenario
+    // for a victim of the outer one; none of the near misses fools them.
+    assert.deepEqual(score, {
+        labels: 24,
+        true_positives: 24,
+        false_positives: 4,
+        false_negatives: 0,
+        precision: 24 / 28,
+        recall: 1,
+        scenarios: {
+            benign: { injected: 19, flagged: 0 },
+            attacker_legs: { injected: null, flagged: 4 },
+            sandwich: { injected: 20, flagged: 20 },
+            multi_attacker: { injected: 4, flagged: 4 },
+            other_pool: { injected: 10, flagged: 0 },
+            wrong_order: { injected: 4, flagged: 0 },
+            low_slippage: { injected: 10, flagged: 0 },
+        },
+    });
+});
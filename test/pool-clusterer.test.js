@@ -0,0 +1,122 @@
+// test/pool-clusterer.test.js (Per-pool sliding-window clusters: keys, eviction and dirty tracking)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PoolClusterer, clusterKeysFor, swapOnPool } = require('../src/clustering/pool-clusterer');
+
+// Token addresses in sort order.
+const A = `0x${'0a'.repeat(20)}`;
+const B = `0x${'0b'.repeat(20)}`;
+const C = `0x${'0c'.repeat(20)}`;
+const AB = `${A}:${B}`;
+const BC = `${B}:${C}`;
+
+let count = 0;
+/** A decoded swap along `path` (V3 if `fees` are given), ingested at `ingestionTime` ms. */
+function swapTx(path, ingestionTime = 0, fees = null) {
+    return { hash: `0x${(++count).toString(16).padStart(64, '0')}`, ingestionTime, swap: { path, fees } };
+}
+
+const hashesOf = cluster => cluster.transactions.map(tx => tx.hash);
+
+test('a swap joins the cluster of every pool along its path, and a batched call every swap\'s', () => {
+    assert.deepEqual(clusterKeysFor(swapTx([C, B, A])), [BC, AB]);
+    // Each V3 fee tier is a pool of its own.
+    assert.deepEqual(clusterKeysFor(swapTx([A, B, C], 0, [500, 3000])), [`${AB}:500`, `${BC}:3000`]);
+    const batched = { hash: '0x01', swaps: [{ path: [A, B], fees: [500] }, { path: [B, A], fees: null }, { path: [A, B], fees: null }] };
+    assert.deepEqual(clusterKeysFor(batched), [`${AB}:500`, AB]);
+    assert.deepEqual(clusterKeysFor({ hash: '0x02', liquidity: { token_a: B, token_b: A } }), [AB]);
+    assert.deepEqual(clusterKeysFor({ hash: '0x03', swap: null }), []);
+    assert.equal(swapOnPool(batched, AB), batched.swaps[1]);
+
+    const clusterer = new PoolClusterer();
+    const multiHop = swapTx([A, B, C]);
+    assert.deepEqual(clusterer.add(multiHop), [AB, BC]);
+    assert.deepEqual(clusterer.add({ hash: '0x03', swap: null, ingestionTime: 0 }), []);
+    assert.deepEqual([clusterer.size, clusterer.clusterCount], [1, 2]);
+    assert.deepEqual(clusterer.takeDirtyClusters(0).map(cluster => [cluster.key, hashesOf(cluster)]), [
+        [AB, [multiHop.hash]],
+        [BC, [multiHop.hash]],
+    ]);
+
+    // Leaving takes it out of both.
+    assert.equal(clusterer.remove(multiHop.hash), true);
+    assert.deepEqual([clusterer.size, clusterer.clusterCount], [0, 0]);
+});
+
+test('transactions leave the window windowMs after they were ingested', () => {
+    const clusterer = new PoolClusterer({ windowMs: 1000 });
+    const first = swapTx([A, B], 0);
+    const second = swapTx([A, B], 500);
+    const other = swapTx([B, C], 600);
+    [first, second, other].forEach(tx => clusterer.add(tx));
+
+    assert.equal(clusterer.evictExpired(999), 0);
+    assert.equal(clusterer.evictExpired(1000), 1);
+    assert.deepEqual(clusterer.takeDirtyClusters(1000).map(hashesOf), [[second.hash], [other.hash]]);
+    assert.equal(clusterer.evictExpired(1599), 1);
+    // An emptied cluster is gone.
+    assert.deepEqual([clusterer.size, clusterer.clusterCount], [1, 1]);
+    assert.equal(clusterer.has(other.hash), true);
+});
+
+test('transactions leave the window once more than windowBlocks blocks were mined since they were seen', () => {
+    const clusterer = new PoolClusterer({ windowMs: Infinity, windowBlocks: 2 });
+    // Seen before any block: only the time window applies to it.
+    const beforeBlocks = swapTx([A, B]);
+    clusterer.add(beforeBlocks);
+    clusterer.onBlock(100);
+    const atBlock100 = swapTx([A, B]);
+    clusterer.add(atBlock100);
+    clusterer.onBlock(101);
+    const atBlock101 = swapTx([A, B]);
+    clusterer.add(atBlock101);
+
+    clusterer.onBlock(102);
+    assert.equal(clusterer.evictExpired(0), 0);
+    clusterer.onBlock(103);
+    // `beforeBlocks` is still in the window, and eviction stops at the first such entry.
+    assert.equal(clusterer.evictExpired(0), 0);
+    clusterer.remove(beforeBlocks.hash);
+    assert.equal(clusterer.evictExpired(0), 1);
+    assert.deepEqual(Array.from(clusterer.entries.keys()), [atBlock101.hash]);
+    // An older block arriving late does not move the window back.
+    clusterer.onBlock(99);
+    clusterer.onBlock(104);
+    assert.equal(clusterer.evictExpired(0), 1);
+    assert.equal(clusterer.size, 0);
+});
+
+test('only the clusters that gained transactions since the last call are handed back', () => {
+    const clusterer = new PoolClusterer();
+    const ab = swapTx([A, B]);
+    const bc = swapTx([B, C]);
+    clusterer.add(ab);
+    clusterer.add(bc);
+    assert.deepEqual(clusterer.takeDirtyClusters(0).map(cluster => cluster.key), [AB, BC]);
+    assert.deepEqual(clusterer.takeDirtyClusters(0), []);
+
+    // A new transaction marks its cluster dirty, which comes back whole; adding it again does not.
+    const next = swapTx([B, A]);
+    clusterer.add(next);
+    clusterer.add(next);
+    assert.deepEqual(clusterer.takeDirtyClusters(0).map(cluster => [cluster.key, hashesOf(cluster)]), [[AB, [ab.hash, next.hash]]]);
+
+    // A dirty cluster emptied before the next call is not handed back.
+    const lone = swapTx([A, C]);
+    clusterer.add(lone);
+    clusterer.remove(lone.hash);
+    assert.deepEqual(clusterer.takeDirtyClusters(0), []);
+});
+
+test('past maxTransactions the oldest transactions are evicted and reported', () => {
+    const evicted = [];
+    const clusterer = new PoolClusterer({ maxTransactions: 2, onEvict: hash => evicted.push(hash) });
+    const txs = [swapTx([A, B]), swapTx([B, C]), swapTx([A, B])];
+    txs.forEach(tx => clusterer.add(tx));
+    assert.deepEqual(evicted, [txs[0].hash]);
+    assert.deepEqual(clusterer.takeDirtyClusters(0).map(cluster => [cluster.key, hashesOf(cluster)]), [
+        [AB, [txs[2].hash]],
+        [BC, [txs[1].hash]],
+    ]);
+});
@@ -0,0 +1,150 @@
+// test/reconnect.test.js (Node connection: drops, backoff, failover and txpool backfill)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeNode } = require('../src/testing/fake-node');
+const { ReconnectingProvider } = require('../src/ingestion/reconnecting-provider');
+const { createHarness } = require('../src/testing/harness');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Polls `predicate` until it holds.
+ * @param {function(): boolean} predicate
+ * @param {string} what - For the timeout message.
+ */
+async function waitFor(predicate, what, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${what}.`);
+        }
+        await sleep(10);
+    }
+}
+
+/** Starts a WebSocket-only fake node on a free port. */
+async function startNode(t) {
+    const node = new FakeNode({ wsPort: 0, httpPort: null });
+    await node.start();
+    t.after(() => node.stop());
+    return node;
+}
+
+const urlOf = node => `ws://127.0.0.1:${node.wsPort}`;
+
+/** Whether some connection to the node is subscribed to pending transactions. */
+const subscribedToPending = node => Array.from(node.subscriptions.values())
+    .some(subscriptions => Array.from(subscriptions.values()).some(subscription => subscription.kind === 'pending'));
+
+/**
+ * A provider whose connection events are recorded in `events`, as `[name, details]`.
+ */
+function connect(t, urls, options = {}) {
+    const provider = new ReconnectingProvider(urls, { chainId: 11155111, initialDelayMs: 20, maxDelayMs: 80, connectTimeoutMs: 1000, ...options });
+    t.after(() => provider.destroy());
+    const events = [];
+    provider.on('connected', details => events.push(['connected', details]));
+    provider.on('disconnected', details => events.push(['disconnected', details]));
+    provider.on('connectError', (error, details) => events.push(['connectError', details]));
+    return { provider, events, count: name => events.filter(([event]) => event === name).length };
+}
+
+test('a dropped connection is reopened, with its listeners and calls moved to the new one', async (t) => {
+    const node = await startNode(t);
+    const { provider, events, count } = connect(t, [urlOf(node)]);
+    const blocks = [];
+    provider.on('block', blockNumber => blocks.push(blockNumber));
+    await provider.start();
+    assert.deepEqual(events, [['connected', { url: urlOf(node), endpoint: 0, reconnect: false }]]);
+    const firstConnection = provider.current;
+
+    node.dropConnections();
+    await waitFor(() => count('connected') === 2, 'the reconnection');
+    assert.equal(events[1][0], 'disconnected');
+    assert.equal(events[1][1].code, 1006);
+    assert.deepEqual(events[2], ['connected', { url: urlOf(node), endpoint: 0, reconnect: true }]);
+    assert.notEqual(provider.current, firstConnection);
+    assert.equal(provider.isConnected(), true);
+
+    // The `block` listener was registered on the new connection.
+    node.mineBlock();
+    await waitFor(() => blocks.length === 1, 'the block');
+    assert.deepEqual(blocks, [1]);
+    assert.equal(Number(await provider.send('eth_blockNumber', [])), 1);
+});
+
+test('a node that stays down is retried with exponential backoff until it is back', async (t) => {
+    const node = await startNode(t);
+    const { provider, count } = connect(t, [urlOf(node)]);
+    await provider.start();
+    assert.deepEqual([1, 2, 3, 4].map(round => provider.backoffDelay(round)), [20, 40, 80, 80]);
+
+    let downAt;
+    provider.once('disconnected', () => { downAt = Date.now(); });
+    await node.stop();
+    await waitFor(() => count('disconnected') === 1, 'the disconnection');
+    // Calls fail at once while disconnected, rather than hanging.
+    await assert.rejects(provider.getBlockNumber(), { code: 'NETWORK_ERROR' });
+
+    await waitFor(() => count('connectError') >= 3, 'three failed attempts');
+    // The first attempt is immediate; the next two wait 20 and 40 ms.
+    assert.ok(Date.now() - downAt >= 60);
+    assert.equal(provider.isConnected(), false);
+
+    await node.start();
+    await waitFor(() => count('connected') === 2, 'the reconnection');
+    assert.equal(await provider.getBlockNumber(), 0);
+});
+
+test('an unreachable primary falls back to the next URL, and reconnections start from the primary', async (t) => {
+    const primary = await startNode(t);
+    const fallback = await startNode(t);
+    await primary.stop();
+    const { provider, events, count } = connect(t, [urlOf(primary), urlOf(fallback)]);
+    await provider.start();
+
+    assert.deepEqual(events, [
+        ['connectError', { url: urlOf(primary), endpoint: 0 }],
+        ['connected', { url: urlOf(fallback), endpoint: 1, reconnect: false }],
+    ]);
+
+    await primary.start();
+    fallback.dropConnections();
+    await waitFor(() => count('connected') === 2, 'the reconnection');
+    assert.deepEqual(events[events.length - 1], ['connected', { url: urlOf(primary), endpoint: 0, reconnect: true }]);
+});
+
+test('after a reconnection, the pending transactions announced meanwhile are backfilled from the txpool', async (t) => {
+    const node = await startNode(t);
+    const harness = createHarness({
+        config: { chainId: node.chainId },
+        provider: () => new ReconnectingProvider([urlOf(node)], { chainId: node.chainId, initialDelayMs: 20 }),
+        nodeConnection: true,
+    });
+    const fetched = [];
+    const drops = [];
+    harness.service.ingestor.on('fetched', hash => fetched.push(hash));
+    harness.service.ingestor.on('drop', (reason, hash) => drops.push([reason, hash]));
+    await harness.start();
+    t.after(() => harness.stop());
+    await waitFor(() => subscribedToPending(node), 'the pending subscription');
+
+    const seen = await node.addPendingTransaction();
+    await waitFor(() => fetched.length === 1, 'the announced transaction');
+
+    await node.stop();
+    const missed = [await node.addPendingTransaction(), await node.addPendingTransaction()];
+    await node.start();
+    await waitFor(() => fetched.length === 3, 'the backfill');
+
+    // The txpool lists transactions by sender, so the missed ones come back in any order.
+    assert.equal(fetched[0], seen.toLowerCase());
+    assert.deepEqual(fetched.slice(1).sort(), missed.map(hash => hash.toLowerCase()).sort());
+    // The transaction handled before the drop is in the txpool too, and is not handled twice.
+    assert.deepEqual(drops, [['duplicate', seen.toLowerCase()]]);
+    const messages = harness.logs.map(entry => entry.args.join(' '));
+    assert.ok(messages.includes('Backfilled 3 pending transactions from txpool_content.'));
+    assert.ok(messages.some(message => message.startsWith('Lost Ethereum node 0')));
+    assert.deepEqual(harness.errors(), []);
+});
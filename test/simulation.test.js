@@ -0,0 +1,113 @@
+// test/simulation.test.js (Constant-product math and sandwich replay on fixture pools)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEther } = require('ethers');
+const { getAmountOut, getAmountIn } = require('../src/pools/amm-math');
+const { PoolStateCache, WETH_ADDRESS, sortTokens } = require('../src/pools/pool-state');
+const { simulateSandwich, impliedSlippage } = require('../src/pools/sandwich-simulator');
+const { JsonFixtureProvider } = require('../src/providers/json-fixture-provider');
+const { swapRecord } = require('../src/decoders/uniswap-v2');
+
+const TOKEN = `0x${'7a'.repeat(20)}`;
+const OTHER_TOKEN = `0x${'7b'.repeat(20)}`;
+const GAS_PRICE = '10000000000'; // 10 gwei
+
+/** A pool cache over fixture pairs: 1,000 WETH / 2,000,000 TOKEN and 1,000,000 TOKEN / 1,000,000 OTHER_TOKEN. */
+function fixtureCache() {
+    const addresses = new PoolStateCache(null);
+    const pairs = {};
+    for (const [tokenA, tokenB, reserveA, reserveB] of [
+        [WETH_ADDRESS, TOKEN, parseEther('1000'), parseEther('2000000')],
+        [TOKEN, OTHER_TOKEN, parseEther('1000000'), parseEther('1000000')],
+    ]) {
+        const [token0, token1] = sortTokens(tokenA, tokenB);
+        const aIsToken0 = token0 === tokenA.toLowerCase();
+        pairs[addresses.pairAddressFor(tokenA, tokenB)] = {
+            token0,
+            token1,
+            reserve0: String(aIsToken0 ? reserveA : reserveB),
+            reserve1: String(aIsToken0 ? reserveB : reserveA),
+        };
+    }
+    return new PoolStateCache(new JsonFixtureProvider({ pairs }));
+}
+
+/** An exact-in Router 02 swap record. */
+function exactIn(path, amountIn, amountOutMin = 0n, feeOnTransfer = false) {
+    const method = feeOnTransfer ? 'swapExactTokensForTokensSupportingFeeOnTransferTokens' : 'swapExactTokensForTokens';
+    return swapRecord({ dex: 'uniswap-v2', method, kind: 'exact_in', feeOnTransfer, path, amountIn, amountOutMin, recipient: null, deadline: null });
+}
+
+const attackerLeg = (swap) => ({ swap, gas_price: GAS_PRICE, gas_limit: '150000' });
+
+test('getAmountOut and getAmountIn round like UniswapV2Library', () => {
+    assert.equal(getAmountOut(1000n, 1000000n, 1000000n), 996n);
+    assert.equal(getAmountOut(parseEther('1'), parseEther('1000'), parseEther('2000000')), 1992013962079806432986n);
+    // Rounded up: the pair must receive at least what it pays out.
+    assert.equal(getAmountIn(996n, 1000000n, 1000000n), 1000n);
+    assert.equal(getAmountIn(parseEther('1990'), parseEther('1000'), parseEther('2000000')), 998987974980943552n);
+    assert.equal(getAmountOut(0n, 1000000n, 1000000n), 0n);
+    // Asking for the whole reserve (or more) cannot be filled.
+    assert.equal(getAmountIn(1000000n, 1000000n, 1000000n), null);
+});
+
+test('a frontrun, victim and backrun on one pair yield the attacker profit and victim loss of the pool math', async () => {
+    const poolState = fixtureCache();
+    const result = await simulateSandwich(poolState, {
+        frontrun: attackerLeg(exactIn([WETH_ADDRESS, TOKEN], parseEther('20'))),
+        victim: { swap: exactIn([WETH_ADDRESS, TOKEN], parseEther('10'), parseEther('18000')) },
+        // Not decoded: it sells back everything the frontrun bought.
+        backrun: attackerLeg(null),
+    });
+
+    assert.equal(result.pool, poolState.pairAddressFor(WETH_ADDRESS, TOKEN));
+    assert.equal(result.profit_token, WETH_ADDRESS);
+    assert.equal(result.gross_profit, '269827355475338189');
+    assert.equal(result.gas_cost_eth, 0.003);
+    assert.equal(result.net_profit_eth, 0.2698273554753382 - 0.003);
+    assert.equal(result.victim_reverted, false);
+    assert.equal(result.victim_loss, '761860632773933612158');
+    assert.equal(result.victim_loss_token, TOKEN);
+    assert.equal(result.victim_amount_eth, 10);
+    assert.equal(result.victim_slippage_tolerance, 0.088291);
+    // The cached reserves are untouched.
+    assert.deepEqual(poolState.reservesFor(WETH_ADDRESS, TOKEN), { reserveIn: parseEther('1000'), reserveOut: parseEther('2000000') });
+});
+
+test('a multi-hop victim is quoted through every hop, its loss in the token it buys', async () => {
+    const result = await simulateSandwich(fixtureCache(), {
+        frontrun: attackerLeg(exactIn([WETH_ADDRESS, TOKEN], parseEther('20'))),
+        victim: { swap: exactIn([WETH_ADDRESS, TOKEN, OTHER_TOKEN], parseEther('10'), parseEther('18000')) },
+        backrun: attackerLeg(null),
+    });
+
+    assert.equal(result.gross_profit, '269827355475338189');
+    assert.equal(result.victim_loss, '731077086247029721835');
+    assert.equal(result.victim_loss_token, OTHER_TOKEN);
+    // OTHER_TOKEN has no WETH pair to price it with.
+    assert.equal(result.victim_loss_eth, null);
+    assert.equal(result.victim_slippage_tolerance, 0.067548);
+});
+
+test('a pair missing from the fixture is not seeded, and swaps on it are not simulated', async () => {
+    const poolState = fixtureCache();
+    assert.equal(await poolState.getPool(WETH_ADDRESS, OTHER_TOKEN), null);
+    assert.equal(await simulateSandwich(poolState, {
+        frontrun: attackerLeg(exactIn([WETH_ADDRESS, OTHER_TOKEN], parseEther('20'))),
+        victim: { swap: exactIn([WETH_ADDRESS, OTHER_TOKEN], parseEther('10')) },
+        backrun: attackerLeg(null),
+    }), null);
+    assert.equal(await impliedSlippage(exactIn([WETH_ADDRESS, OTHER_TOKEN], parseEther('10')), poolState), null);
+});
+
+test('fee-on-transfer swaps are not simulated', async () => {
+    const poolState = fixtureCache();
+    const victim = exactIn([WETH_ADDRESS, TOKEN], parseEther('10'), parseEther('18000'), true);
+    assert.equal(await impliedSlippage(victim, poolState), null);
+    assert.equal(await simulateSandwich(poolState, {
+        frontrun: attackerLeg(exactIn([WETH_ADDRESS, TOKEN], parseEther('20'))),
+        victim: { swap: victim },
+        backrun: attackerLeg(null),
+    }), null);
+});